@@ -3,17 +3,18 @@
  * Provides mock ChatAnthropic class for testing
  */
 
-const MockChatAnthropic = jest.fn().mockImplementation((config) => {
-  return {
-    config,
-    modelName: config.modelName,
-    anthropicApiKey: config.anthropicApiKey,
-    invoke: jest.fn().mockResolvedValue({
-      content: 'Mock Anthropic Claude response',
-      text: () => 'Mock Anthropic Claude response',
-    }),
-  };
-});
+const MockChatAnthropic = jest.fn().mockImplementation((config) => ({
+  config,
+  modelName: config.modelName,
+  anthropicApiKey: config.anthropicApiKey,
+  invoke: jest.fn().mockResolvedValue({
+    content: 'Mock Anthropic Claude response',
+    text: () => 'Mock Anthropic Claude response',
+  }),
+  stream: jest.fn().mockImplementation(async function* mockStream() {
+    yield* ['Mock ', 'Anthropic ', 'Claude ', 'response'].map((content) => ({ content }));
+  }),
+}));
 
 module.exports = {
   ChatAnthropic: MockChatAnthropic,
@@ -3,17 +3,18 @@
  * Provides mock ChatGoogleGenerativeAI class for testing
  */
 
-const MockChatGoogleGenerativeAI = jest.fn().mockImplementation((config) => {
-  return {
-    config,
-    model: config.model,
-    apiKey: config.apiKey,
-    invoke: jest.fn().mockResolvedValue({
-      content: 'Mock Google Gemini response',
-      text: () => 'Mock Google Gemini response',
-    }),
-  };
-});
+const MockChatGoogleGenerativeAI = jest.fn().mockImplementation((config) => ({
+  config,
+  model: config.model,
+  apiKey: config.apiKey,
+  invoke: jest.fn().mockResolvedValue({
+    content: 'Mock Google Gemini response',
+    text: () => 'Mock Google Gemini response',
+  }),
+  stream: jest.fn().mockImplementation(async function* mockStream() {
+    yield* ['Mock ', 'Google ', 'Gemini ', 'response'].map((content) => ({ content }));
+  }),
+}));
 
 module.exports = {
   ChatGoogleGenerativeAI: MockChatGoogleGenerativeAI,
@@ -3,17 +3,18 @@
  * Provides mock ChatOpenAI class for testing
  */
 
-const MockChatOpenAI = jest.fn().mockImplementation((config) => {
-  return {
-    config,
-    modelName: config.modelName,
-    openAIApiKey: config.openAIApiKey,
-    invoke: jest.fn().mockResolvedValue({
-      content: 'Mock OpenAI response',
-      text: () => 'Mock OpenAI response',
-    }),
-  };
-});
+const MockChatOpenAI = jest.fn().mockImplementation((config) => ({
+  config,
+  modelName: config.modelName,
+  openAIApiKey: config.openAIApiKey,
+  invoke: jest.fn().mockResolvedValue({
+    content: 'Mock OpenAI response',
+    text: () => 'Mock OpenAI response',
+  }),
+  stream: jest.fn().mockImplementation(async function* mockStream() {
+    yield* ['Mock ', 'OpenAI ', 'response'].map((content) => ({ content }));
+  }),
+}));
 
 module.exports = {
   ChatOpenAI: MockChatOpenAI,
@@ -55,6 +55,21 @@ const mockNativeImage = {
       },
     };
   },
+  // Undecodable by default; tests that resize images supply their own
+  createFromBuffer: function mockCreateFromBuffer() {
+    return {
+      isEmpty: function mockIsEmpty() {
+        return true;
+      },
+    };
+  },
+  createFromBitmap: function mockCreateFromBitmap(bitmap) {
+    return {
+      toPNG: function mockToPNG() {
+        return Buffer.from(bitmap);
+      },
+    };
+  },
 };
 
 // Create mock functions that can be reassigned in tests
@@ -66,6 +81,7 @@ const createMockIpcMain = () => ({
 
 const createMockClipboard = () => ({
   writeText: jest.fn(),
+  readText: jest.fn().mockReturnValue(''),
 });
 
 // Export factory functions and default instances
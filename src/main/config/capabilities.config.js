@@ -0,0 +1,148 @@
+/**
+ * Model capability registry
+ * Describes what each model can do, so requests and the UI can adapt to it
+ * @module capabilitiesConfig
+ */
+
+/**
+ * @typedef {Object} ModelCapabilities
+ * @property {boolean} vision - Accepts images
+ * @property {number} maxImages - Images accepted per request (0 without vision)
+ * @property {number} contextWindow - Input + output tokens per request
+ * @property {boolean} streaming - Can stream its answer
+ * @property {boolean} jsonMode - Can be constrained to answer with JSON (JSON mode or
+ *   schema-constrained tool calls)
+ * @property {boolean} toolCalling - Can call functions (the local tools in ToolService)
+ * @property {number} maxOutputTokens - Longest answer, in tokens
+ */
+
+// Capabilities of models not listed in MODEL_CAPABILITIES, per provider
+const PROVIDER_DEFAULTS = {
+  google: {
+    vision: true,
+    maxImages: 3000,
+    contextWindow: 1048576,
+    streaming: true,
+    jsonMode: true,
+    toolCalling: true,
+    maxOutputTokens: 8192,
+  },
+  openai: {
+    vision: true,
+    maxImages: 500,
+    contextWindow: 128000,
+    streaming: true,
+    jsonMode: true,
+    toolCalling: true,
+    maxOutputTokens: 16384,
+  },
+  anthropic: {
+    vision: true,
+    maxImages: 100,
+    contextWindow: 200000,
+    streaming: true,
+    jsonMode: true, // Through tool use
+    toolCalling: true,
+    maxOutputTokens: 8192,
+  },
+  // Ollama's defaults; servers configured with a larger context still get the small one.
+  // Few local models handle tools well, so they are only offered to the ones listed below
+  local: {
+    vision: true,
+    maxImages: 1,
+    contextWindow: 4096,
+    streaming: true,
+    jsonMode: true,
+    toolCalling: false,
+    maxOutputTokens: 4096,
+  },
+};
+
+const TEXT_ONLY = { vision: false, maxImages: 0 };
+
+// Overrides per model, matched by the longest listed prefix of the model ID so dated and
+// discovered variants (e.g. 'gpt-4o-2024-08-06') inherit their family's entry
+const MODEL_CAPABILITIES = {
+  google: {
+    'gemini-1.0-pro': { ...TEXT_ONLY, contextWindow: 32760, maxOutputTokens: 2048 },
+    'gemini-pro': { ...TEXT_ONLY, contextWindow: 32760, maxOutputTokens: 2048 },
+    'gemini-pro-vision': { vision: true, maxImages: 16, contextWindow: 16384, toolCalling: false },
+    'gemini-1.5-pro': { contextWindow: 2097152 },
+    'gemini-2.5': { maxOutputTokens: 65536 },
+  },
+  openai: {
+    'gpt-3.5-turbo': { ...TEXT_ONLY, contextWindow: 16385, maxOutputTokens: 4096 },
+    'gpt-4-turbo': { maxOutputTokens: 4096 },
+    'gpt-4.1': { contextWindow: 1047576, maxOutputTokens: 32768 },
+    'gpt-5': { contextWindow: 400000, maxOutputTokens: 128000 },
+    o1: { contextWindow: 200000, maxOutputTokens: 100000 },
+    'o1-mini': { ...TEXT_ONLY, maxOutputTokens: 65536, jsonMode: false, toolCalling: false },
+    'o1-preview': { ...TEXT_ONLY, maxOutputTokens: 32768, jsonMode: false, toolCalling: false },
+    o3: { contextWindow: 200000, maxOutputTokens: 100000 },
+    'o3-mini': { ...TEXT_ONLY, contextWindow: 200000, maxOutputTokens: 100000 },
+    o4: { contextWindow: 200000, maxOutputTokens: 100000 },
+  },
+  anthropic: {
+    'claude-2': { ...TEXT_ONLY, contextWindow: 100000, maxOutputTokens: 4096, toolCalling: false },
+    'claude-instant': {
+      ...TEXT_ONLY,
+      contextWindow: 100000,
+      maxOutputTokens: 4096,
+      toolCalling: false,
+    },
+    'claude-3-opus': { maxOutputTokens: 4096 },
+    'claude-3-haiku': { maxOutputTokens: 4096 },
+    'claude-3-7-sonnet': { maxOutputTokens: 64000 },
+    'claude-sonnet-4': { maxOutputTokens: 64000 },
+    'claude-opus-4': { maxOutputTokens: 32000 },
+  },
+  local: {
+    llava: { contextWindow: 4096 },
+    'qwen2.5vl': { contextWindow: 32768, maxImages: 10 },
+    'llama3.2-vision': { contextWindow: 131072 },
+    gemma3: { contextWindow: 131072, maxImages: 10 },
+    llama: { ...TEXT_ONLY },
+    'llama3.1': { ...TEXT_ONLY, contextWindow: 131072, toolCalling: true },
+    mistral: { ...TEXT_ONLY },
+    'qwen2.5': { ...TEXT_ONLY, toolCalling: true },
+    phi: { ...TEXT_ONLY },
+    'deepseek-r1': { ...TEXT_ONLY },
+  },
+};
+
+/**
+ * Get the capabilities of a model
+ * @param {string} provider - Provider type
+ * @param {string} [model] - Model ID (e.g. 'gemini-2.0-flash' or 'llava:13b')
+ * @returns {ModelCapabilities} Capabilities (the provider's defaults for unknown models;
+ *   text-only with a small context window for unknown providers)
+ */
+const getModelCapabilities = (provider, model) => {
+  const defaults = PROVIDER_DEFAULTS[provider] || { ...PROVIDER_DEFAULTS.local, ...TEXT_ONLY };
+  const id = String(model || '').toLowerCase();
+  const match = Object.keys(MODEL_CAPABILITIES[provider] || {})
+    .filter((prefix) => id.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return { ...defaults, ...(match && MODEL_CAPABILITIES[provider][match]) };
+};
+
+/**
+ * Get the capabilities of every model listed for each provider
+ * @param {Object<string, {models: Array<{id: string}>}>} providers - Providers keyed by
+ *   type, as in AI.PROVIDERS
+ * @returns {Object<string, Object<string, ModelCapabilities>>} Capabilities keyed by
+ *   provider type, then model ID
+ */
+const getProviderCapabilities = (providers) =>
+  Object.fromEntries(
+    Object.entries(providers).map(([provider, { models = [] }]) => [
+      provider,
+      Object.fromEntries(models.map(({ id }) => [id, getModelCapabilities(provider, id)])),
+    ])
+  );
+
+module.exports = {
+  getModelCapabilities,
+  getProviderCapabilities,
+};
@@ -22,7 +22,9 @@ module.exports = {
     DEFAULT_PROVIDER: 'google',
     DEFAULT_MODEL: 'gemini-2.0-flash',
     
-    // Provider configurations
+    // Provider configurations. The model lists are a fallback for when the provider's API
+    // can't be asked (no key yet, offline); see ModelDiscoveryService. What each model can
+    // do (images, context window...) is in capabilities.config.js
     PROVIDERS: {
       google: {
         name: 'Google Gemini',
@@ -31,8 +33,13 @@ module.exports = {
           { id: 'gemini-1.5-pro', name: 'Gemini 1.5 Pro' },
           { id: 'gemini-1.5-flash', name: 'Gemini 1.5 Flash' },
         ],
-        supportsImage: true,
         langchainPackage: '@langchain/google-genai',
+        connectionOptions: ['baseUrl'], // Editable in settings for gateways/proxies
+        // Accepted [min, max] for each generation parameter (see DEFAULT_GENERATION_PARAMS)
+        generationRanges: { temperature: [0, 1], topP: [0, 1], maxOutputTokens: [1, 8192] },
+        // Screenshots are downsized to fit maxDimension (longest edge, px) and re-encoded to
+        // stay under maxBytes (base64 payload); see IMAGE_PREPROCESSING
+        imageLimits: { maxDimension: 3072, maxBytes: 20 * 1024 * 1024 },
       },
       openai: {
         name: 'OpenAI',
@@ -41,8 +48,10 @@ module.exports = {
           { id: 'gpt-4-turbo', name: 'GPT-4 Turbo' },
           { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo' },
         ],
-        supportsImage: true,
         langchainPackage: '@langchain/openai',
+        connectionOptions: ['baseUrl', 'headers', 'organization', 'project'],
+        generationRanges: { temperature: [0, 2], topP: [0, 1], maxOutputTokens: [1, 16384] },
+        imageLimits: { maxDimension: 2048, maxBytes: 20 * 1024 * 1024 },
       },
       anthropic: {
         name: 'Anthropic Claude',
@@ -50,12 +59,224 @@ module.exports = {
           { id: 'claude-3-5-sonnet-20241022', name: 'Claude 3.5 Sonnet' },
           { id: 'claude-3-opus-20240229', name: 'Claude 3 Opus' },
         ],
-        supportsImage: true,
         langchainPackage: '@langchain/anthropic',
+        connectionOptions: ['baseUrl', 'headers'],
+        generationRanges: { temperature: [0, 1], topP: [0, 1], maxOutputTokens: [1, 8192] },
+        imageLimits: { maxDimension: 1568, maxBytes: 5 * 1024 * 1024 },
       },
+      local: {
+        name: 'Local (Ollama / OpenAI-compatible)',
+        models: [
+          { id: 'llava', name: 'LLaVA' },
+          { id: 'qwen2.5vl', name: 'Qwen2.5-VL' },
+        ],
+        langchainPackage: '@langchain/openai',
+        connectionOptions: ['baseUrl', 'headers'],
+        requiresApiKey: false,
+        placeholderApiKey: 'ollama', // Ignored by Ollama, but the OpenAI client needs a key
+        defaultBaseUrl: 'http://localhost:11434/v1',
+        discoverModels: true, // Installed models are listed from the server's /models
+        generationRanges: { temperature: [0, 2], topP: [0, 1], maxOutputTokens: [1, 32768] },
+        imageLimits: { maxDimension: 1344, maxBytes: null },
+      },
+    },
+    // Prices in USD per million tokens, used to estimate the cost of each answer.
+    // Models not listed here (e.g. local ones) are recorded with tokens but no cost.
+    MODEL_PRICING: {
+      'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+      'gemini-1.5-pro': { input: 1.25, output: 5 },
+      'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4-turbo': { input: 10, output: 30 },
+      'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+      'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+      'claude-3-opus-20240229': { input: 15, output: 75 },
+      'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+    },
+    TIMEOUT: 30000, // 30 seconds per attempt (per chunk when streaming)
+    MAX_RETRIES: 3, // Retries after the first attempt, for timeouts, 429s, 5xx and network errors
+    RETRY_BASE_DELAY: 1000, // Backoff before the first retry, doubled for each one after
+    RETRY_MAX_DELAY: 10000, // Backoff cap; longer Retry-After values are not waited for
+    MODEL_DISCOVERY_TIMEOUT: 5000, // Listing models from a provider API or local server
+    MODEL_DISCOVERY_TTL: 6 * 60 * 60 * 1000, // Provider model lists are refreshed every 6 hours
+    MODEL_DISCOVERY_ERROR_TTL: 60 * 1000, // Failed listings are retried after a minute
+    USAGE_WARNING_THRESHOLD: 0.8, // Warn once a provider reaches 80% of a spending/request cap
+    MAX_COMPARE_MODELS: 4, // Models asked at once in compare mode
+
+    // Rough token counts used to keep a conversation within a model's context window:
+    // text is estimated from its length, and each screenshot as a fixed cost
+    TOKEN_ESTIMATE: { charsPerToken: 4, imageTokens: 1600 },
+
+    // Once a conversation's history would fill this share of the model's context window, the
+    // older turns are summarized (keeping the last keepMessages verbatim) and the summary is
+    // sent instead of them; maxTokens caps the summary's length
+    CONTEXT_SUMMARY: { threshold: 0.75, keepMessages: 4, maxTokens: 1024 },
+
+    // Offline tools (ToolService) offered to models that support function calling, unless
+    // turned off in Settings: a model gets at most maxRounds rounds of tool calls per answer,
+    // results are cut to maxResultChars, and regular expressions list up to maxMatches matches
+    // and are stopped after regexTimeoutMs
+    TOOLS: {
+      enabled: true,
+      maxRounds: 5,
+      maxResultChars: 4000,
+      regexTimeoutMs: 100,
+      maxMatches: 50,
+    },
+
+    // Conversation titles are written from the first exchange by a cheap model of the
+    // conversation's provider (its own model for providers not listed), capped at maxLength
+    TITLE_GENERATION: {
+      models: {
+        google: 'gemini-1.5-flash',
+        openai: 'gpt-4o-mini',
+        anthropic: 'claude-3-5-haiku-20241022',
+      },
+      maxTokens: 32,
+      maxLength: 60,
+    },
+
+    // After each saved answer, count follow-up questions (of at most maxLength characters) are
+    // suggested by the same cheap model as titles
+    FOLLOW_UPS: { enabled: true, count: 3, maxTokens: 150, maxLength: 120 },
+
+    // Screenshot preprocessing before upload. format 'jpeg' re-encodes every screenshot;
+    // null keeps the captured format unless the image is over the provider's byte budget,
+    // in which case it is re-encoded as JPEG from quality down to minQuality, then shrunk.
+    // JPEG is the only output format: Electron's nativeImage can't encode WebP, so WebP
+    // re-encoding would need a separate (asynchronous) encoder and is not offered.
+    IMAGE_PREPROCESSING: { format: null, quality: 85, minQuality: 50 },
+
+    // Response cache (off until enabled in Settings): answers about the same screenshot are
+    // reused for ttlHours; the least recently used beyond maxEntries are removed
+    DEFAULT_RESPONSE_CACHE: { enabled: false, ttlHours: 24 * 7, maxEntries: 500 },
+
+    // Sampling settings used until changed in Settings; null leaves the provider's default
+    DEFAULT_GENERATION_PARAMS: { temperature: 0.7, maxOutputTokens: null, topP: null },
+
+    // Shapes offered by structured extraction (AIService.extractStructured): the instruction
+    // sent with the screenshot and the JSON schema the answer is constrained to
+    EXTRACTION_SHAPES: {
+      table: {
+        name: 'Table',
+        instruction:
+          'Extract the table in this screenshot. Use its header row as the columns (or short ' +
+          'descriptive names if it has none) and give one row per table row, with every cell ' +
+          'as text in column order. Leave empty cells as empty strings.',
+        schema: {
+          type: 'object',
+          properties: {
+            columns: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Column headers',
+            },
+            rows: {
+              type: 'array',
+              items: { type: 'array', items: { type: 'string' } },
+              description: 'Cells of each row, in column order',
+            },
+          },
+          required: ['columns', 'rows'],
+        },
+      },
+      keyValue: {
+        name: 'Form',
+        instruction:
+          'Extract every labelled field in this screenshot (form fields, settings, ' +
+          'properties) as label/value pairs, in reading order. Use an empty value for blank ' +
+          'fields.',
+        schema: {
+          type: 'object',
+          properties: {
+            fields: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  key: { type: 'string', description: 'Field label' },
+                  value: { type: 'string', description: 'Field value' },
+                },
+                required: ['key', 'value'],
+              },
+            },
+          },
+          required: ['fields'],
+        },
+      },
+      list: {
+        name: 'List',
+        instruction:
+          'Extract the items of the list in this screenshot, one entry per item, in order.',
+        schema: {
+          type: 'object',
+          properties: {
+            items: { type: 'array', items: { type: 'string' }, description: 'List items' },
+          },
+          required: ['items'],
+        },
+      },
+    },
+
+    // System prompt presets offered until the user saves their own
+    DEFAULT_PROMPT_PRESETS: [
+      {
+        id: 'concise-engineer',
+        name: 'Concise engineer',
+        prompt:
+          'You are a senior software engineer. Answer briefly and precisely, ' +
+          'preferring short bullet points and code over prose.',
+      },
+      {
+        id: 'teacher',
+        name: 'Explain like a teacher',
+        prompt:
+          'Explain step by step in plain language, as a patient teacher would to a ' +
+          'curious beginner. Define any jargon you use.',
+      },
+      {
+        id: 'german',
+        name: 'Reply in German',
+        prompt: 'Always reply in German, whatever language the question is asked in.',
+      },
+    ],
+  },
+
+  // On-device text recognition of screenshots (OcrService, tesseract.js with the bundled
+  // English data). Lines below minConfidence are left out of the text, the text sent with a
+  // question is cut to maxPromptChars, and results for the last recentResults screenshots
+  // are kept in memory until their conversation is saved.
+  OCR: {
+    DEFAULT_SETTINGS: { enabled: true, includeInPrompt: false },
+    minConfidence: 50,
+    maxPromptChars: 4000,
+    recentResults: 10,
+  },
+
+  // Redaction of sensitive text in screenshots before they are sent to a model
+  // (RedactionService). Regions found by the enabled DETECTORS and customPatterns (regular
+  // expressions, each run for at most regexTimeoutMs) are pixelated ('blur') or filled
+  // ('black') with padding pixels to spare. storeRedacted saves only the redacted screenshot.
+  REDACTION: {
+    DEFAULT_SETTINGS: {
+      enabled: false,
+      detectors: { email: true, apiKey: true, creditCard: true, phone: true },
+      customPatterns: [],
+      style: 'blur',
+      storeRedacted: true,
+    },
+    DETECTORS: {
+      email: 'Email addresses',
+      apiKey: 'API keys and tokens',
+      creditCard: 'Card numbers',
+      phone: 'Phone numbers',
     },
-    TIMEOUT: 30000, // 30 seconds
-    MAX_RETRIES: 3,
+    STYLES: ['blur', 'black'],
+    padding: 3,
+    maxCustomPatterns: 20,
+    regexTimeoutMs: 100,
+    recentResults: 10,
   },
 
   // Storage keys
@@ -64,12 +285,24 @@ module.exports = {
     AI_PROVIDER: 'aiProvider',
     AI_MODEL: 'aiModel',
     HAS_COMPLETED_ONBOARDING: 'hasCompletedOnboarding',
+    PROVIDER_API_KEYS: 'providerApiKeys',
+    FALLBACK_CHAIN: 'fallbackChain',
+    PROVIDER_OPTIONS: 'providerOptions',
+    USAGE_LIMITS: 'usageLimits',
+    USAGE_COUNTERS: 'usageCounters',
+    PROMPT_PRESETS: 'promptPresets',
+    ACTIVE_PROMPT_PRESET: 'activePromptPreset',
+    GENERATION_PARAMS: 'generationParams',
+    RESPONSE_CACHE: 'responseCache',
+    TOOLS_ENABLED: 'toolsEnabled',
+    OCR_SETTINGS: 'ocrSettings',
+    REDACTION_SETTINGS: 'redactionSettings',
   },
 
   // Database Configuration
   DATABASE: {
     NAME: 'conversations.db',
-    VERSION: 1,
+    VERSION: 13,
   },
 
   // IPC Channels
@@ -79,6 +312,20 @@ module.exports = {
     OPEN_MAIN_APP: 'open-main-app',
     CLOSE_APP_WINDOW: 'close-app-window',
     ASK_AI: 'ask-ai',
+    ASK_AI_STREAM: 'ask-ai-stream',
+    AI_STREAM_CHUNK: 'ai-stream-chunk',
+    AI_STREAM_DONE: 'ai-stream-done',
+    CANCEL_AI: 'cancel-ai',
+    AI_REQUEST_RETRY: 'ai-request-retry',
+    AI_PROVIDER_FALLBACK: 'ai-provider-fallback',
+    COMPARE_MODELS: 'compare-models',
+    AI_COMPARE_RESULT: 'ai-compare-result',
+    AI_TOOL_CALL: 'ai-tool-call',
+    GET_FALLBACK_CHAIN: 'get-fallback-chain',
+    SAVE_FALLBACK_CHAIN: 'save-fallback-chain',
+    GET_PROVIDER_OPTIONS: 'get-provider-options',
+    LIST_LOCAL_MODELS: 'list-local-models',
+    SAVE_PROVIDER_OPTIONS: 'save-provider-options',
     APP_DATA: 'app-data',
     SAVE_API_KEY: 'save-api-key',
     GET_API_KEY: 'get-api-key',
@@ -91,6 +338,41 @@ module.exports = {
     SAVE_MESSAGE: 'save-message',
     DELETE_CONVERSATION: 'delete-conversation',
     UPDATE_CONVERSATION: 'update-conversation',
+    GENERATE_CONVERSATION_TITLE: 'generate-conversation-title',
+    CONVERSATION_TITLE_UPDATED: 'conversation-title-updated',
+    FOLLOW_UPS_READY: 'follow-ups-ready',
+    GET_USAGE_SUMMARY: 'get-usage-summary',
+    GET_USAGE_LIMITS: 'get-usage-limits',
+    SAVE_USAGE_LIMITS: 'save-usage-limits',
+    GET_PROMPT_PRESETS: 'get-prompt-presets',
+    SAVE_PROMPT_PRESETS: 'save-prompt-presets',
+    SET_ACTIVE_PROMPT_PRESET: 'set-active-prompt-preset',
+    GET_GENERATION_PARAMS: 'get-generation-params',
+    SAVE_GENERATION_PARAMS: 'save-generation-params',
+    // Prompt Templates
+    LOAD_TEMPLATES: 'load-templates',
+    SAVE_TEMPLATE: 'save-template',
+    DELETE_TEMPLATE: 'delete-template',
+    APPLY_TEMPLATE: 'apply-template',
+    // Structured Extraction
+    EXTRACT_STRUCTURED: 'extract-structured',
+    COPY_EXTRACTION: 'copy-extraction',
+    SAVE_EXTRACTION: 'save-extraction',
+    // Response Cache
+    GET_RESPONSE_CACHE: 'get-response-cache',
+    SAVE_RESPONSE_CACHE_SETTINGS: 'save-response-cache-settings',
+    CLEAR_RESPONSE_CACHE: 'clear-response-cache',
+    // Local Tools
+    GET_TOOLS: 'get-tools',
+    SAVE_TOOLS_ENABLED: 'save-tools-enabled',
+    // Screenshot Text (OCR)
+    GET_OCR_SETTINGS: 'get-ocr-settings',
+    SAVE_OCR_SETTINGS: 'save-ocr-settings',
+    GET_SCREENSHOT_TEXT: 'get-screenshot-text',
+    // Screenshot Redaction
+    GET_REDACTION_SETTINGS: 'get-redaction-settings',
+    SAVE_REDACTION_SETTINGS: 'save-redaction-settings',
+    REDACT_SCREENSHOT: 'redact-screenshot',
   },
 
   // Window positioning
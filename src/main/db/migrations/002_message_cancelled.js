@@ -0,0 +1,20 @@
+/**
+ * Migration 002: Cancelled messages
+ * Adds a cancelled flag so stopped AI requests are not recorded as errors
+ */
+
+module.exports = {
+  version: 2,
+
+  up: (db) => {
+    db.exec(`
+      ALTER TABLE messages ADD COLUMN cancelled INTEGER DEFAULT 0;
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE messages DROP COLUMN cancelled;
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration 003: Message provider
+ * Records which provider and model produced each assistant message, since a fallback
+ * provider may answer instead of the configured one
+ */
+
+module.exports = {
+  version: 3,
+
+  up: (db) => {
+    db.exec(`
+      ALTER TABLE messages ADD COLUMN provider TEXT;
+      ALTER TABLE messages ADD COLUMN model TEXT;
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE messages DROP COLUMN model;
+      ALTER TABLE messages DROP COLUMN provider;
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Migration 004: Conversation model
+ * Stores the provider and model chosen for a conversation; NULL means the global setting
+ */
+
+module.exports = {
+  version: 4,
+
+  up: (db) => {
+    db.exec(`
+      ALTER TABLE conversations ADD COLUMN provider TEXT;
+      ALTER TABLE conversations ADD COLUMN model TEXT;
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE conversations DROP COLUMN model;
+      ALTER TABLE conversations DROP COLUMN provider;
+    `);
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration 005: Message usage
+ * Records token counts and estimated cost (USD) for each assistant message, so spend can
+ * be totalled per conversation and per month
+ */
+
+module.exports = {
+  version: 5,
+
+  up: (db) => {
+    db.exec(`
+      ALTER TABLE messages ADD COLUMN input_tokens INTEGER;
+      ALTER TABLE messages ADD COLUMN output_tokens INTEGER;
+      ALTER TABLE messages ADD COLUMN cost REAL;
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE messages DROP COLUMN cost;
+      ALTER TABLE messages DROP COLUMN output_tokens;
+      ALTER TABLE messages DROP COLUMN input_tokens;
+    `);
+  }
+};
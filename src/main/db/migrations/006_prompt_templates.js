@@ -0,0 +1,49 @@
+/**
+ * Migration 006: Prompt templates
+ * Creates the prompt template library, seeded with a few starter templates.
+ * Template bodies may contain {{variable}} placeholders.
+ */
+
+const { randomUUID } = require('crypto');
+
+const STARTER_TEMPLATES = [
+  { name: 'Explain', body: 'Explain this image' },
+  { name: 'Translate', body: 'Translate the text in this screenshot into {{language}}' },
+  { name: 'Debug error', body: 'What is causing this error, and how do I fix it?' },
+  { name: 'Explain selection', body: 'Explain "{{selection}}" in the context of this screenshot' },
+];
+
+module.exports = {
+  version: 6,
+
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        body TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        last_used_at INTEGER
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_prompt_templates_last_used_at
+        ON prompt_templates(last_used_at DESC);
+    `);
+
+    const insert = db.prepare(`
+      INSERT INTO prompt_templates (id, name, body, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const now = Date.now();
+    STARTER_TEMPLATES.forEach(({ name, body }) => {
+      insert.run(randomUUID(), name, body, now, now);
+    });
+  },
+
+  down: (db) => {
+    db.exec(`
+      DROP TABLE IF EXISTS prompt_templates;
+    `);
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Migration 007: Conversation generation parameters
+ * Stores per-conversation temperature / max output tokens / top-p overrides as JSON;
+ * NULL means the global defaults
+ */
+
+module.exports = {
+  version: 7,
+
+  up: (db) => {
+    db.exec(`
+      ALTER TABLE conversations ADD COLUMN generation_params TEXT;
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE conversations DROP COLUMN generation_params;
+    `);
+  }
+};
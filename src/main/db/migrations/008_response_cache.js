@@ -0,0 +1,34 @@
+/**
+ * Migration 008: Response cache
+ * Stores answers keyed by a hash of the screenshot, normalized prompt, provider, model and
+ * sampling settings, so the same question about the same capture can be answered without an API call
+ */
+
+module.exports = {
+  version: 8,
+
+  up: (db) => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS response_cache (
+        cache_key TEXT PRIMARY KEY,
+        screenshot_hash TEXT NOT NULL,
+        prompt TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        response TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_hit_at INTEGER,
+        hit_count INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_response_cache_created_at
+        ON response_cache(created_at);
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      DROP TABLE IF EXISTS response_cache;
+    `);
+  }
+};
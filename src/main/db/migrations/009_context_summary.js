@@ -0,0 +1,21 @@
+/**
+ * Migration 009: Conversation context summary
+ * Stores the rolling summary sent instead of a conversation's older turns as JSON
+ * ({ text, messageCount, updatedAt }); NULL means every turn is sent as is
+ */
+
+module.exports = {
+  version: 9,
+
+  up: (db) => {
+    db.exec(`
+      ALTER TABLE conversations ADD COLUMN context_summary TEXT;
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE conversations DROP COLUMN context_summary;
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration 010: Conversation title source
+ * Records who wrote a conversation's title: 'ai' for generated titles, 'user' for renamed
+ * conversations (which generated titles never replace); NULL means the title is still
+ * derived from the first prompt. Titles saved before this migration came from renaming.
+ */
+
+module.exports = {
+  version: 10,
+
+  up: (db) => {
+    db.exec(`
+      ALTER TABLE conversations ADD COLUMN title_source TEXT;
+      UPDATE conversations SET title_source = 'user' WHERE title IS NOT NULL;
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE conversations DROP COLUMN title_source;
+    `);
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Migration 011: Message tool calls
+ * Stores the local tool calls (calculator, conversions, ...) a model made while writing an
+ * answer, as JSON on the assistant message, so they can be shown with the answer later
+ */
+
+module.exports = {
+  version: 11,
+
+  up: (db) => {
+    db.exec(`
+      ALTER TABLE messages ADD COLUMN tool_calls TEXT;
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE messages DROP COLUMN tool_calls;
+    `);
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Migration 012: Message follow-ups
+ * Stores the follow-up questions suggested after an answer, as a JSON array on the
+ * assistant message, so they are offered again when the conversation is reopened
+ */
+
+module.exports = {
+  version: 12,
+
+  up: (db) => {
+    db.exec(`
+      ALTER TABLE messages ADD COLUMN follow_ups TEXT;
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE messages DROP COLUMN follow_ups;
+    `);
+  }
+};
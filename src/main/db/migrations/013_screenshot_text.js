@@ -0,0 +1,23 @@
+/**
+ * Migration 013: Screenshot text
+ * Stores the text recognized on-device in a conversation's screenshot, with the words'
+ * bounding boxes as JSON, so conversations can be searched by what their screenshot shows
+ */
+
+module.exports = {
+  version: 13,
+
+  up: (db) => {
+    db.exec(`
+      ALTER TABLE conversations ADD COLUMN screenshot_text TEXT;
+      ALTER TABLE conversations ADD COLUMN screenshot_words TEXT;
+    `);
+  },
+
+  down: (db) => {
+    db.exec(`
+      ALTER TABLE conversations DROP COLUMN screenshot_words;
+      ALTER TABLE conversations DROP COLUMN screenshot_text;
+    `);
+  }
+};
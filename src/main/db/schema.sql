@@ -7,11 +7,18 @@ CREATE TABLE conversations (
   screenshot_data_url TEXT,               -- Base64 data URL or file path
   screenshot_hash TEXT,                   -- SHA-256 hash for deduplication
   title TEXT,                             -- Auto-generated or user-set
+  title_source TEXT,                      -- 'ai', 'user' (renamed) or NULL = first prompt (migration 010)
   created_at INTEGER NOT NULL,            -- Unix timestamp (ms)
   updated_at INTEGER NOT NULL,            -- Unix timestamp (ms)
   message_count INTEGER DEFAULT 0,        -- Cached count
   starred INTEGER DEFAULT 0,              -- 0 = false, 1 = true (for future)
-  archived INTEGER DEFAULT 0              -- 0 = false, 1 = true (for future)
+  archived INTEGER DEFAULT 0,             -- 0 = false, 1 = true (for future)
+  provider TEXT,                          -- Provider for this conversation, NULL = global (migration 004)
+  model TEXT,                             -- Model for this conversation, NULL = global (migration 004)
+  generation_params TEXT,                 -- JSON sampling overrides, NULL = global (migration 007)
+  context_summary TEXT,                   -- JSON summary of older turns, NULL = none (migration 009)
+  screenshot_text TEXT,                   -- Text recognized in the screenshot (migration 013)
+  screenshot_words TEXT                   -- JSON [{ text, confidence, bbox }] (migration 013)
 );
 
 CREATE INDEX idx_conversations_created_at ON conversations(created_at DESC);
@@ -26,12 +33,47 @@ CREATE TABLE messages (
   content TEXT NOT NULL,                  -- Prompt or answer
   timestamp INTEGER NOT NULL,             -- Unix timestamp (ms)
   error INTEGER DEFAULT 0,                -- 0 = success, 1 = error
+  cancelled INTEGER DEFAULT 0,            -- 1 = request stopped by the user (migration 002)
+  provider TEXT,                          -- Provider that answered (migration 003)
+  model TEXT,                             -- Model that answered (migration 003)
+  input_tokens INTEGER,                   -- Prompt tokens reported by the provider (migration 005)
+  output_tokens INTEGER,                  -- Answer tokens reported by the provider (migration 005)
+  cost REAL,                              -- Estimated cost in USD, NULL = unknown price (migration 005)
+  tool_calls TEXT,                        -- JSON [{ name, args, result, error }] (migration 011)
+  follow_ups TEXT,                        -- JSON array of suggested questions (migration 012)
   FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
 );
 
 CREATE INDEX idx_messages_conversation_id ON messages(conversation_id);
 CREATE INDEX idx_messages_timestamp ON messages(timestamp);
 
+-- Prompt Templates Table (migration 006)
+CREATE TABLE prompt_templates (
+  id TEXT PRIMARY KEY,                    -- UUID v4
+  name TEXT NOT NULL,                     -- Shown in the popup's template menu
+  body TEXT NOT NULL,                     -- Prompt text, may contain {{variable}} placeholders
+  created_at INTEGER NOT NULL,            -- Unix timestamp (ms)
+  updated_at INTEGER NOT NULL,            -- Unix timestamp (ms)
+  last_used_at INTEGER                    -- Unix timestamp (ms), NULL = never used
+);
+
+CREATE INDEX idx_prompt_templates_last_used_at ON prompt_templates(last_used_at DESC);
+
+-- Response Cache Table (migration 008)
+CREATE TABLE response_cache (
+  cache_key TEXT PRIMARY KEY,             -- SHA-256 of screenshot hash, prompt, model and settings
+  screenshot_hash TEXT NOT NULL,          -- SHA-256 of the screenshot
+  prompt TEXT NOT NULL,                   -- Prompt as asked
+  provider TEXT NOT NULL,                 -- Provider that answered
+  model TEXT NOT NULL,                    -- Model that answered
+  response TEXT NOT NULL,                 -- Answer text
+  created_at INTEGER NOT NULL,            -- Unix timestamp (ms)
+  last_hit_at INTEGER,                    -- Unix timestamp (ms), NULL = never reused
+  hit_count INTEGER NOT NULL DEFAULT 0    -- Times the answer was reused
+);
+
+CREATE INDEX idx_response_cache_created_at ON response_cache(created_at);
+
 -- Metadata Table
 CREATE TABLE metadata (
   key TEXT PRIMARY KEY,
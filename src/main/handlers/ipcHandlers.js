@@ -4,9 +4,11 @@
  * @module ipcHandlers
  */
 
-const { ipcMain, clipboard } = require('electron');
+const { randomUUID } = require('crypto');
+const { ipcMain, clipboard, dialog } = require('electron');
 const Logger = require('../utils/logger');
-const { IPC_CHANNELS, AI } = require('../config/constants');
+const { IPC_CHANNELS, AI, REDACTION } = require('../config/constants');
+const { getModelCapabilities, getProviderCapabilities } = require('../config/capabilities.config');
 
 const logger = new Logger('IPCHandlers');
 
@@ -16,8 +18,25 @@ const logger = new Logger('IPCHandlers');
  * @param {AIService} aiService - AI service instance
  * @param {StorageService} storageService - Storage service instance
  * @param {ConversationService} conversationService - Conversation service instance
+ * @param {TemplateService} templateService - Prompt template service instance
+ * @param {ModelDiscoveryService} modelDiscoveryService - Lists models from provider APIs
+ * @param {ExportService} exportService - Writes extracted grids as CSV, TSV or XLSX
+ * @param {ResponseCacheService} responseCacheService - Cached answers per screenshot and prompt
+ * @param {OcrService} ocrService - Recognizes the text in screenshots on-device
+ * @param {RedactionService} redactionService - Hides sensitive text in screenshots
  */
-function setupIpcHandlers(windowManager, aiService, storageService, conversationService) {
+function setupIpcHandlers(
+  windowManager,
+  aiService,
+  storageService,
+  conversationService,
+  templateService,
+  modelDiscoveryService,
+  exportService,
+  responseCacheService,
+  ocrService,
+  redactionService
+) {
   logger.info('Setting up IPC handlers');
 
   /**
@@ -62,15 +81,68 @@ function setupIpcHandlers(windowManager, aiService, storageService, conversation
     windowManager.closeOnboardingWindow();
   });
 
+  /**
+   * Validate provider connection options from the renderer
+   * Options the provider doesn't support are dropped, and empty values become undefined so
+   * that saving them clears the stored value.
+   * @param {string} provider - Provider type
+   * @param {Object} [options] - { baseUrl, headers, organization, project }
+   * @returns {{options?: Object, error?: string}} Normalized options, or a validation error
+   */
+  const normalizeProviderOptions = (provider, options = {}) => {
+    const supported = AI.PROVIDERS[provider]?.connectionOptions || [];
+    const text = (value) => (typeof value === 'string' && value.trim()) || undefined;
+    const normalized = {};
+
+    if (supported.includes('baseUrl')) {
+      normalized.baseUrl = text(options.baseUrl);
+      if (normalized.baseUrl) {
+        let url;
+        try {
+          url = new URL(normalized.baseUrl);
+        } catch {
+          url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+          return { error: `Invalid base URL: ${normalized.baseUrl}` };
+        }
+      }
+    }
+
+    if (supported.includes('headers')) {
+      const headers = Object.entries(options.headers || {});
+      const invalid = headers.find(
+        ([name, value]) =>
+          !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name) ||
+          typeof value !== 'string' ||
+          /[\r\n]/.test(value)
+      );
+      if (invalid) {
+        return { error: `Invalid header: ${invalid[0]}` };
+      }
+      normalized.headers = headers.length > 0 ? Object.fromEntries(headers) : undefined;
+    }
+
+    ['organization', 'project']
+      .filter((key) => supported.includes(key))
+      .forEach((key) => {
+        normalized[key] = text(options[key]);
+      });
+
+    return { options: normalized };
+  };
+
   /**
    * Handle save API key request
-   * Accepts either old format (apiKey string) or new format ({ apiKey, provider, model })
+   * Accepts either old format (apiKey string) or new format ({ apiKey, provider, model, options })
+   * options holds provider connection settings such as { baseUrl } for local servers, whose
+   * apiKey may be left empty
    */
   ipcMain.handle(IPC_CHANNELS.SAVE_API_KEY, async (event, data) => {
     logger.info('Save API key requested');
     try {
       // Backward compatibility: handle old format (just apiKey string)
-      let apiKey, provider, model;
+      let apiKey, provider, model, options;
       if (typeof data === 'string') {
         apiKey = data;
         provider = null;
@@ -79,6 +151,24 @@ function setupIpcHandlers(windowManager, aiService, storageService, conversation
         apiKey = data?.apiKey;
         provider = data?.provider;
         model = data?.model;
+        options = data?.options;
+      }
+
+      let providerOptions;
+      if (options) {
+        const { options: normalized, error } = normalizeProviderOptions(
+          provider || storageService.getAiProvider() || AI.DEFAULT_PROVIDER,
+          options
+        );
+        if (error) {
+          return { success: false, error };
+        }
+        providerOptions = normalized;
+      }
+
+      // Local servers don't need a key; store the placeholder so the app counts as configured
+      if (!apiKey && AI.PROVIDERS[provider]?.requiresApiKey === false) {
+        apiKey = AI.PROVIDERS[provider].placeholderApiKey;
       }
 
       const success = storageService.saveApiKey(apiKey);
@@ -96,7 +186,18 @@ function setupIpcHandlers(windowManager, aiService, storageService, conversation
         // Reinitialize AI with new key, provider, and model
         const providerType = provider || storageService.getAiProvider() || AI.DEFAULT_PROVIDER;
         const selectedModel = model || storageService.getAiModel() || AI.DEFAULT_MODEL;
-        aiService.initialize(providerType, apiKey, selectedModel);
+        if (providerOptions) {
+          storageService.saveProviderOptions(providerType, providerOptions);
+        }
+        aiService.initialize(
+          providerType,
+          apiKey,
+          selectedModel,
+          storageService.getProviderOptions(providerType)
+        );
+
+        // Remember the key per provider so it can be reused in the fallback chain
+        storageService.saveProviderApiKey(providerType, apiKey);
 
         logger.success('API key saved and AI initialized');
         return { success: true };
@@ -128,170 +229,1720 @@ function setupIpcHandlers(windowManager, aiService, storageService, conversation
   });
 
   /**
-   * Handle AI query request
+   * Make sure the AI service is ready, initializing it from storage if needed
+   * @returns {{success: boolean, error: string}|null} Error result, or null when ready
    */
-  ipcMain.handle(IPC_CHANNELS.ASK_AI, async (event, { prompt, imageDataUrl }) => {
-    logger.info('AI query requested');
+  const ensureAiInitialized = () => {
+    if (aiService.isInitialized()) {
+      return null;
+    }
 
-    // Check if AI is initialized
-    if (!aiService.isInitialized()) {
-      const apiKey = storageService.getApiKey();
-      if (!apiKey) {
-        logger.warn('AI query failed: No API key configured');
-        return {
+    const apiKey = storageService.getApiKey();
+    if (!apiKey) {
+      logger.warn('AI query failed: No API key configured');
+      return {
+        success: false,
+        error: 'API key not configured. Please restart the app and enter your API key.',
+      };
+    }
+    const provider = storageService.getAiProvider() || AI.DEFAULT_PROVIDER;
+    const model = storageService.getAiModel() || AI.DEFAULT_MODEL;
+    aiService.initialize(provider, apiKey, model, storageService.getProviderOptions(provider));
+    return null;
+  };
+
+  /**
+   * Get the stored API key for a provider, including the key saved for the global provider
+   * @param {string} provider - Provider type
+   * @returns {string|null} API key or null
+   */
+  const getStoredApiKey = (provider) =>
+    storageService.getProviderApiKey(provider) ||
+    (provider === storageService.getAiProvider() ? storageService.getApiKey() : null);
+
+  /**
+   * Check that a provider exists and offers a model
+   * Models of local servers can't be checked up front; cloud models may come from the
+   * provider's API (see get-ai-providers)
+   * @param {string} provider - Provider type
+   * @param {string} [model] - Model name; omitted to use the provider's default
+   * @returns {boolean} Whether the provider and model are known
+   */
+  const isKnownModel = (provider, model) => {
+    const providerConfig = AI.PROVIDERS[provider];
+    if (!providerConfig) {
+      return false;
+    }
+    return (
+      !model ||
+      !!providerConfig.discoverModels ||
+      [...providerConfig.models, ...modelDiscoveryService.getCachedModels(provider)].some(
+        (m) => m.id === model
+      )
+    );
+  };
+
+  /**
+   * Resolve a per-request provider/model (e.g. the one chosen for a conversation) into an
+   * AIService target carrying its stored key and connection options
+   * @param {string} [provider] - Provider type; omitted to use the global setting
+   * @param {string} [model] - Model name
+   * @returns {{target?: Object, error?: Object}} Target, or an error result to return
+   */
+  const resolveTarget = (provider, model) => {
+    if (!provider) {
+      return {};
+    }
+
+    const providerConfig = AI.PROVIDERS[provider];
+    if (!providerConfig) {
+      return { error: { success: false, error: `Unknown provider: ${provider}` } };
+    }
+
+    const apiKey = getStoredApiKey(provider);
+    if (!apiKey && providerConfig.requiresApiKey !== false) {
+      return {
+        error: {
           success: false,
-          error: 'API key not configured. Please restart the app and enter your API key.',
-        };
-      }
-      const provider = storageService.getAiProvider() || AI.DEFAULT_PROVIDER;
-      const model = storageService.getAiModel() || AI.DEFAULT_MODEL;
-      aiService.initialize(provider, apiKey, model);
+          error: `No API key saved for ${providerConfig.name}. Add one in Settings or pick another model.`,
+        },
+      };
     }
 
-    // Process AI request
-    return aiService.generateResponse(prompt, imageDataUrl);
-  });
+    return {
+      target: { provider, model, apiKey, options: storageService.getProviderOptions(provider) },
+    };
+  };
 
   /**
-   * Handle copy to clipboard request
+   * Send an event back to the window that made the request, if it is still open
+   * @param {Electron.WebContents} sender - Requesting web contents
+   * @param {string} channel - IPC channel
+   * @param {Object} payload - Event payload
    */
-  ipcMain.handle(IPC_CHANNELS.COPY_TO_CLIPBOARD, (event, text) => {
-    logger.debug('Copy to clipboard requested');
-    try {
-      clipboard.writeText(text);
-      logger.success('Text copied to clipboard');
-      return { success: true };
-    } catch (error) {
-      logger.error('Failed to copy to clipboard', error);
-      return { success: false, error: error.message };
+  const sendToSender = (sender, channel, payload) => {
+    if (sender && !sender.isDestroyed()) {
+      sender.send(channel, payload);
     }
-  });
+  };
 
-  // ============================================
-  // CONVERSATION MANAGEMENT HANDLERS
-  // ============================================
+  /**
+   * Build an onRetry callback that tells the requesting window a retry is coming
+   * @param {Electron.WebContents} sender - Requesting web contents
+   * @param {string} requestId - Request ID
+   * @returns {Function} Retry callback for AIService
+   */
+  const notifyRetry = (sender, requestId) => (retry) => {
+    sendToSender(sender, IPC_CHANNELS.AI_REQUEST_RETRY, { requestId, ...retry });
+  };
 
   /**
-   * Save entire conversation (from popup to database)
+   * Build an onFallback callback that tells the requesting window another provider is
+   * being tried
+   * @param {Electron.WebContents} sender - Requesting web contents
+   * @param {string} requestId - Request ID
+   * @returns {Function} Fallback callback for AIService
    */
-  ipcMain.handle(IPC_CHANNELS.SAVE_CONVERSATION, async (event, conversationData) => {
-    logger.info('Save conversation requested');
-    try {
-      const { screenshot, conversation } = conversationData;
+  const notifyFallback = (sender, requestId) => (fallback) => {
+    sendToSender(sender, IPC_CHANNELS.AI_PROVIDER_FALLBACK, { requestId, ...fallback });
+  };
 
-      // Only require conversation array, screenshot is optional
-      if (!conversation || conversation.length === 0) {
-        return { success: false, error: 'Invalid conversation data' };
-      }
+  /**
+   * Build an onToolCall callback that shows the requesting window each tool call
+   * @param {Electron.WebContents} sender - Requesting web contents
+   * @param {string} requestId - Request ID
+   * @returns {Function} Tool call callback for AIService
+   */
+  const notifyToolCall = (sender, requestId) => (call) => {
+    sendToSender(sender, IPC_CHANNELS.AI_TOOL_CALL, { requestId, ...call });
+  };
+
+  /**
+   * Persist usage counters after a request so spending caps survive restarts
+   */
+  const saveUsageCounters = () => {
+    storageService.saveUsageCounters(aiService.getUsageCounters());
+  };
 
-      const result = conversationService.saveCompleteConversation(screenshot || null, conversation);
+  /**
+   * Name a conversation with a title generated from its first answered question
+   * Renamed conversations keep their title unless force is set; the requesting window is
+   * told about the new title with CONVERSATION_TITLE_UPDATED.
+   * @param {string} conversationId - Conversation to name
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Replace a title the user set (explicit regenerate)
+   * @param {Electron.WebContents} [options.sender] - Window to notify
+   * @returns {Promise<{success: boolean, title?: string, error?: string}>}
+   */
+  const generateConversationTitle = async (conversationId, { force = false, sender } = {}) => {
+    const conversation = conversationService.getConversationWithMessages(conversationId);
+    if (!conversation) {
+      return { success: false, error: 'Conversation not found' };
+    }
+    if (!force && conversation.title_source === 'user') {
+      return { success: false, error: 'The conversation was renamed' };
+    }
 
-      logger.success(`Conversation saved: ${result.id}`);
-      return {
-        success: true,
-        conversationId: result.id,
-        created_at: result.created_at
-      };
+    const { messages } = conversation;
+    const answerIndex = messages.findIndex(
+      (message) => message.role === 'assistant' && !message.error && !message.cancelled
+    );
+    const question = messages
+      .slice(0, Math.max(answerIndex, 0))
+      .reverse()
+      .find((message) => message.role === 'user');
+    if (!question) {
+      return { success: false, error: 'The conversation has no answer yet' };
+    }
+
+    const initError = ensureAiInitialized();
+    if (initError) {
+      return initError;
+    }
+    const { target, error } = resolveTarget(conversation.provider, conversation.model);
+    if (error) {
+      return error;
+    }
+
+    const result = await aiService.generateTitle(question.content, messages[answerIndex].content, {
+      target,
+    });
+    if (!result.success) {
+      logger.warn('Failed to generate conversation title', result.error);
+      return { success: false, error: result.error };
+    }
+    saveUsageCounters();
+
+    if (!conversationService.setGeneratedTitle(conversationId, result.title, { force })) {
+      return { success: false, error: 'The conversation was renamed' };
+    }
+    sendToSender(sender, IPC_CHANNELS.CONVERSATION_TITLE_UPDATED, {
+      conversationId,
+      title: result.title,
+    });
+    return { success: true, title: result.title };
+  };
+
+  // Conversations whose title is being generated in the background
+  const pendingTitles = new Set();
+
+  /**
+   * Generate a conversation's title without holding up the save that triggered it
+   * Answers saved while a title is still being generated don't start another one.
+   * @param {string} conversationId - Conversation to name
+   * @param {Electron.WebContents} [sender] - Window to notify
+   */
+  const generateTitleInBackground = (conversationId, sender) => {
+    if (pendingTitles.has(conversationId)) {
+      return;
+    }
+    pendingTitles.add(conversationId);
+    generateConversationTitle(conversationId, { sender })
+      .catch((error) => {
+        logger.warn('Failed to generate conversation title', error);
+      })
+      .finally(() => pendingTitles.delete(conversationId));
+  };
+
+  /**
+   * Suggest follow-up questions for a conversation's latest answer and store them with it
+   * The requesting window gets them with FOLLOW_UPS_READY.
+   * @param {string} conversationId - Conversation whose latest answer to follow up on
+   * @param {Electron.WebContents} [sender] - Window to notify
+   * @returns {Promise<{success: boolean, followUps?: string[], error?: string}>}
+   */
+  const suggestFollowUps = async (conversationId, sender) => {
+    const conversation = conversationService.getConversationWithMessages(conversationId);
+    const messages = conversation?.messages || [];
+    const answer = messages[messages.length - 1];
+    const question = messages[messages.length - 2];
+    if (!answer || answer.role !== 'assistant' || answer.error || answer.cancelled || !question) {
+      return { success: false, error: 'The conversation has no answer to follow up on' };
+    }
+
+    const initError = ensureAiInitialized();
+    if (initError) {
+      return initError;
+    }
+    const { target, error } = resolveTarget(conversation.provider, conversation.model);
+    if (error) {
+      return error;
+    }
+
+    const result = await aiService.suggestFollowUps(question.content, answer.content, { target });
+    if (!result.success) {
+      logger.warn('Failed to suggest follow-up questions', result.error);
+      return { success: false, error: result.error };
+    }
+    saveUsageCounters();
+
+    conversationService.setFollowUps(answer.id, result.followUps);
+    sendToSender(sender, IPC_CHANNELS.FOLLOW_UPS_READY, {
+      conversationId,
+      messageId: answer.id,
+      prompt: question.content,
+      followUps: result.followUps,
+    });
+    return { success: true, followUps: result.followUps };
+  };
+
+  /**
+   * Suggest follow-up questions without holding up the save that triggered it
+   * @param {string} conversationId - Conversation whose latest answer to follow up on
+   * @param {Electron.WebContents} [sender] - Window to notify
+   */
+  const suggestFollowUpsInBackground = (conversationId, sender) => {
+    if (!AI.FOLLOW_UPS.enabled) {
+      return;
+    }
+    suggestFollowUps(conversationId, sender).catch((error) => {
+      logger.warn('Failed to suggest follow-up questions', error);
+    });
+  };
+
+  /**
+   * Look up a cached answer for an AI request, when the response cache is enabled
+   * Only requests with a screenshot are cached; bypassCache skips the lookup but the fresh
+   * answer still replaces the cached one.
+   * @param {Object} request - ASK_AI request
+   * @returns {{cacheKey: string, screenshotHash: string, settings: Object,
+   *   hit: Object|null}|null} Cache entry details, or null if the request is not cached
+   */
+  const lookupCachedResponse = ({
+    prompt,
+    imageDataUrl,
+    history,
+    provider,
+    model,
+    generationParams,
+    bypassCache,
+  }) => {
+    const settings = storageService.getResponseCacheSettings();
+    if (!settings.enabled || !responseCacheService || !conversationService || !imageDataUrl) {
+      return null;
+    }
+
+    try {
+      const screenshotHash = conversationService.calculateHash(imageDataUrl);
+      const cacheKey = responseCacheService.buildKey({
+        screenshotHash,
+        prompt,
+        provider: provider || aiService.getProviderType(),
+        model: provider ? model || AI.PROVIDERS[provider]?.models[0]?.id : aiService.getModel(),
+        generationParams: { ...aiService.getGenerationParams(), ...generationParams },
+        systemPrompt: storageService.getActiveSystemPrompt(),
+        history: (history || []).filter((message) => !message.error && !message.cancelled),
+        redaction: redactionService ? storageService.getRedactionSettings() : null,
+        ocr: ocrService ? storageService.getOcrSettings() : null,
+        tools: aiService.getToolsEnabled()
+          ? aiService.toolService.listTools().map(({ name }) => name)
+          : [],
+      });
+      const hit = bypassCache
+        ? null
+        : responseCacheService.get(cacheKey, settings.ttlHours * 60 * 60 * 1000);
+      return { cacheKey, screenshotHash, settings, hit };
     } catch (error) {
-      logger.error('Failed to save conversation', error);
-      return { success: false, error: error.message };
+      logger.warn('Response cache lookup failed', error);
+      return null;
     }
+  };
+
+  /**
+   * Build the result returned for a cached answer (same shape as ASK_AI)
+   * @param {Object} hit - Entry from ResponseCacheService.get
+   * @returns {Object} AI result with cached: true
+   */
+  const cachedResult = (hit) => ({
+    success: true,
+    text: hit.text,
+    provider: hit.provider,
+    model: hit.model,
+    fallbackUsed: false,
+    usage: null,
+    cached: true,
+    cachedAt: hit.createdAt,
   });
 
   /**
-   * Load all conversations (for list view)
+   * Store a fresh answer in the response cache
+   * Answers from a fallback provider are not stored, since they were not produced by the
+   * model the key was built for.
+   * @param {Object|null} cache - Result of lookupCachedResponse
+   * @param {string} prompt - Prompt as asked
+   * @param {Object} result - AI result
    */
-  ipcMain.handle(IPC_CHANNELS.LOAD_CONVERSATIONS, async (event, { limit, offset, filters }) => {
-    logger.debug('Load conversations requested', { limit, offset, filters });
+  const storeCachedResponse = (cache, prompt, result) => {
+    if (!cache || !result.success || result.fallbackUsed || !result.text) {
+      return;
+    }
+
     try {
-      const conversations = conversationService.getAllConversations(limit || 100, offset || 0, filters || {});
-      return {
-        success: true,
-        conversations
-      };
+      responseCacheService.set(
+        cache.cacheKey,
+        {
+          screenshotHash: cache.screenshotHash,
+          prompt,
+          provider: result.provider,
+          model: result.model,
+          text: result.text,
+        },
+        cache.settings.maxEntries
+      );
     } catch (error) {
-      logger.error('Failed to load conversations', error);
-      return { success: false, error: error.message, conversations: [] };
+      logger.warn('Failed to store response in cache', error);
     }
-  });
+  };
 
   /**
-   * Load single conversation with all messages
+   * Get the stored summary of a conversation's older turns
+   * @param {string} [conversationId] - Conversation the request belongs to
+   * @returns {Object|null} Summary ({ text, messageCount, updatedAt }) or null
    */
-  ipcMain.handle(IPC_CHANNELS.LOAD_CONVERSATION, async (event, conversationId) => {
-    logger.info(`Load conversation requested: ${conversationId}`);
+  const getContextSummary = (conversationId) => {
+    if (!conversationId || !conversationService) {
+      return null;
+    }
     try {
-      const conversation = conversationService.getConversationWithMessages(conversationId);
+      return conversationService.parseContextSummary(
+        conversationService.getConversation(conversationId)
+      );
+    } catch (error) {
+      logger.warn('Failed to load context summary', error);
+      return null;
+    }
+  };
 
-      if (!conversation) {
-        return { success: false, error: 'Conversation not found' };
-      }
+  /**
+   * Store the summary written for a request, so later requests reuse it
+   * @param {string} [conversationId] - Conversation the request belongs to
+   * @param {Object} result - AI result
+   */
+  const saveContextSummary = (conversationId, result) => {
+    if (!conversationId || !conversationService || !result.summaryUpdated) {
+      return;
+    }
+    try {
+      conversationService.setContextSummary(conversationId, result.contextSummary);
+    } catch (error) {
+      logger.warn('Failed to save context summary', error);
+    }
+  };
+
+  /**
+   * Get the text recognized in a request's screenshot, to send with it
+   * Recognition is waited for when the text is to be included in every prompt or the model
+   * can't see the image; otherwise only a finished result is used (for fallback models
+   * without vision), so answers aren't held up.
+   * @param {string} [imageDataUrl] - Screenshot data URL
+   * @param {Object} [target] - Resolved target, if the request picked a provider/model
+   * @returns {Promise<Object|null>} { text, include } for AIService, or null
+   */
+  const getScreenText = async (imageDataUrl, target) => {
+    const settings = storageService.getOcrSettings();
+    if (!imageDataUrl || !ocrService || !settings.enabled) {
+      return null;
+    }
 
+    const { vision } = getModelCapabilities(
+      target?.provider || storageService.getAiProvider(),
+      target?.provider ? target.model : storageService.getAiModel()
+    );
+    try {
+      const result =
+        settings.includeInPrompt || !vision
+          ? await ocrService.recognize(imageDataUrl)
+          : ocrService.getFinished(imageDataUrl);
+      if (!result) {
+        return null;
+      }
+      const redaction = storageService.getRedactionSettings();
       return {
-        success: true,
-        conversation
+        text:
+          redaction.enabled && redactionService
+            ? redactionService.redactText(result.text, redaction)
+            : result.text,
+        include: settings.includeInPrompt,
       };
     } catch (error) {
-      logger.error('Failed to load conversation', error);
-      return { success: false, error: error.message };
+      logger.warn('Failed to recognize screenshot text', error);
+      return null;
     }
-  });
+  };
 
   /**
-   * Save individual message to existing conversation
+   * Hide the sensitive text in a request's screenshot before it is sent, if redaction is on
+   * A screenshot that can't be checked is not sent at all.
+   * @param {string} [imageDataUrl] - Screenshot data URL
+   * @returns {Promise<{imageDataUrl?: string, error?: Object}>} Screenshot to send, or an
+   *   error result to return
    */
-  ipcMain.handle(IPC_CHANNELS.SAVE_MESSAGE, async (event, { conversationId, role, content, error }) => {
-    logger.debug(`Save message requested for conversation: ${conversationId}`);
+  const redactForUpload = async (imageDataUrl) => {
+    const settings = storageService.getRedactionSettings();
+    if (!imageDataUrl || !redactionService || !settings.enabled) {
+      return { imageDataUrl };
+    }
     try {
-      const result = conversationService.saveMessage(conversationId, role, content, error || false);
+      const { dataUrl } = await redactionService.redact(imageDataUrl, settings);
+      return { imageDataUrl: dataUrl };
+    } catch (error) {
+      logger.error('Failed to redact screenshot', error);
       return {
-        success: true,
-        messageId: result.id,
-        timestamp: result.timestamp
+        error: {
+          success: false,
+          error: `Couldn't check the screenshot for sensitive text: ${error.message}`,
+        },
       };
-    } catch (err) {
-      logger.error('Failed to save message', err);
-      return { success: false, error: err.message };
     }
-  });
+  };
+
+  // Requests whose screenshot is still being prepared, by request ID; AIService tracks them
+  // once they are sent
+  const preparingRequests = new Map();
 
   /**
-   * Delete conversation
+   * Prepare a request's screenshot for upload: redaction, then the recognized text
+   * The request can be cancelled (CANCEL_AI) between the stages; a cancelled request returns
+   * the same cancelled result as AIService instead of being sent.
+   * @param {string} [requestId] - Request ID
+   * @param {string} [imageDataUrl] - Screenshot data URL
+   * @param {Function} [readScreenText] - Returns the text to send, see getScreenText
+   * @returns {Promise<{imageDataUrl?: string, screenText?: Object, error?: Object}>} What to
+   *   send, or a result to return
    */
-  ipcMain.handle(IPC_CHANNELS.DELETE_CONVERSATION, async (event, conversationId) => {
-    logger.info(`Delete conversation requested: ${conversationId}`);
+  const prepareUpload = async (requestId, imageDataUrl, readScreenText = async () => null) => {
+    const controller = new AbortController();
+    if (requestId) {
+      preparingRequests.set(requestId, controller);
+    }
+    const cancelled = () => {
+      logger.info(`AI request cancelled before upload: ${requestId}`);
+      return {
+        error: {
+          success: false,
+          cancelled: true,
+          error: 'Request cancelled',
+          errorType: 'CANCELLED',
+          text: '',
+        },
+      };
+    };
+
     try {
-      conversationService.deleteConversation(conversationId);
-      return { success: true };
-    } catch (error) {
-      logger.error('Failed to delete conversation', error);
-      return { success: false, error: error.message };
+      const upload = await redactForUpload(imageDataUrl);
+      if (controller.signal.aborted) {
+        return cancelled();
+      }
+      if (upload.error) {
+        return upload;
+      }
+      const screenText = await readScreenText();
+      if (controller.signal.aborted) {
+        return cancelled();
+      }
+      return { imageDataUrl: upload.imageDataUrl, screenText };
+    } finally {
+      if (preparingRequests.get(requestId) === controller) {
+        preparingRequests.delete(requestId);
+      }
+    }
+  };
+
+  /**
+   * Store the text recognized in a saved conversation's screenshot, without blocking the save
+   * @param {string} conversationId - Conversation ID
+   * @param {string} screenshot - Screenshot data URL
+   */
+  const saveScreenshotTextInBackground = (conversationId, screenshot) => {
+    if (!ocrService || !storageService.getOcrSettings().enabled) {
+      return;
     }
+    ocrService
+      .recognize(screenshot)
+      .then((result) => conversationService.setScreenshotText(conversationId, result))
+      .catch((error) => logger.warn('Failed to save screenshot text', error));
+  };
+
+  /**
+   * Handle AI query request
+   * history holds the prior { role, content, error } messages of the conversation;
+   * provider/model and generationParams (optional) override the global settings, e.g. for
+   * the current conversation; the active system prompt preset is applied to every request.
+   * With the response cache enabled, a repeated question about the same screenshot is
+   * answered from the cache (cached: true) unless bypassCache is set.
+   * conversationId (optional) lets long conversations send the conversation's stored
+   * summary instead of its older turns; a summary written for the request is saved to it.
+   * Text recognized in the screenshot is sent along as set in the OCR settings.
+   */
+  ipcMain.handle(IPC_CHANNELS.ASK_AI, async (event, request) => {
+    const { requestId, prompt, imageDataUrl, history, provider, model, generationParams } = request;
+    logger.info('AI query requested');
+
+    // Check if AI is initialized
+    const notReady = ensureAiInitialized();
+    if (notReady) {
+      return notReady;
+    }
+
+    const { target, error } = resolveTarget(provider, model);
+    if (error) {
+      return error;
+    }
+
+    const cache = lookupCachedResponse(request);
+    if (cache?.hit) {
+      logger.info('AI query answered from cache');
+      return cachedResult(cache.hit);
+    }
+
+    const upload = await prepareUpload(requestId, imageDataUrl, () =>
+      getScreenText(imageDataUrl, target)
+    );
+    if (upload.error) {
+      return upload.error;
+    }
+
+    // Process AI request
+    const result = await aiService.generateResponse(prompt, upload.imageDataUrl, history || [], {
+      requestId,
+      target,
+      systemPrompt: storageService.getActiveSystemPrompt(),
+      generationParams,
+      summary: getContextSummary(request.conversationId),
+      screenText: upload.screenText,
+      onRetry: notifyRetry(event?.sender, requestId),
+      onFallback: notifyFallback(event?.sender, requestId),
+      onToolCall: notifyToolCall(event?.sender, requestId),
+    });
+    saveUsageCounters();
+    saveContextSummary(request.conversationId, result);
+    storeCachedResponse(cache, prompt, result);
+    return result;
   });
 
   /**
-   * Update conversation properties
+   * Handle streaming AI query request
+   * Text chunks are pushed to the requesting window on AI_STREAM_CHUNK; the complete
+   * result (same shape as ASK_AI) is sent on AI_STREAM_DONE and returned. A cached
+   * answer is sent as a single chunk.
    */
-  ipcMain.handle(IPC_CHANNELS.UPDATE_CONVERSATION, async (event, { conversationId, updates }) => {
-    logger.debug(`Update conversation requested: ${conversationId}`);
-    try {
-      conversationService.updateConversation(conversationId, updates);
-      return { success: true };
-    } catch (error) {
-      logger.error('Failed to update conversation', error);
-      return { success: false, error: error.message };
+  ipcMain.handle(IPC_CHANNELS.ASK_AI_STREAM, async (event, request) => {
+    const { requestId, prompt, imageDataUrl, history, provider, model, generationParams } = request;
+    logger.info(`Streaming AI query requested: ${requestId}`);
+    const sender = event?.sender;
+
+    const { target, error } = resolveTarget(provider, model);
+    let result = ensureAiInitialized() || error;
+    const cache = result ? null : lookupCachedResponse(request);
+    if (cache?.hit) {
+      logger.info(`Streaming AI query answered from cache: ${requestId}`);
+      result = cachedResult(cache.hit);
+      sendToSender(sender, IPC_CHANNELS.AI_STREAM_CHUNK, {
+        requestId,
+        chunk: result.text,
+        text: result.text,
+      });
+    } else if (!result) {
+      const upload = await prepareUpload(requestId, imageDataUrl, () =>
+        getScreenText(imageDataUrl, target)
+      );
+      result =
+        upload.error ||
+        (await aiService.streamResponse(prompt, upload.imageDataUrl, history || [], {
+          requestId,
+          target,
+          systemPrompt: storageService.getActiveSystemPrompt(),
+          generationParams,
+          summary: getContextSummary(request.conversationId),
+          screenText: upload.screenText,
+          onChunk: (chunk, text) => {
+            sendToSender(sender, IPC_CHANNELS.AI_STREAM_CHUNK, { requestId, chunk, text });
+          },
+          onRetry: notifyRetry(sender, requestId),
+          onFallback: notifyFallback(sender, requestId),
+          onToolCall: notifyToolCall(sender, requestId),
+        }));
+      saveUsageCounters();
+      saveContextSummary(request.conversationId, result);
+      storeCachedResponse(cache, prompt, result);
     }
+
+    sendToSender(sender, IPC_CHANNELS.AI_STREAM_DONE, { requestId, ...result });
+    return result;
   });
 
   /**
-   * Get available AI providers and models
+   * Cancel an in-flight AI request (ASK_AI, ASK_AI_STREAM, COMPARE_MODELS or
+   * EXTRACT_STRUCTURED) by its request ID, including while its screenshot is being prepared
    */
-  ipcMain.handle('get-ai-providers', () => {
-    logger.debug('Get AI providers requested');
+  ipcMain.handle(IPC_CHANNELS.CANCEL_AI, (event, requestId) => {
+    logger.info(`Cancel AI request requested: ${requestId}`);
+    const preparing = preparingRequests.get(requestId);
+    preparing?.abort();
+    return { success: aiService.cancelRequest(requestId) || !!preparing };
+  });
+
+  /**
+   * Ask several models the same question in parallel (compare mode)
+   * targets lists 2 to AI.MAX_COMPARE_MODELS { provider, model } pairs. Each result is pushed
+   * to the requesting window on AI_COMPARE_RESULT as it arrives ({ requestId, index, ...result },
+   * with latencyMs); all of them are returned in target order. A model without a saved key
+   * fails on its own without stopping the others.
+   */
+  ipcMain.handle(
+    IPC_CHANNELS.COMPARE_MODELS,
+    async (event, { requestId, prompt, imageDataUrl, history, targets, generationParams } = {}) => {
+      logger.info(`Model comparison requested: ${targets?.length || 0} model(s)`);
+      if (
+        !Array.isArray(targets) ||
+        targets.length < 2 ||
+        targets.length > AI.MAX_COMPARE_MODELS ||
+        !targets.every((entry) => entry?.provider)
+      ) {
+        return {
+          success: false,
+          error: `Pick between 2 and ${AI.MAX_COMPARE_MODELS} models to compare`,
+        };
+      }
+
+      const notReady = ensureAiInitialized();
+      if (notReady) {
+        return notReady;
+      }
+
+      const resolved = targets.map(({ provider, model }) => resolveTarget(provider, model));
+      const callable = resolved
+        .map(({ target }, index) => ({ target, index }))
+        .filter(({ target }) => target);
+      // The text is waited for if any compared model needs it in place of the image
+      const textOnly = callable.find(
+        ({ target }) => !getModelCapabilities(target.provider, target.model).vision
+      );
+      const upload = await prepareUpload(requestId, imageDataUrl, () =>
+        getScreenText(imageDataUrl, (textOnly || callable[0])?.target)
+      );
+      if (upload.error) {
+        return upload.error;
+      }
+
+      const sender = event?.sender;
+      const sendResult = (index, result) => {
+        sendToSender(sender, IPC_CHANNELS.AI_COMPARE_RESULT, { requestId, index, ...result });
+      };
+
+      const results = resolved.map(({ error }, index) =>
+        error ? { ...error, ...targets[index], latencyMs: 0 } : null
+      );
+      results.forEach((result, index) => result && sendResult(index, result));
+      const answers = await aiService.compareResponses(
+        prompt,
+        upload.imageDataUrl,
+        history || [],
+        callable.map(({ target }) => target),
+        {
+          requestId,
+          systemPrompt: storageService.getActiveSystemPrompt(),
+          generationParams,
+          screenText: upload.screenText,
+          onResult: (i, result) => sendResult(callable[i].index, result),
+        }
+      );
+      answers.forEach((result, i) => {
+        results[callable[i].index] = result;
+      });
+      saveUsageCounters();
+
+      return { success: true, results };
+    }
+  );
+
+  /**
+   * Get the stored connection options for a provider (e.g. { baseUrl } for local)
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_PROVIDER_OPTIONS, (event, provider) => {
+    logger.debug(`Provider options requested: ${provider}`);
+    return { success: true, options: storageService.getProviderOptions(provider) };
+  });
+
+  /**
+   * Save connection options for a provider (base URL, headers, organization/project)
+   * Re-creates the active model and fallbacks so the change applies to the next request.
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_PROVIDER_OPTIONS, async (event, { provider, options }) => {
+    logger.info(`Save provider options requested: ${provider}`);
+    try {
+      if (!AI.PROVIDERS[provider]) {
+        return { success: false, error: `Unknown provider: ${provider}` };
+      }
+
+      const { options: normalized, error } = normalizeProviderOptions(provider, options);
+      if (error) {
+        return { success: false, error };
+      }
+      storageService.saveProviderOptions(provider, normalized);
+
+      const apiKey = storageService.getApiKey();
+      if (aiService.isInitialized() && aiService.getProviderType() === provider && apiKey) {
+        aiService.initialize(
+          provider,
+          apiKey,
+          aiService.getModel(),
+          storageService.getProviderOptions(provider)
+        );
+      }
+      aiService.setFallbacks(storageService.getFallbackTargets());
+
+      return { success: true, options: storageService.getProviderOptions(provider) };
+    } catch (err) {
+      logger.error('Failed to save provider options', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  /**
+   * List the models installed on a local Ollama / OpenAI-compatible server, with their
+   * capabilities. Uses the stored local server URL when none is given.
+   */
+  ipcMain.handle(IPC_CHANNELS.LIST_LOCAL_MODELS, async (event, baseUrl) => {
+    logger.debug('Local models requested', { baseUrl });
+    const result = await aiService.listLocalModels(
+      baseUrl || storageService.getProviderOptions('local').baseUrl || undefined
+    );
+    return {
+      ...result,
+      capabilities: getProviderCapabilities({ local: { models: result.models } }).local,
+    };
+  });
+
+  /**
+   * Get the fallback chain, flagging which entries have a stored API key
+   * Keys themselves are never sent to the renderer.
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_FALLBACK_CHAIN, () => {
+    logger.debug('Fallback chain requested');
+    const chain = storageService.getFallbackChain().map((entry) => ({
+      ...entry,
+      hasApiKey:
+        AI.PROVIDERS[entry.provider]?.requiresApiKey === false ||
+        !!storageService.getProviderApiKey(entry.provider),
+    }));
+    return { success: true, chain };
+  });
+
+  /**
+   * Save the fallback chain
+   * Accepts [{ provider, model, apiKey? }]; a missing apiKey keeps the provider's stored key
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_FALLBACK_CHAIN, async (event, chain) => {
+    logger.info('Save fallback chain requested');
+    try {
+      if (!Array.isArray(chain)) {
+        return { success: false, error: 'Invalid fallback chain' };
+      }
+
+      const invalid = chain.find((entry) => !isKnownModel(entry?.provider, entry?.model));
+      if (invalid) {
+        return { success: false, error: `Unknown provider or model: ${invalid?.provider}` };
+      }
+
+      const missingKey = chain.find(
+        (entry) =>
+          !entry.apiKey &&
+          AI.PROVIDERS[entry.provider].requiresApiKey !== false &&
+          !storageService.getProviderApiKey(entry.provider)
+      );
+      if (missingKey) {
+        return {
+          success: false,
+          error: `API key required for ${AI.PROVIDERS[missingKey.provider].name}`,
+        };
+      }
+
+      chain
+        .filter((entry) => entry.apiKey)
+        .forEach((entry) => storageService.saveProviderApiKey(entry.provider, entry.apiKey));
+      storageService.saveFallbackChain(chain);
+
+      const configured = aiService.setFallbacks(storageService.getFallbackTargets());
+      logger.success(`Fallback chain saved (${configured} active)`);
+      return { success: true, configured };
+    } catch (error) {
+      logger.error('Failed to save fallback chain', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Handle copy to clipboard request
+   */
+  ipcMain.handle(IPC_CHANNELS.COPY_TO_CLIPBOARD, (event, text) => {
+    logger.debug('Copy to clipboard requested');
+    try {
+      clipboard.writeText(text);
+      logger.success('Text copied to clipboard');
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to copy to clipboard', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ============================================
+  // STRUCTURED EXTRACTION HANDLERS
+  // ============================================
+
+  /**
+   * Extract a table, form fields or a list from a screenshot as a grid
+   * Uses the conversation's provider/model when given, like ASK_AI.
+   */
+  ipcMain.handle(
+    IPC_CHANNELS.EXTRACT_STRUCTURED,
+    async (event, { requestId, imageDataUrl, shape, instructions, provider, model } = {}) => {
+      logger.info(`Structured extraction requested: ${shape}`);
+
+      const notReady = ensureAiInitialized();
+      if (notReady) {
+        return notReady;
+      }
+
+      const { target, error } = resolveTarget(provider, model);
+      if (error) {
+        return error;
+      }
+
+      const upload = await prepareUpload(requestId, imageDataUrl);
+      if (upload.error) {
+        return upload.error;
+      }
+
+      const result = await aiService.extractStructured(upload.imageDataUrl, shape, {
+        requestId,
+        target,
+        instructions,
+        onRetry: notifyRetry(event?.sender, requestId),
+        onFallback: notifyFallback(event?.sender, requestId),
+      });
+      saveUsageCounters();
+      return result;
+    }
+  );
+
+  /**
+   * Copy an extracted grid to the clipboard as CSV or TSV (TSV pastes into spreadsheets
+   * as separate cells)
+   */
+  ipcMain.handle(IPC_CHANNELS.COPY_EXTRACTION, (event, { grid, format = 'tsv' } = {}) => {
+    logger.debug(`Copy extraction requested: ${format}`);
+    try {
+      if (!['csv', 'tsv'].includes(format)) {
+        return { success: false, error: `Unsupported format: ${format}` };
+      }
+      clipboard.writeText(exportService.toDelimited(grid, format));
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to copy extraction', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Save an extracted grid as CSV or XLSX, asking where with a save dialog
+   */
+  ipcMain.handle(
+    IPC_CHANNELS.SAVE_EXTRACTION,
+    async (event, { grid, format = 'csv', name = 'extraction' } = {}) => {
+      logger.info(`Save extraction requested: ${format}`);
+      try {
+        const filter = exportService.getFileFilter(format);
+        if (!filter) {
+          return { success: false, error: `Unsupported format: ${format}` };
+        }
+
+        const { canceled, filePath } = await dialog.showSaveDialog(
+          windowManager.getMainAppWindow(),
+          { defaultPath: `${name}.${filter.extensions[0]}`, filters: [filter] }
+        );
+        if (canceled || !filePath) {
+          return { success: false, cancelled: true };
+        }
+
+        await exportService.saveGrid(grid, format, filePath);
+        return { success: true, filePath };
+      } catch (error) {
+        logger.error('Failed to save extraction', error);
+        return { success: false, error: error.message };
+      }
+    }
+  );
+
+  // ============================================
+  // CONVERSATION MANAGEMENT HANDLERS
+  // ============================================
+
+  /**
+   * Save entire conversation (from popup to database)
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_CONVERSATION, async (event, conversationData) => {
+    logger.info('Save conversation requested');
+    try {
+      const { screenshot, conversation, provider, model } = conversationData;
+
+      // Only require conversation array, screenshot is optional
+      if (!conversation || conversation.length === 0) {
+        return { success: false, error: 'Invalid conversation data' };
+      }
+
+      // With storeRedacted, the original screenshot is never written to disk
+      const redaction = storageService.getRedactionSettings();
+      let stored = screenshot || null;
+      if (stored && redaction.enabled && redaction.storeRedacted) {
+        const upload = await redactForUpload(stored);
+        if (upload.error) {
+          return upload.error;
+        }
+        stored = upload.imageDataUrl;
+      }
+
+      const result = conversationService.saveCompleteConversation(stored, conversation, {
+        provider,
+        model,
+      });
+
+      logger.success(`Conversation saved: ${result.id}`);
+      if (stored) {
+        saveScreenshotTextInBackground(result.id, stored);
+      }
+      if (conversation.some((item) => item.answer && !item.error && !item.cancelled)) {
+        generateTitleInBackground(result.id, event?.sender);
+        suggestFollowUpsInBackground(result.id, event?.sender);
+      }
+      return {
+        success: true,
+        conversationId: result.id,
+        created_at: result.created_at
+      };
+    } catch (error) {
+      logger.error('Failed to save conversation', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Load all conversations (for list view)
+   */
+  ipcMain.handle(IPC_CHANNELS.LOAD_CONVERSATIONS, async (event, { limit, offset, filters }) => {
+    logger.debug('Load conversations requested', { limit, offset, filters });
+    try {
+      const conversations = conversationService.getAllConversations(limit || 100, offset || 0, filters || {});
+      return {
+        success: true,
+        conversations
+      };
+    } catch (error) {
+      logger.error('Failed to load conversations', error);
+      return { success: false, error: error.message, conversations: [] };
+    }
+  });
+
+  /**
+   * Load single conversation with all messages
+   */
+  ipcMain.handle(IPC_CHANNELS.LOAD_CONVERSATION, async (event, conversationId) => {
+    logger.info(`Load conversation requested: ${conversationId}`);
+    try {
+      const conversation = conversationService.getConversationWithMessages(conversationId);
+
+      if (!conversation) {
+        return { success: false, error: 'Conversation not found' };
+      }
+
+      return {
+        success: true,
+        conversation
+      };
+    } catch (error) {
+      logger.error('Failed to load conversation', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Save individual message to existing conversation
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_MESSAGE, async (event, { conversationId, role, content, error, cancelled, provider, model, usage, toolCalls }) => {
+    logger.debug(`Save message requested for conversation: ${conversationId}`);
+    try {
+      const result = conversationService.saveMessage(conversationId, role, content, error || false, {
+        cancelled: cancelled || false,
+        provider,
+        model,
+        usage,
+        toolCalls,
+      });
+
+      // Name the conversation after its first answer, unless it already has a title
+      if (role === 'assistant' && !error && !cancelled) {
+        const conversation = conversationService.getConversation(conversationId);
+        if (conversation && !conversation.title_source) {
+          generateTitleInBackground(conversationId, event?.sender);
+        }
+        suggestFollowUpsInBackground(conversationId, event?.sender);
+      }
+      return {
+        success: true,
+        messageId: result.id,
+        timestamp: result.timestamp
+      };
+    } catch (err) {
+      logger.error('Failed to save message', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  /**
+   * Delete conversation
+   */
+  ipcMain.handle(IPC_CHANNELS.DELETE_CONVERSATION, async (event, conversationId) => {
+    logger.info(`Delete conversation requested: ${conversationId}`);
+    try {
+      conversationService.deleteConversation(conversationId);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to delete conversation', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Update conversation properties
+   */
+  ipcMain.handle(IPC_CHANNELS.UPDATE_CONVERSATION, async (event, { conversationId, updates }) => {
+    logger.debug(`Update conversation requested: ${conversationId}`);
+    try {
+      // A null provider clears the conversation's model back to the global setting
+      if (updates?.provider && !isKnownModel(updates.provider, updates.model)) {
+        return {
+          success: false,
+          error: `Unknown provider or model: ${updates.provider} ${updates.model || ''}`.trim(),
+        };
+      }
+      if (!updates?.provider && updates?.model) {
+        return { success: false, error: 'A model needs a provider' };
+      }
+
+      conversationService.updateConversation(conversationId, updates);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to update conversation', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Regenerate a conversation's title from its first exchange, replacing a renamed title too
+   */
+  ipcMain.handle(IPC_CHANNELS.GENERATE_CONVERSATION_TITLE, async (event, conversationId) => {
+    logger.info(`Generate title requested: ${conversationId}`);
+    try {
+      return await generateConversationTitle(conversationId, {
+        force: true,
+        sender: event?.sender,
+      });
+    } catch (error) {
+      logger.error('Failed to generate conversation title', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Load the prompt template library, most recently used first
+   */
+  ipcMain.handle(IPC_CHANNELS.LOAD_TEMPLATES, async () => {
+    logger.debug('Load templates requested');
+    try {
+      return { success: true, templates: templateService.getAllTemplates() };
+    } catch (error) {
+      logger.error('Failed to load templates', error);
+      return { success: false, error: error.message, templates: [] };
+    }
+  });
+
+  /**
+   * Create a template ({ name, body }) or update one ({ id, name, body })
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_TEMPLATE, async (event, { id, name, body } = {}) => {
+    logger.info(`Save template requested: ${id || 'new'}`);
+    const templateName = typeof name === 'string' ? name.trim() : '';
+    const templateBody = typeof body === 'string' ? body.trim() : '';
+    if (!templateName || !templateBody) {
+      return { success: false, error: 'A template needs a name and a prompt' };
+    }
+
+    try {
+      const fields = { name: templateName, body: templateBody };
+      const template = id
+        ? templateService.updateTemplate(id, fields)
+        : templateService.createTemplate(fields);
+      if (!template) {
+        return { success: false, error: 'Template not found' };
+      }
+      return { success: true, template };
+    } catch (error) {
+      logger.error('Failed to save template', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Delete a template
+   */
+  ipcMain.handle(IPC_CHANNELS.DELETE_TEMPLATE, async (event, templateId) => {
+    logger.info(`Delete template requested: ${templateId}`);
+    try {
+      templateService.deleteTemplate(templateId);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to delete template', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Fill a template for the prompt field
+   * {{selection}} defaults to the clipboard text (copy a selection, then pick the template);
+   * variables left without a value stay as {{name}} and are listed in missing.
+   */
+  ipcMain.handle(IPC_CHANNELS.APPLY_TEMPLATE, async (event, { templateId, values = {} } = {}) => {
+    logger.debug(`Apply template requested: ${templateId}`);
+    try {
+      const template = templateService.getTemplate(templateId);
+      if (!template) {
+        return { success: false, error: 'Template not found' };
+      }
+
+      const filled = { ...values };
+      if (template.variables.includes('selection') && !filled.selection) {
+        filled.selection = clipboard.readText().trim();
+      }
+
+      templateService.markTemplateUsed(templateId);
+      return { success: true, ...templateService.fillTemplate(template.body, filled) };
+    } catch (error) {
+      logger.error('Failed to apply template', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get spending/request caps and this period's counters for every provider
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_USAGE_LIMITS, () => {
+    logger.debug('Usage limits requested');
+    return {
+      success: true,
+      limits: storageService.getUsageLimits(),
+      counters: aiService.getUsageCounters(),
+    };
+  });
+
+  /**
+   * Save a provider's caps: { dailyCost, monthlyCost, dailyRequests, monthlyRequests, action }
+   * Empty caps are removed; action is 'block' (default) or 'warn'
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_USAGE_LIMITS, (event, { provider, limits = {} } = {}) => {
+    logger.info(`Save usage limits requested: ${provider}`);
+    if (!AI.PROVIDERS[provider]) {
+      return { success: false, error: `Unknown provider: ${provider}` };
+    }
+    if (limits.action && !['block', 'warn'].includes(limits.action)) {
+      return { success: false, error: `Invalid limit action: ${limits.action}` };
+    }
+
+    const caps = {};
+    const capKeys = ['dailyCost', 'monthlyCost', 'dailyRequests', 'monthlyRequests'];
+    const invalid = capKeys.find((key) => {
+      const value = limits[key];
+      if (value === undefined || value === null || value === '') {
+        return false;
+      }
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        return true;
+      }
+      caps[key] = key.endsWith('Requests') ? Math.floor(number) : number;
+      return false;
+    });
+    if (invalid) {
+      return { success: false, error: `Invalid ${invalid}: ${limits[invalid]}` };
+    }
+
+    try {
+      const saved =
+        Object.keys(caps).length > 0 ? { ...caps, action: limits.action || 'block' } : null;
+      storageService.saveUsageLimits(provider, saved);
+      aiService.setUsageLimits(storageService.getUsageLimits());
+      return { success: true, limits: saved || {} };
+    } catch (error) {
+      logger.error('Failed to save usage limits', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the system prompt presets and the active one
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_PROMPT_PRESETS, () => {
+    logger.debug('Prompt presets requested');
+    return {
+      success: true,
+      presets: storageService.getPromptPresets(),
+      activePresetId: storageService.getActivePromptPresetId(),
+    };
+  });
+
+  /**
+   * Save the full list of system prompt presets: [{ id?, name, prompt }]
+   * Presets without an ID are new and get one
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_PROMPT_PRESETS, (event, presets) => {
+    logger.info('Save prompt presets requested');
+    if (!Array.isArray(presets)) {
+      return { success: false, error: 'Invalid presets' };
+    }
+
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const incomplete = presets.findIndex((preset) => !text(preset?.name) || !text(preset?.prompt));
+    if (incomplete !== -1) {
+      return { success: false, error: `Preset ${incomplete + 1} needs a name and a prompt` };
+    }
+
+    try {
+      const saved = presets.map((preset) => ({
+        id: text(preset.id) || randomUUID(),
+        name: text(preset.name),
+        prompt: text(preset.prompt),
+      }));
+      storageService.savePromptPresets(saved);
+      return {
+        success: true,
+        presets: saved,
+        activePresetId: storageService.getActivePromptPresetId(),
+      };
+    } catch (error) {
+      logger.error('Failed to save prompt presets', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Choose the preset applied to every request (null for none)
+   */
+  ipcMain.handle(IPC_CHANNELS.SET_ACTIVE_PROMPT_PRESET, (event, presetId) => {
+    logger.info(`Active prompt preset: ${presetId || 'none'}`);
+    if (presetId && !storageService.getPromptPresets().some(({ id }) => id === presetId)) {
+      return { success: false, error: `Unknown preset: ${presetId}` };
+    }
+    storageService.setActivePromptPresetId(presetId);
+    return { success: true, activePresetId: presetId || null };
+  });
+
+  /**
+   * Validate sampling settings against the ranges of the provider they will be sent to
+   * Empty values are left out.
+   * @param {string} provider - Provider type
+   * @param {Object} [params] - { temperature, maxOutputTokens, topP }
+   * @returns {{params?: Object, error?: string}} Settings that were set, or a validation error
+   */
+  const normalizeGenerationParams = (provider, params = {}) => {
+    const { name, generationRanges } = AI.PROVIDERS[provider];
+    const labels = {
+      temperature: 'Temperature',
+      maxOutputTokens: 'Max output tokens',
+      topP: 'Top-p',
+    };
+    const normalized = {};
+
+    const invalid = Object.keys(AI.DEFAULT_GENERATION_PARAMS).find((key) => {
+      const value = params?.[key];
+      if (value === undefined || value === null || value === '') {
+        return false;
+      }
+      const number = Number(value);
+      const [min, max] = generationRanges[key];
+      if (
+        !Number.isFinite(number) ||
+        number < min ||
+        number > max ||
+        (key === 'maxOutputTokens' && !Number.isInteger(number))
+      ) {
+        return true;
+      }
+      normalized[key] = number;
+      return false;
+    });
+    if (invalid) {
+      const [min, max] = generationRanges[invalid];
+      return { error: `${labels[invalid]} must be between ${min} and ${max} for ${name}` };
+    }
+
+    return { params: normalized };
+  };
+
+  /**
+   * Get the global sampling settings (temperature, max output tokens, top-p)
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_GENERATION_PARAMS, () => {
+    logger.debug('Generation parameters requested');
+    return { success: true, params: storageService.getGenerationParams() };
+  });
+
+  /**
+   * Save sampling settings: { params, conversationId? }
+   * Without a conversation ID they are the global defaults, and empty values fall back to the
+   * provider's default. With one they override the defaults for that conversation only, and
+   * empty values keep the default (no values clears the override). Values are checked against
+   * the ranges of the conversation's provider, or the global provider.
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_GENERATION_PARAMS, (event, { conversationId, params } = {}) => {
+    logger.info(`Save generation parameters requested: ${conversationId || 'global'}`);
+    try {
+      const conversation = conversationId && conversationService.getConversation(conversationId);
+      if (conversationId && !conversation) {
+        return { success: false, error: 'Conversation not found' };
+      }
+
+      const provider =
+        conversation?.provider || storageService.getAiProvider() || AI.DEFAULT_PROVIDER;
+      const { params: normalized, error } = normalizeGenerationParams(provider, params);
+      if (error) {
+        return { success: false, error };
+      }
+
+      if (conversation) {
+        const saved = Object.keys(normalized).length > 0 ? normalized : null;
+        conversationService.setGenerationParams(conversationId, saved);
+        return { success: true, params: saved };
+      }
+
+      const saved = { temperature: null, maxOutputTokens: null, topP: null, ...normalized };
+      storageService.saveGenerationParams(saved);
+      aiService.setGenerationParams(saved);
+      return { success: true, params: saved };
+    } catch (err) {
+      logger.error('Failed to save generation parameters', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  /**
+   * Get the response cache settings and how many answers it holds
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_RESPONSE_CACHE, () => {
+    logger.debug('Response cache requested');
+    try {
+      return {
+        success: true,
+        settings: storageService.getResponseCacheSettings(),
+        stats: responseCacheService ? responseCacheService.getStats() : { entries: 0, hits: 0 },
+      };
+    } catch (error) {
+      logger.error('Failed to get response cache', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Save response cache settings: { enabled, ttlHours, maxEntries }
+   * Missing values keep the saved ones
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_RESPONSE_CACHE_SETTINGS, (event, settings = {}) => {
+    logger.info('Save response cache settings requested');
+    const { enabled, ttlHours, maxEntries } = settings;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return { success: false, error: 'enabled must be true or false' };
+    }
+    if (ttlHours !== undefined && !(Number(ttlHours) > 0)) {
+      return { success: false, error: `Invalid cache lifetime: ${ttlHours}` };
+    }
+    if (maxEntries !== undefined && !(Number.isInteger(Number(maxEntries)) && maxEntries > 0)) {
+      return { success: false, error: `Invalid cache size: ${maxEntries}` };
+    }
+
+    try {
+      storageService.saveResponseCacheSettings({
+        ...(enabled !== undefined && { enabled }),
+        ...(ttlHours !== undefined && { ttlHours: Number(ttlHours) }),
+        ...(maxEntries !== undefined && { maxEntries: Number(maxEntries) }),
+      });
+      return { success: true, settings: storageService.getResponseCacheSettings() };
+    } catch (error) {
+      logger.error('Failed to save response cache settings', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Remove every cached answer
+   */
+  ipcMain.handle(IPC_CHANNELS.CLEAR_RESPONSE_CACHE, () => {
+    logger.info('Clear response cache requested');
+    if (!responseCacheService) {
+      return { success: false, error: 'Database not available' };
+    }
+
+    try {
+      return { success: true, removed: responseCacheService.clear() };
+    } catch (error) {
+      logger.error('Failed to clear response cache', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the local tools and whether models may call them:
+   * { success, enabled, tools: [{ name, description }] }
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_TOOLS, () => {
+    logger.debug('Local tools requested');
+    return {
+      success: true,
+      enabled: aiService.getToolsEnabled(),
+      tools: aiService.toolService.listTools(),
+    };
+  });
+
+  /**
+   * Turn the local tools on or off for every model
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_TOOLS_ENABLED, (event, enabled) => {
+    logger.info('Save local tools setting requested');
+    if (typeof enabled !== 'boolean') {
+      return { success: false, error: 'enabled must be true or false' };
+    }
+
+    try {
+      storageService.saveToolsEnabled(enabled);
+      aiService.setToolsEnabled(enabled);
+      return { success: true, enabled };
+    } catch (error) {
+      logger.error('Failed to save local tools setting', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the screenshot text recognition settings: { enabled, includeInPrompt }
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_OCR_SETTINGS, () => {
+    logger.debug('Screenshot text settings requested');
+    return { success: true, settings: storageService.getOcrSettings() };
+  });
+
+  /**
+   * Save screenshot text recognition settings: { enabled, includeInPrompt }
+   * Missing values keep the saved ones
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_OCR_SETTINGS, (event, settings = {}) => {
+    logger.info('Save screenshot text settings requested');
+    const { enabled, includeInPrompt } = settings;
+    const invalid = Object.entries({ enabled, includeInPrompt }).find(
+      ([, value]) => value !== undefined && typeof value !== 'boolean'
+    );
+    if (invalid) {
+      return { success: false, error: `${invalid[0]} must be true or false` };
+    }
+
+    try {
+      storageService.saveOcrSettings({
+        ...(enabled !== undefined && { enabled }),
+        ...(includeInPrompt !== undefined && { includeInPrompt }),
+      });
+      return { success: true, settings: storageService.getOcrSettings() };
+    } catch (error) {
+      logger.error('Failed to save screenshot text settings', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Recognize the text in a screenshot: { success, text, words }
+   * words carry their confidence and bounding box in image pixels. Results for recent
+   * screenshots are reused, so this is usually instant for the one just captured.
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_SCREENSHOT_TEXT, async (event, imageDataUrl) => {
+    logger.info('Screenshot text requested');
+    if (typeof imageDataUrl !== 'string' || !imageDataUrl.startsWith('data:image/')) {
+      return { success: false, error: 'A screenshot is required' };
+    }
+    if (!storageService.getOcrSettings().enabled) {
+      return { success: false, error: 'Screenshot text recognition is turned off in Settings' };
+    }
+
+    try {
+      const { text, words } = await ocrService.recognize(imageDataUrl);
+      return { success: true, text, words };
+    } catch (error) {
+      logger.error('Failed to recognize screenshot text', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get the screenshot redaction settings and the detectors that can be turned on:
+   * { success, settings, detectors: { type: label }, styles }
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_REDACTION_SETTINGS, () => {
+    logger.debug('Screenshot redaction settings requested');
+    return {
+      success: true,
+      settings: storageService.getRedactionSettings(),
+      detectors: REDACTION.DETECTORS,
+      styles: REDACTION.STYLES,
+    };
+  });
+
+  /**
+   * Save screenshot redaction settings: { enabled, detectors, customPatterns, style,
+   * storeRedacted }
+   * Missing values keep the saved ones
+   */
+  ipcMain.handle(IPC_CHANNELS.SAVE_REDACTION_SETTINGS, (event, settings = {}) => {
+    logger.info('Save screenshot redaction settings requested');
+    const { enabled, detectors, customPatterns, style, storeRedacted } = settings;
+    const invalid = Object.entries({ enabled, storeRedacted }).find(
+      ([, value]) => value !== undefined && typeof value !== 'boolean'
+    );
+    if (invalid) {
+      return { success: false, error: `${invalid[0]} must be true or false` };
+    }
+    if (style !== undefined && !REDACTION.STYLES.includes(style)) {
+      return { success: false, error: `Unknown redaction style: ${style}` };
+    }
+    const unknown = Object.entries(detectors || {}).find(
+      ([type, value]) => !REDACTION.DETECTORS[type] || typeof value !== 'boolean'
+    );
+    if (unknown) {
+      return { success: false, error: `Invalid detector setting: ${unknown[0]}` };
+    }
+
+    let patterns;
+    if (customPatterns !== undefined) {
+      if (!Array.isArray(customPatterns) || customPatterns.some((p) => typeof p !== 'string')) {
+        return { success: false, error: 'Custom patterns must be a list of regular expressions' };
+      }
+      patterns = customPatterns.map((pattern) => pattern.trim()).filter(Boolean);
+      if (patterns.length > REDACTION.maxCustomPatterns) {
+        return {
+          success: false,
+          error: `At most ${REDACTION.maxCustomPatterns} custom patterns can be saved`,
+        };
+      }
+      const broken = patterns
+        .map((pattern) => ({ pattern, error: redactionService.validatePattern(pattern) }))
+        .find(({ error }) => error);
+      if (broken) {
+        return { success: false, error: `Invalid pattern ${broken.pattern}: ${broken.error}` };
+      }
+    }
+
+    try {
+      storageService.saveRedactionSettings({
+        ...(enabled !== undefined && { enabled }),
+        ...(detectors !== undefined && { detectors }),
+        ...(patterns !== undefined && { customPatterns: patterns }),
+        ...(style !== undefined && { style }),
+        ...(storeRedacted !== undefined && { storeRedacted }),
+      });
+      return { success: true, settings: storageService.getRedactionSettings() };
+    } catch (error) {
+      logger.error('Failed to save screenshot redaction settings', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Preview what will be sent for a screenshot: { success, dataUrl, regions }
+   * dataUrl is the redacted screenshot and regions the { type, bbox } areas hidden in it;
+   * the matched text itself is never returned.
+   */
+  ipcMain.handle(IPC_CHANNELS.REDACT_SCREENSHOT, async (event, imageDataUrl) => {
+    logger.info('Screenshot redaction preview requested');
+    if (typeof imageDataUrl !== 'string' || !imageDataUrl.startsWith('data:image/')) {
+      return { success: false, error: 'A screenshot is required' };
+    }
+    const settings = storageService.getRedactionSettings();
+    if (!settings.enabled) {
+      return { success: false, error: 'Screenshot redaction is turned off in Settings' };
+    }
+
+    try {
+      const { dataUrl, regions } = await redactionService.redact(imageDataUrl, settings);
+      return { success: true, dataUrl, regions };
+    } catch (error) {
+      logger.error('Failed to redact screenshot', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get token usage and estimated cost for a calendar month (local time)
+   * month is 1-12; defaults to the current month
+   */
+  ipcMain.handle(IPC_CHANNELS.GET_USAGE_SUMMARY, async (event, { year, month } = {}) => {
+    logger.debug('Usage summary requested');
+    try {
+      const now = new Date();
+      const start = new Date(year || now.getFullYear(), month ? month - 1 : now.getMonth(), 1);
+      const end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+
+      return {
+        success: true,
+        since: start.getTime(),
+        until: end.getTime(),
+        usage: conversationService.getUsageSummary(start.getTime(), end.getTime()),
+      };
+    } catch (error) {
+      logger.error('Failed to get usage summary', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  /**
+   * Get available AI providers and models
+   * Providers with a stored key list the models their API reports (cached, see
+   * ModelDiscoveryService), flagged with modelsDiscovered; the others, and any whose API
+   * can't be reached, keep the models from AI.PROVIDERS.
+   * configuredProviders lists the providers that can be used right now (key stored or not
+   * needed), for per-conversation model pickers
+   */
+  ipcMain.handle('get-ai-providers', async () => {
+    logger.debug('Get AI providers requested');
+    const configuredProviders = Object.keys(AI.PROVIDERS).filter(
+      (provider) => AI.PROVIDERS[provider].requiresApiKey === false || !!getStoredApiKey(provider)
+    );
+
+    const providers = { ...AI.PROVIDERS };
+    await Promise.all(
+      configuredProviders
+        .filter((provider) => modelDiscoveryService.supports(provider))
+        .map(async (provider) => {
+          const { models } = await modelDiscoveryService.listModels(
+            provider,
+            getStoredApiKey(provider),
+            storageService.getProviderOptions(provider)
+          );
+          if (models.length > 0) {
+            providers[provider] = { ...AI.PROVIDERS[provider], models, modelsDiscovered: true };
+          }
+        })
+    );
+
     return {
       success: true,
-      providers: AI.PROVIDERS,
+      providers,
       defaultProvider: AI.DEFAULT_PROVIDER,
+      configuredProviders,
+      capabilities: getProviderCapabilities(providers),
     };
   });
 
@@ -16,8 +16,9 @@ const logger = new Logger('ShortcutHandlers');
  * @param {WindowManager} windowManager - Window manager instance
  * @param {StorageService} storageService - Storage service instance
  * @param {AIService} aiService - AI service instance
+ * @param {OcrService} [ocrService] - Recognizes screenshot text, started as soon as one is taken
  */
-function setupShortcuts(screenshotService, windowManager, storageService, aiService) {
+function setupShortcuts(screenshotService, windowManager, storageService, aiService, ocrService) {
   logger.info('Setting up global shortcuts');
 
   // Register screenshot shortcut
@@ -41,6 +42,14 @@ function setupShortcuts(screenshotService, windowManager, storageService, aiServ
     const result = await screenshotService.captureInteractive();
     if (result.success) {
       windowManager.createFloatingWindow(result.dataUrl);
+      // Read the screenshot's text while the user types the question (redaction needs it too)
+      const needsText =
+        storageService.getOcrSettings().enabled || storageService.getRedactionSettings().enabled;
+      if (ocrService && needsText) {
+        ocrService.recognize(result.dataUrl).catch((error) => {
+          logger.warn('Screenshot text recognition failed', error.message);
+        });
+      }
     } else if (result.error !== 'No image captured') {
       // Don't log if user cancelled
       logger.warn('Screenshot capture failed', result.error);
@@ -17,6 +17,12 @@ const ScreenshotService = require('./services/ScreenshotService');
 const StorageService = require('./services/StorageService');
 const DatabaseService = require('./services/DatabaseService');
 const ConversationService = require('./services/ConversationService');
+const TemplateService = require('./services/TemplateService');
+const ResponseCacheService = require('./services/ResponseCacheService');
+const ModelDiscoveryService = require('./services/ModelDiscoveryService');
+const ExportService = require('./services/ExportService');
+const OcrService = require('./services/OcrService');
+const RedactionService = require('./services/RedactionService');
 const UpdateService = require('./services/UpdateService');
 
 // Handlers
@@ -33,7 +39,13 @@ const screenshotService = new ScreenshotService();
 const storageService = new StorageService();
 const databaseService = new DatabaseService();
 const updateService = new UpdateService();
+const modelDiscoveryService = new ModelDiscoveryService();
+const exportService = new ExportService();
+const ocrService = new OcrService();
+const redactionService = new RedactionService(ocrService);
 let conversationService = null; // Initialized after database is ready
+let templateService = null; // Initialized after database is ready
+let responseCacheService = null; // Initialized after database is ready
 
 /**
  * Resolve icon path for dev & packaged builds
@@ -104,6 +116,11 @@ app.whenReady().then(() => {
     try {
       databaseService.initialize();
       conversationService = new ConversationService(databaseService);
+      templateService = new TemplateService(databaseService);
+      responseCacheService = new ResponseCacheService(databaseService);
+      responseCacheService.pruneExpired(
+        storageService.getResponseCacheSettings().ttlHours * 60 * 60 * 1000
+      );
       logger.success('Database services initialized');
     } catch (dbError) {
       logger.error('Failed to initialize database (non-critical)', dbError);
@@ -116,19 +133,41 @@ app.whenReady().then(() => {
     const provider = storageService.getAiProvider() || require('./config/constants').AI.DEFAULT_PROVIDER;
     const model = storageService.getAiModel() || require('./config/constants').AI.DEFAULT_MODEL;
 
+    // Sampling settings apply to the models created below
+    aiService.setGenerationParams(storageService.getGenerationParams());
+    aiService.setToolsEnabled(storageService.getToolsEnabled());
+
     if (!hasCompletedOnboarding || !apiKey) {
       logger.info('First run detected, showing onboarding');
       windowManager.createOnboardingWindow();
     } else {
       // Initialize AI with stored key, provider, and model
-      aiService.initialize(provider, apiKey, model);
+      aiService.initialize(provider, apiKey, model, storageService.getProviderOptions(provider));
     }
 
-    // Setup IPC handlers (pass conversationService)
-    setupIpcHandlers(windowManager, aiService, storageService, conversationService);
+    // Load backup providers used when the primary provider fails
+    aiService.setFallbacks(storageService.getFallbackTargets());
+
+    // Restore spending caps and this period's usage so limits survive restarts
+    aiService.setUsageLimits(storageService.getUsageLimits());
+    aiService.restoreUsageCounters(storageService.getUsageCounters());
+
+    // Setup IPC handlers (pass database-backed services)
+    setupIpcHandlers(
+      windowManager,
+      aiService,
+      storageService,
+      conversationService,
+      templateService,
+      modelDiscoveryService,
+      exportService,
+      responseCacheService,
+      ocrService,
+      redactionService
+    );
 
     // Setup global shortcuts
-    setupShortcuts(screenshotService, windowManager, storageService, aiService);
+    setupShortcuts(screenshotService, windowManager, storageService, aiService, ocrService);
 
     // Start auto-update checking (only in production)
     updateService.startAutoUpdateCheck();
@@ -147,6 +186,7 @@ app.on('will-quit', () => {
   logger.info('Application quitting');
   unregisterShortcuts();
   removeIpcHandlers();
+  ocrService.terminate();
   
   // Close database connection
   if (databaseService) {
@@ -213,7 +253,7 @@ app.on('activate', () => {
   if (apiKey && !aiService.isInitialized()) {
     const provider = storageService.getAiProvider() || require('./config/constants').AI.DEFAULT_PROVIDER;
     const model = storageService.getAiModel() || require('./config/constants').AI.DEFAULT_MODEL;
-    aiService.initialize(provider, apiKey, model);
+    aiService.initialize(provider, apiKey, model, storageService.getProviderOptions(provider));
   }
 });
 
@@ -4,27 +4,73 @@
  * @class AIService
  */
 
+const { randomUUID } = require('crypto');
 const Logger = require('../utils/logger');
-const { formatUserError } = require('../utils/errorHandler');
-const { AI } = require('../config/constants');
-const { HumanMessage } = require('@langchain/core/messages');
+const ImageService = require('./ImageService');
+const ToolService = require('./ToolService');
+const { AppError, formatUserError } = require('../utils/errorHandler');
+const { AI, OCR } = require('../config/constants');
+const { getModelCapabilities } = require('../config/capabilities.config');
+const { HumanMessage, ToolMessage } = require('@langchain/core/messages');
+
+// Caps that can be set per provider (see setUsageLimits), and the counter each one checks
+const USAGE_LIMITS = [
+  { key: 'dailyCost', period: 'day', metric: 'cost' },
+  { key: 'dailyRequests', period: 'day', metric: 'requests' },
+  { key: 'monthlyCost', period: 'month', metric: 'cost' },
+  { key: 'monthlyRequests', period: 'month', metric: 'requests' },
+];
+
+// Instruction for summarizing a conversation's older turns (see _manageContext)
+const SUMMARY_INSTRUCTION =
+  'You condense conversations about a screenshot. Write a summary of the conversation ' +
+  'you are given, merged with the earlier summary if there is one, keeping every fact, ' +
+  'figure, name, decision and open question the assistant may need later. Reply with the ' +
+  'summary only.';
+
+// Instruction for naming a conversation from its first exchange (see generateTitle)
+const TITLE_INSTRUCTION =
+  'Write a short, specific title of at most six words for the conversation below, naming ' +
+  'what the question is about. Reply with the title only, without quotes or a full stop.';
+
+const FOLLOW_UP_INSTRUCTION = (count) =>
+  `The user asked a question about a screenshot and got the answer below. Suggest ${count} ` +
+  'short follow-up questions they are likely to ask next about the same screenshot, each ' +
+  'on its own line, written as the user would ask them. Reply with the questions only, ' +
+  'without numbering.';
 
 class AIService {
   constructor() {
     this.model = null;
     this.providerType = null;
     this.selectedModel = null;
+    this.connection = null; // { apiKey, options } the configured model was created with
+    this.generation = null; // Resolved sampling settings the configured model was created with
+    this.fallbacks = []; // Backup targets (see _resolvePrimary for the shape), in order
+    this.modelCache = new Map(); // 'provider:model:settings' -> model for per-request targets
+    this.generationParams = { ...AI.DEFAULT_GENERATION_PARAMS }; // See setGenerationParams
+    this.imageService = new ImageService();
+    this.toolService = new ToolService();
+    this.toolsEnabled = AI.TOOLS.enabled; // See setToolsEnabled
+    this.activeRequests = new Map(); // requestId -> AbortController
+    this.usageLimits = {}; // provider -> caps and action, see setUsageLimits
+    this.usageCounters = {}; // provider -> { day, month } with { period, requests, tokens, cost }
     this.logger = new Logger('AIService');
   }
 
   /**
    * Initialize AI with provider, API key, and model using LangChain
-   * @param {string} providerType - Provider type (google, openai, anthropic)
-   * @param {string} apiKey - API key for the provider
+   * @param {string} providerType - Provider type (google, openai, anthropic, local)
+   * @param {string} apiKey - API key for the provider (optional for local servers)
    * @param {string} [model] - Model name (optional, uses default if not provided)
+   * @param {Object} [options] - Provider connection options (see AI.PROVIDERS[].connectionOptions)
+   * @param {string} [options.baseUrl] - API base URL (gateway/proxy, or the local server)
+   * @param {Object<string, string>} [options.headers] - Extra headers sent with every request
+   * @param {string} [options.organization] - OpenAI organization ID
+   * @param {string} [options.project] - OpenAI project ID
    * @throws {Error} If API key or provider is invalid
    */
-  initialize(providerType, apiKey, model = null) {
+  initialize(providerType, apiKey, model = null, options = {}) {
     // Backward compatibility: if only one argument is provided, treat it as the old API format
     // Old API: initialize(apiKey) -> should become initialize('google', apiKey, defaultModel)
     if (arguments.length === 1 && typeof providerType === 'string') {
@@ -38,14 +84,11 @@ class AIService {
       throw new Error('Provider type is required');
     }
 
-    if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0) {
-      throw new Error('API key is required');
-    }
-
     const providerConfig = AI.PROVIDERS[providerType];
     if (!providerConfig) {
       throw new Error(`Unknown provider: ${providerType}`);
     }
+    const resolvedApiKey = this._resolveApiKey(providerType, apiKey);
 
     // Use provided model or default for provider
     const selectedModel = model || providerConfig.models[0]?.id;
@@ -55,9 +98,19 @@ class AIService {
 
     try {
       // Dynamically load and initialize the appropriate LangChain model
-      this.model = this._createLangChainModel(providerType, apiKey, selectedModel);
+      const generation = this._resolveGenerationParams(providerType, {}, selectedModel);
+      this.model = this._createLangChainModel(
+        providerType,
+        resolvedApiKey,
+        selectedModel,
+        options || {},
+        generation
+      );
       this.providerType = providerType;
       this.selectedModel = selectedModel;
+      this.connection = { apiKey: resolvedApiKey, options: options || {} };
+      this.generation = generation;
+      this.modelCache.clear();
       this.logger.success(`AI service initialized with ${providerType} (${selectedModel})`);
     } catch (error) {
       this.logger.error('Failed to initialize AI provider', error);
@@ -71,31 +124,44 @@ class AIService {
    * @param {string} providerType - Provider type
    * @param {string} apiKey - API key
    * @param {string} modelName - Model name
+   * @param {Object} [options] - Provider connection options, as for initialize()
+   * @param {Object} [generation] - Resolved sampling settings (see _resolveGenerationParams)
    * @returns {Object} LangChain model instance
    */
-  _createLangChainModel(providerType, apiKey, modelName) {
+  _createLangChainModel(
+    providerType,
+    apiKey,
+    modelName,
+    options = {},
+    generation = this._resolveGenerationParams(providerType, {}, modelName)
+  ) {
+    const { temperature, maxOutputTokens, topP } = generation;
+    // Unset values are left out so the provider's own defaults apply
+    const sampling = {
+      ...(temperature !== null && { temperature }),
+      ...(topP !== null && { topP }),
+    };
+
     switch (providerType) {
       case 'google': {
         // Using @langchain/google-genai
         const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
         
-        // Create a custom class that extends ChatGoogleGenerativeAI to support gemini-2.0 models
+        // The library guesses multimodality from the model name and rejects images for any
+        // model it doesn't know; ask the capability registry instead
         class ExtendedChatGoogleGenerativeAI extends ChatGoogleGenerativeAI {
           get _isMultimodalModel() {
-            // Original check: includes "vision" or starts with "gemini-1.5"
-            // Extended to also support "gemini-2.0" models
-            return (
-              this.model.includes('vision') ||
-              this.model.startsWith('gemini-1.5') ||
-              this.model.startsWith('gemini-2.0')
-            );
+            return getModelCapabilities('google', this.model).vision;
           }
         }
         
         return new ExtendedChatGoogleGenerativeAI({
           model: modelName,
           apiKey,
-          temperature: 0.7,
+          ...sampling,
+          ...(maxOutputTokens !== null && { maxOutputTokens }),
+          maxRetries: 0, // Retries are handled by _withRetries
+          ...(options.baseUrl && { baseUrl: options.baseUrl }),
         });
       }
       case 'openai': {
@@ -104,7 +170,10 @@ class AIService {
         return new ChatOpenAI({
           modelName: modelName,
           openAIApiKey: apiKey,
-          temperature: 0.7,
+          ...sampling,
+          ...(maxOutputTokens !== null && { maxTokens: maxOutputTokens }),
+          maxRetries: 0,
+          ...this._openAIConfiguration(options),
         });
       }
       case 'anthropic': {
@@ -113,7 +182,28 @@ class AIService {
         return new ChatAnthropic({
           modelName: modelName,
           anthropicApiKey: apiKey,
-          temperature: 0.7,
+          ...sampling,
+          ...(maxOutputTokens !== null && { maxTokens: maxOutputTokens }),
+          maxRetries: 0,
+          ...(options.baseUrl && { anthropicApiUrl: options.baseUrl }),
+          ...(this._hasHeaders(options.headers) && {
+            clientOptions: { defaultHeaders: options.headers },
+          }),
+        });
+      }
+      case 'local': {
+        // Ollama or any OpenAI-compatible server, via @langchain/openai
+        const { ChatOpenAI } = require('@langchain/openai');
+        return new ChatOpenAI({
+          modelName,
+          openAIApiKey: apiKey,
+          ...sampling,
+          ...(maxOutputTokens !== null && { maxTokens: maxOutputTokens }),
+          maxRetries: 0,
+          ...this._openAIConfiguration({
+            ...options,
+            baseUrl: options.baseUrl || AI.PROVIDERS.local.defaultBaseUrl,
+          }),
         });
       }
       default:
@@ -121,6 +211,90 @@ class AIService {
     }
   }
 
+  /**
+   * Build the OpenAI client configuration for a gateway, leaving out unset options so
+   * the vendor defaults apply
+   * @private
+   * @param {Object} options - Provider connection options
+   * @returns {{configuration?: Object}} Spread into the ChatOpenAI constructor fields
+   */
+  _openAIConfiguration(options) {
+    const configuration = {
+      ...(options.baseUrl && { baseURL: options.baseUrl }),
+      ...(this._hasHeaders(options.headers) && { defaultHeaders: options.headers }),
+      ...(options.organization && { organization: options.organization }),
+      ...(options.project && { project: options.project }),
+    };
+    return Object.keys(configuration).length > 0 ? { configuration } : {};
+  }
+
+  /**
+   * Check whether custom headers were configured
+   * @private
+   * @param {Object<string, string>} [headers] - Header map
+   * @returns {boolean} True if there is at least one header
+   */
+  _hasHeaders(headers) {
+    return !!headers && Object.keys(headers).length > 0;
+  }
+
+  /**
+   * Resolve the API key to use for a provider. Providers that do not need a key
+   * (local servers) get a placeholder so the client libraries accept them.
+   * @private
+   * @param {string} providerType - Provider type
+   * @param {string} [apiKey] - API key supplied by the user
+   * @returns {string} API key
+   * @throws {Error} If the provider requires a key and none was supplied
+   */
+  _resolveApiKey(providerType, apiKey) {
+    if (apiKey && typeof apiKey === 'string' && apiKey.trim().length > 0) {
+      return apiKey;
+    }
+
+    const providerConfig = AI.PROVIDERS[providerType];
+    if (providerConfig?.requiresApiKey === false) {
+      return providerConfig.placeholderApiKey;
+    }
+
+    throw new Error('API key is required');
+  }
+
+  /**
+   * List the models installed on a local Ollama or OpenAI-compatible server
+   * @param {string} [baseUrl] - Server URL (defaults to the local provider's default)
+   * @returns {Promise<{success: boolean, models: Array<{id: string, name: string}>,
+   *   error?: string}>}
+   */
+  async listLocalModels(baseUrl = AI.PROVIDERS.local.defaultBaseUrl) {
+    const url = `${(baseUrl || AI.PROVIDERS.local.defaultBaseUrl).replace(/\/+$/, '')}/models`;
+
+    try {
+      const response = await fetch(url, {
+        signal: AbortSignal.timeout(AI.MODEL_DISCOVERY_TIMEOUT),
+      });
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+
+      const body = await response.json();
+      const models = (body.data || body.models || [])
+        .map((model) => model.id || model.name)
+        .filter(Boolean)
+        .map((id) => ({ id, name: id }));
+
+      this.logger.info(`Found ${models.length} local model(s) at ${url}`);
+      return { success: true, models };
+    } catch (error) {
+      this.logger.warn(`Failed to list local models from ${url}`, error.message);
+      return {
+        success: false,
+        models: [],
+        error: `Could not reach a local model server at ${baseUrl}`,
+      };
+    }
+  }
+
   /**
    * Check if AI is initialized
    * @returns {boolean} True if initialized
@@ -146,144 +320,2145 @@ class AIService {
   }
 
   /**
-   * Generate AI response for prompt, optionally with image
+   * Configure the ordered fallback chain used when the primary provider fails with a
+   * quota, auth or availability error. Invalid entries are skipped with a warning.
+   * @param {Array<{provider: string, model?: string, apiKey: string, options?: Object}>}
+   *   entries - Fallbacks, with provider options as for initialize()
+   * @returns {number} Number of fallbacks configured
+   */
+  setFallbacks(entries = []) {
+    this.fallbacks = [];
+    this.modelCache.clear(); // Keys or connection options may have changed
+
+    (entries || []).forEach(({ provider, model, apiKey, options }) => {
+      try {
+        const providerConfig = AI.PROVIDERS[provider];
+        if (!providerConfig) {
+          throw new Error(`Unknown provider: ${provider}`);
+        }
+        const resolvedApiKey = this._resolveApiKey(provider, apiKey);
+
+        const modelName = model || providerConfig.models[0]?.id;
+        const connection = { apiKey: resolvedApiKey, options: options || {} };
+        const generation = this._resolveGenerationParams(provider, {}, modelName);
+        this.fallbacks.push({
+          providerType: provider,
+          modelName,
+          model: this._createLangChainModel(
+            provider,
+            connection.apiKey,
+            modelName,
+            connection.options,
+            generation
+          ),
+          connection,
+          generation,
+        });
+      } catch (error) {
+        this.logger.warn(`Skipping fallback ${provider} (${model || 'default'}): ${error.message}`);
+      }
+    });
+
+    this.logger.info(`Configured ${this.fallbacks.length} fallback provider(s)`);
+    return this.fallbacks.length;
+  }
+
+  /**
+   * Get the configured fallback chain
+   * @returns {Array<{provider: string, model: string}>} Fallbacks in order
+   */
+  getFallbacks() {
+    return this.fallbacks.map(({ providerType, modelName }) => ({
+      provider: providerType,
+      model: modelName,
+    }));
+  }
+
+  /**
+   * Set the sampling settings used for every request unless overridden per request
+   * Values outside a provider's AI.PROVIDERS[].generationRanges are clamped to the range
+   * when that provider is called. Models are re-created lazily with the new settings.
+   * @param {{temperature?: number|null, maxOutputTokens?: number|null, topP?: number|null}}
+   *   params - Settings; null leaves the provider's default, missing keys the built-in one
+   */
+  setGenerationParams(params = {}) {
+    this.generationParams = { ...AI.DEFAULT_GENERATION_PARAMS, ...params };
+  }
+
+  /**
+   * Get the sampling settings set with setGenerationParams
+   * @returns {{temperature: number|null, maxOutputTokens: number|null, topP: number|null}}
+   */
+  getGenerationParams() {
+    return { ...this.generationParams };
+  }
+
+  /**
+   * Offer the local tools (ToolService) to models that support function calling, or stop
+   * offering them
+   * @param {boolean} enabled - Whether answers may use tools
+   */
+  setToolsEnabled(enabled) {
+    this.toolsEnabled = !!enabled;
+  }
+
+  /**
+   * Whether answers may use the local tools
+   * @returns {boolean}
+   */
+  getToolsEnabled() {
+    return this.toolsEnabled;
+  }
+
+  /**
+   * Set spending and request caps per provider
+   * Costs are in USD (estimated from AI.MODEL_PRICING); a missing cap means no limit.
+   * action 'block' (default) refuses requests over a cap, falling back to the next
+   * provider in the chain if there is one; 'warn' lets them through with usageWarnings.
+   * @param {Object<string, {dailyCost?: number, monthlyCost?: number, dailyRequests?: number,
+   *   monthlyRequests?: number, action?: string}>} limits - Caps keyed by provider type
+   */
+  setUsageLimits(limits = {}) {
+    this.usageLimits = { ...limits };
+  }
+
+  /**
+   * Restore usage counters saved by a previous run (see getUsageCounters)
+   * @param {Object} counters - Counters keyed by provider type
+   */
+  restoreUsageCounters(counters = {}) {
+    this.usageCounters = Object.fromEntries(
+      Object.entries(counters || {}).map(([provider, { day, month }]) => [
+        provider,
+        { day: { ...day }, month: { ...month } },
+      ])
+    );
+  }
+
+  /**
+   * Get this day's and month's request, token and cost counters per provider
+   * Counters reset when the local calendar day or month changes.
+   * @returns {Object<string, {day: Object, month: Object}>} Counters keyed by provider type,
+   *   each period as { period, requests, tokens, cost }
+   */
+  getUsageCounters() {
+    const providers = new Set([
+      ...Object.keys(this.usageCounters),
+      ...Object.keys(this.usageLimits),
+    ]);
+    return Object.fromEntries(
+      [...providers].map((provider) => {
+        const { day, month } = this._getUsageCounters(provider);
+        return [provider, { day: { ...day }, month: { ...month } }];
+      })
+    );
+  }
+
+  /**
+   * Check a provider's counters against its caps
+   * Request caps count the request about to be made; cost caps can only be checked against
+   * what has been spent so far. Caps at AI.USAGE_WARNING_THRESHOLD or above are reported.
+   * @param {string} providerType - Provider type
+   * @returns {Array<{provider: string, period: string, metric: string, limit: number,
+   *   used: number, exceeded: boolean, message: string}>} Caps that are close or exceeded
+   */
+  checkUsageLimits(providerType) {
+    const limits = this.usageLimits[providerType];
+    if (!limits) {
+      return [];
+    }
+
+    const counters = this._getUsageCounters(providerType);
+    const checks = [];
+    USAGE_LIMITS.forEach(({ key, period, metric }) => {
+      const limit = limits[key];
+      if (typeof limit !== 'number') {
+        return;
+      }
+
+      const used = counters[period][metric];
+      const projected = metric === 'requests' ? used + 1 : used;
+      const exceeded = metric === 'requests' ? projected > limit : used >= limit;
+      if (exceeded || projected >= limit * AI.USAGE_WARNING_THRESHOLD) {
+        const check = { provider: providerType, period, metric, limit, used, exceeded };
+        checks.push({ ...check, message: this._describeUsageLimit(check) });
+      }
+    });
+    return checks;
+  }
+
+  /**
+   * Generate AI response for prompt, optionally with image and prior turns
    * @param {string} prompt - User prompt (required)
    * @param {string} [imageDataUrl] - Image data URL (optional)
-   * @returns {Promise<{success: boolean, text?: string, error?: string}>}
+   * @param {Array<{role: string, content: string, error?: boolean}>} [history] - Prior
+   *   messages in the conversation, oldest first (as returned by
+   *   ConversationService.getConversationWithMessages)
+   * @param {Object} [options] - Request options
+   * @param {string} [options.requestId] - ID that can be passed to cancelRequest()
+   * @param {Function} [options.onRetry] - Called with ({ attempt, maxAttempts, delayMs })
+   *   before each retry
+   * @param {Function} [options.onFallback] - Called with ({ from, to }) before switching
+   *   to the next provider in the fallback chain
+   * @param {Object} [options.target] - Provider/model to use instead of the configured one,
+   *   as { provider, model, apiKey, options } (e.g. the model chosen for a conversation)
+   * @param {string} [options.systemPrompt] - System instruction sent before the conversation
+   *   (e.g. from the active preset)
+   * @param {Object} [options.generationParams] - Sampling settings for this request only
+   *   ({ temperature, maxOutputTokens, topP }, e.g. a conversation's overrides)
+   * @param {Object} [options.summary] - Stored summary of the conversation's older turns
+   *   ({ text, messageCount }), sent instead of the first messageCount history messages
+   * @param {boolean} [options.fallback] - false to fail instead of moving down the fallback
+   *   chain, so the answer always comes from the requested model
+   * @param {boolean} [options.tools] - Offer the local tools to a model that supports
+   *   function calling (default: setToolsEnabled)
+   * @param {Function} [options.onToolCall] - Called with each tool call as it completes,
+   *   as { id, name, args, result } or { id, name, args, error }
+   * @param {Object} [options.screenText] - Text recognized in the screenshot ({ text,
+   *   include }), sent with the instruction when include is set or the model can't see
+   *   the image
+   * @returns {Promise<{success: boolean, text?: string, error?: string, cancelled?: boolean,
+   *   attempts?: number, provider?: string, model?: string, fallbackUsed?: boolean,
+   *   usage?: {inputTokens: number, outputTokens: number, cost: number|null}|null,
+   *   contextSummary?: Object, summaryUpdated?: boolean, toolCalls?: Array<Object>}>}
+   *   contextSummary is the summary sent with the request; summaryUpdated is true when it
+   *   was (re)written for it; toolCalls lists the tools the model called, in order
    */
-  async generateResponse(prompt, imageDataUrl) {
+  async generateResponse(prompt, imageDataUrl, history = [], options = {}) {
+    const requestId = options.requestId || randomUUID();
+    const { onRetry = () => {}, onFallback = () => {}, onToolCall } = options;
+    const controller = this._trackRequest(requestId);
+
     try {
-      if (!this.isInitialized()) {
-        throw new Error('AI service not initialized. Please set your API key.');
-      }
+      this._validateRequest(prompt);
+      const primary = this._resolvePrimary(options.target);
+      const context = await this._manageContext(controller, prompt, imageDataUrl, history, {
+        ...options,
+        primary,
+      });
 
-      if (!prompt) {
-        throw new Error('Prompt is required');
-      }
+      // Invoke model using LangChain's unified interface, with timeout and retries per
+      // provider and fallback through the configured chain
+      const {
+        value: response,
+        attempts,
+        target,
+        fallbackUsed,
+        usageWarnings,
+        toolCalls = [],
+        usage: toolUsage,
+      } = await this._withFallbacks(
+        controller,
+        (candidate) => {
+          const messages = this._prepareRequest(
+            prompt,
+            imageDataUrl,
+            history,
+            candidate,
+            options.systemPrompt,
+            context.summary,
+            options.screenText
+          );
+          const invoke = (model, conversation) =>
+            this._withRetries(
+              controller,
+              (signal) => model.invoke(conversation, { signal }),
+              { onRetry }
+            );
+          return this._useTools(candidate, options)
+            ? this._withTools(candidate, messages, invoke, onToolCall)
+            : invoke(candidate.model, messages);
+        },
+        {
+          onFallback,
+          canFallback: () => options.fallback !== false,
+          primary,
+          generation: options.generationParams,
+        }
+      );
+
+      // Extract text from response (LangChain standardizes this; answers after tool calls
+      // may come as content blocks)
+      const text = this._extractText(response.content) || response.text() || String(response);
 
-      const providerConfig = AI.PROVIDERS[this.providerType];
-      const supportsImage = providerConfig?.supportsImage ?? false;
+      const usage = this._buildUsage(
+        target.modelName,
+        toolUsage !== undefined ? toolUsage : this._extractUsage(response)
+      );
+      this._recordUsage(target.providerType, usage);
 
-      // Check if image is supported by provider
-      if (imageDataUrl && !supportsImage) {
-        this.logger.warn('Image provided but current provider does not support images');
-        imageDataUrl = null;
+      this.logger.success(`AI response received from ${target.providerType}`);
+      return {
+        success: true,
+        text,
+        attempts,
+        ...this._describeTarget(target, fallbackUsed),
+        usage,
+        ...(usageWarnings.length > 0 && { usageWarnings }),
+        ...this._describeContext(context),
+        ...(toolCalls.length > 0 && { toolCalls }),
+      };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return this._cancelledResult(requestId);
       }
+      return this._handleRequestError(error);
+    } finally {
+      this.activeRequests.delete(requestId);
+    }
+  }
+
+  /**
+   * Stream AI response for prompt, reporting each text chunk as it arrives
+   * Accepts the same inputs as generateResponse and resolves with the same result
+   * shape once the stream has finished.
+   * @param {string} prompt - User prompt (required)
+   * @param {string} [imageDataUrl] - Image data URL (optional)
+   * @param {Array} [history] - Prior conversation messages, oldest first
+   * @param {Object} [options] - Request options
+   * @param {string} [options.requestId] - ID that can be passed to cancelRequest()
+   * @param {Function} [options.onChunk] - Called with (chunk, textSoFar) for every text chunk
+   * @param {Function} [options.onRetry] - Called with ({ attempt, maxAttempts, delayMs })
+   *   before each retry
+   * @param {Function} [options.onFallback] - Called with ({ from, to }) before switching
+   *   to the next provider in the fallback chain
+   * @param {Object} [options.target] - Provider/model to use instead of the configured one,
+   *   as { provider, model, apiKey, options } (e.g. the model chosen for a conversation)
+   * @param {string} [options.systemPrompt] - System instruction sent before the conversation
+   *   (e.g. from the active preset)
+   * @param {Object} [options.generationParams] - Sampling settings for this request only
+   *   ({ temperature, maxOutputTokens, topP }, e.g. a conversation's overrides)
+   * @param {Object} [options.summary] - Stored summary of the conversation's older turns
+   *   ({ text, messageCount }), sent instead of the first messageCount history messages
+   * @param {boolean} [options.tools] - Offer the local tools (default: setToolsEnabled)
+   * @param {Function} [options.onToolCall] - Called with each tool call as it completes
+   * @param {Object} [options.screenText] - Text recognized in the screenshot, as for
+   *   generateResponse
+   * @returns {Promise<{success: boolean, text?: string, error?: string, cancelled?: boolean,
+   *   attempts?: number, provider?: string, model?: string, fallbackUsed?: boolean,
+   *   contextSummary?: Object, summaryUpdated?: boolean, toolCalls?: Array<Object>}>}
+   */
+  async streamResponse(prompt, imageDataUrl, history = [], options = {}) {
+    const requestId = options.requestId || randomUUID();
+    const { onChunk = () => {}, onRetry = () => {}, onFallback = () => {}, onToolCall } = options;
+    const controller = this._trackRequest(requestId);
+    let text = '';
+    let usage = null;
+    let toolCalls = [];
+    // Once text has reached the renderer, neither retries nor fallbacks are safe
+    const nothingStreamed = () => text.length === 0;
 
-      this.logger.info('Processing AI request', {
-        provider: this.providerType,
-        model: this.selectedModel,
-        hasImage: !!imageDataUrl,
+    try {
+      this._validateRequest(prompt);
+      const primary = this._resolvePrimary(options.target);
+      const context = await this._manageContext(controller, prompt, imageDataUrl, history, {
+        ...options,
+        primary,
       });
 
-      // Prepare messages based on provider
-      const messages = this._prepareMessages(prompt, imageDataUrl);
+      // Stream model output using LangChain's unified interface. The timeout applies to
+      // the wait for each chunk.
+      const { attempts, target, fallbackUsed, usageWarnings } = await this._withFallbacks(
+        controller,
+        (candidate) => {
+          const messages = this._prepareRequest(
+            prompt,
+            imageDataUrl,
+            history,
+            candidate,
+            options.systemPrompt,
+            context.summary,
+            options.screenText
+          );
+          if (this._useTools(candidate, options)) {
+            return this._streamWithTools(controller, candidate, messages, {
+              onRetry,
+              onToolCall,
+              canRetry: nothingStreamed,
+              onText: (chunkText) => {
+                text += chunkText;
+                onChunk(chunkText, text);
+              },
+            }).then((result) => {
+              ({ usage, toolCalls } = result);
+              return result;
+            });
+          }
+          // Models that can't stream are called normally and their answer sent as one chunk
+          if (!this._getCapabilities(candidate.providerType, candidate.modelName).streaming) {
+            return this._withRetries(
+              controller,
+              async (signal) => {
+                const response = await candidate.model.invoke(messages, { signal });
+                usage = this._extractUsage(response);
+                text = this._extractText(response.content);
+                if (text) {
+                  onChunk(text, text);
+                }
+              },
+              { onRetry, canRetry: nothingStreamed }
+            );
+          }
+          return this._withRetries(
+            controller,
+            async (signal, resetTimeout) => {
+              const stream = await candidate.model.stream(messages, { signal });
+              usage = null;
 
-      // Invoke model using LangChain's unified interface
-      const response = await this.model.invoke(messages);
+              await this._readStream(stream, signal, (chunk) => {
+                resetTimeout();
+                usage = this._addUsage(usage, this._extractUsage(chunk));
+                const chunkText = this._extractText(chunk.content);
+                if (chunkText) {
+                  text += chunkText;
+                  onChunk(chunkText, text);
+                }
+              });
+            },
+            { onRetry, canRetry: nothingStreamed }
+          );
+        },
+        {
+          onFallback,
+          canFallback: nothingStreamed,
+          primary,
+          generation: options.generationParams,
+        }
+      );
 
-      // Extract text from response (LangChain standardizes this)
-      const text = response.content || response.text() || String(response);
+      if (controller.signal.aborted) {
+        return this._cancelledResult(requestId, text);
+      }
 
-      this.logger.success('AI response received');
-      return { success: true, text };
-    } catch (error) {
-      this.logger.error('AI request failed', error);
+      const streamedUsage = this._buildUsage(target.modelName, usage);
+      this._recordUsage(target.providerType, streamedUsage);
 
-      // Extract error code if available
-      let errorCode = null;
-      if (error.status) {
-        errorCode = error.status;
-      } else if (error.response?.status) {
-        errorCode = error.response.status;
-      } else if (error.statusCode) {
-        errorCode = error.statusCode;
+      this.logger.success(`AI response streamed from ${target.providerType}`);
+      return {
+        success: true,
+        text,
+        attempts,
+        ...this._describeTarget(target, fallbackUsed),
+        usage: streamedUsage,
+        ...(usageWarnings.length > 0 && { usageWarnings }),
+        ...this._describeContext(context),
+        ...(toolCalls.length > 0 && { toolCalls }),
+      };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return this._cancelledResult(requestId, text);
       }
+      return this._handleRequestError(error);
+    } finally {
+      this.activeRequests.delete(requestId);
+    }
+  }
+
+  /**
+   * Ask several models the same question in parallel, e.g. to pick a provider
+   * Each model is called once without the fallback chain, so every answer comes from the
+   * model it is labelled with. Cancelling requestId stops the models still answering.
+   * @param {string} prompt - User prompt
+   * @param {string} [imageDataUrl] - Image data URL
+   * @param {Array<{role: string, content: string, error?: boolean}>} [history] - Prior
+   *   messages, as for generateResponse
+   * @param {Array<Object>} targets - Models to ask, as { provider, model, apiKey, options }
+   *   (see options.target of generateResponse)
+   * @param {Object} [options] - Request options
+   * @param {string} [options.requestId] - ID that can be passed to cancelRequest()
+   * @param {string} [options.systemPrompt] - System instruction sent to every model
+   * @param {Object} [options.generationParams] - Sampling settings for every model
+   * @param {Object} [options.screenText] - Text recognized in the screenshot, as for
+   *   generateResponse
+   * @param {Function} [options.onResult] - Called with (index, result) as each model answers
+   * @returns {Promise<Array<Object>>} Results in target order, as returned by
+   *   generateResponse with the requested provider/model and latencyMs (time to the answer)
+   */
+  async compareResponses(prompt, imageDataUrl, history = [], targets = [], options = {}) {
+    const requestId = options.requestId || randomUUID();
+    const { onResult = () => {}, systemPrompt, generationParams, screenText } = options;
+    const controller = this._trackRequest(requestId);
+    const modelRequestIds = targets.map((_, index) => `${requestId}:${index}`);
+    controller.signal.addEventListener('abort', () => {
+      modelRequestIds.forEach((id) => this.cancelRequest(id));
+    });
+
+    this.logger.info(`Comparing ${targets.length} model(s)`);
+    try {
+      return await Promise.all(
+        targets.map(async (target, index) => {
+          const startedAt = Date.now();
+          const result = await this.generateResponse(prompt, imageDataUrl, history, {
+            requestId: modelRequestIds[index],
+            target,
+            systemPrompt,
+            generationParams,
+            screenText,
+            fallback: false,
+          });
+          const timed = {
+            provider: target.provider,
+            model: target.model,
+            ...result,
+            latencyMs: Date.now() - startedAt,
+          };
+          onResult(index, timed);
+          return timed;
+        })
+      );
+    } finally {
+      this.activeRequests.delete(requestId);
+    }
+  }
+
+  /**
+   * Extract structured data (a table, form fields or a list) from a screenshot
+   * The model is constrained to the shape's JSON schema (AI.EXTRACTION_SHAPES) through tool
+   * calling, or JSON mode for local servers, and its answer is validated and normalized to
+   * a grid of text cells.
+   * @param {string} imageDataUrl - Screenshot data URL (required)
+   * @param {string} shape - Key of AI.EXTRACTION_SHAPES ('table', 'keyValue' or 'list')
+   * @param {Object} [options] - Request options
+   * @param {string} [options.instructions] - Extra guidance from the user (e.g. which table)
+   * @param {string} [options.requestId] - ID that can be passed to cancelRequest()
+   * @param {Function} [options.onRetry] - Called with ({ attempt, maxAttempts, delayMs })
+   *   before each retry
+   * @param {Function} [options.onFallback] - Called with ({ from, to }) before switching
+   *   to the next provider in the fallback chain
+   * @param {Object} [options.target] - Provider/model to use instead of the configured one,
+   *   as { provider, model, apiKey, options }
+   * @returns {Promise<{success: boolean, shape?: string,
+   *   grid?: {columns: string[], rows: string[][]}, error?: string, cancelled?: boolean,
+   *   attempts?: number, provider?: string, model?: string, fallbackUsed?: boolean,
+   *   usage?: Object|null}>}
+   */
+  async extractStructured(imageDataUrl, shape, options = {}) {
+    const requestId = options.requestId || randomUUID();
+    const { onRetry = () => {}, onFallback = () => {} } = options;
+    const controller = this._trackRequest(requestId);
 
-      if (errorCode) {
-        error.code = errorCode;
+    try {
+      const shapeConfig = AI.EXTRACTION_SHAPES[shape];
+      if (!shapeConfig) {
+        throw new AppError(`Unknown extraction shape: ${shape}`, 'INVALID_EXTRACTION_SHAPE');
+      }
+      if (!imageDataUrl) {
+        throw new Error('A screenshot is required for extraction');
       }
+      const prompt = [shapeConfig.instruction, options.instructions?.trim()]
+        .filter(Boolean)
+        .join('\n\n');
+      this._validateRequest(prompt);
+      const primary = this._resolvePrimary(options.target);
+
+      const {
+        value: response,
+        attempts,
+        target,
+        fallbackUsed,
+        usageWarnings,
+      } = await this._withFallbacks(
+        controller,
+        (candidate) => {
+          const capabilities = this._getCapabilities(candidate.providerType, candidate.modelName);
+          if (!capabilities.vision || !capabilities.jsonMode) {
+            throw new AppError(
+              `${candidate.modelName} cannot extract structured data from screenshots`,
+              'EXTRACTION_UNSUPPORTED'
+            );
+          }
+
+          // JSON mode only promises JSON, so local models are also shown the schema
+          const jsonMode = candidate.providerType === 'local';
+          const messages = this._prepareRequest(
+            jsonMode
+              ? `${prompt}\n\nAnswer with JSON matching this schema:\n${JSON.stringify(shapeConfig.schema)}`
+              : prompt,
+            imageDataUrl,
+            [],
+            candidate
+          );
+          const model = candidate.model.withStructuredOutput(shapeConfig.schema, {
+            name: `extract_${shape}`,
+            includeRaw: true,
+            ...(jsonMode && { method: 'jsonMode' }),
+          });
+          return this._withRetries(controller, (signal) => model.invoke(messages, { signal }), {
+            onRetry,
+          });
+        },
+        { onFallback, primary }
+      );
 
-      const formattedError = formatUserError(error);
+      const usage = this._buildUsage(target.modelName, this._extractUsage(response.raw));
+      this._recordUsage(target.providerType, usage);
 
+      const grid = this._toGrid(shape, response.parsed);
+      this.logger.success(
+        `Extracted ${grid.rows.length} row(s) as ${shape} from ${target.providerType}`
+      );
       return {
-        success: false,
-        error: formattedError,
-        errorType: formattedError === 'API_QUOTA_EXCEEDED' ? 'QUOTA_EXCEEDED' : 'GENERAL',
+        success: true,
+        shape,
+        grid,
+        attempts,
+        ...this._describeTarget(target, fallbackUsed),
+        usage,
+        ...(usageWarnings.length > 0 && { usageWarnings }),
       };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return this._cancelledResult(requestId);
+      }
+      return this._handleRequestError(error);
+    } finally {
+      this.activeRequests.delete(requestId);
     }
   }
 
   /**
-   * Prepare messages in the format expected by LangChain
+   * Whether to offer the local tools to a target
    * @private
-   * @param {string} prompt - User prompt
-   * @param {string} [imageDataUrl] - Optional image data URL
-   * @returns {Array} Array of message objects
+   * @param {Object} target - Target about to be called
+   * @param {Object} options - Request options ({ tools })
+   * @returns {boolean} True if tools are on and the model can call them
    */
-  _prepareMessages(prompt, imageDataUrl) {
-    if (!imageDataUrl) {
-      // Text-only message - use plain object format (works with all providers)
-      return [{ role: 'user', content: prompt }];
+  _useTools(target, options) {
+    return (
+      (options.tools ?? this.toolsEnabled) &&
+      this._getCapabilities(target.providerType, target.modelName).toolCalling &&
+      typeof target.model.bindTools === 'function'
+    );
+  }
+
+  /**
+   * Call a model with the local tools bound, running the tools it asks for and calling it
+   * again with their results until it answers without tool calls
+   * @private
+   * @param {Object} target - Target to call
+   * @param {Array} messages - Prepared messages
+   * @param {Function} callModel - Called with (model, messages) for each round; resolves
+   *   with { value: AI message (with tool_calls), attempts }
+   * @param {Function} [onToolCall] - Called with each tool call as it completes
+   * @returns {Promise<{value: Object, attempts: number, usage: Object|null,
+   *   toolCalls: Array<Object>}>} Final message, attempts and token usage over every round,
+   *   and the tool calls made ({ id, name, args, result } or { id, name, args, error })
+   * @throws {AppError} TOOL_LIMIT_EXCEEDED if the model still calls tools after
+   *   AI.TOOLS.maxRounds rounds
+   */
+  async _withTools(target, messages, callModel, onToolCall = () => {}) {
+    const model = target.model.bindTools(this.toolService.getDefinitions());
+    const conversation = [...messages];
+    const toolCalls = [];
+    let attempts = 0;
+    let usage = null;
+
+    const round = async (index) => {
+      const { value: response, attempts: used } = await callModel(model, conversation);
+      attempts += used;
+      usage = this._addUsage(usage, this._extractUsage(response));
+
+      const calls = response.tool_calls || [];
+      if (calls.length === 0) {
+        return { value: response, attempts, usage, toolCalls };
+      }
+      if (index >= AI.TOOLS.maxRounds) {
+        throw new AppError(
+          `The model was still calling tools after ${AI.TOOLS.maxRounds} rounds`,
+          'TOOL_LIMIT_EXCEEDED'
+        );
+      }
+
+      conversation.push(response);
+      calls.forEach(({ id, name, args }) => {
+        const outcome = this.toolService.run(name, args);
+        const call = { id, name, args, ...outcome };
+        toolCalls.push(call);
+        onToolCall(call);
+        conversation.push(
+          new ToolMessage({
+            tool_call_id: id,
+            name,
+            content: JSON.stringify('error' in outcome ? { error: outcome.error } : outcome.result),
+          })
+        );
+      });
+      this.logger.info(`Ran ${calls.length} tool call(s) for ${target.providerType}`, {
+        tools: calls.map((call) => call.name),
+      });
+      return round(index + 1);
+    };
+
+    return round(1);
+  }
+
+  /**
+   * Stream an answer that may use the local tools: each round is streamed, its chunks merged
+   * back into one message to read the tool calls from, and the text reported as it arrives
+   * Models that can't stream are called normally, one round at a time.
+   * @private
+   * @param {AbortController} controller - Request controller (aborted on cancel)
+   * @param {Object} target - Target to call
+   * @param {Array} messages - Prepared messages
+   * @param {Object} options - { onText(chunk), onRetry, canRetry, onToolCall }
+   * @returns {Promise<Object>} As for _withTools
+   */
+  _streamWithTools(controller, target, messages, options) {
+    const { onText, onRetry, canRetry, onToolCall } = options;
+    const canStream = this._getCapabilities(target.providerType, target.modelName).streaming;
+
+    const callModel = (model, conversation) =>
+      this._withRetries(
+        controller,
+        async (signal, resetTimeout) => {
+          if (!canStream) {
+            const response = await model.invoke(conversation, { signal });
+            const responseText = this._extractText(response.content);
+            if (responseText) {
+              onText(responseText);
+            }
+            return response;
+          }
+
+          const stream = await model.stream(conversation, { signal });
+          let message = null;
+          await this._readStream(stream, signal, (chunk) => {
+            resetTimeout();
+            message = message ? message.concat(chunk) : chunk;
+            const chunkText = this._extractText(chunk.content);
+            if (chunkText) {
+              onText(chunkText);
+            }
+          });
+          return message || { content: '' };
+        },
+        { onRetry, canRetry }
+      );
+
+    return this._withTools(target, messages, callModel, onToolCall);
+  }
+
+  /**
+   * Validate an extraction and normalize it to a grid of text cells
+   * Table rows are padded to the widest row; form fields become Field/Value rows and list
+   * items single-cell rows.
+   * @private
+   * @param {string} shape - Key of AI.EXTRACTION_SHAPES
+   * @param {Object} data - Parsed model output
+   * @returns {{columns: string[], rows: string[][]}} Grid
+   * @throws {AppError} If the output does not match the shape
+   */
+  _toGrid(shape, data) {
+    const cell = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    };
+    const invalid = () =>
+      new AppError(
+        `The model did not return a valid ${AI.EXTRACTION_SHAPES[shape].name.toLowerCase()}`,
+        'INVALID_EXTRACTION'
+      );
+
+    switch (shape) {
+      case 'table': {
+        if (
+          !Array.isArray(data?.columns) ||
+          !Array.isArray(data?.rows) ||
+          !data.rows.every(Array.isArray)
+        ) {
+          throw invalid();
+        }
+        const width = Math.max(data.columns.length, ...data.rows.map((row) => row.length));
+        const columns = Array.from(
+          { length: width },
+          (_, i) => cell(data.columns[i]) || `Column ${i + 1}`
+        );
+        return { columns, rows: data.rows.map((row) => columns.map((_, i) => cell(row[i]))) };
+      }
+      case 'keyValue': {
+        if (!Array.isArray(data?.fields) || !data.fields.every((field) => field?.key)) {
+          throw invalid();
+        }
+        return {
+          columns: ['Field', 'Value'],
+          rows: data.fields.map(({ key, value }) => [cell(key), cell(value)]),
+        };
+      }
+      case 'list': {
+        if (!Array.isArray(data?.items)) {
+          throw invalid();
+        }
+        return { columns: ['Item'], rows: data.items.map((item) => [cell(item)]) };
+      }
+      default:
+        throw invalid();
     }
+  }
 
-    // Multimodal message with image
-    const base64Image = this._extractBase64(imageDataUrl);
+  /**
+   * Write a short title for a conversation from its first exchange
+   * The call goes to the cheap model AI.TITLE_GENERATION lists for the target's provider,
+   * without the screenshot or fallbacks; the caller keeps its own title if it fails.
+   * @param {string} prompt - First question
+   * @param {string} answer - First answer
+   * @param {Object} [options] - Request options
+   * @param {string} [options.requestId] - ID used to cancel the request
+   * @param {Object} [options.target] - { provider, model, apiKey, options } of the
+   *   conversation (default: the configured model)
+   * @returns {Promise<{success: boolean, title?: string, provider?: string, model?: string,
+   *   usage?: Object, error?: string}>}
+   */
+  async generateTitle(prompt, answer, options = {}) {
+    const requestId = options.requestId || randomUUID();
+    const controller = this._trackRequest(requestId);
 
-    // Format varies by provider
-    if (this.providerType === 'google') {
-      // Google Gemini format - use HumanMessage with image_url
-      return [
-        new HumanMessage({
-          content: [
-            { type: 'text', text: prompt },
-            {
-              type: 'image_url',
-              image_url: {
-                url: imageDataUrl, // Data URL format: data:image/png;base64,...
-              },
-            },
-          ],
-        }),
+    try {
+      this._validateRequest(prompt);
+      const target = this._resolveCheapTarget(options.target, AI.TITLE_GENERATION.maxTokens);
+      this._enforceUsageLimits(target.providerType);
+
+      const messages = [
+        { role: 'system', content: TITLE_INSTRUCTION },
+        {
+          role: 'user',
+          content: `Question: ${prompt.trim()}\n\nAnswer: ${(answer || '').trim().slice(0, 2000)}`,
+        },
       ];
+      const { value: response } = await this._withRetries(controller, (signal) =>
+        target.model.invoke(messages, { signal })
+      );
+      const usage = this._buildUsage(target.modelName, this._extractUsage(response));
+      this._recordUsage(target.providerType, usage);
+
+      const title = this._cleanTitle(this._extractText(response.content));
+      if (!title) {
+        throw new Error('The model returned an empty title');
+      }
+      return {
+        success: true,
+        title,
+        provider: target.providerType,
+        model: target.modelName,
+        usage,
+      };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return this._cancelledResult(requestId);
+      }
+      return this._handleRequestError(error);
+    } finally {
+      this.activeRequests.delete(requestId);
     }
-    if (this.providerType === 'openai') {
-      // OpenAI format - use HumanMessage with image_url
-      return [
-        new HumanMessage({
-          content: [
-            { type: 'text', text: prompt },
-            {
-              type: 'image_url',
-              image_url: {
-                url: imageDataUrl,
-              },
-            },
-          ],
-        }),
+  }
+
+  /**
+   * Suggest follow-up questions for an answer
+   * The call goes to the same cheap model as generateTitle, with the question and answer
+   * (which describes the screenshot) but not the screenshot itself, and without fallbacks.
+   * @param {string} prompt - Question that was answered
+   * @param {string} answer - Answer to follow up on
+   * @param {Object} [options] - Request options
+   * @param {string} [options.requestId] - ID used to cancel the request
+   * @param {Object} [options.target] - { provider, model, apiKey, options } of the
+   *   conversation (default: the configured model)
+   * @returns {Promise<{success: boolean, followUps?: string[], provider?: string,
+   *   model?: string, usage?: Object, error?: string}>} Up to AI.FOLLOW_UPS.count questions
+   */
+  async suggestFollowUps(prompt, answer, options = {}) {
+    const requestId = options.requestId || randomUUID();
+    const controller = this._trackRequest(requestId);
+
+    try {
+      this._validateRequest(prompt);
+      const target = this._resolveCheapTarget(options.target, AI.FOLLOW_UPS.maxTokens);
+      this._enforceUsageLimits(target.providerType);
+
+      const messages = [
+        { role: 'system', content: FOLLOW_UP_INSTRUCTION(AI.FOLLOW_UPS.count) },
+        {
+          role: 'user',
+          content: `Question: ${prompt.trim()}\n\nAnswer: ${(answer || '').trim().slice(0, 4000)}`,
+        },
       ];
+      const { value: response } = await this._withRetries(controller, (signal) =>
+        target.model.invoke(messages, { signal })
+      );
+      const usage = this._buildUsage(target.modelName, this._extractUsage(response));
+      this._recordUsage(target.providerType, usage);
+
+      const followUps = this._parseFollowUps(this._extractText(response.content));
+      if (followUps.length === 0) {
+        throw new Error('The model returned no follow-up questions');
+      }
+      return {
+        success: true,
+        followUps,
+        provider: target.providerType,
+        model: target.modelName,
+        usage,
+      };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return this._cancelledResult(requestId);
+      }
+      return this._handleRequestError(error);
+    } finally {
+      this.activeRequests.delete(requestId);
     }
-    if (this.providerType === 'anthropic') {
-      // Anthropic format - use HumanMessage with image source
-      return [
-        new HumanMessage({
-          content: [
-            { type: 'text', text: prompt },
-            {
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: 'image/png',
-                data: base64Image,
-              },
-            },
-          ],
-        }),
-      ];
+  }
+
+  /**
+   * Resolve the cheap model AI.TITLE_GENERATION lists for a target's provider (the target
+   * itself for providers not listed), for small side requests such as titles
+   * @private
+   * @param {Object} [override] - { provider, model, apiKey, options } (default: the
+   *   configured model)
+   * @param {number} maxOutputTokens - Output limit for the request
+   * @returns {Object} Target to call
+   */
+  _resolveCheapTarget(override, maxOutputTokens) {
+    const primary = this._resolvePrimary(override);
+    const cheapModel = AI.TITLE_GENERATION.models[primary.providerType];
+    const base = cheapModel
+      ? this._resolvePrimary({
+          provider: primary.providerType,
+          model: cheapModel,
+          apiKey: primary.connection.apiKey,
+          options: primary.connection.options,
+        })
+      : primary;
+    return this._withGenerationParams(base, { maxOutputTokens });
+  }
+
+  /**
+   * Read suggested questions from model output: one per line, without numbering, bullets
+   * or quotes, duplicates and overlong lines dropped, at most AI.FOLLOW_UPS.count
+   * @private
+   * @param {string} text - Model output
+   * @returns {string[]} Questions
+   */
+  _parseFollowUps(text) {
+    const { count, maxLength } = AI.FOLLOW_UPS;
+    const questions = (text || '')
+      .split('\n')
+      .map((line) =>
+        line
+          .trim()
+          .replace(/^(?:\d+[.)]|[-*•])\s*/, '')
+          .replace(/^["'“‘*]+|["'”’*]+$/g, '')
+          .trim()
+      )
+      .filter((line) => line && line.length <= maxLength && !/:$/.test(line));
+    return [...new Set(questions)].slice(0, count);
+  }
+
+  /**
+   * Tidy a generated title: first line only, without a "Title:" label, quotes or a trailing
+   * full stop, and cut to AI.TITLE_GENERATION.maxLength at a word boundary
+   * @private
+   * @param {string} text - Model output
+   * @returns {string} Title, or '' if nothing is left
+   */
+  _cleanTitle(text) {
+    const { maxLength } = AI.TITLE_GENERATION;
+    const title = (text || '')
+      .trim()
+      .split('\n')[0]
+      .replace(/^\**title\**:\**\s*/i, '')
+      .replace(/^["'“‘*#\s]+|["'”’*.\s]+$/g, '');
+    if (title.length <= maxLength) {
+      return title;
     }
+    const cut = title.slice(0, maxLength);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut}…`;
+  }
 
-    // Fallback to text-only
-    return [{ role: 'user', content: prompt }];
+  /**
+   * Cancel an in-flight request started by generateResponse, streamResponse,
+   * compareResponses, extractStructured, generateTitle or suggestFollowUps
+   * @param {string} requestId - ID passed in the request options
+   * @returns {boolean} True if a matching request was found and aborted
+   */
+  cancelRequest(requestId) {
+    const controller = this.activeRequests.get(requestId);
+    if (!controller) {
+      this.logger.debug(`No active AI request to cancel: ${requestId}`);
+      return false;
+    }
+
+    controller.abort();
+    this.logger.info(`AI request cancelled: ${requestId}`);
+    return true;
+  }
+
+  /**
+   * Register an abort controller for a request
+   * @private
+   * @param {string} requestId - Request ID
+   * @returns {AbortController} Controller whose signal is passed to the provider call
+   */
+  _trackRequest(requestId) {
+    const controller = new AbortController();
+    this.activeRequests.set(requestId, controller);
+    return controller;
+  }
+
+  /**
+   * Build the result returned for a cancelled request
+   * @private
+   * @param {string} requestId - Request ID
+   * @param {string} [partialText] - Text received before cancellation
+   * @returns {{success: boolean, cancelled: boolean, error: string, errorType: string, text: string}}
+   */
+  _cancelledResult(requestId, partialText = '') {
+    this.logger.info(`AI request stopped after cancellation: ${requestId}`);
+    return {
+      success: false,
+      cancelled: true,
+      error: 'Request cancelled',
+      errorType: 'CANCELLED',
+      text: partialText,
+    };
+  }
+
+  /**
+   * Run a request against the primary provider, moving down the fallback chain when a
+   * provider fails with a quota, auth or availability error
+   * @private
+   * @param {AbortController} controller - Request controller (aborted on cancel)
+   * @param {Function} runTarget - Called with a target; resolves with { value, attempts }
+   * @param {Object} [options] - Fallback options
+   * @param {Function} [options.onFallback] - Called with ({ from, to }) before switching
+   * @param {Function} [options.canFallback] - Returns false once switching is no longer safe
+   * @param {Object} [options.primary] - Target to try first (defaults to the service's model)
+   * @param {Object} [options.generation] - Per-request sampling settings for every target
+   * @returns {Promise<{value: *, attempts: number, target: Object, fallbackUsed: boolean}>}
+   *   Result and the target that produced it
+   */
+  async _withFallbacks(controller, runTarget, options = {}) {
+    const { onFallback = () => {}, canFallback = () => true, primary, generation } = options;
+    const targets = this._getTargets(primary);
+
+    const tryTarget = async (index) => {
+      const target = this._withGenerationParams(targets[index], generation);
+      try {
+        const usageWarnings = this._enforceUsageLimits(target.providerType);
+        const result = await runTarget(target);
+        return { ...result, target, fallbackUsed: index > 0, usageWarnings };
+      } catch (error) {
+        const next = targets[index + 1];
+        if (
+          !next ||
+          controller.signal.aborted ||
+          !canFallback() ||
+          !this._isFallbackError(error)
+        ) {
+          throw error;
+        }
+
+        this.logger.warn(
+          `${target.providerType} (${target.modelName}) failed, falling back to ` +
+            `${next.providerType} (${next.modelName})`,
+          error?.message
+        );
+        onFallback({
+          from: { provider: target.providerType, model: target.modelName },
+          to: { provider: next.providerType, model: next.modelName },
+        });
+        return tryTarget(index + 1);
+      }
+    };
+
+    return tryTarget(0);
+  }
+
+  /**
+   * Resolve the target a request starts with: the configured model, or a per-request
+   * provider/model whose model instance is created once and cached
+   * @private
+   * @param {Object} [override] - { provider, model, apiKey, options }
+   * @returns {{providerType: string, modelName: string, model: Object, connection: Object,
+   *   generation: Object}} Primary target, with the connection and sampling settings its
+   *   model was created with
+   * @throws {Error} If the provider is unknown or its API key is missing
+   */
+  _resolvePrimary(override) {
+    const configured = {
+      providerType: this.providerType,
+      modelName: this.selectedModel,
+      model: this.model,
+      connection: this.connection,
+      generation: this.generation,
+    };
+    if (!override?.provider) {
+      return configured;
+    }
+
+    const providerConfig = AI.PROVIDERS[override.provider];
+    if (!providerConfig) {
+      throw new Error(`Unknown provider: ${override.provider}`);
+    }
+
+    const modelName = override.model || providerConfig.models[0]?.id;
+    if (override.provider === this.providerType && modelName === this.selectedModel) {
+      return configured;
+    }
+
+    const target = {
+      providerType: override.provider,
+      modelName,
+      connection: {
+        apiKey: this._resolveApiKey(override.provider, override.apiKey),
+        options: override.options || {},
+      },
+      generation: this._resolveGenerationParams(override.provider, {}, modelName),
+    };
+    return { ...target, model: this._getCachedModel(target) };
+  }
+
+  /**
+   * Get a target with the sampling settings for this request, re-creating its model (once,
+   * cached) when they differ from the ones it was created with
+   * @private
+   * @param {Object} target - Target from _resolvePrimary or the fallback chain
+   * @param {Object} [overrides] - Per-request settings, see generateResponse
+   * @returns {Object} Target to call
+   */
+  _withGenerationParams(target, overrides) {
+    const generation = this._resolveGenerationParams(
+      target.providerType,
+      overrides,
+      target.modelName
+    );
+    if (JSON.stringify(generation) === JSON.stringify(target.generation)) {
+      return target;
+    }
+
+    const variant = { ...target, generation };
+    return { ...variant, model: this._getCachedModel(variant) };
+  }
+
+  /**
+   * Get the model for a target from the cache, creating it on first use
+   * @private
+   * @param {{providerType: string, modelName: string, connection: Object, generation: Object}}
+   *   target - Target to create the model for
+   * @returns {Object} LangChain model instance
+   */
+  _getCachedModel({ providerType, modelName, connection, generation }) {
+    const cacheKey = `${providerType}:${modelName}:${JSON.stringify(generation)}`;
+    if (!this.modelCache.has(cacheKey)) {
+      this.modelCache.set(
+        cacheKey,
+        this._createLangChainModel(
+          providerType,
+          connection.apiKey,
+          modelName,
+          connection.options,
+          generation
+        )
+      );
+    }
+    return this.modelCache.get(cacheKey);
+  }
+
+  /**
+   * Merge per-request sampling settings over the global ones and clamp them to the
+   * provider's ranges, and maxOutputTokens to the model's limit
+   * @private
+   * @param {string} providerType - Provider that will be called
+   * @param {Object} [overrides] - { temperature, maxOutputTokens, topP }; undefined values
+   *   keep the global setting, null the provider's default
+   * @param {string} [modelName] - Model that will be called
+   * @returns {{temperature: number|null, maxOutputTokens: number|null, topP: number|null}}
+   */
+  _resolveGenerationParams(providerType, overrides = {}, modelName = null) {
+    const ranges = { ...AI.PROVIDERS[providerType]?.generationRanges };
+    if (modelName && ranges.maxOutputTokens) {
+      const { maxOutputTokens } = this._getCapabilities(providerType, modelName);
+      ranges.maxOutputTokens = [ranges.maxOutputTokens[0], maxOutputTokens];
+    }
+
+    return Object.fromEntries(
+      Object.entries(this.generationParams).map(([key, globalValue]) => {
+        const value = overrides?.[key] === undefined ? globalValue : overrides[key];
+        if (value === null || value === undefined || !ranges[key]) {
+          return [key, value ?? null];
+        }
+        const [min, max] = ranges[key];
+        return [key, Math.min(Math.max(value, min), max)];
+      })
+    );
+  }
+
+  /**
+   * Get the primary target followed by the fallbacks (skipping duplicates of the primary)
+   * @private
+   * @param {Object} [primary] - Target to try first (defaults to the service's model)
+   * @returns {Array<{providerType: string, modelName: string, model: Object}>} Targets
+   */
+  _getTargets(primary = this._resolvePrimary()) {
+    const fallbacks = this.fallbacks.filter(
+      (fallback) =>
+        fallback.providerType !== primary.providerType || fallback.modelName !== primary.modelName
+    );
+    return [primary, ...fallbacks];
+  }
+
+  /**
+   * Describe which provider answered a request
+   * @private
+   * @param {Object} target - Target that produced the response
+   * @param {boolean} fallbackUsed - Whether the target came from the fallback chain
+   * @returns {{provider: string, model: string, fallbackUsed: boolean}}
+   */
+  _describeTarget(target, fallbackUsed) {
+    return {
+      provider: target.providerType,
+      model: target.modelName,
+      fallbackUsed,
+    };
+  }
+
+  /**
+   * Refuse a request to a provider that is over a blocking cap
+   * @private
+   * @param {string} providerType - Provider about to be called
+   * @returns {Array<Object>} Warnings for caps that are close (or exceeded, with action 'warn')
+   * @throws {AppError} USAGE_LIMIT_EXCEEDED, with the exceeded cap as details
+   */
+  _enforceUsageLimits(providerType) {
+    const checks = this.checkUsageLimits(providerType);
+    const exceeded = checks.find((check) => check.exceeded);
+    if (exceeded && this.usageLimits[providerType].action !== 'warn') {
+      const { message, ...details } = exceeded;
+      throw new AppError(message, 'USAGE_LIMIT_EXCEEDED', details);
+    }
+    return checks;
+  }
+
+  /**
+   * Describe a cap that is close or exceeded, for display
+   * @private
+   * @param {Object} check - { provider, period, metric, limit, used, exceeded }
+   * @returns {string} Message
+   */
+  _describeUsageLimit({ provider, period, metric, limit, used, exceeded }) {
+    const name = AI.PROVIDERS[provider]?.name || provider;
+    const periodName = period === 'day' ? 'daily' : 'monthly';
+    const format = (value) => (metric === 'cost' ? `$${value.toFixed(2)}` : `${value}`);
+    const kind = metric === 'cost' ? 'spending' : 'request';
+    const cap = `${periodName} ${kind} limit of ${format(limit)}`;
+
+    if (exceeded) {
+      const resets = period === 'day' ? 'tomorrow' : 'next month';
+      return (
+        `${name} ${cap} reached (${format(used)} used). ` +
+        `Raise it in Settings or wait until it resets ${resets}.`
+      );
+    }
+    return `${name} has used ${format(used)} of its ${cap}.`;
+  }
+
+  /**
+   * Get a provider's counters for the current day and month, resetting stale periods
+   * @private
+   * @param {string} providerType - Provider type
+   * @returns {{day: Object, month: Object}} Live counters (mutated by _recordUsage)
+   */
+  _getUsageCounters(providerType) {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    const month = `${now.getFullYear()}-${pad(now.getMonth() + 1)}`;
+    const periods = { day: `${month}-${pad(now.getDate())}`, month };
+
+    const counters = this.usageCounters[providerType] || {};
+    Object.entries(periods).forEach(([period, key]) => {
+      if (counters[period]?.period !== key) {
+        counters[period] = { period: key, requests: 0, tokens: 0, cost: 0 };
+      }
+    });
+    this.usageCounters[providerType] = counters;
+    return counters;
+  }
+
+  /**
+   * Count a completed request against its provider's counters
+   * @private
+   * @param {string} providerType - Provider that answered
+   * @param {Object|null} usage - { inputTokens, outputTokens, cost } or null if unreported
+   */
+  _recordUsage(providerType, usage) {
+    const counters = this._getUsageCounters(providerType);
+    [counters.day, counters.month].forEach((counter) => {
+      counter.requests += 1;
+      counter.tokens += usage ? usage.inputTokens + usage.outputTokens : 0;
+      counter.cost += usage?.cost || 0;
+    });
+  }
+
+  /**
+   * Read token counts from a LangChain message or stream chunk
+   * Uses the standard usage_metadata, falling back to OpenAI's tokenUsage for older
+   * response shapes. Chunks without usage (most of a stream) return null.
+   * @private
+   * @param {Object} message - AIMessage or AIMessageChunk
+   * @returns {{inputTokens: number, outputTokens: number}|null} Token counts
+   */
+  _extractUsage(message) {
+    const usage = message?.usage_metadata;
+    if (usage) {
+      return {
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0,
+      };
+    }
+
+    const tokenUsage = message?.response_metadata?.tokenUsage;
+    if (tokenUsage) {
+      return {
+        inputTokens: tokenUsage.promptTokens || 0,
+        outputTokens: tokenUsage.completionTokens || 0,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Sum token counts across stream chunks (Anthropic reports input and output tokens
+   * in separate chunks)
+   * @private
+   * @param {Object|null} total - Counts so far
+   * @param {Object|null} usage - Counts from the next chunk
+   * @returns {{inputTokens: number, outputTokens: number}|null} Combined counts
+   */
+  _addUsage(total, usage) {
+    if (!usage) {
+      return total;
+    }
+    if (!total) {
+      return usage;
+    }
+    return {
+      inputTokens: total.inputTokens + usage.inputTokens,
+      outputTokens: total.outputTokens + usage.outputTokens,
+    };
+  }
+
+  /**
+   * Attach the estimated cost to token counts
+   * @private
+   * @param {string} modelName - Model that answered
+   * @param {Object|null} usage - Token counts, or null if the provider reported none
+   * @returns {{inputTokens: number, outputTokens: number, cost: number|null}|null}
+   */
+  _buildUsage(modelName, usage) {
+    if (!usage) {
+      return null;
+    }
+    return { ...usage, cost: this.estimateCost(modelName, usage) };
+  }
+
+  /**
+   * Estimate the cost of a request from the AI.MODEL_PRICING table
+   * @param {string} modelName - Model that answered
+   * @param {{inputTokens: number, outputTokens: number}} usage - Token counts
+   * @returns {number|null} Cost in USD, or null if the model has no known price
+   */
+  estimateCost(modelName, usage) {
+    const pricing = AI.MODEL_PRICING[modelName];
+    if (!pricing || !usage) {
+      return null;
+    }
+    return (
+      (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1000000
+    );
+  }
+
+  /**
+   * Check whether an error should move the request to the next provider in the chain:
+   * anything retryable (rate limits, timeouts, 5xx, network) plus quota and auth failures
+   * @private
+   * @param {Error} error - Error from the last attempt on a provider
+   * @returns {boolean} True if another provider may succeed
+   */
+  _isFallbackError(error) {
+    if (!error) {
+      return false;
+    }
+    if (error instanceof AppError && error.code === 'USAGE_LIMIT_EXCEEDED') {
+      return true;
+    }
+    if (this._isRetryableError(error)) {
+      return true;
+    }
+
+    const status = error.status || error.response?.status || error.statusCode;
+    if ([401, 403, 404].includes(status)) {
+      return true;
+    }
+
+    const formattedError = formatUserError(error);
+    return (
+      formattedError === 'API_QUOTA_EXCEEDED' ||
+      formattedError === 'Invalid API key. Please check your configuration.'
+    );
+  }
+
+  /**
+   * Run a provider call with a per-attempt timeout, retrying retryable failures with
+   * jittered exponential backoff (or the provider's Retry-After delay)
+   * @private
+   * @param {AbortController} controller - Request controller (aborted on cancel)
+   * @param {Function} attemptFn - Called with (signal, resetTimeout) for each attempt
+   * @param {Object} [options] - Retry options
+   * @param {Function} [options.onRetry] - Called before each retry
+   * @param {Function} [options.canRetry] - Returns false once retrying is no longer safe
+   * @param {number} [attempt] - Current attempt number (1-based)
+   * @returns {Promise<{value: *, attempts: number}>} Attempt result and attempts used
+   * @throws {Error} Last error, with an `attempts` property
+   */
+  async _withRetries(controller, attemptFn, options = {}, attempt = 1) {
+    const { onRetry = () => {}, canRetry = () => true } = options;
+    const maxAttempts = AI.MAX_RETRIES + 1;
+
+    try {
+      const value = await this._withTimeout(controller, attemptFn);
+      return { value, attempts: attempt };
+    } catch (error) {
+      const delayMs =
+        !controller.signal.aborted && attempt < maxAttempts && canRetry()
+          ? this._getRetryDelay(error, attempt)
+          : null;
+
+      if (delayMs === null) {
+        if (error && typeof error === 'object') {
+          error.attempts = attempt;
+        }
+        throw error;
+      }
+
+      this.logger.warn(
+        `AI request failed (attempt ${attempt}/${maxAttempts}), retrying in ${delayMs}ms`,
+        error?.message
+      );
+      onRetry({ attempt: attempt + 1, maxAttempts, delayMs });
+      await this._sleep(delayMs, controller.signal);
+      return this._withRetries(controller, attemptFn, options, attempt + 1);
+    }
+  }
+
+  /**
+   * Run a single attempt, aborting it after AI.TIMEOUT ms or when the request is cancelled
+   * @private
+   * @param {AbortController} controller - Request controller
+   * @param {Function} attemptFn - Called with (signal, resetTimeout)
+   * @returns {Promise<*>} Attempt result
+   * @throws {Error} Timeout error (isTimeout: true) or the attempt's own error
+   */
+  async _withTimeout(controller, attemptFn) {
+    if (controller.signal.aborted) {
+      throw new Error('Request cancelled');
+    }
+
+    const attemptController = new AbortController();
+    const abortAttempt = () => attemptController.abort();
+    let timedOut = false;
+    let timer = null;
+    const resetTimeout = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        attemptController.abort();
+      }, AI.TIMEOUT);
+    };
+
+    // Settle as soon as the attempt is aborted, even if the provider ignores the signal
+    const aborted = new Promise((resolve, reject) => {
+      attemptController.signal.addEventListener('abort', () => reject(new Error('Aborted')));
+    });
+
+    controller.signal.addEventListener('abort', abortAttempt);
+    resetTimeout();
+
+    try {
+      return await Promise.race([attemptFn(attemptController.signal, resetTimeout), aborted]);
+    } catch (error) {
+      if (timedOut) {
+        const timeoutError = new Error(`AI request timeout after ${AI.TIMEOUT}ms`);
+        timeoutError.isTimeout = true;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      controller.signal.removeEventListener('abort', abortAttempt);
+    }
+  }
+
+  /**
+   * Work out how long to wait before retrying a failed attempt
+   * @private
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Attempt that failed (1-based)
+   * @returns {number|null} Delay in ms, or null if the error should not be retried
+   */
+  _getRetryDelay(error, attempt) {
+    if (!this._isRetryableError(error)) {
+      return null;
+    }
+
+    const retryAfterMs = this._getRetryAfterMs(error);
+    if (retryAfterMs !== null) {
+      // Waiting longer than our backoff cap would leave the UI hanging - give up instead
+      return retryAfterMs <= AI.RETRY_MAX_DELAY ? retryAfterMs : null;
+    }
+
+    // Equal jitter: half the exponential delay, plus a random share of the other half
+    const exponential = Math.min(AI.RETRY_MAX_DELAY, AI.RETRY_BASE_DELAY * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  /**
+   * Check whether an error is transient (timeout, rate limit, server or network error)
+   * @private
+   * @param {Error} error - Error from the failed attempt
+   * @returns {boolean} True if the request may succeed when retried
+   */
+  _isRetryableError(error) {
+    if (!error) {
+      return false;
+    }
+    if (error.isTimeout) {
+      return true;
+    }
+
+    const status = error.status || error.response?.status || error.statusCode;
+    if (status) {
+      return status === 408 || status === 429 || status >= 500;
+    }
+
+    const networkCodes = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+    const message = (error.message || '').toLowerCase();
+    return (
+      networkCodes.includes(error.code) ||
+      message.includes('fetch failed') ||
+      message.includes('socket hang up') ||
+      message.includes('network')
+    );
+  }
+
+  /**
+   * Read a provider-supplied retry delay (Retry-After header or Gemini RetryInfo)
+   * @private
+   * @param {Error} error - Error from the failed attempt
+   * @returns {number|null} Delay in ms, or null if the provider did not send one
+   */
+  _getRetryAfterMs(error) {
+    const headers = error.headers || error.response?.headers;
+    let retryAfter = null;
+    if (headers) {
+      retryAfter =
+        typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    }
+
+    // Gemini reports the delay as a RetryInfo detail, e.g. { retryDelay: '17s' }
+    if (!retryAfter && Array.isArray(error.errorDetails)) {
+      const retryInfo = error.errorDetails.find((detail) =>
+        String(detail?.['@type'] || '').endsWith('RetryInfo')
+      );
+      retryAfter = retryInfo?.retryDelay ? parseFloat(retryInfo.retryDelay) : null;
+    }
+
+    if (retryAfter === null || retryAfter === undefined || retryAfter === '') {
+      return null;
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, Math.round(seconds * 1000));
+    }
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Wait for a delay, resolving early if the request is cancelled
+   * @private
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} signal - Request signal
+   * @returns {Promise<void>}
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      signal.addEventListener(
+        'abort',
+        () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        { once: true }
+      );
+    });
+  }
+
+  /**
+   * Validate a request before any provider is called
+   * @private
+   * @param {string} prompt - User prompt
+   * @throws {Error} If the service is not initialized or the prompt is missing
+   */
+  _validateRequest(prompt) {
+    if (!this.isInitialized()) {
+      throw new Error('AI service not initialized. Please set your API key.');
+    }
+
+    if (!prompt) {
+      throw new Error('Prompt is required');
+    }
+  }
+
+  /**
+   * Build the provider-specific message list for a target
+   * The screenshot is left out for models without vision, the turns covered by a summary
+   * are replaced by it (sent with the system instruction), and the oldest remaining turns
+   * are dropped when the conversation would still not fit the model's context window.
+   * The screenshot's recognized text goes with the instruction when asked for, or in place
+   * of the image for models without vision.
+   * @private
+   * @param {string} prompt - User prompt
+   * @param {string} [imageDataUrl] - Optional image data URL
+   * @param {Array} [history] - Prior conversation messages
+   * @param {Object} target - Target provider ({ providerType, modelName, generation })
+   * @param {string} [systemPrompt] - System instruction, if any
+   * @param {Object} [summary] - Summary of the older turns ({ text, messageCount })
+   * @param {Object} [screenText] - Text recognized in the screenshot ({ text, include })
+   * @returns {Array} Array of message objects
+   */
+  _prepareRequest(
+    prompt,
+    imageDataUrl,
+    history,
+    target,
+    systemPrompt = null,
+    summary = null,
+    screenText = null
+  ) {
+    const pending = summary ? (history || []).slice(summary.messageCount) : history;
+    const capabilities = this._getCapabilities(target.providerType, target.modelName);
+
+    let image = imageDataUrl;
+    if (image && (!capabilities.vision || capabilities.maxImages < 1)) {
+      this.logger.warn(`Image provided but ${target.modelName} does not support images`);
+      image = null;
+    }
+    if (image) {
+      image = this._prepareImage(image, target.providerType);
+    }
+
+    // Text-only models get the screenshot's text in place of the image
+    const withText = !!imageDataUrl && !!screenText?.text && (screenText.include || !image);
+    const instruction = this._withScreenText(
+      this._withSummary(systemPrompt, summary),
+      withText ? screenText.text : null
+    );
+
+    const turns = this._fitHistory(this._normalizeHistory(pending), capabilities, {
+      prompt,
+      systemPrompt: instruction,
+      hasImage: !!image,
+      maxOutputTokens: target.generation?.maxOutputTokens,
+    });
+
+    this.logger.info('Processing AI request', {
+      provider: target.providerType,
+      model: target.modelName,
+      hasImage: !!image,
+      historyLength: turns.length,
+      hasSystemPrompt: !!systemPrompt,
+      hasSummary: !!summary,
+      hasScreenText: withText,
+    });
+
+    // Prepare messages based on provider
+    return this._prepareMessages(prompt, image, turns, target.providerType, instruction);
+  }
+
+  /**
+   * Look up what a model can do in the capability registry
+   * @private
+   * @param {string} providerType - Provider type
+   * @param {string} modelName - Model name
+   * @returns {Object} Model capabilities (see capabilities.config.js)
+   */
+  _getCapabilities(providerType, modelName) {
+    return getModelCapabilities(providerType, modelName);
+  }
+
+  /**
+   * Drop the oldest exchanges of a history until the request fits the model's context window
+   * Room is kept for the answer: maxOutputTokens if set, otherwise the model's output limit
+   * capped at a quarter of the window (so small local models keep some history).
+   * @private
+   * @param {Array<{role: string, content: string}>} turns - Normalized history, oldest first
+   * @param {Object} capabilities - Model capabilities (see capabilities.config.js)
+   * @param {Object} request - The rest of the request
+   * @param {string} request.prompt - User prompt
+   * @param {string} [request.systemPrompt] - System instruction, if any
+   * @param {boolean} [request.hasImage] - Whether a screenshot is attached
+   * @param {number|null} [request.maxOutputTokens] - Requested answer length
+   * @returns {Array<{role: string, content: string}>} Turns that fit, oldest first
+   */
+  _fitHistory(turns, capabilities, request) {
+    const { contextWindow } = capabilities;
+    const reserved = this._reservedTokens(capabilities, request);
+
+    let fitted = turns;
+    let used = this._estimateTurns(fitted);
+    while (fitted.length > 0 && reserved + used > contextWindow) {
+      // Turns alternate user/assistant, so drop a whole exchange at a time
+      used -= this._estimateTokens(fitted[0].content) + this._estimateTokens(fitted[1]?.content);
+      fitted = fitted.slice(2);
+    }
+
+    if (fitted.length < turns.length) {
+      this.logger.warn(
+        `Dropped ${turns.length - fitted.length} earlier message(s) to fit the ` +
+          `${contextWindow}-token context window`
+      );
+    }
+    return fitted;
+  }
+
+  /**
+   * Estimate the tokens a request needs besides its history
+   * Room is kept for the answer as described in _fitHistory.
+   * @private
+   * @param {Object} capabilities - Model capabilities (see capabilities.config.js)
+   * @param {Object} request - { prompt, systemPrompt, hasImage, maxOutputTokens }, as for
+   *   _fitHistory
+   * @returns {number} Estimated tokens
+   */
+  _reservedTokens(capabilities, { prompt, systemPrompt, hasImage, maxOutputTokens }) {
+    const { contextWindow } = capabilities;
+    return (
+      (maxOutputTokens || Math.min(capabilities.maxOutputTokens, Math.floor(contextWindow / 4))) +
+      this._estimateTokens(prompt) +
+      this._estimateTokens(systemPrompt) +
+      (hasImage ? AI.TOKEN_ESTIMATE.imageTokens : 0)
+    );
+  }
+
+  /**
+   * Estimate the tokens of a list of turns
+   * @private
+   * @param {Array<{content: string}>} turns - Turns
+   * @returns {number} Estimated tokens
+   */
+  _estimateTurns(turns) {
+    return turns.reduce((total, turn) => total + this._estimateTokens(turn.content), 0);
+  }
+
+  /**
+   * Summarize a conversation's older turns once its history gets close to the context window
+   * Nothing happens while the turns after the stored summary use less than
+   * AI.CONTEXT_SUMMARY.threshold of the primary model's window. Past it, every turn but the
+   * last keepMessages is merged into the summary by the primary model. If summarizing fails
+   * the stored summary is kept and _fitHistory drops the oldest turns instead.
+   * @private
+   * @param {AbortController} controller - Request controller (aborted on cancel)
+   * @param {string} prompt - User prompt
+   * @param {string} [imageDataUrl] - Image data URL
+   * @param {Array} [history] - Prior conversation messages, oldest first
+   * @param {Object} options - Request options (see generateResponse) and the primary target
+   * @returns {Promise<{summary: Object|null, updated: boolean}>} Summary to send
+   *   ({ text, messageCount, updatedAt }) and whether it was written for this request
+   */
+  async _manageContext(controller, prompt, imageDataUrl, history, options) {
+    const { primary, systemPrompt, summary = null, generationParams, onRetry } = options;
+    const { threshold, keepMessages } = AI.CONTEXT_SUMMARY;
+    const unchanged = { summary, updated: false };
+    const covered = summary?.messageCount || 0;
+    const pending = (history || []).slice(covered);
+
+    const capabilities = this._getCapabilities(primary.providerType, primary.modelName);
+    const needed =
+      this._reservedTokens(capabilities, {
+        prompt,
+        systemPrompt: this._withSummary(systemPrompt, summary),
+        hasImage: !!imageDataUrl && capabilities.vision,
+        maxOutputTokens: generationParams?.maxOutputTokens ?? primary.generation?.maxOutputTokens,
+      }) + this._estimateTurns(this._normalizeHistory(pending));
+    if (needed <= capabilities.contextWindow * threshold) {
+      return unchanged;
+    }
+
+    // Keep the latest exchanges verbatim, splitting before a prompt
+    let split = Math.max(0, pending.length - keepMessages);
+    while (split > 0 && pending[split].role !== 'user') {
+      split -= 1;
+    }
+    const older = this._normalizeHistory(pending.slice(0, split));
+    if (older.length === 0) {
+      return unchanged;
+    }
+
+    try {
+      this._enforceUsageLimits(primary.providerType);
+      const text = await this._summarize(controller, primary, summary?.text, older, onRetry);
+      this.logger.info(`Summarized ${covered + split} earlier message(s)`);
+      return {
+        summary: { text, messageCount: covered + split, updatedAt: Date.now() },
+        updated: true,
+      };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw error;
+      }
+      this.logger.warn('Could not summarize earlier messages', error?.message);
+      return unchanged;
+    }
+  }
+
+  /**
+   * Ask a model to merge turns into a conversation summary
+   * @private
+   * @param {AbortController} controller - Request controller (aborted on cancel)
+   * @param {Object} target - Target to summarize with
+   * @param {string|null} previous - Summary the turns follow, if any
+   * @param {Array<{role: string, content: string}>} turns - Normalized turns to summarize
+   * @param {Function} [onRetry] - Called before each retry
+   * @returns {Promise<string>} Summary text
+   * @throws {Error} If the model fails or returns no text
+   */
+  async _summarize(controller, target, previous, turns, onRetry) {
+    const transcript = turns
+      .map(({ role, content }) => `${role === 'user' ? 'User' : 'Assistant'}: ${content}`)
+      .join('\n\n');
+    const messages = [
+      { role: 'system', content: SUMMARY_INSTRUCTION },
+      {
+        role: 'user',
+        content: `${previous ? `Earlier summary:\n${previous}\n\n` : ''}Conversation:\n${transcript}`,
+      },
+    ];
+
+    const summarizer = this._withGenerationParams(target, {
+      maxOutputTokens: AI.CONTEXT_SUMMARY.maxTokens,
+    });
+    const { value: response } = await this._withRetries(
+      controller,
+      (signal) => summarizer.model.invoke(messages, { signal }),
+      { onRetry }
+    );
+    this._recordUsage(
+      target.providerType,
+      this._buildUsage(target.modelName, this._extractUsage(response))
+    );
+
+    const text = this._extractText(response.content).trim();
+    if (!text) {
+      throw new Error('The model returned an empty summary');
+    }
+    return text;
+  }
+
+  /**
+   * Append a conversation summary to the system instruction
+   * @private
+   * @param {string|null} systemPrompt - System instruction, if any
+   * @param {Object|null} summary - Summary ({ text }), if any
+   * @returns {string|null} Instruction to send
+   */
+  _withSummary(systemPrompt, summary) {
+    if (!summary?.text) {
+      return systemPrompt;
+    }
+    const note = `Summary of the earlier conversation:\n${summary.text}`;
+    return systemPrompt?.trim() ? `${systemPrompt.trim()}\n\n${note}` : note;
+  }
+
+  /**
+   * Append the text recognized in the screenshot to the system instruction
+   * @private
+   * @param {string|null} instruction - System instruction, if any
+   * @param {string|null} text - Recognized text, if it should be sent
+   * @returns {string|null} Instruction to send
+   */
+  _withScreenText(instruction, text) {
+    if (!text?.trim()) {
+      return instruction;
+    }
+    const recognized = text.trim().slice(0, OCR.maxPromptChars);
+    const note = `Text recognized in the screenshot (OCR, may contain errors):\n${recognized}`;
+    return instruction?.trim() ? `${instruction.trim()}\n\n${note}` : note;
+  }
+
+  /**
+   * Describe the summary sent with a request, for its result
+   * @private
+   * @param {{summary: Object|null, updated: boolean}} context - Result of _manageContext
+   * @returns {Object} { contextSummary, summaryUpdated }, or nothing without a summary
+   */
+  _describeContext({ summary, updated }) {
+    return summary ? { contextSummary: summary, summaryUpdated: updated } : {};
+  }
+
+  /**
+   * Roughly estimate the number of tokens in a text (see AI.TOKEN_ESTIMATE)
+   * @private
+   * @param {string} [text] - Text to estimate
+   * @returns {number} Estimated tokens
+   */
+  _estimateTokens(text) {
+    return Math.ceil((text || '').length / AI.TOKEN_ESTIMATE.charsPerToken);
+  }
+
+  /**
+   * Convert a failed request into the result object returned to the renderer
+   * @private
+   * @param {Error} error - Error thrown by the provider or validation
+   * @returns {{success: boolean, error: string, errorType: string}}
+   */
+  _handleRequestError(error) {
+    if (error instanceof AppError && error.code === 'USAGE_LIMIT_EXCEEDED') {
+      this.logger.warn('AI request refused', error.message);
+      return {
+        success: false,
+        error: error.message,
+        errorType: 'USAGE_LIMIT_EXCEEDED',
+        limit: error.details,
+      };
+    }
+
+    this.logger.error('AI request failed', error);
+
+    // Extract error code if available
+    let errorCode = null;
+    if (error.status) {
+      errorCode = error.status;
+    } else if (error.response?.status) {
+      errorCode = error.response.status;
+    } else if (error.statusCode) {
+      errorCode = error.statusCode;
+    }
+
+    if (errorCode) {
+      error.code = errorCode;
+    }
+
+    const formattedError = formatUserError(error);
+
+    return {
+      success: false,
+      error: formattedError,
+      errorType: formattedError === 'API_QUOTA_EXCEEDED' ? 'QUOTA_EXCEEDED' : 'GENERAL',
+      ...(error.attempts && { attempts: error.attempts }),
+    };
+  }
+
+  /**
+   * Extract plain text from message content
+   * Providers stream either strings or arrays of content blocks (Anthropic).
+   * @private
+   * @param {string|Array} content - Message or chunk content
+   * @returns {string} Text content
+   */
+  _extractText(content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+    if (Array.isArray(content)) {
+      return content
+        .map((part) => (typeof part === 'string' ? part : part?.text || ''))
+        .join('');
+    }
+    return '';
+  }
+
+  /**
+   * Read a model stream chunk by chunk until it ends or the request is aborted
+   * An aborted stream is closed so the provider connection is released.
+   * @private
+   * @param {AsyncIterable} stream - Stream from model.stream()
+   * @param {AbortSignal} signal - Request signal
+   * @param {Function} onChunk - Called with each chunk
+   * @returns {Promise<void>}
+   */
+  async _readStream(stream, signal, onChunk) {
+    const iterator = stream[Symbol.asyncIterator]();
+    const readNext = async () => {
+      const { value, done } = await iterator.next();
+      if (done) {
+        return;
+      }
+      if (signal.aborted) {
+        await iterator.return?.();
+        return;
+      }
+      onChunk(value);
+      await readNext();
+    };
+    await readNext();
+  }
+
+  /**
+   * Prepare messages in the format expected by LangChain
+   * The screenshot is attached to the first user turn so the model sees it once,
+   * with every later turn referring back to it. A system prompt goes first; LangChain
+   * sends it as OpenAI's system message and Anthropic's system parameter, and merges it
+   * into the first user turn for Gemini.
+   * @private
+   * @param {string} prompt - User prompt
+   * @param {string} [imageDataUrl] - Optional image data URL
+   * @param {Array} [history] - Prior conversation messages, oldest first
+   * @param {string} [providerType] - Provider whose message format to use
+   * @param {string} [systemPrompt] - System instruction, if any
+   * @returns {Array} Array of message objects
+   */
+  _prepareMessages(
+    prompt,
+    imageDataUrl,
+    history = [],
+    providerType = this.providerType,
+    systemPrompt = null
+  ) {
+    const turns = [...this._normalizeHistory(history), { role: 'user', content: prompt }];
+    const imageIndex = imageDataUrl ? turns.findIndex((turn) => turn.role === 'user') : -1;
+
+    const messages = turns.map((turn, index) => {
+      if (index === imageIndex) {
+        return this._createImageMessage(turn.content, imageDataUrl, providerType);
+      }
+      // Text-only message - use plain object format (works with all providers)
+      return { role: turn.role, content: turn.content };
+    });
+
+    const instruction = systemPrompt?.trim();
+    return instruction ? [{ role: 'system', content: instruction }, ...messages] : messages;
+  }
+
+  /**
+   * Reduce stored conversation messages to a clean, alternating user/assistant history
+   * Failed or cancelled exchanges (assistant message + the prompt that caused it) are
+   * dropped so the model never sees our own error strings or partial answers.
+   * @private
+   * @param {Array} history - Conversation messages ({ role, content, error, cancelled })
+   * @returns {Array<{role: string, content: string}>} Normalized history
+   */
+  _normalizeHistory(history) {
+    if (!Array.isArray(history)) {
+      return [];
+    }
+
+    const turns = [];
+    history.forEach((message) => {
+      if (!message || !message.content || !['user', 'assistant'].includes(message.role)) {
+        return;
+      }
+
+      if (message.role === 'assistant') {
+        const previous = turns[turns.length - 1];
+        if (!previous || previous.role !== 'user') {
+          return;
+        }
+        if (message.error || message.cancelled) {
+          turns.pop();
+          return;
+        }
+      } else if (turns.length > 0 && turns[turns.length - 1].role === 'user') {
+        // Unanswered prompt - replace it with the newer one
+        turns.pop();
+      }
+
+      turns.push({ role: message.role, content: message.content });
+    });
+
+    // History must end on an answer; a dangling prompt is superseded by the new one
+    if (turns.length > 0 && turns[turns.length - 1].role === 'user') {
+      turns.pop();
+    }
+
+    return turns;
+  }
+
+  /**
+   * Build a multimodal user message for a provider
+   * @private
+   * @param {string} text - Message text
+   * @param {string} imageDataUrl - Image data URL
+   * @param {string} [providerType] - Provider whose message format to use
+   * @returns {Object} LangChain message (plain text object if provider is unknown)
+   */
+  _createImageMessage(text, imageDataUrl, providerType = this.providerType) {
+    // Format varies by provider
+    if (providerType === 'google' || providerType === 'openai' || providerType === 'local') {
+      // Google Gemini and OpenAI format (also used by OpenAI-compatible local servers)
+      return new HumanMessage({
+        content: [
+          { type: 'text', text },
+          {
+            type: 'image_url',
+            image_url: {
+              url: imageDataUrl, // Data URL format: data:image/png;base64,...
+            },
+          },
+        ],
+      });
+    }
+    if (providerType === 'anthropic') {
+      // Anthropic format - use HumanMessage with image source
+      return new HumanMessage({
+        content: [
+          { type: 'text', text },
+          {
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: this._getMimeType(imageDataUrl),
+              data: this._extractBase64(imageDataUrl),
+            },
+          },
+        ],
+      });
+    }
+
+    // Fallback to text-only
+    return { role: 'user', content: text };
+  }
+
+  /**
+   * Downsize and re-encode a screenshot to the provider's image limits
+   * The original is sent if preprocessing fails.
+   * @private
+   * @param {string} imageDataUrl - Image data URL
+   * @param {string} providerType - Provider the image is sent to
+   * @returns {string} Data URL to send, labelled with the image's real MIME type
+   */
+  _prepareImage(imageDataUrl, providerType) {
+    try {
+      const limits = AI.PROVIDERS[providerType]?.imageLimits || {};
+      return this.imageService.preprocess(imageDataUrl, limits).dataUrl;
+    } catch (error) {
+      this.logger.warn(`Image preprocessing failed, sending the original: ${error.message}`);
+      return imageDataUrl;
+    }
+  }
+
+  /**
+   * Get the MIME type declared in a data URL
+   * @private
+   * @param {string} dataUrl - Data URL
+   * @returns {string} MIME type (image/png if none is declared)
+   */
+  _getMimeType(dataUrl) {
+    return /^data:([^;,]+)/.exec(dataUrl)?.[1] || 'image/png';
   }
 
   /**
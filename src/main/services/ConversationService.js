@@ -18,9 +18,12 @@ class ConversationService {
   /**
    * Create a new conversation
    * @param {string|null} [screenshotDataUrl] - Base64 data URL of the screenshot (optional)
+   * @param {Object} [options] - Conversation settings
+   * @param {string} [options.provider] - Provider for this conversation (default: global)
+   * @param {string} [options.model] - Model for this conversation (default: global)
    * @returns {Object} Created conversation with id and created_at
    */
-  createConversation(screenshotDataUrl) {
+  createConversation(screenshotDataUrl, options = {}) {
     const id = randomUUID();
     const now = Date.now();
 
@@ -29,11 +32,11 @@ class ConversationService {
 
     const stmt = this.db.prepare(`
       INSERT INTO conversations 
-      (id, screenshot_data_url, screenshot_hash, created_at, updated_at, message_count)
-      VALUES (?, ?, ?, ?, ?, 0)
+      (id, screenshot_data_url, screenshot_hash, created_at, updated_at, message_count, provider, model)
+      VALUES (?, ?, ?, ?, ?, 0, ?, ?)
     `);
 
-    stmt.run(id, screenshotDataUrl || null, hash, now, now);
+    stmt.run(id, screenshotDataUrl || null, hash, now, now, options.provider || null, options.model || null);
 
     this.logger.info(`Created conversation: ${id}`, { hasScreenshot: !!screenshotDataUrl });
     return { id, created_at: now };
@@ -45,18 +48,45 @@ class ConversationService {
    * @param {string} role - 'user' or 'assistant'
    * @param {string} content - Message content
    * @param {boolean} error - Whether this message is an error
+   * @param {Object} [options] - Additional message state
+   * @param {boolean} [options.cancelled] - Whether the AI request was cancelled by the user
+   * @param {string} [options.provider] - Provider that produced the message
+   * @param {string} [options.model] - Model that produced the message
+   * @param {Object} [options.usage] - Token counts and estimated cost of the answer, as
+   *   { inputTokens, outputTokens, cost } from AIService
+   * @param {Array} [options.toolCalls] - Local tool calls made for the answer, as
+   *   [{ name, args, result, error }] from AIService
    * @returns {Object} Saved message with id and timestamp
    */
-  saveMessage(conversationId, role, content, error = false) {
+  saveMessage(conversationId, role, content, error = false, options = {}) {
     const id = randomUUID();
     const timestamp = Date.now();
+    const {
+      cancelled = false, provider = null, model = null, usage = null, toolCalls = null
+    } = options;
 
     const stmt = this.db.prepare(`
-      INSERT INTO messages (id, conversation_id, role, content, timestamp, error)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO messages
+        (id, conversation_id, role, content, timestamp, error, cancelled, provider, model,
+         input_tokens, output_tokens, cost, tool_calls)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    stmt.run(id, conversationId, role, content, timestamp, error ? 1 : 0);
+    stmt.run(
+      id,
+      conversationId,
+      role,
+      content,
+      timestamp,
+      error ? 1 : 0,
+      cancelled ? 1 : 0,
+      provider,
+      model,
+      usage ? usage.inputTokens : null,
+      usage ? usage.outputTokens : null,
+      usage && typeof usage.cost === 'number' ? usage.cost : null,
+      toolCalls && toolCalls.length > 0 ? JSON.stringify(toolCalls) : null
+    );
 
     // Update conversation
     this.updateConversationTimestamp(conversationId);
@@ -72,6 +102,8 @@ class ConversationService {
    * Get all conversations (most recent first)
    * @param {number} limit - Maximum number of conversations to return
    * @param {number} offset - Number of conversations to skip
+   * @param {Object} [filters] - { archived, starred, search }; search matches the title,
+   *   messages and text recognized in the screenshot
    * @returns {Array} Array of conversations with metadata
    */
   getAllConversations(limit = 100, offset = 0, filters = {}) {
@@ -95,6 +127,16 @@ class ConversationService {
       whereClause += ' AND c.starred = 1';
     }
 
+    // Handle text search (LIKE wildcards in the query match literally)
+    const search = typeof filters.search === 'string' ? filters.search.trim() : '';
+    if (search) {
+      const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+      whereClause += ` AND (c.title LIKE ? ESCAPE '\\' OR c.screenshot_text LIKE ? ESCAPE '\\'
+        OR EXISTS (SELECT 1 FROM messages m WHERE m.conversation_id = c.id
+          AND m.content LIKE ? ESCAPE '\\'))`;
+      params.push(pattern, pattern, pattern);
+    }
+
     const stmt = this.db.prepare(`
       SELECT 
         c.id,
@@ -103,6 +145,8 @@ class ConversationService {
         c.message_count,
         c.starred,
         c.archived,
+        c.title,
+        c.title_source,
         (SELECT content FROM messages WHERE conversation_id = c.id AND role = 'user' ORDER BY timestamp ASC LIMIT 1) as first_prompt,
         (SELECT content FROM messages WHERE conversation_id = c.id AND role = 'assistant' ORDER BY timestamp ASC LIMIT 1) as first_answer
       FROM conversations c
@@ -114,10 +158,10 @@ class ConversationService {
     params.push(limit, offset);
     const conversations = stmt.all(...params);
 
-    // Generate titles
+    // Conversations without a generated or user-set title are named after their first prompt
     return conversations.map(c => {
       const conversation = { ...c };
-      conversation.title = this.generateTitle(c.first_prompt || 'Untitled');
+      conversation.title = c.title || this.generateTitle(c.first_prompt || 'Untitled');
       conversation.preview = c.first_answer ? c.first_answer.substring(0, 100) : '';
       delete conversation.first_prompt;
       delete conversation.first_answer;
@@ -151,7 +195,8 @@ class ConversationService {
     }
 
     const messagesStmt = this.db.prepare(`
-      SELECT id, role, content, timestamp, error
+      SELECT id, role, content, timestamp, error, cancelled, provider, model,
+        input_tokens, output_tokens, cost, tool_calls, follow_ups
       FROM messages
       WHERE conversation_id = ?
       ORDER BY timestamp ASC
@@ -167,12 +212,78 @@ class ConversationService {
       role: msg.role,
       content: msg.content,
       timestamp: msg.timestamp,
-      error: msg.error === 1
+      error: msg.error === 1,
+      cancelled: msg.cancelled === 1,
+      provider: msg.provider || null,
+      model: msg.model || null,
+      usage: msg.input_tokens === null ? null : {
+        inputTokens: msg.input_tokens,
+        outputTokens: msg.output_tokens,
+        cost: msg.cost
+      },
+      toolCalls: msg.tool_calls ? JSON.parse(msg.tool_calls) : null,
+      followUps: msg.follow_ups ? JSON.parse(msg.follow_ups) : null
     }));
 
+    conversation.usage = this.sumUsage(conversation.messages.map(msg => msg.usage));
+    conversation.generationParams = conversation.generation_params
+      ? JSON.parse(conversation.generation_params)
+      : null;
+    delete conversation.generation_params;
+    conversation.contextSummary = this.parseContextSummary(conversation);
+    delete conversation.context_summary;
+    conversation.screenshotText =
+      typeof conversation.screenshot_text === 'string'
+        ? {
+            text: conversation.screenshot_text,
+            words: conversation.screenshot_words ? JSON.parse(conversation.screenshot_words) : [],
+          }
+        : null;
+    delete conversation.screenshot_text;
+    delete conversation.screenshot_words;
+
     return conversation;
   }
 
+  /**
+   * Total token usage and cost for assistant messages in a time range, per model
+   * @param {number} since - Start of the range (Unix ms, inclusive)
+   * @param {number} [until] - End of the range (Unix ms, exclusive; default: now)
+   * @returns {Object} { inputTokens, outputTokens, cost, messages, byModel: [{ provider,
+   *   model, inputTokens, outputTokens, cost, messages }] }; cost only covers priced models
+   */
+  getUsageSummary(since, until = Date.now()) {
+    const stmt = this.db.prepare(`
+      SELECT
+        provider,
+        model,
+        SUM(input_tokens) as input_tokens,
+        SUM(output_tokens) as output_tokens,
+        SUM(cost) as cost,
+        COUNT(*) as messages
+      FROM messages
+      WHERE role = 'assistant' AND input_tokens IS NOT NULL
+        AND timestamp >= ? AND timestamp < ?
+      GROUP BY provider, model
+      ORDER BY cost DESC
+    `);
+
+    const byModel = stmt.all(since, until).map(row => ({
+      provider: row.provider,
+      model: row.model,
+      inputTokens: row.input_tokens,
+      outputTokens: row.output_tokens,
+      cost: row.cost,
+      messages: row.messages
+    }));
+
+    return {
+      ...this.sumUsage(byModel),
+      messages: byModel.reduce((count, row) => count + row.messages, 0),
+      byModel
+    };
+  }
+
   // UPDATE
 
   /**
@@ -199,11 +310,13 @@ class ConversationService {
 
   /**
    * Update conversation properties
+   * A title set here counts as the user's, so generated titles no longer replace it.
    * @param {string} conversationId - ID of the conversation
-   * @param {Object} updates - Object with properties to update
+   * @param {Object} updates - Object with properties to update; provider and model are saved
+   *   as given, so check them against AI.PROVIDERS first (see the update-conversation handler)
    */
   updateConversation(conversationId, updates) {
-    const allowed = ['title', 'starred', 'archived'];
+    const allowed = ['title', 'starred', 'archived', 'provider', 'model'];
     const sets = [];
     const values = [];
 
@@ -216,6 +329,11 @@ class ConversationService {
 
     if (sets.length === 0) return;
 
+    if ('title' in updates) {
+      sets.push('title_source = ?');
+      values.push('user');
+    }
+
     sets.push('updated_at = ?');
     values.push(Date.now(), conversationId);
 
@@ -226,6 +344,86 @@ class ConversationService {
     stmt.run(...values);
   }
 
+  /**
+   * Set or clear a conversation's sampling overrides
+   * @param {string} conversationId - ID of the conversation
+   * @param {Object|null} params - { temperature, maxOutputTokens, topP }, or null to use the
+   *   global defaults
+   */
+  setGenerationParams(conversationId, params) {
+    const stmt = this.db.prepare(`
+      UPDATE conversations SET generation_params = ?, updated_at = ? WHERE id = ?
+    `);
+    stmt.run(params ? JSON.stringify(params) : null, Date.now(), conversationId);
+  }
+
+  /**
+   * Store a generated title, unless the user has renamed the conversation
+   * The conversation's updated_at is left alone so it keeps its place in the list.
+   * @param {string} conversationId - ID of the conversation
+   * @param {string} title - Generated title
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Replace a title set by the user too (explicit
+   *   regenerate)
+   * @returns {boolean} True if the title was stored
+   */
+  setGeneratedTitle(conversationId, title, { force = false } = {}) {
+    const stmt = this.db.prepare(`
+      UPDATE conversations SET title = ?, title_source = 'ai'
+      WHERE id = ? AND (? = 1 OR title_source IS NULL OR title_source = 'ai')
+    `);
+    const result = stmt.run(title, conversationId, force ? 1 : 0);
+    return result.changes > 0;
+  }
+
+  /**
+   * Store the text recognized in a conversation's screenshot
+   * The conversation's updated_at is left alone since no message changed.
+   * @param {string} conversationId - ID of the conversation
+   * @param {{text: string, words: Array<Object>}} result - OcrService result
+   */
+  setScreenshotText(conversationId, { text, words }) {
+    const stmt = this.db.prepare(`
+      UPDATE conversations SET screenshot_text = ?, screenshot_words = ? WHERE id = ?
+    `);
+    stmt.run(text, JSON.stringify(words || []), conversationId);
+  }
+
+  /**
+   * Store the follow-up questions suggested after an answer
+   * @param {string} messageId - ID of the assistant message
+   * @param {string[]} followUps - Suggested questions
+   */
+  setFollowUps(messageId, followUps) {
+    const stmt = this.db.prepare(`
+      UPDATE messages SET follow_ups = ? WHERE id = ? AND role = 'assistant'
+    `);
+    stmt.run(followUps.length > 0 ? JSON.stringify(followUps) : null, messageId);
+  }
+
+  /**
+   * Store the rolling summary sent instead of a conversation's older turns
+   * The conversation's updated_at is left alone since no message changed.
+   * @param {string} conversationId - ID of the conversation
+   * @param {{text: string, messageCount: number}|null} summary - Summary of the first
+   *   messageCount messages, or null to send every turn again
+   */
+  setContextSummary(conversationId, summary) {
+    const stmt = this.db.prepare(`
+      UPDATE conversations SET context_summary = ? WHERE id = ?
+    `);
+    stmt.run(summary ? JSON.stringify(summary) : null, conversationId);
+  }
+
+  /**
+   * Read the context summary of a conversation row
+   * @param {Object|null} conversation - Row from the conversations table
+   * @returns {{text: string, messageCount: number, updatedAt: number}|null} Summary or null
+   */
+  parseContextSummary(conversation) {
+    return conversation?.context_summary ? JSON.parse(conversation.context_summary) : null;
+  }
+
   // DELETE
 
   /**
@@ -253,6 +451,19 @@ class ConversationService {
     return title.length < firstPrompt.trim().length ? `${title}...` : title;
   }
 
+  /**
+   * Add up usage records, skipping messages without token counts
+   * @param {Array<Object|null>} usages - { inputTokens, outputTokens, cost } records
+   * @returns {Object} { inputTokens, outputTokens, cost }; cost is null if no record had one
+   */
+  sumUsage(usages) {
+    return usages.filter(Boolean).reduce((total, usage) => ({
+      inputTokens: total.inputTokens + usage.inputTokens,
+      outputTokens: total.outputTokens + usage.outputTokens,
+      cost: typeof usage.cost === 'number' ? (total.cost || 0) + usage.cost : total.cost
+    }), { inputTokens: 0, outputTokens: 0, cost: null });
+  }
+
   /**
    * Calculate SHA-256 hash of a data URL
    * @param {string} dataUrl - Data URL to hash
@@ -265,16 +476,24 @@ class ConversationService {
   /**
    * Save a complete conversation (used when migrating from popup to main app)
    * @param {string|null} [screenshotDataUrl] - Screenshot data URL (optional)
-   * @param {Array} conversation - Array of {prompt, answer} objects
+   * @param {Array} conversation - Array of {prompt, answer, error, cancelled, provider, model,
+   *   usage, toolCalls} objects
+   * @param {Object} [options] - Conversation settings ({ provider, model }), see createConversation
    * @returns {Object} Created conversation with id
    */
-  saveCompleteConversation(screenshotDataUrl, conversation) {
-    const conversationData = this.createConversation(screenshotDataUrl || null);
+  saveCompleteConversation(screenshotDataUrl, conversation, options = {}) {
+    const conversationData = this.createConversation(screenshotDataUrl || null, options);
 
     // Save all messages
     conversation.forEach(item => {
       this.saveMessage(conversationData.id, 'user', item.prompt, false);
-      this.saveMessage(conversationData.id, 'assistant', item.answer, item.error || false);
+      this.saveMessage(conversationData.id, 'assistant', item.answer, item.error || false, {
+        cancelled: item.cancelled || false,
+        provider: item.provider,
+        model: item.model,
+        usage: item.usage,
+        toolCalls: item.toolCalls,
+      });
     });
 
     return conversationData;
@@ -0,0 +1,250 @@
+/**
+ * Export Service
+ * Writes extracted grids ({ columns, rows }) as CSV, TSV or XLSX
+ * @class ExportService
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const Logger = require('../utils/logger');
+
+// Formats a grid can be exported to, with the file filter offered when saving
+const EXPORT_FORMATS = {
+  csv: { name: 'CSV', extension: 'csv', delimiter: ',' },
+  tsv: { name: 'TSV', extension: 'tsv', delimiter: '\t' },
+  xlsx: { name: 'Excel Workbook', extension: 'xlsx' },
+};
+
+class ExportService {
+  constructor() {
+    this.logger = new Logger('ExportService');
+  }
+
+  /**
+   * Get the file filter for a format, for save dialogs
+   * @param {string} format - Key of EXPORT_FORMATS
+   * @returns {{name: string, extensions: string[]}|null} Filter, or null if unknown
+   */
+  getFileFilter(format) {
+    const config = EXPORT_FORMATS[format];
+    return config ? { name: config.name, extensions: [config.extension] } : null;
+  }
+
+  /**
+   * Serialise a grid as delimited text, quoting cells that need it (RFC 4180)
+   * @param {{columns: string[], rows: string[][]}} grid - Grid with a header row
+   * @param {string} [format] - 'csv' or 'tsv'
+   * @returns {string} Text with CRLF line endings
+   * @throws {Error} If the format is not a delimited one
+   */
+  toDelimited(grid, format = 'csv') {
+    const delimiter = EXPORT_FORMATS[format]?.delimiter;
+    if (!delimiter) {
+      throw new Error(`Unsupported text format: ${format}`);
+    }
+
+    const quote = (value) => {
+      const text = String(value ?? '');
+      return /["\r\n]/.test(text) || text.includes(delimiter)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+    };
+    return this._toTable(grid)
+      .map((row) => row.map(quote).join(delimiter))
+      .join('\r\n');
+  }
+
+  /**
+   * Build a single-sheet XLSX workbook for a grid, with every cell as text
+   * @param {{columns: string[], rows: string[][]}} grid - Grid with a header row
+   * @returns {Buffer} Workbook file contents
+   */
+  toXlsx(grid) {
+    // XML 1.0 allows no control characters other than tab and line breaks
+    const isXmlChar = (char) => {
+      const code = char.charCodeAt(0);
+      return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+    };
+    const escape = (value) =>
+      Array.from(String(value ?? ''))
+        .filter(isXmlChar)
+        .join('')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    const sheetRows = this._toTable(grid)
+      .map((row, r) => {
+        const cells = row
+          .map(
+            (value, c) =>
+              `<c r="${this._columnName(c)}${r + 1}" t="inlineStr">` +
+              `<is><t xml:space="preserve">${escape(value)}</t></is></c>`
+          )
+          .join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+      })
+      .join('');
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const pkg = 'http://schemas.openxmlformats.org/package/2006';
+    const doc = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const type = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+    return this._zip([
+      {
+        name: '[Content_Types].xml',
+        data:
+          `${xml}<Types xmlns="${pkg}/content-types">` +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          `<Override PartName="/xl/workbook.xml" ContentType="${type}.sheet.main+xml"/>` +
+          `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${type}.worksheet+xml"/>` +
+          '</Types>',
+      },
+      {
+        name: '_rels/.rels',
+        data:
+          `${xml}<Relationships xmlns="${pkg}/relationships">` +
+          `<Relationship Id="rId1" Type="${doc}/officeDocument" Target="xl/workbook.xml"/>` +
+          '</Relationships>',
+      },
+      {
+        name: 'xl/workbook.xml',
+        data:
+          `${xml}<workbook xmlns="${main}" xmlns:r="${doc}">` +
+          '<sheets><sheet name="Extraction" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        data:
+          `${xml}<Relationships xmlns="${pkg}/relationships">` +
+          `<Relationship Id="rId1" Type="${doc}/worksheet" Target="worksheets/sheet1.xml"/>` +
+          '</Relationships>',
+      },
+      {
+        name: 'xl/worksheets/sheet1.xml',
+        data: `${xml}<worksheet xmlns="${main}"><sheetData>${sheetRows}</sheetData></worksheet>`,
+      },
+    ]);
+  }
+
+  /**
+   * Write a grid to a file
+   * @param {{columns: string[], rows: string[][]}} grid - Grid with a header row
+   * @param {string} format - Key of EXPORT_FORMATS
+   * @param {string} filePath - Destination path
+   * @returns {Promise<void>}
+   * @throws {Error} If the format is unknown or the file cannot be written
+   */
+  async saveGrid(grid, format, filePath) {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const contents = format === 'xlsx' ? this.toXlsx(grid) : this.toDelimited(grid, format);
+    await fs.promises.writeFile(filePath, contents);
+    this.logger.success(`Exported ${grid.rows.length} row(s) to ${filePath}`);
+  }
+
+  /**
+   * Get the header row followed by the data rows
+   * @private
+   * @param {{columns: string[], rows: string[][]}} grid - Grid
+   * @returns {string[][]} Rows
+   * @throws {Error} If the grid is malformed
+   */
+  _toTable(grid) {
+    if (!Array.isArray(grid?.columns) || !Array.isArray(grid?.rows)) {
+      throw new Error('Invalid grid');
+    }
+    return [grid.columns, ...grid.rows];
+  }
+
+  /**
+   * Spreadsheet column name for a zero-based index (0 -> A, 26 -> AA)
+   * @private
+   * @param {number} index - Column index
+   * @returns {string} Column name
+   */
+  _columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  /**
+   * Build a ZIP archive of deflated entries
+   * @private
+   * @param {Array<{name: string, data: string}>} entries - Files to store
+   * @returns {Buffer} Archive
+   */
+  _zip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach(({ name, data }) => {
+      const fileName = Buffer.from(name, 'utf8');
+      const raw = Buffer.from(data, 'utf8');
+      const { compressed, crc } = this._deflate(raw);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+      local.writeUInt16LE(20, 4); // Version needed (2.0, deflate)
+      local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+      local.writeUInt16LE(8, 8); // Deflate
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(compressed.length, 18);
+      local.writeUInt32LE(raw.length, 22);
+      local.writeUInt16LE(fileName.length, 26);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+      central.writeUInt16LE(20, 4); // Version made by
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(8, 10);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(compressed.length, 20);
+      central.writeUInt32LE(raw.length, 24);
+      central.writeUInt16LE(fileName.length, 28);
+      central.writeUInt32LE(offset, 42);
+
+      locals.push(local, fileName, compressed);
+      centrals.push(central, fileName);
+      offset += local.length + fileName.length + compressed.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+  }
+
+  /**
+   * Deflate a ZIP entry's data and get its CRC-32 checksum
+   * Both come from one gzip stream, whose trailer holds the same CRC-32 that ZIP headers use.
+   * @private
+   * @param {Buffer} buffer - Data
+   * @returns {{compressed: Buffer, crc: number}} Raw deflate data and unsigned checksum
+   */
+  _deflate(buffer) {
+    // 10-byte header, the raw deflate data, then the CRC-32 and the data length
+    const gzip = zlib.gzipSync(buffer);
+    return {
+      compressed: gzip.subarray(10, gzip.length - 8),
+      crc: gzip.readUInt32LE(gzip.length - 8),
+    };
+  }
+}
+
+module.exports = ExportService;
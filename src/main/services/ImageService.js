@@ -0,0 +1,283 @@
+/**
+ * Image Service
+ * Prepares screenshots for upload: detects their real format, downsizes them to a provider's
+ * recommended dimensions and re-encodes them to fit a byte budget
+ * @class ImageService
+ */
+
+const { nativeImage } = require('electron');
+const Logger = require('../utils/logger');
+const { AI } = require('../config/constants');
+
+// Leading bytes of the formats we recognise (WebP is checked separately, see detectMimeType)
+const SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+];
+
+// Formats nativeImage can decode and encode on every platform
+const RESIZABLE_TYPES = ['image/png', 'image/jpeg'];
+
+// Steps tried to get under a byte budget before giving up and sending the smallest result
+const MAX_BUDGET_STEPS = 8;
+
+class ImageService {
+  constructor() {
+    this.logger = new Logger('ImageService');
+  }
+
+  /**
+   * Detect an image's format from its leading bytes
+   * @param {Buffer} buffer - Image data
+   * @returns {string|null} MIME type, or null if the format is not recognised
+   */
+  detectMimeType(buffer) {
+    const match = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+    if (match) {
+      return match.mimeType;
+    }
+    // RIFF container with a WEBP form type
+    if (
+      buffer.length >= 12 &&
+      buffer.toString('ascii', 0, 4) === 'RIFF' &&
+      buffer.toString('ascii', 8, 12) === 'WEBP'
+    ) {
+      return 'image/webp';
+    }
+    return null;
+  }
+
+  /**
+   * Decode a base64 data URL
+   * @param {string} dataUrl - Image data URL
+   * @returns {{buffer: Buffer, mimeType: string}} Image data and its detected MIME type
+   *   (the declared one if the format is not recognised)
+   * @throws {Error} If the data URL is not base64 encoded
+   */
+  parseDataUrl(dataUrl) {
+    const match = /^data:([^;,]*)[^,]*;base64,(.*)$/s.exec(dataUrl || '');
+    if (!match) {
+      throw new Error('Invalid image data URL');
+    }
+
+    const buffer = Buffer.from(match[2], 'base64');
+    return { buffer, mimeType: this.detectMimeType(buffer) || match[1] || 'image/png' };
+  }
+
+  /**
+   * Downsize and re-encode an image for a provider
+   * Images already within the limits are passed through, with the data URL corrected to
+   * their real MIME type. Formats nativeImage cannot decode (GIF, WebP) are never resized.
+   * @param {string} dataUrl - Image data URL
+   * @param {Object} [limits] - Provider limits (AI.PROVIDERS[].imageLimits)
+   * @param {number} [limits.maxDimension] - Longest edge in pixels
+   * @param {number|null} [limits.maxBytes] - Budget for the base64 payload
+   * @param {Object} [options] - Encoding options, defaults from AI.IMAGE_PREPROCESSING
+   * @param {string|null} [options.format] - 'jpeg' to always re-encode as JPEG; there is no
+   *   WebP output, as nativeImage can only encode PNG and JPEG
+   * @param {number} [options.quality] - JPEG quality (0-100)
+   * @param {number} [options.minQuality] - Lowest JPEG quality tried to meet maxBytes
+   * @returns {{dataUrl: string, mimeType: string, width?: number, height?: number,
+   *   bytes: number, originalBytes: number}} Prepared image; bytes are base64 payload sizes
+   */
+  preprocess(dataUrl, limits = {}, options = {}) {
+    const { format, quality, minQuality } = { ...AI.IMAGE_PREPROCESSING, ...options };
+    if (format && format !== 'jpeg') {
+      this.logger.warn(`Can't re-encode images as ${format}; only JPEG is supported`);
+    }
+    const { maxDimension, maxBytes } = limits;
+    const { buffer, mimeType } = this.parseDataUrl(dataUrl);
+    const originalBytes = this._encodedLength(buffer);
+
+    const image = RESIZABLE_TYPES.includes(mimeType) ? nativeImage.createFromBuffer(buffer) : null;
+    if (!image || image.isEmpty()) {
+      return this._result(buffer, mimeType, null, originalBytes);
+    }
+
+    const original = image.getSize();
+    const longestEdge = Math.max(original.width, original.height);
+    const scale = maxDimension ? Math.min(1, maxDimension / longestEdge) : 1;
+    let resized = scale < 1 ? this._resize(image, original, scale) : image;
+
+    let outputType = format === 'jpeg' ? 'image/jpeg' : mimeType;
+    let jpegQuality = quality;
+    let output =
+      resized === image && outputType === mimeType
+        ? buffer
+        : this._encode(resized, outputType, jpegQuality);
+
+    // Over budget: switch to JPEG, lower the quality step by step, then shrink further
+    for (let step = 0; maxBytes && this._encodedLength(output) > maxBytes; step += 1) {
+      if (step === MAX_BUDGET_STEPS) {
+        this.logger.warn(`Image is still over the ${this._formatBytes(maxBytes)} budget`);
+        break;
+      }
+      if (outputType === 'image/jpeg' && jpegQuality > minQuality) {
+        jpegQuality = Math.max(minQuality, jpegQuality - 15);
+      } else if (outputType === 'image/jpeg') {
+        resized = this._resize(resized, resized.getSize(), 0.75);
+      }
+      outputType = 'image/jpeg';
+      output = this._encode(resized, outputType, jpegQuality);
+    }
+
+    const result = this._result(output, outputType, resized.getSize(), originalBytes);
+    if (output !== buffer) {
+      this.logger.info(
+        `Image prepared: ${original.width}x${original.height} ${mimeType} ` +
+          `${this._formatBytes(originalBytes)} -> ${result.width}x${result.height} ` +
+          `${outputType} ${this._formatBytes(result.bytes)} ` +
+          `(saved ${Math.round((1 - result.bytes / originalBytes) * 100)}%)`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Hide regions of an image, e.g. sensitive text found by RedactionService
+   * 'blur' pixelates each region in blocks at least as tall as the region, so the text in it
+   * can't be read back; 'black' fills it. The result is always a PNG.
+   * @param {string} dataUrl - Image data URL
+   * @param {Array<{bbox: {x: number, y: number, width: number, height: number}}>} regions -
+   *   Regions in image pixels
+   * @param {string} [style] - 'blur' or 'black'
+   * @returns {string} PNG data URL of the redacted image
+   * @throws {Error} If the image can't be decoded (GIF, WebP)
+   */
+  redactRegions(dataUrl, regions, style = 'blur') {
+    const { buffer, mimeType } = this.parseDataUrl(dataUrl);
+    const image = RESIZABLE_TYPES.includes(mimeType) ? nativeImage.createFromBuffer(buffer) : null;
+    if (!image || image.isEmpty()) {
+      throw new Error(`Can't redact ${mimeType} images`);
+    }
+
+    const size = image.getSize();
+    // 4 bytes per pixel; the channel order doesn't matter for averaging or filling
+    const bitmap = Buffer.from(image.toBitmap());
+    regions.forEach(({ bbox }) => {
+      const x0 = Math.max(0, Math.floor(bbox.x));
+      const y0 = Math.max(0, Math.floor(bbox.y));
+      const x1 = Math.min(size.width, Math.ceil(bbox.x + bbox.width));
+      const y1 = Math.min(size.height, Math.ceil(bbox.y + bbox.height));
+      const block = style === 'black' ? Infinity : Math.max(8, y1 - y0);
+      for (let by = y0; by < y1; by += block) {
+        for (let bx = x0; bx < x1; bx += block) {
+          const { offsets, colour } = this._fillBlock(bitmap, size.width, {
+            x0: bx,
+            y0: by,
+            x1: Math.min(x1, bx + block),
+            y1: Math.min(y1, by + block),
+            average: style !== 'black',
+          });
+          offsets.forEach((offset) => bitmap.set(colour, offset));
+        }
+      }
+    });
+
+    const output = nativeImage.createFromBitmap(bitmap, size).toPNG();
+    return `data:image/png;base64,${output.toString('base64')}`;
+  }
+
+  /**
+   * Work out how to fill a block of a bitmap: with its average colour, or opaque black
+   * @private
+   * @param {Buffer} bitmap - 4-byte-per-pixel bitmap
+   * @param {number} width - Bitmap width in pixels
+   * @param {{x0: number, y0: number, x1: number, y1: number, average: boolean}} block -
+   *   Block bounds (end exclusive) and whether to average rather than fill black
+   * @returns {{offsets: number[], colour: number[]}} Byte offset of each pixel in the block,
+   *   and the 4 bytes to write at each
+   */
+  _fillBlock(bitmap, width, { x0, y0, x1, y1, average }) {
+    const sums = [0, 0, 0, 0];
+    const offsets = [];
+    for (let y = y0; y < y1; y += 1) {
+      for (let x = x0; x < x1; x += 1) {
+        const offset = (y * width + x) * 4;
+        offsets.push(offset);
+        sums.forEach((sum, channel) => {
+          sums[channel] = sum + bitmap[offset + channel];
+        });
+      }
+    }
+
+    // Black keeps the alpha channel (the 4th byte in both BGRA and RGBA) opaque
+    const colour = average
+      ? sums.map((sum) => Math.round(sum / Math.max(1, offsets.length)))
+      : [0, 0, 0, 255];
+    return { offsets, colour };
+  }
+
+  /**
+   * Resize an image by a scale factor, keeping its aspect ratio
+   * @private
+   * @param {Electron.NativeImage} image - Image to resize
+   * @param {{width: number, height: number}} size - Its current size
+   * @param {number} scale - Scale factor (< 1)
+   * @returns {Electron.NativeImage} Resized image
+   */
+  _resize(image, { width, height }, scale) {
+    return image.resize({
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale)),
+      quality: 'best',
+    });
+  }
+
+  /**
+   * Encode an image as PNG or JPEG
+   * @private
+   * @param {Electron.NativeImage} image - Image to encode
+   * @param {string} mimeType - 'image/jpeg' or 'image/png'
+   * @param {number} quality - JPEG quality (0-100)
+   * @returns {Buffer} Encoded image
+   */
+  _encode(image, mimeType, quality) {
+    return mimeType === 'image/jpeg' ? image.toJPEG(quality) : image.toPNG();
+  }
+
+  /**
+   * Build the result for an encoded image
+   * @private
+   * @param {Buffer} buffer - Encoded image
+   * @param {string} mimeType - Its MIME type
+   * @param {{width: number, height: number}|null} size - Its size, if decoded
+   * @param {number} originalBytes - Base64 size of the image before preprocessing
+   * @returns {Object} See preprocess()
+   */
+  _result(buffer, mimeType, size, originalBytes) {
+    return {
+      dataUrl: `data:${mimeType};base64,${buffer.toString('base64')}`,
+      mimeType,
+      ...(size && { width: size.width, height: size.height }),
+      bytes: this._encodedLength(buffer),
+      originalBytes,
+    };
+  }
+
+  /**
+   * Size of data once base64 encoded, which is what providers count against their limits
+   * @private
+   * @param {Buffer} buffer - Raw data
+   * @returns {number} Base64 length in bytes
+   */
+  _encodedLength(buffer) {
+    return Math.ceil(buffer.length / 3) * 4;
+  }
+
+  /**
+   * Format a byte count for logs
+   * @private
+   * @param {number} bytes - Byte count
+   * @returns {string} e.g. "1.2 MB"
+   */
+  _formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+}
+
+module.exports = ImageService;
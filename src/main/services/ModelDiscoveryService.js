@@ -0,0 +1,158 @@
+/**
+ * Model Discovery Service
+ * Lists the models available to an API key from each provider's list-models endpoint,
+ * keeping the vision-capable chat models and caching the result
+ * @class ModelDiscoveryService
+ */
+
+const { createHash } = require('crypto');
+const Logger = require('../utils/logger');
+const { AI } = require('../config/constants');
+
+// Model families that can't answer about a screenshot (audio, embeddings, image output...)
+const NON_VISION_PATTERNS = [
+  /embedding|aqa|tts|transcribe|audio|realtime|live/,
+  /search|instruct|image-generation|imagen/,
+  /^o1-(mini|preview)|^o3-mini/,
+];
+
+// List-models request and response handling per provider; local servers are listed live
+// by AIService.listLocalModels instead
+const PROVIDER_APIS = {
+  google: {
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com',
+    request: (baseUrl, apiKey) => ({
+      url: `${baseUrl}/v1beta/models?pageSize=1000`,
+      headers: { 'x-goog-api-key': apiKey },
+    }),
+    parse: (body) =>
+      (body.models || [])
+        .filter((model) => (model.supportedGenerationMethods || []).includes('generateContent'))
+        .map((model) => ({
+          id: model.name.replace(/^models\//, ''),
+          name: model.displayName || model.name,
+        }))
+        .filter(({ id }) => id.startsWith('gemini-')),
+  },
+  openai: {
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    request: (baseUrl, apiKey, options) => ({
+      url: `${baseUrl}/models`,
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        ...(options.organization && { 'OpenAI-Organization': options.organization }),
+        ...(options.project && { 'OpenAI-Project': options.project }),
+      },
+    }),
+    // The API doesn't report capabilities, so keep the families that accept images
+    parse: (body) =>
+      (body.data || [])
+        .filter(({ id }) => /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|chatgpt-4o|o1|o3|o4)/.test(id))
+        .sort((a, b) => (b.created || 0) - (a.created || 0))
+        .map(({ id }) => ({ id, name: id })),
+  },
+  anthropic: {
+    defaultBaseUrl: 'https://api.anthropic.com',
+    request: (baseUrl, apiKey) => ({
+      url: `${baseUrl}/v1/models?limit=1000`,
+      headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+    }),
+    // Every Claude 3 and later model accepts images
+    parse: (body) =>
+      (body.data || [])
+        .filter(({ id }) => id.startsWith('claude-') && !/^claude-(2|instant)/.test(id))
+        .map((model) => ({ id: model.id, name: model.display_name || model.id })),
+  },
+};
+
+class ModelDiscoveryService {
+  constructor() {
+    this.cache = new Map(); // provider + key/URL hash -> { provider, models, expiresAt, error }
+    this.logger = new Logger('ModelDiscoveryService');
+  }
+
+  /**
+   * Check whether a provider's models can be listed through its API
+   * @param {string} provider - Provider type
+   * @returns {boolean} True if discovery is supported
+   */
+  supports(provider) {
+    return !!PROVIDER_APIS[provider];
+  }
+
+  /**
+   * List the vision-capable chat models an API key can use
+   * Results are cached for AI.MODEL_DISCOVERY_TTL (failures for AI.MODEL_DISCOVERY_ERROR_TTL,
+   * so an offline machine isn't slowed down on every call).
+   * @param {string} provider - Provider type
+   * @param {string} apiKey - API key for the provider
+   * @param {Object} [options] - Provider connection options ({ baseUrl, headers,
+   *   organization, project }), as for AIService.initialize()
+   * @param {boolean} [refresh] - Skip the cache
+   * @returns {Promise<{success: boolean, models: Array<{id: string, name: string}>,
+   *   error?: string}>}
+   */
+  async listModels(provider, apiKey, options = {}, refresh = false) {
+    const api = PROVIDER_APIS[provider];
+    if (!api || !apiKey) {
+      return { success: false, models: [], error: `Cannot list models for ${provider}` };
+    }
+
+    const baseUrl = (options.baseUrl || api.defaultBaseUrl).replace(/\/+$/, '');
+    const hash = createHash('sha256').update(`${apiKey}\n${baseUrl}`).digest('hex');
+    const cacheKey = `${provider}:${hash}`;
+    const cached = this.cache.get(cacheKey);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+      return cached.error
+        ? { success: false, models: [], error: cached.error }
+        : { success: true, models: cached.models };
+    }
+
+    const { url, headers } = api.request(baseUrl, apiKey, options);
+    try {
+      const response = await fetch(url, {
+        headers: { ...(options.headers || {}), ...headers },
+        signal: AbortSignal.timeout(AI.MODEL_DISCOVERY_TIMEOUT),
+      });
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+
+      const models = api
+        .parse(await response.json())
+        .filter(({ id }) => !NON_VISION_PATTERNS.some((pattern) => pattern.test(id)));
+      this.cache.set(cacheKey, {
+        provider,
+        models,
+        expiresAt: Date.now() + AI.MODEL_DISCOVERY_TTL,
+      });
+
+      this.logger.info(`Found ${models.length} ${provider} model(s)`);
+      return { success: true, models };
+    } catch (error) {
+      const message = `Could not list ${AI.PROVIDERS[provider].name} models: ${error.message}`;
+      this.logger.warn(message);
+      this.cache.set(cacheKey, {
+        provider,
+        models: [],
+        expiresAt: Date.now() + AI.MODEL_DISCOVERY_ERROR_TTL,
+        error: message,
+      });
+      return { success: false, models: [], error: message };
+    }
+  }
+
+  /**
+   * Get every model discovered for a provider that is still cached, for any key
+   * @param {string} provider - Provider type
+   * @returns {Array<{id: string, name: string}>} Models (empty if none were discovered)
+   */
+  getCachedModels(provider) {
+    const now = Date.now();
+    return [...this.cache.values()]
+      .filter((entry) => entry.provider === provider && entry.expiresAt > now)
+      .flatMap((entry) => entry.models);
+  }
+}
+
+module.exports = ModelDiscoveryService;
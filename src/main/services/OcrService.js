@@ -0,0 +1,155 @@
+/**
+ * OCR Service
+ * Recognizes the text in screenshots on-device with tesseract.js and the English language
+ * data shipped with the app, so nothing leaves the machine
+ * @class OcrService
+ */
+
+const path = require('path');
+const { createHash } = require('crypto');
+const { createWorker } = require('tesseract.js');
+const englishData = require('@tesseract.js-data/eng');
+const Logger = require('../utils/logger');
+const { OCR } = require('../config/constants');
+
+/**
+ * Point a path inside the app archive at its unpacked copy: worker threads can't load
+ * scripts from app.asar, so tesseract.js and its data are unpacked in packaged builds
+ * @param {string} filePath - Path that may be inside app.asar
+ * @returns {string} Path outside the archive
+ */
+const unpacked = (filePath) =>
+  filePath.replace(`app.asar${path.sep}`, `app.asar.unpacked${path.sep}`);
+
+class OcrService {
+  constructor() {
+    this.worker = null; // Promise of the tesseract.js worker, started on first use
+    this.results = new Map(); // Screenshot hash -> { promise, value }, oldest first
+    this.logger = new Logger('OcrService');
+  }
+
+  /**
+   * Recognize the text in a screenshot
+   * Results for the last OCR.recentResults screenshots are kept, so the run started at
+   * capture is reused when the user asks about the screenshot and when it is saved.
+   * @param {string} imageDataUrl - Screenshot data URL
+   * @returns {Promise<{text: string, words: Array<{text: string, confidence: number,
+   *   line: number, bbox: {x: number, y: number, width: number, height: number}}>,
+   *   durationMs: number}>} Text of the lines read with confidence, and every word with its
+   *   line index and bounding box in image pixels (redaction can't skip unclear words)
+   * @throws {Error} If the engine fails to start or read the image
+   */
+  recognize(imageDataUrl) {
+    const hash = createHash('sha256').update(imageDataUrl).digest('hex');
+    const existing = this.results.get(hash);
+    if (existing) {
+      return existing.promise;
+    }
+
+    const entry = { promise: null, value: null };
+    entry.promise = this._recognize(imageDataUrl).then(
+      (value) => {
+        entry.value = value;
+        return value;
+      },
+      (error) => {
+        // Let a later call try again
+        this.results.delete(hash);
+        throw error;
+      }
+    );
+    this.results.set(hash, entry);
+    if (this.results.size > OCR.recentResults) {
+      this.results.delete(this.results.keys().next().value);
+    }
+    return entry.promise;
+  }
+
+  /**
+   * Get a screenshot's result if its recognition has already finished
+   * @param {string} imageDataUrl - Screenshot data URL
+   * @returns {Object|null} Result as for recognize, or null if not (yet) recognized
+   */
+  getFinished(imageDataUrl) {
+    const hash = createHash('sha256').update(imageDataUrl).digest('hex');
+    return this.results.get(hash)?.value || null;
+  }
+
+  /**
+   * Stop the engine's worker thread (on quit)
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    if (!this.worker) {
+      return;
+    }
+    const pending = this.worker;
+    this.worker = null;
+    try {
+      await (await pending).terminate();
+    } catch (error) {
+      this.logger.warn('Failed to stop the OCR worker', error.message);
+    }
+  }
+
+  /**
+   * Run the engine on a screenshot
+   * @private
+   * @param {string} imageDataUrl - Screenshot data URL
+   * @returns {Promise<Object>} Result as for recognize
+   */
+  async _recognize(imageDataUrl) {
+    const startedAt = Date.now();
+    const worker = await this._getWorker();
+    const { data } = await worker.recognize(imageDataUrl, {}, { text: true, blocks: true });
+
+    const lines = (data.blocks || []).flatMap((block) =>
+      block.paragraphs.flatMap((paragraph) => paragraph.lines)
+    );
+    const result = {
+      text: lines
+        .filter((line) => line.confidence >= OCR.minConfidence && line.text.trim())
+        .map((line) => line.text.trim())
+        .join('\n'),
+      words: lines.flatMap((line, index) =>
+        line.words
+          .filter((word) => word.text.trim())
+          .map(({ text, confidence, bbox }) => ({
+            text,
+            confidence: Math.round(confidence),
+            line: index,
+            bbox: { x: bbox.x0, y: bbox.y0, width: bbox.x1 - bbox.x0, height: bbox.y1 - bbox.y0 },
+          }))
+      ),
+      durationMs: Date.now() - startedAt,
+    };
+
+    this.logger.info(`Recognized ${result.words.length} word(s) in ${result.durationMs}ms`);
+    return result;
+  }
+
+  /**
+   * Start the worker with the bundled language data, once
+   * Language data is read from the app rather than downloaded, and not cached to disk.
+   * @private
+   * @returns {Promise<Object>} tesseract.js worker
+   */
+  _getWorker() {
+    if (!this.worker) {
+      this.logger.info('Starting OCR engine');
+      this.worker = createWorker(englishData.code, 1, {
+        workerPath: unpacked(require.resolve('tesseract.js/src/worker-script/node/index.js')),
+        langPath: unpacked(englishData.langPath),
+        gzip: englishData.gzip,
+        cacheMethod: 'none',
+      });
+      this.worker.catch((error) => {
+        this.logger.error('Failed to start the OCR engine', error);
+        this.worker = null;
+      });
+    }
+    return this.worker;
+  }
+}
+
+module.exports = OcrService;
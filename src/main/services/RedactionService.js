@@ -0,0 +1,300 @@
+/**
+ * Redaction Service
+ * Finds sensitive text in screenshots (email addresses, API keys, card numbers, phone numbers
+ * and custom patterns) with on-device OCR and hides it before the screenshot leaves the machine
+ * @class RedactionService
+ */
+
+const vm = require('vm');
+const { createHash } = require('crypto');
+const Logger = require('../utils/logger');
+const ImageService = require('./ImageService');
+const { REDACTION } = require('../config/constants');
+
+// Patterns per detector, run on each line of recognized text
+const PATTERNS = {
+  email: [/[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi],
+  apiKey: [
+    /\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}/g, // OpenAI, Anthropic, Stripe
+    /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, // AWS access key IDs
+    /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})/g,
+    /\bxox[abposr]-[A-Za-z0-9-]{10,}/g, // Slack
+    /\bAIza[0-9A-Za-z_-]{30,}/g, // Google
+    /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g, // JWTs
+    /\b(?:api[_-]?key|token|secret|password|passwd|bearer)\b\s*[:=]?\s*\S{8,}/gi,
+    // Long strings of mixed letters and digits (hex secrets, generic tokens)
+    /\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}/g,
+  ],
+  creditCard: [/\b\d(?:[ -]?\d){12,18}\b/g],
+  phone: [/(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}/g],
+};
+
+// How each type of match reads in redacted text
+const TEXT_LABELS = {
+  email: 'email',
+  apiKey: 'API key',
+  creditCard: 'card number',
+  phone: 'phone number',
+  custom: 'text',
+};
+
+/**
+ * Check a card number's Luhn checksum
+ * @param {string} digits - Card number digits
+ * @returns {boolean} Whether the checksum is valid
+ */
+const passesLuhn = (digits) => {
+  const sum = [...digits].reverse().reduce((total, char, index) => {
+    const digit = Number(char) * (index % 2 === 1 ? 2 : 1);
+    return total + (digit > 9 ? digit - 9 : digit);
+  }, 0);
+  return sum % 10 === 0;
+};
+
+// Further checks on a match, to keep order numbers, dates and IP addresses
+const ACCEPT = {
+  creditCard: (match) => passesLuhn(match.replace(/\D/g, '')),
+  phone: (match) => {
+    const digits = match.replace(/\D/g, '').length;
+    return (
+      digits >= 9 &&
+      digits <= 15 &&
+      /[+()\s.-]/.test(match) &&
+      !/^\d{1,3}(?:\.\d{1,3}){3}$/.test(match.trim())
+    );
+  },
+};
+
+class RedactionService {
+  /**
+   * @param {OcrService} ocrService - Recognizes the text in screenshots
+   * @param {ImageService} [imageService] - Hides regions of images
+   */
+  constructor(ocrService, imageService = new ImageService()) {
+    this.ocrService = ocrService;
+    this.imageService = imageService;
+    this.results = new Map(); // Screenshot and settings hash -> promise of the result
+    this.logger = new Logger('RedactionService');
+  }
+
+  /**
+   * Hide the sensitive text in a screenshot
+   * Results for the last REDACTION.recentResults screenshot/settings pairs are kept, so the
+   * preview and every request about the screenshot share one run.
+   * @param {string} imageDataUrl - Screenshot data URL
+   * @param {Object} settings - Redaction settings (StorageService.getRedactionSettings)
+   * @returns {Promise<{dataUrl: string, regions: Array<{type: string, bbox: Object}>}>}
+   *   Redacted screenshot (the original if nothing was found) and the regions hidden
+   * @throws {Error} If the text can't be recognized or the image can't be redacted
+   */
+  redact(imageDataUrl, settings) {
+    const hash = createHash('sha256')
+      .update(imageDataUrl)
+      .update(JSON.stringify(settings))
+      .digest('hex');
+    const existing = this.results.get(hash);
+    if (existing) {
+      return existing;
+    }
+
+    const promise = this._redact(imageDataUrl, settings).catch((error) => {
+      this.results.delete(hash);
+      throw error;
+    });
+    this.results.set(hash, promise);
+    if (this.results.size > REDACTION.recentResults) {
+      this.results.delete(this.results.keys().next().value);
+    }
+    return promise;
+  }
+
+  /**
+   * Find the regions of a screenshot holding sensitive text
+   * Words are matched a line at a time, so values split across words (card and phone numbers)
+   * are found; a match covers every word it touches.
+   * @param {Array<{text: string, line: number, bbox: Object}>} words - OCR words
+   * @param {Object} settings - Redaction settings
+   * @returns {Array<{type: string, bbox: {x: number, y: number, width: number,
+   *   height: number}}>} Regions to hide, padded by REDACTION.padding
+   */
+  findSensitive(words, settings) {
+    const lines = new Map();
+    words.forEach((word) => {
+      lines.set(word.line, [...(lines.get(word.line) || []), word]);
+    });
+
+    const lineTexts = [...lines.values()].map((lineWords) => this._layout(lineWords));
+    const matches = this._findMatches(
+      lineTexts.map(({ text }) => text),
+      settings
+    );
+
+    return matches.map(({ type, line, start, end }) => {
+      const covered = lineTexts[line].spans
+        .filter((span) => span.start < end && span.end > start)
+        .map((span) => span.word.bbox);
+      const x = Math.min(...covered.map((bbox) => bbox.x)) - REDACTION.padding;
+      const y = Math.min(...covered.map((bbox) => bbox.y)) - REDACTION.padding;
+      const right = Math.max(...covered.map((bbox) => bbox.x + bbox.width)) + REDACTION.padding;
+      const bottom = Math.max(...covered.map((bbox) => bbox.y + bbox.height)) + REDACTION.padding;
+      return { type, bbox: { x, y, width: right - x, height: bottom - y } };
+    });
+  }
+
+  /**
+   * Replace the sensitive parts of recognized text, e.g. before it is sent with a question
+   * @param {string} text - Text, one line per line of the screenshot
+   * @param {Object} settings - Redaction settings
+   * @returns {string} Text with each match replaced by e.g. [redacted email]
+   */
+  redactText(text, settings) {
+    const lines = String(text || '').split('\n');
+    const matches = this._findMatches(lines, settings);
+    // Replace from the end of each line so earlier offsets stay valid
+    return lines
+      .map((line, index) =>
+        matches
+          .filter((match) => match.line === index)
+          .sort((a, b) => b.start - a.start)
+          .reduce(
+            (redacted, { type, start, end }) =>
+              `${redacted.slice(0, start)}[redacted ${TEXT_LABELS[type]}]${redacted.slice(end)}`,
+            line
+          )
+      )
+      .join('\n');
+  }
+
+  /**
+   * Check that a custom pattern is a valid regular expression
+   * @param {string} pattern - Pattern source
+   * @returns {string|null} Error message, or null if it is valid
+   */
+  validatePattern(pattern) {
+    try {
+      RegExp(pattern);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Recognize, find and hide the sensitive text in a screenshot
+   * @private
+   * @param {string} imageDataUrl - Screenshot data URL
+   * @param {Object} settings - Redaction settings
+   * @returns {Promise<Object>} Result as for redact
+   */
+  async _redact(imageDataUrl, settings) {
+    const { words } = await this.ocrService.recognize(imageDataUrl);
+    const regions = this.findSensitive(words, settings);
+    if (regions.length === 0) {
+      this.logger.info('No sensitive text found in screenshot');
+      return { dataUrl: imageDataUrl, regions };
+    }
+
+    const counts = regions.reduce(
+      (total, { type }) => ({ ...total, [type]: (total[type] || 0) + 1 }),
+      {}
+    );
+    this.logger.info('Redacting sensitive text in screenshot', counts);
+    return {
+      dataUrl: this.imageService.redactRegions(imageDataUrl, regions, settings.style),
+      regions,
+    };
+  }
+
+  /**
+   * Join a line's words with single spaces, remembering where each one is
+   * @private
+   * @param {Array<Object>} words - Words of one line, in reading order
+   * @returns {{text: string, spans: Array<{word: Object, start: number, end: number}>}}
+   */
+  _layout(words) {
+    const spans = [];
+    const text = words.reduce((joined, word) => {
+      const start = joined ? joined.length + 1 : 0;
+      spans.push({ word, start, end: start + word.text.length });
+      return joined ? `${joined} ${word.text}` : word.text;
+    }, '');
+    return { text, spans };
+  }
+
+  /**
+   * Run the enabled detectors and custom patterns over some lines
+   * Overlapping matches are resolved in favour of the one starting first, then the longest.
+   * @private
+   * @param {string[]} lines - Lines of text
+   * @param {Object} settings - Redaction settings
+   * @returns {Array<{type: string, line: number, start: number, end: number}>} Matches
+   */
+  _findMatches(lines, settings) {
+    const found = Object.keys(PATTERNS)
+      .filter((type) => settings.detectors?.[type])
+      .flatMap((type) =>
+        PATTERNS[type].flatMap((pattern) =>
+          lines.flatMap((text, line) =>
+            [...text.matchAll(pattern)]
+              .filter((match) => !ACCEPT[type] || ACCEPT[type](match[0]))
+              .map((match) => ({
+                type,
+                line,
+                start: match.index,
+                end: match.index + match[0].length,
+              }))
+          )
+        )
+      )
+      .concat(this._findCustom(lines, settings.customPatterns || []));
+
+    return found
+      .sort((a, b) => a.line - b.line || a.start - b.start || b.end - a.end)
+      .filter(
+        (match, index, sorted) =>
+          !sorted
+            .slice(0, index)
+            .some((other) => other.line === match.line && other.end > match.start)
+      );
+  }
+
+  /**
+   * Run the user's patterns in a separate context with a time limit, so a catastrophic
+   * pattern can't hang the app
+   * @private
+   * @param {string[]} lines - Lines of text
+   * @param {string[]} patterns - Regular expression sources (case-insensitive)
+   * @returns {Array<{type: string, line: number, start: number, end: number}>} Matches
+   * @throws {Error} If the patterns take longer than REDACTION.regexTimeoutMs
+   */
+  _findCustom(lines, patterns) {
+    if (patterns.length === 0) {
+      return [];
+    }
+
+    let found;
+    try {
+      found = vm.runInNewContext(
+        `JSON.stringify(patterns.flatMap((pattern) => {
+          const re = new RegExp(pattern, 'gi');
+          return lines.flatMap((text, line) =>
+            [...text.matchAll(re)]
+              .filter((match) => match[0] !== '')
+              .map((match) => [line, match.index, match.index + match[0].length])
+          );
+        }))`,
+        { patterns, lines },
+        { timeout: REDACTION.regexTimeoutMs }
+      );
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw new Error('A custom redaction pattern took too long to run');
+      }
+      throw error;
+    }
+
+    return JSON.parse(found).map(([line, start, end]) => ({ type: 'custom', line, start, end }));
+  }
+}
+
+module.exports = RedactionService;
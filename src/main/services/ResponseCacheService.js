@@ -0,0 +1,184 @@
+/**
+ * Response Cache Service
+ * Stores answers keyed by screenshot, prompt, model and sampling settings so the same
+ * question about the same capture is answered without an API call
+ * @class ResponseCacheService
+ */
+
+const { createHash } = require('crypto');
+const Logger = require('../utils/logger');
+
+class ResponseCacheService {
+  constructor(databaseService) {
+    this.databaseService = databaseService;
+    this.db = databaseService.getDb();
+    this.logger = new Logger('ResponseCacheService');
+  }
+
+  // KEYS
+
+  /**
+   * Normalize a prompt so trivially different phrasings share an entry
+   * @param {string} prompt - Prompt as typed
+   * @returns {string} Lower-case prompt with whitespace collapsed
+   */
+  normalizePrompt(prompt) {
+    return String(prompt || '')
+      .trim()
+      .replace(/\s+/g, ' ')
+      .toLowerCase();
+  }
+
+  /**
+   * Build the cache key for a request
+   * The system prompt, earlier turns, redaction and screenshot text settings and the local
+   * tools offered are part of the key since they change the answer (redaction changes the
+   * pixels the model sees, and the OCR settings whether the screenshot's text is sent with
+   * the prompt).
+   * @param {Object} request - Request details
+   * @param {string} request.screenshotHash - SHA-256 of the screenshot
+   *   (ConversationService.calculateHash)
+   * @param {string} request.prompt - Prompt
+   * @param {string} request.provider - Provider type
+   * @param {string} request.model - Model name
+   * @param {Object} [request.generationParams] - { temperature, maxOutputTokens, topP }
+   * @param {string|null} [request.systemPrompt] - Active system prompt
+   * @param {Array<{role: string, content: string}>} [request.history] - Earlier turns
+   * @param {Object} [request.redaction] - Redaction settings (REDACTION.DEFAULT_SETTINGS)
+   * @param {Object} [request.ocr] - Screenshot text settings (OCR.DEFAULT_SETTINGS)
+   * @param {string[]} [request.tools] - Names of the local tools offered, if tools are on
+   * @returns {string} Hex-encoded key
+   */
+  buildKey({
+    screenshotHash,
+    prompt,
+    provider,
+    model,
+    generationParams,
+    systemPrompt,
+    history,
+    redaction,
+    ocr,
+    tools,
+  }) {
+    const { temperature = null, maxOutputTokens = null, topP = null } = generationParams || {};
+    const material = JSON.stringify([
+      screenshotHash,
+      this.normalizePrompt(prompt),
+      provider,
+      model,
+      [temperature, maxOutputTokens, topP],
+      systemPrompt || '',
+      (history || []).map(({ role, content }) => [role, content]),
+      redaction?.enabled
+        ? [
+            Object.keys(redaction.detectors || {})
+              .filter((detector) => redaction.detectors[detector])
+              .sort(),
+            redaction.customPatterns || [],
+            redaction.style,
+          ]
+        : null,
+      ocr?.enabled ? [!!ocr.includeInPrompt] : null,
+      [...(tools || [])].sort(),
+    ]);
+    return createHash('sha256').update(material).digest('hex');
+  }
+
+  // READ
+
+  /**
+   * Get a cached answer, counting the hit
+   * @param {string} cacheKey - Key from buildKey
+   * @param {number} maxAgeMs - Entries older than this are ignored
+   * @returns {{text: string, provider: string, model: string, createdAt: number,
+   *   hitCount: number}|null} Answer, or null on a miss
+   */
+  get(cacheKey, maxAgeMs) {
+    const entry = this.db.prepare(`
+      SELECT * FROM response_cache WHERE cache_key = ? AND created_at >= ?
+    `).get(cacheKey, Date.now() - maxAgeMs);
+
+    if (!entry) {
+      return null;
+    }
+
+    this.db.prepare(`
+      UPDATE response_cache SET last_hit_at = ?, hit_count = hit_count + 1 WHERE cache_key = ?
+    `).run(Date.now(), cacheKey);
+
+    return {
+      text: entry.response,
+      provider: entry.provider,
+      model: entry.model,
+      createdAt: entry.created_at,
+      hitCount: entry.hit_count + 1,
+    };
+  }
+
+  /**
+   * Count the cached answers and how often they were reused
+   * @returns {{entries: number, hits: number}}
+   */
+  getStats() {
+    const stats = this.db.prepare(`
+      SELECT COUNT(*) AS entries, COALESCE(SUM(hit_count), 0) AS hits FROM response_cache
+    `).get();
+
+    return { entries: stats?.entries || 0, hits: stats?.hits || 0 };
+  }
+
+  // WRITE
+
+  /**
+   * Store an answer, replacing any entry with the same key, and trim the cache to
+   * maxEntries (least recently used first)
+   * @param {string} cacheKey - Key from buildKey
+   * @param {Object} entry - { screenshotHash, prompt, provider, model, text }
+   * @param {number} [maxEntries] - Entries to keep
+   */
+  set(cacheKey, { screenshotHash, prompt, provider, model, text }, maxEntries = Infinity) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO response_cache
+        (cache_key, screenshot_hash, prompt, provider, model, response, created_at, hit_count)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0)
+    `).run(cacheKey, screenshotHash, prompt, provider, model, text, Date.now());
+
+    if (Number.isFinite(maxEntries)) {
+      this.db.prepare(`
+        DELETE FROM response_cache WHERE cache_key NOT IN (
+          SELECT cache_key FROM response_cache
+          ORDER BY COALESCE(last_hit_at, created_at) DESC
+          LIMIT ?
+        )
+      `).run(maxEntries);
+    }
+  }
+
+  // DELETE
+
+  /**
+   * Remove entries older than a given age
+   * @param {number} maxAgeMs - Age in milliseconds
+   * @returns {number} Number of entries removed
+   */
+  pruneExpired(maxAgeMs) {
+    const result = this.db.prepare(`
+      DELETE FROM response_cache WHERE created_at < ?
+    `).run(Date.now() - maxAgeMs);
+
+    return result.changes;
+  }
+
+  /**
+   * Remove every cached answer
+   * @returns {number} Number of entries removed
+   */
+  clear() {
+    const result = this.db.prepare('DELETE FROM response_cache').run();
+    this.logger.info(`Cleared ${result.changes} cached response(s)`);
+    return result.changes;
+  }
+}
+
+module.exports = ResponseCacheService;
@@ -6,7 +6,7 @@
 
 const Store = require('electron-store');
 const Logger = require('../utils/logger');
-const { STORAGE_KEYS } = require('../config/constants');
+const { STORAGE_KEYS, AI, OCR, REDACTION } = require('../config/constants');
 
 class StorageService {
   constructor() {
@@ -83,6 +83,291 @@ class StorageService {
     this.logger.info(`AI model saved: ${model}`);
   }
 
+  /**
+   * Get the stored API key for a specific provider
+   * @param {string} provider - Provider type
+   * @returns {string|null} API key or null if not set
+   */
+  getProviderApiKey(provider) {
+    const keys = this.store.get(STORAGE_KEYS.PROVIDER_API_KEYS, {}) || {};
+    return keys[provider] || null;
+  }
+
+  /**
+   * Save the API key for a specific provider
+   * @param {string} provider - Provider type
+   * @param {string} apiKey - API key to save
+   * @returns {boolean} Success status
+   */
+  saveProviderApiKey(provider, apiKey) {
+    try {
+      if (!provider || !apiKey || typeof apiKey !== 'string') {
+        throw new Error('Invalid provider API key');
+      }
+      const keys = this.store.get(STORAGE_KEYS.PROVIDER_API_KEYS, {}) || {};
+      this.store.set(STORAGE_KEYS.PROVIDER_API_KEYS, { ...keys, [provider]: apiKey });
+      this.logger.success(`API key saved for ${provider}`);
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to save provider API key', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the stored connection options for a provider
+   * @param {string} provider - Provider type
+   * @returns {Object} Provider options (e.g. { baseUrl } for local), empty if none are set
+   */
+  getProviderOptions(provider) {
+    const options = this.store.get(STORAGE_KEYS.PROVIDER_OPTIONS, {}) || {};
+    return options[provider] || {};
+  }
+
+  /**
+   * Save connection options for a provider, merged over the stored ones
+   * @param {string} provider - Provider type
+   * @param {Object} providerOptions - Options to save (e.g. { baseUrl })
+   */
+  saveProviderOptions(provider, providerOptions) {
+    const options = this.store.get(STORAGE_KEYS.PROVIDER_OPTIONS, {}) || {};
+    this.store.set(STORAGE_KEYS.PROVIDER_OPTIONS, {
+      ...options,
+      [provider]: { ...options[provider], ...providerOptions },
+    });
+    this.logger.info(`Provider options saved: ${provider}`);
+  }
+
+  /**
+   * Get the ordered fallback chain
+   * @returns {Array<{provider: string, model: string}>} Fallback provider/model pairs
+   */
+  getFallbackChain() {
+    return this.store.get(STORAGE_KEYS.FALLBACK_CHAIN, []) || [];
+  }
+
+  /**
+   * Save the ordered fallback chain
+   * @param {Array<{provider: string, model: string}>} chain - Fallback provider/model pairs
+   */
+  saveFallbackChain(chain) {
+    const entries = (chain || []).map(({ provider, model }) => ({ provider, model }));
+    this.store.set(STORAGE_KEYS.FALLBACK_CHAIN, entries);
+    this.logger.info(`Fallback chain saved (${entries.length} entries)`);
+  }
+
+  /**
+   * Resolve the fallback chain with each provider's stored API key and options
+   * @returns {Array<{provider: string, model: string, apiKey: string|null, options: Object}>}
+   *   Fallback targets
+   */
+  getFallbackTargets() {
+    return this.getFallbackChain().map((entry) => ({
+      ...entry,
+      apiKey: this.getProviderApiKey(entry.provider),
+      options: this.getProviderOptions(entry.provider),
+    }));
+  }
+
+  /**
+   * Get spending and request caps for every provider
+   * @returns {Object<string, Object>} Caps keyed by provider type (see AIService.setUsageLimits)
+   */
+  getUsageLimits() {
+    return this.store.get(STORAGE_KEYS.USAGE_LIMITS, {}) || {};
+  }
+
+  /**
+   * Save a provider's caps, replacing the stored ones
+   * @param {string} provider - Provider type
+   * @param {Object|null} limits - { dailyCost, monthlyCost, dailyRequests, monthlyRequests,
+   *   action }, or null to remove all caps
+   */
+  saveUsageLimits(provider, limits) {
+    const { [provider]: _previous, ...others } = this.getUsageLimits();
+    this.store.set(STORAGE_KEYS.USAGE_LIMITS, limits ? { ...others, [provider]: limits } : others);
+    this.logger.info(`Usage limits saved: ${provider}`);
+  }
+
+  /**
+   * Get the usage counters saved at the end of the last request
+   * @returns {Object} Counters keyed by provider type (see AIService.getUsageCounters)
+   */
+  getUsageCounters() {
+    return this.store.get(STORAGE_KEYS.USAGE_COUNTERS, {}) || {};
+  }
+
+  /**
+   * Save usage counters so caps still apply after a restart
+   * @param {Object} counters - Counters from AIService.getUsageCounters
+   */
+  saveUsageCounters(counters) {
+    this.store.set(STORAGE_KEYS.USAGE_COUNTERS, counters);
+  }
+
+  /**
+   * Get the system prompt presets, or the built-in ones if none have been saved
+   * @returns {Array<{id: string, name: string, prompt: string}>} Presets in display order
+   */
+  getPromptPresets() {
+    return this.store.get(STORAGE_KEYS.PROMPT_PRESETS, null) || AI.DEFAULT_PROMPT_PRESETS;
+  }
+
+  /**
+   * Save the system prompt presets, clearing the active preset if it was removed
+   * @param {Array<{id: string, name: string, prompt: string}>} presets - Presets to keep
+   */
+  savePromptPresets(presets) {
+    const entries = (presets || []).map(({ id, name, prompt }) => ({ id, name, prompt }));
+    this.store.set(STORAGE_KEYS.PROMPT_PRESETS, entries);
+    if (!entries.some((preset) => preset.id === this.getActivePromptPresetId())) {
+      this.setActivePromptPresetId(null);
+    }
+    this.logger.info(`Prompt presets saved (${entries.length} presets)`);
+  }
+
+  /**
+   * Get the ID of the preset applied to every request
+   * @returns {string|null} Preset ID, or null for no system prompt
+   */
+  getActivePromptPresetId() {
+    return this.store.get(STORAGE_KEYS.ACTIVE_PROMPT_PRESET, null) || null;
+  }
+
+  /**
+   * Set the preset applied to every request
+   * @param {string|null} presetId - Preset ID, or null for no system prompt
+   */
+  setActivePromptPresetId(presetId) {
+    this.store.set(STORAGE_KEYS.ACTIVE_PROMPT_PRESET, presetId || null);
+  }
+
+  /**
+   * Get the system prompt of the active preset
+   * @returns {string|null} System prompt, or null if no preset is active
+   */
+  getActiveSystemPrompt() {
+    const presetId = this.getActivePromptPresetId();
+    const preset = presetId && this.getPromptPresets().find(({ id }) => id === presetId);
+    return preset ? preset.prompt : null;
+  }
+
+  /**
+   * Get the global sampling settings, filled in from AI.DEFAULT_GENERATION_PARAMS
+   * @returns {{temperature: number|null, maxOutputTokens: number|null, topP: number|null}}
+   *   Settings; null leaves the provider's default
+   */
+  getGenerationParams() {
+    return {
+      ...AI.DEFAULT_GENERATION_PARAMS,
+      ...this.store.get(STORAGE_KEYS.GENERATION_PARAMS, {}),
+    };
+  }
+
+  /**
+   * Save the global sampling settings
+   * @param {{temperature: number|null, maxOutputTokens: number|null, topP: number|null}} params
+   *   - Settings, validated against the provider ranges by the caller
+   */
+  saveGenerationParams(params) {
+    this.store.set(STORAGE_KEYS.GENERATION_PARAMS, params);
+    this.logger.info('Generation parameters saved');
+  }
+
+  /**
+   * Get the response cache settings, filled in from AI.DEFAULT_RESPONSE_CACHE
+   * @returns {{enabled: boolean, ttlHours: number, maxEntries: number}} Settings
+   */
+  getResponseCacheSettings() {
+    return {
+      ...AI.DEFAULT_RESPONSE_CACHE,
+      ...this.store.get(STORAGE_KEYS.RESPONSE_CACHE, {}),
+    };
+  }
+
+  /**
+   * Save the response cache settings
+   * @param {{enabled?: boolean, ttlHours?: number, maxEntries?: number}} settings - Settings
+   *   to change, validated by the caller; others keep their value
+   */
+  saveResponseCacheSettings(settings) {
+    this.store.set(STORAGE_KEYS.RESPONSE_CACHE, {
+      ...this.store.get(STORAGE_KEYS.RESPONSE_CACHE, {}),
+      ...settings,
+    });
+    this.logger.info('Response cache settings saved');
+  }
+
+  /**
+   * Get the screenshot text recognition settings, with defaults for unset values
+   * @returns {{enabled: boolean, includeInPrompt: boolean}}
+   */
+  getOcrSettings() {
+    return {
+      ...OCR.DEFAULT_SETTINGS,
+      ...this.store.get(STORAGE_KEYS.OCR_SETTINGS, {}),
+    };
+  }
+
+  /**
+   * Save the screenshot text recognition settings
+   * @param {{enabled?: boolean, includeInPrompt?: boolean}} settings - Settings to change,
+   *   validated by the caller; others keep their value
+   */
+  saveOcrSettings(settings) {
+    this.store.set(STORAGE_KEYS.OCR_SETTINGS, {
+      ...this.store.get(STORAGE_KEYS.OCR_SETTINGS, {}),
+      ...settings,
+    });
+    this.logger.info('Screenshot text settings saved');
+  }
+
+  /**
+   * Get the screenshot redaction settings, with defaults for unset values
+   * @returns {{enabled: boolean, detectors: Object<string, boolean>, customPatterns: string[],
+   *   style: string, storeRedacted: boolean}}
+   */
+  getRedactionSettings() {
+    const saved = this.store.get(STORAGE_KEYS.REDACTION_SETTINGS, {});
+    return {
+      ...REDACTION.DEFAULT_SETTINGS,
+      ...saved,
+      detectors: { ...REDACTION.DEFAULT_SETTINGS.detectors, ...saved?.detectors },
+    };
+  }
+
+  /**
+   * Save the screenshot redaction settings
+   * @param {Object} settings - Settings to change, validated by the caller; others keep their
+   *   value (detectors are merged one by one)
+   */
+  saveRedactionSettings(settings) {
+    const saved = this.store.get(STORAGE_KEYS.REDACTION_SETTINGS, {});
+    this.store.set(STORAGE_KEYS.REDACTION_SETTINGS, {
+      ...saved,
+      ...settings,
+      ...(settings.detectors && { detectors: { ...saved?.detectors, ...settings.detectors } }),
+    });
+    this.logger.info('Screenshot redaction settings saved');
+  }
+
+  /**
+   * Whether models may call the local tools (default: AI.TOOLS.enabled)
+   * @returns {boolean}
+   */
+  getToolsEnabled() {
+    return this.store.get(STORAGE_KEYS.TOOLS_ENABLED, AI.TOOLS.enabled);
+  }
+
+  /**
+   * Turn the local tools on or off
+   * @param {boolean} enabled - Whether models may call them
+   */
+  saveToolsEnabled(enabled) {
+    this.store.set(STORAGE_KEYS.TOOLS_ENABLED, enabled);
+    this.logger.info(`Local tools ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
   /**
    * Check if onboarding has been completed
    * @returns {boolean} True if completed
@@ -0,0 +1,148 @@
+/**
+ * Template Service
+ * Handles prompt template CRUD and fills {{variable}} placeholders
+ */
+
+const { randomUUID } = require('crypto');
+const Logger = require('../utils/logger');
+
+// {{name}}, with optional spaces inside the braces
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+class TemplateService {
+  constructor(databaseService) {
+    this.databaseService = databaseService;
+    this.db = databaseService.getDb();
+    this.logger = new Logger('TemplateService');
+  }
+
+  // CREATE
+
+  /**
+   * Create a prompt template
+   * @param {Object} template - Template fields
+   * @param {string} template.name - Name shown in the template menu
+   * @param {string} template.body - Prompt text, may contain {{variable}} placeholders
+   * @returns {Object} Created template
+   */
+  createTemplate({ name, body }) {
+    const id = randomUUID();
+    const now = Date.now();
+
+    this.db.prepare(`
+      INSERT INTO prompt_templates (id, name, body, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(id, name, body, now, now);
+
+    this.logger.info(`Created template: ${id}`);
+    return this.getTemplate(id);
+  }
+
+  // READ
+
+  /**
+   * Get all templates, most recently used first, then by name
+   * @returns {Array} Templates, each with its variable names
+   */
+  getAllTemplates() {
+    const templates = this.db.prepare(`
+      SELECT * FROM prompt_templates
+      ORDER BY last_used_at IS NULL, last_used_at DESC, name COLLATE NOCASE ASC
+    `).all();
+
+    return templates.map(template => this.withVariables(template));
+  }
+
+  /**
+   * Get a single template by ID
+   * @param {string} templateId - ID of the template
+   * @returns {Object|null} Template with its variable names, or null if not found
+   */
+  getTemplate(templateId) {
+    const template = this.db.prepare(`
+      SELECT * FROM prompt_templates WHERE id = ?
+    `).get(templateId);
+
+    return template ? this.withVariables(template) : null;
+  }
+
+  // UPDATE
+
+  /**
+   * Update a template's name and body
+   * @param {string} templateId - ID of the template
+   * @param {Object} updates - { name, body }
+   * @returns {Object|null} Updated template, or null if not found
+   */
+  updateTemplate(templateId, { name, body }) {
+    const result = this.db.prepare(`
+      UPDATE prompt_templates SET name = ?, body = ?, updated_at = ? WHERE id = ?
+    `).run(name, body, Date.now(), templateId);
+
+    return result.changes > 0 ? this.getTemplate(templateId) : null;
+  }
+
+  /**
+   * Record that a template was used, so it moves to the top of the menu
+   * @param {string} templateId - ID of the template
+   */
+  markTemplateUsed(templateId) {
+    this.db.prepare(`
+      UPDATE prompt_templates SET last_used_at = ? WHERE id = ?
+    `).run(Date.now(), templateId);
+  }
+
+  // DELETE
+
+  /**
+   * Delete a template
+   * @param {string} templateId - ID of the template
+   */
+  deleteTemplate(templateId) {
+    this.db.prepare('DELETE FROM prompt_templates WHERE id = ?').run(templateId);
+    this.logger.info(`Deleted template: ${templateId}`);
+  }
+
+  // UTILITY
+
+  /**
+   * List the variables used in a template body, in order of first use
+   * @param {string} body - Template body
+   * @returns {Array<string>} Variable names
+   */
+  getVariables(body) {
+    const names = [...(body || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+    return [...new Set(names)];
+  }
+
+  /**
+   * Fill a template body's variables
+   * Variables without a value are left as {{name}} so the user can type over them.
+   * @param {string} body - Template body
+   * @param {Object<string, string>} [values] - Values by variable name
+   * @returns {{text: string, missing: Array<string>}} Filled text and the unfilled variables
+   */
+  fillTemplate(body, values = {}) {
+    const missing = new Set();
+    const text = body.replace(VARIABLE_PATTERN, (placeholder, name) => {
+      const value = values[name];
+      if (typeof value !== 'string' || value === '') {
+        missing.add(name);
+        return `{{${name}}}`;
+      }
+      return value;
+    });
+    return { text, missing: [...missing] };
+  }
+
+  /**
+   * Add the variable names to a template row
+   * @param {Object} template - Template row
+   * @returns {Object} Template with a variables array
+   */
+  withVariables(template) {
+    return { ...template, variables: this.getVariables(template.body) };
+  }
+}
+
+module.exports = TemplateService;
@@ -0,0 +1,654 @@
+/**
+ * Tool Service
+ * Registry of offline tools models can call for the things they tend to get wrong: exact
+ * arithmetic, unit and currency conversion, date math, regular expressions and JSON
+ * @class ToolService
+ */
+
+const vm = require('vm');
+const Logger = require('../utils/logger');
+const { AI } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Functions and constants the calculator understands
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits,
+  min: Math.min,
+  max: Math.max,
+  pow: (base, exponent) => base ** exponent,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+};
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Units per dimension as [factor to the dimension's base unit, ...names]. Temperatures are
+// converted separately since their scales are offset
+const UNITS = {
+  length: [
+    [0.001, 'mm', 'millimeter', 'millimeters', 'millimetre', 'millimetres'],
+    [0.01, 'cm', 'centimeter', 'centimeters', 'centimetre', 'centimetres'],
+    [1, 'm', 'meter', 'meters', 'metre', 'metres'],
+    [1000, 'km', 'kilometer', 'kilometers', 'kilometre', 'kilometres'],
+    [0.0254, 'in', 'inch', 'inches'],
+    [0.3048, 'ft', 'foot', 'feet'],
+    [0.9144, 'yd', 'yard', 'yards'],
+    [1609.344, 'mi', 'mile', 'miles'],
+    [1852, 'nmi', 'nautical mile', 'nautical miles'],
+  ],
+  mass: [
+    [0.000001, 'mg', 'milligram', 'milligrams'],
+    [0.001, 'g', 'gram', 'grams'],
+    [1, 'kg', 'kilogram', 'kilograms'],
+    [1000, 't', 'tonne', 'tonnes', 'metric ton'],
+    [0.028349523125, 'oz', 'ounce', 'ounces'],
+    [0.45359237, 'lb', 'lbs', 'pound', 'pounds'],
+    [6.35029318, 'st', 'stone', 'stones'],
+  ],
+  volume: [
+    [0.001, 'ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+    [0.01, 'cl', 'centiliter', 'centilitre'],
+    [1, 'l', 'liter', 'liters', 'litre', 'litres'],
+    [1000, 'm3', 'cubic meter', 'cubic meters'],
+    [0.00492892159375, 'tsp', 'teaspoon', 'teaspoons'],
+    [0.01478676478125, 'tbsp', 'tablespoon', 'tablespoons'],
+    [0.0295735295625, 'fl oz', 'floz', 'fluid ounce', 'fluid ounces'],
+    [0.2365882365, 'cup', 'cups'],
+    [0.473176473, 'pt', 'pint', 'pints'],
+    [0.946352946, 'qt', 'quart', 'quarts'],
+    [3.785411784, 'gal', 'gallon', 'gallons'],
+  ],
+  area: [
+    [0.0001, 'cm2', 'square centimeter', 'square centimeters'],
+    [1, 'm2', 'square meter', 'square meters', 'square metre', 'square metres'],
+    [10000, 'ha', 'hectare', 'hectares'],
+    [1000000, 'km2', 'square kilometer', 'square kilometers'],
+    [0.00064516, 'in2', 'square inch', 'square inches'],
+    [0.09290304, 'ft2', 'sq ft', 'square foot', 'square feet'],
+    [4046.8564224, 'acre', 'acres'],
+    [2589988.110336, 'mi2', 'square mile', 'square miles'],
+  ],
+  speed: [
+    [1, 'm/s', 'meters per second'],
+    [1 / 3.6, 'km/h', 'kph', 'kilometers per hour'],
+    [0.44704, 'mph', 'miles per hour'],
+    [1852 / 3600, 'kn', 'knot', 'knots'],
+    [0.3048, 'ft/s', 'feet per second'],
+  ],
+  time: [
+    [0.001, 'ms', 'millisecond', 'milliseconds'],
+    [1, 's', 'sec', 'second', 'seconds'],
+    [60, 'min', 'minute', 'minutes'],
+    [3600, 'h', 'hr', 'hour', 'hours'],
+    [86400, 'd', 'day', 'days'],
+    [604800, 'wk', 'week', 'weeks'],
+  ],
+  // Case matters here: 'b' is a bit and 'B' a byte
+  data: [
+    [1, 'B', 'byte', 'bytes'],
+    [0.125, 'b', 'bit', 'bits'],
+    [1e3, 'KB', 'kilobyte', 'kilobytes'],
+    [1e6, 'MB', 'megabyte', 'megabytes'],
+    [1e9, 'GB', 'gigabyte', 'gigabytes'],
+    [1e12, 'TB', 'terabyte', 'terabytes'],
+    [1024, 'KiB', 'kibibyte', 'kibibytes'],
+    [1024 ** 2, 'MiB', 'mebibyte', 'mebibytes'],
+    [1024 ** 3, 'GiB', 'gibibyte', 'gibibytes'],
+    [1024 ** 4, 'TiB', 'tebibyte', 'tebibytes'],
+  ],
+};
+const TEMPERATURES = {
+  C: ['c', '°c', 'celsius'],
+  F: ['f', '°f', 'fahrenheit'],
+  K: ['k', 'kelvin'],
+};
+
+// Unit names to { dimension, factor }: exact names first, then lower-case ones
+const UNIT_LOOKUP = new Map();
+Object.entries(UNITS).forEach(([dimension, units]) => {
+  units.forEach(([factor, ...names]) => {
+    names.forEach((name) => UNIT_LOOKUP.set(name, { dimension, factor }));
+  });
+});
+Object.entries(UNITS).forEach(([dimension, units]) => {
+  units.forEach(([factor, ...names]) => {
+    names.forEach((name) => {
+      if (!UNIT_LOOKUP.has(name.toLowerCase())) {
+        UNIT_LOOKUP.set(name.toLowerCase(), { dimension, factor });
+      }
+    });
+  });
+});
+
+// Tools offered to models, as JSON schemas for their arguments
+const TOOLS = [
+  {
+    name: 'calculate',
+    method: 'calculate',
+    description:
+      'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, the ' +
+      'constants pi and e and the functions sqrt, abs, floor, ceil, round(x, digits), min, ' +
+      'max, pow, exp, ln, log (base 10), sin, cos and tan (radians). Write numbers without ' +
+      'thousands separators.',
+    parameters: {
+      type: 'object',
+      properties: {
+        expression: { type: 'string', description: 'Expression, e.g. "(1299.99 * 3) * 1.2"' },
+      },
+      required: ['expression'],
+    },
+  },
+  {
+    name: 'convert_units',
+    method: 'convertUnits',
+    description:
+      'Convert a value between units of length, mass, volume (US customary), area, speed, ' +
+      'time, data size (B, KB, MiB...; b is bits) or temperature (C, F, K).',
+    parameters: {
+      type: 'object',
+      properties: {
+        value: { type: 'number' },
+        from: { type: 'string', description: 'Unit to convert from, e.g. "mi" or "lb"' },
+        to: { type: 'string', description: 'Unit to convert to, e.g. "km" or "kg"' },
+      },
+      required: ['value', 'from', 'to'],
+    },
+  },
+  {
+    name: 'convert_currency',
+    method: 'convertCurrency',
+    description:
+      'Convert an amount between currencies using a table of exchange rates, such as one ' +
+      'shown in the screenshot. No rates are built in.',
+    parameters: {
+      type: 'object',
+      properties: {
+        amount: { type: 'number' },
+        from: { type: 'string', description: 'Currency code, e.g. "USD"' },
+        to: { type: 'string', description: 'Currency code, e.g. "EUR"' },
+        rates: {
+          type: 'object',
+          description:
+            'Units of each currency per 1 unit of a common base currency, e.g. ' +
+            '{"USD": 1, "EUR": 0.92, "JPY": 151.3}. Must include both currencies.',
+          additionalProperties: { type: 'number' },
+        },
+      },
+      required: ['amount', 'from', 'to', 'rates'],
+    },
+  },
+  {
+    name: 'date_math',
+    method: 'dateMath',
+    description:
+      'Date arithmetic on calendar dates (YYYY-MM-DD). "add" adds years, months, weeks and ' +
+      'days (negative to subtract) to date; "difference" counts the days and weekdays from ' +
+      'date to endDate; "weekday" names the day of the week of date.',
+    parameters: {
+      type: 'object',
+      properties: {
+        operation: { type: 'string', enum: ['add', 'difference', 'weekday'] },
+        date: { type: 'string', description: 'Date as YYYY-MM-DD' },
+        endDate: { type: 'string', description: 'For "difference": date as YYYY-MM-DD' },
+        years: { type: 'integer' },
+        months: { type: 'integer' },
+        weeks: { type: 'integer' },
+        days: { type: 'integer' },
+      },
+      required: ['operation', 'date'],
+    },
+  },
+  {
+    name: 'test_regex',
+    method: 'testRegex',
+    description:
+      'Run a JavaScript regular expression against a text and list every match with its ' +
+      'index and capture groups.',
+    parameters: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: 'Pattern without slashes' },
+        flags: { type: 'string', description: 'Flags such as "i" or "m" (optional)' },
+        text: { type: 'string' },
+      },
+      required: ['pattern', 'text'],
+    },
+  },
+  {
+    name: 'format_json',
+    method: 'formatJson',
+    description:
+      'Check that a text is valid JSON and pretty-print it, or report where it is invalid.',
+    parameters: {
+      type: 'object',
+      properties: {
+        text: { type: 'string' },
+        indent: { type: 'integer', description: 'Spaces per level (default 2)' },
+        sortKeys: { type: 'boolean', description: 'Sort object keys alphabetically' },
+      },
+      required: ['text'],
+    },
+  },
+];
+
+class ToolService {
+  constructor() {
+    this.logger = new Logger('ToolService');
+  }
+
+  /**
+   * List the tools, for settings
+   * @returns {Array<{name: string, description: string}>}
+   */
+  listTools() {
+    return TOOLS.map(({ name, description }) => ({ name, description }));
+  }
+
+  /**
+   * Get the tool definitions to bind to a LangChain model (OpenAI function format, which
+   * every LangChain chat model accepts)
+   * @returns {Array<{type: 'function', function: Object}>}
+   */
+  getDefinitions() {
+    return TOOLS.map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters },
+    }));
+  }
+
+  /**
+   * Run a tool call
+   * Never throws: bad arguments and unknown tools come back as an error for the model.
+   * @param {string} name - Tool name
+   * @param {Object} [args] - Arguments from the model
+   * @returns {{result: *}|{error: string}} Result, cut to AI.TOOLS.maxResultChars once
+   *   serialised, or the reason the call failed
+   */
+  run(name, args = {}) {
+    const tool = TOOLS.find((candidate) => candidate.name === name);
+    if (!tool) {
+      return { error: `Unknown tool: ${name}` };
+    }
+
+    try {
+      const result = this[tool.method](args || {});
+      const serialised = JSON.stringify(result);
+      this.logger.debug(`Tool ${name} ran`, { args });
+      return serialised.length > AI.TOOLS.maxResultChars
+        ? { result: `${serialised.slice(0, AI.TOOLS.maxResultChars)}… (truncated)` }
+        : { result };
+    } catch (error) {
+      this.logger.debug(`Tool ${name} failed`, error.message);
+      return { error: error.message };
+    }
+  }
+
+  // TOOLS
+
+  /**
+   * Evaluate an arithmetic expression without eval
+   * @param {{expression: string}} args
+   * @returns {{expression: string, value: number}}
+   * @throws {Error} If the expression is invalid or its value is not a finite number
+   */
+  calculate({ expression }) {
+    const tokens = String(expression ?? '').match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z_]+|\S/gi) || [];
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => {
+      position += 1;
+      return tokens[position - 1];
+    };
+    const expect = (token) => {
+      if (next() !== token) {
+        throw new Error(`Expected "${token}" in "${expression}"`);
+      }
+    };
+
+    let parseExpression;
+    const parsePrimary = () => {
+      const token = next();
+      if (token === undefined) {
+        throw new Error('Unexpected end of expression');
+      }
+      if (/^\d*\.?\d/.test(token)) {
+        return Number(token);
+      }
+      if (token === '(') {
+        const value = parseExpression();
+        expect(')');
+        return value;
+      }
+      // Own properties only, so names like "constructor" or "__proto__" are rejected
+      const name = token.toLowerCase();
+      if (Object.hasOwn(MATH_FUNCTIONS, name) && peek() === '(') {
+        next();
+        const args = [parseExpression()];
+        while (peek() === ',') {
+          next();
+          args.push(parseExpression());
+        }
+        expect(')');
+        return MATH_FUNCTIONS[name](...args);
+      }
+      if (Object.hasOwn(MATH_CONSTANTS, name)) {
+        return MATH_CONSTANTS[name];
+      }
+      throw new Error(`Unexpected "${token}" in "${expression}"`);
+    };
+    // Powers bind tighter than a leading minus (-2^2 = -4) and group to the right
+    let parseUnary;
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (peek() === '^') {
+        next();
+        return base ** parseUnary();
+      }
+      return base;
+    };
+    parseUnary = () => {
+      if (peek() === '-' || peek() === '+') {
+        return next() === '-' ? -parseUnary() : parseUnary();
+      }
+      return parsePower();
+    };
+    const parseTerm = () => {
+      let value = parseUnary();
+      while (['*', '/', '%'].includes(peek())) {
+        const operator = next();
+        const operand = parseUnary();
+        if (operator === '*') value *= operand;
+        else if (operator === '/') value /= operand;
+        else value %= operand;
+      }
+      return value;
+    };
+    parseExpression = () => {
+      let value = parseTerm();
+      while (peek() === '+' || peek() === '-') {
+        value = next() === '+' ? value + parseTerm() : value - parseTerm();
+      }
+      return value;
+    };
+
+    const value = parseExpression();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${peek()}" in "${expression}"`);
+    }
+    if (!Number.isFinite(value)) {
+      throw new Error('The result is not a finite number');
+    }
+    // Hide binary rounding noise such as 0.1 + 0.2 = 0.30000000000000004
+    return { expression, value: Number(value.toPrecision(15)) };
+  }
+
+  /**
+   * Convert a value between units of the same dimension
+   * @param {{value: number, from: string, to: string}} args
+   * @returns {{value: number, from: string, to: string, result: number}}
+   * @throws {Error} If a unit is unknown or the units measure different things
+   */
+  convertUnits({ value, from, to }) {
+    const amount = this._number(value, 'value');
+    const fromTemperature = this._temperatureScale(from);
+    const toTemperature = this._temperatureScale(to);
+    if (fromTemperature || toTemperature) {
+      if (!fromTemperature || !toTemperature) {
+        throw new Error(`Cannot convert between ${from} and ${to}`);
+      }
+      const toCelsius = { C: (t) => t, F: (t) => ((t - 32) * 5) / 9, K: (t) => t - 273.15 };
+      const fromCelsius = { C: (t) => t, F: (t) => (t * 9) / 5 + 32, K: (t) => t + 273.15 };
+      const result = fromCelsius[toTemperature](toCelsius[fromTemperature](amount));
+      return { value: amount, from, to, result: Number(result.toPrecision(12)) };
+    }
+
+    const source = this._unit(from);
+    const target = this._unit(to);
+    if (source.dimension !== target.dimension) {
+      throw new Error(
+        `Cannot convert ${source.dimension} (${from}) to ${target.dimension} (${to})`
+      );
+    }
+    const result = (amount * source.factor) / target.factor;
+    return { value: amount, from, to, result: Number(result.toPrecision(12)) };
+  }
+
+  /**
+   * Convert an amount between currencies with a table of rates against a common base
+   * @param {{amount: number, from: string, to: string, rates: Object<string, number>}} args
+   * @returns {{amount: number, from: string, to: string, rate: number, result: number}}
+   * @throws {Error} If a currency is missing from the rates
+   */
+  convertCurrency({ amount, from, to, rates }) {
+    const value = this._number(amount, 'amount');
+    const table = Object.fromEntries(
+      Object.entries(rates || {}).map(([code, rate]) => [code.toUpperCase(), Number(rate)])
+    );
+    const [fromCode, toCode] = [from, to].map((code) => String(code ?? '').toUpperCase());
+    [fromCode, toCode].forEach((code) => {
+      if (!(table[code] > 0)) {
+        throw new Error(`No exchange rate given for ${code || 'a currency'}`);
+      }
+    });
+
+    const rate = table[toCode] / table[fromCode];
+    return {
+      amount: value,
+      from: fromCode,
+      to: toCode,
+      rate: Number(rate.toPrecision(10)),
+      result: Math.round(value * rate * 10000) / 10000,
+    };
+  }
+
+  /**
+   * Add to a date, count the days between two dates or name a date's weekday
+   * Dates are calendar dates in UTC, so daylight saving never shifts them.
+   * @param {Object} args - { operation, date, endDate, years, months, weeks, days }
+   * @returns {Object} { date, weekday } for "add" and "weekday"; { days, weeks, weekdays }
+   *   for "difference" (weekdays counts Monday to Friday from date up to, not including,
+   *   endDate)
+   * @throws {Error} If a date or the operation is invalid
+   */
+  dateMath({ operation, date, endDate, years = 0, months = 0, weeks = 0, days = 0 }) {
+    const start = this._date(date);
+    const describe = (value) => ({
+      date: value.toISOString().slice(0, 10),
+      weekday: WEEKDAYS[value.getUTCDay()],
+    });
+
+    switch (operation) {
+      case 'add': {
+        const totalMonths = start.getUTCMonth() + Math.trunc(years) * 12 + Math.trunc(months);
+        const year = start.getUTCFullYear() + Math.floor(totalMonths / 12);
+        const month = ((totalMonths % 12) + 12) % 12;
+        // Keep the day within the target month (Jan 31 + 1 month = Feb 28/29)
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        const result = new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)));
+        result.setUTCDate(result.getUTCDate() + Math.trunc(weeks) * 7 + Math.trunc(days));
+        return describe(result);
+      }
+      case 'difference': {
+        const end = this._date(endDate);
+        const totalDays = Math.round((end - start) / DAY_MS);
+        const [from, span] = totalDays >= 0 ? [start, totalDays] : [end, -totalDays];
+        const fullWeeks = Math.floor(span / 7);
+        let weekdays = fullWeeks * 5;
+        for (let offset = fullWeeks * 7; offset < span; offset += 1) {
+          const day = (from.getUTCDay() + offset) % 7;
+          if (day !== 0 && day !== 6) {
+            weekdays += 1;
+          }
+        }
+        return {
+          days: totalDays,
+          weeks: Math.round((totalDays / 7) * 100) / 100,
+          weekdays: totalDays >= 0 ? weekdays : -weekdays,
+        };
+      }
+      case 'weekday':
+        return describe(start);
+      default:
+        throw new Error(`Unknown date operation: ${operation}`);
+    }
+  }
+
+  /**
+   * List the matches of a regular expression in a text
+   * The search runs in a separate context with a time limit (AI.TOOLS.regexTimeoutMs) so a
+   * catastrophic pattern can't hang the app.
+   * @param {{pattern: string, flags?: string, text: string}} args
+   * @returns {{matched: boolean, count: number, matches: Array<{match: string, index: number,
+   *   groups: string[], namedGroups: Object|null}>}} Up to AI.TOOLS.maxMatches matches
+   * @throws {Error} If the pattern or flags are invalid, or the search takes too long
+   */
+  testRegex({ pattern, flags = '', text }) {
+    if (!/^[dimsuy]*g?[dimsuy]*$/.test(flags || '')) {
+      throw new Error(`Invalid regular expression flags: ${flags}`);
+    }
+
+    const sandbox = {
+      pattern: String(pattern ?? ''),
+      flags: (flags || '').includes('g') ? flags : `${flags || ''}g`,
+      text: String(text ?? ''),
+      limit: AI.TOOLS.maxMatches,
+    };
+    let matches;
+    try {
+      matches = vm.runInNewContext(
+        `(() => {
+          const re = new RegExp(pattern, flags);
+          const found = [];
+          let match = re.exec(text);
+          while (match && found.length < limit) {
+            found.push({
+              match: match[0],
+              index: match.index,
+              groups: match.slice(1),
+              namedGroups: match.groups ? { ...match.groups } : null,
+            });
+            if (match[0] === '') re.lastIndex += 1;
+            match = re.exec(text);
+          }
+          return JSON.stringify(found);
+        })()`,
+        sandbox,
+        { timeout: AI.TOOLS.regexTimeoutMs }
+      );
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw new Error('The regular expression took too long to run');
+      }
+      throw error;
+    }
+
+    const found = JSON.parse(matches);
+    return { matched: found.length > 0, count: found.length, matches: found };
+  }
+
+  /**
+   * Validate and pretty-print JSON
+   * @param {{text: string, indent?: number, sortKeys?: boolean}} args
+   * @returns {{valid: boolean, formatted?: string, error?: string}}
+   */
+  formatJson({ text, indent = 2, sortKeys = false }) {
+    let data;
+    try {
+      data = JSON.parse(String(text ?? ''));
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+
+    const sort = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(sort);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(
+          Object.keys(value)
+            .sort()
+            .map((key) => [key, sort(value[key])])
+        );
+      }
+      return value;
+    };
+    const spaces = Math.min(Math.max(Math.trunc(Number(indent) || 0), 0), 8);
+    return { valid: true, formatted: JSON.stringify(sortKeys ? sort(data) : data, null, spaces) };
+  }
+
+  // HELPERS
+
+  /**
+   * Read a numeric argument
+   * @private
+   * @param {*} value - Argument
+   * @param {string} name - Argument name, for the error
+   * @returns {number}
+   * @throws {Error} If the value is not a finite number
+   */
+  _number(value, name) {
+    const number = typeof value === 'string' ? Number(value.replace(/,/g, '')) : Number(value);
+    if (value === null || value === '' || !Number.isFinite(number)) {
+      throw new Error(`${name} must be a number`);
+    }
+    return number;
+  }
+
+  /**
+   * Look up a unit by name
+   * @private
+   * @param {string} name - Unit name or symbol
+   * @returns {{dimension: string, factor: number}}
+   * @throws {Error} If the unit is unknown
+   */
+  _unit(name) {
+    const key = String(name ?? '').trim();
+    const unit = UNIT_LOOKUP.get(key) || UNIT_LOOKUP.get(key.toLowerCase());
+    if (!unit) {
+      throw new Error(`Unknown unit: ${name}`);
+    }
+    return unit;
+  }
+
+  /**
+   * Get the temperature scale a unit names
+   * @private
+   * @param {string} name - Unit name or symbol
+   * @returns {'C'|'F'|'K'|null}
+   */
+  _temperatureScale(name) {
+    const key = String(name ?? '')
+      .trim()
+      .toLowerCase()
+      .replace(/^degrees? /, '');
+    const match = Object.entries(TEMPERATURES).find(([, names]) => names.includes(key));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date as midnight UTC
+   * @private
+   * @param {string} value - Date
+   * @returns {Date}
+   * @throws {Error} If the value is not a valid calendar date
+   */
+  _date(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? '').trim());
+    const date = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    if (!date || date.getUTCDate() !== +match[3] || date.getUTCMonth() !== +match[2] - 1) {
+      throw new Error(`Invalid date (expected YYYY-MM-DD): ${value}`);
+    }
+    return date;
+  }
+}
+
+module.exports = ToolService;
@@ -10,8 +10,25 @@ jest.mock('../../utils/logger', () => require('../../__tests__/__mocks__/logger'
 const AIService = require('../AIService');
 const { AI } = require('../../config/constants');
 
+// Every provider call carries an abort signal so requests can be cancelled
+const callOptions = expect.objectContaining({ signal: expect.any(AbortSignal) });
+
 describe('AIService', () => {
   let aiService;
+  const originalRetryConfig = {
+    RETRY_BASE_DELAY: AI.RETRY_BASE_DELAY,
+    RETRY_MAX_DELAY: AI.RETRY_MAX_DELAY,
+  };
+
+  // Keep retry backoff short so error cases run quickly
+  beforeAll(() => {
+    AI.RETRY_BASE_DELAY = 1;
+    AI.RETRY_MAX_DELAY = 50;
+  });
+
+  afterAll(() => {
+    Object.assign(AI, originalRetryConfig);
+  });
 
   beforeEach(() => {
     aiService = new AIService();
@@ -27,6 +44,7 @@ describe('AIService', () => {
         model: 'gemini-2.0-flash',
         apiKey: 'test-api-key',
         temperature: 0.7,
+        maxRetries: 0,
       });
       expect(aiService.isInitialized()).toBe(true);
       expect(aiService.getProviderType()).toBe('google');
@@ -41,6 +59,7 @@ describe('AIService', () => {
         modelName: 'gpt-4o',
         openAIApiKey: 'test-api-key',
         temperature: 0.7,
+        maxRetries: 0,
       });
       expect(aiService.isInitialized()).toBe(true);
       expect(aiService.getProviderType()).toBe('openai');
@@ -55,12 +74,83 @@ describe('AIService', () => {
         modelName: 'claude-3-5-sonnet-20241022',
         anthropicApiKey: 'test-api-key',
         temperature: 0.7,
+        maxRetries: 0,
       });
       expect(aiService.isInitialized()).toBe(true);
       expect(aiService.getProviderType()).toBe('anthropic');
       expect(aiService.getModel()).toBe('claude-3-5-sonnet-20241022');
     });
 
+    test('should initialize a local provider without an API key', () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      aiService.initialize('local', '', 'llava', { baseUrl: 'http://gpu-box:11434/v1' });
+
+      expect(ChatOpenAI).toHaveBeenCalledWith({
+        modelName: 'llava',
+        openAIApiKey: AI.PROVIDERS.local.placeholderApiKey,
+        temperature: 0.7,
+        maxRetries: 0,
+        configuration: { baseURL: 'http://gpu-box:11434/v1' },
+      });
+      expect(aiService.getProviderType()).toBe('local');
+    });
+
+    test('should default the local provider to the Ollama URL', () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      aiService.initialize('local', null, 'llava');
+
+      expect(ChatOpenAI).toHaveBeenCalledWith(
+        expect.objectContaining({
+          configuration: { baseURL: AI.PROVIDERS.local.defaultBaseUrl },
+        })
+      );
+    });
+
+    test('should route OpenAI through a gateway with headers and organization', () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o', {
+        baseUrl: 'https://llm-gateway.example.com/v1',
+        headers: { 'X-Team': 'desktop' },
+        organization: 'org-123',
+        project: 'proj-456',
+      });
+
+      expect(ChatOpenAI).toHaveBeenCalledWith({
+        modelName: 'gpt-4o',
+        openAIApiKey: 'test-api-key',
+        temperature: 0.7,
+        maxRetries: 0,
+        configuration: {
+          baseURL: 'https://llm-gateway.example.com/v1',
+          defaultHeaders: { 'X-Team': 'desktop' },
+          organization: 'org-123',
+          project: 'proj-456',
+        },
+      });
+    });
+
+    test('should route Anthropic and Gemini through a custom base URL', () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+      aiService.initialize('anthropic', 'test-api-key', 'claude-3-5-sonnet-20241022', {
+        baseUrl: 'https://litellm.internal',
+        headers: { 'X-Team': 'desktop' },
+      });
+      aiService.initialize('google', 'test-api-key', 'gemini-2.0-flash', {
+        baseUrl: 'https://gemini-proxy.internal',
+      });
+
+      expect(ChatAnthropic).toHaveBeenCalledWith(
+        expect.objectContaining({
+          anthropicApiUrl: 'https://litellm.internal',
+          clientOptions: { defaultHeaders: { 'X-Team': 'desktop' } },
+        })
+      );
+      expect(ChatGoogleGenerativeAI).toHaveBeenCalledWith(
+        expect.objectContaining({ baseUrl: 'https://gemini-proxy.internal' })
+      );
+    });
+
     test('should throw error for invalid provider', () => {
       expect(() => {
         aiService.initialize('invalid-provider', 'test-api-key');
@@ -68,6 +158,12 @@ describe('AIService', () => {
       expect(aiService.isInitialized()).toBe(false);
     });
 
+    test('should report an unknown provider before a missing API key', () => {
+      expect(() => {
+        aiService.initialize('invalid-provider', '');
+      }).toThrow('Unknown provider: invalid-provider');
+    });
+
     test('should throw error for missing API key', () => {
       expect(() => {
         aiService.initialize('google', '');
@@ -90,6 +186,7 @@ describe('AIService', () => {
         model: AI.PROVIDERS.google.models[0].id,
         apiKey: 'test-api-key',
         temperature: 0.7,
+        maxRetries: 0,
       });
       expect(aiService.getModel()).toBe(AI.PROVIDERS.google.models[0].id);
     });
@@ -102,6 +199,7 @@ describe('AIService', () => {
         model: 'gemini-1.5-pro',
         apiKey: 'test-api-key',
         temperature: 0.7,
+        maxRetries: 0,
       });
       expect(aiService.getModel()).toBe('gemini-1.5-pro');
     });
@@ -114,6 +212,7 @@ describe('AIService', () => {
         model: AI.DEFAULT_MODEL,
         apiKey: 'test-api-key',
         temperature: 0.7,
+        maxRetries: 0,
       });
       expect(aiService.getProviderType()).toBe(AI.DEFAULT_PROVIDER);
     });
@@ -156,7 +255,7 @@ describe('AIService', () => {
       expect(result.text).toBe('Mock Google Gemini response');
       // Get the instance that was created
       const mockInstance = ChatGoogleGenerativeAI.mock.results[ChatGoogleGenerativeAI.mock.results.length - 1].value;
-      expect(mockInstance.invoke).toHaveBeenCalledWith([{ role: 'user', content: 'Test prompt' }]);
+      expect(mockInstance.invoke).toHaveBeenCalledWith([{ role: 'user', content: 'Test prompt' }], callOptions);
     });
 
     test('should generate text-only response for OpenAI', async () => {
@@ -168,7 +267,7 @@ describe('AIService', () => {
       expect(result.success).toBe(true);
       expect(result.text).toBe('Mock OpenAI response');
       const mockInstance = ChatOpenAI.mock.results[ChatOpenAI.mock.results.length - 1].value;
-      expect(mockInstance.invoke).toHaveBeenCalledWith([{ role: 'user', content: 'Test prompt' }]);
+      expect(mockInstance.invoke).toHaveBeenCalledWith([{ role: 'user', content: 'Test prompt' }], callOptions);
     });
 
     test('should generate text-only response for Anthropic', async () => {
@@ -180,7 +279,7 @@ describe('AIService', () => {
       expect(result.success).toBe(true);
       expect(result.text).toBe('Mock Anthropic Claude response');
       const mockInstance = ChatAnthropic.mock.results[ChatAnthropic.mock.results.length - 1].value;
-      expect(mockInstance.invoke).toHaveBeenCalledWith([{ role: 'user', content: 'Test prompt' }]);
+      expect(mockInstance.invoke).toHaveBeenCalledWith([{ role: 'user', content: 'Test prompt' }], callOptions);
     });
   });
 
@@ -262,81 +361,1672 @@ describe('AIService', () => {
     });
   });
 
-  describe('generateResponse - Error Handling', () => {
-    test('should handle missing prompt error', async () => {
-      const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-      aiService.initialize('google', 'test-api-key');
-      const result = await aiService.generateResponse('');
+  describe('Image Preprocessing', () => {
+    const { nativeImage } = require('electron');
+    const jpegBytes = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+    const pngBytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
 
-      expect(result.success).toBe(false);
-      // Error gets formatted by errorHandler, so check for the actual error message
-      expect(result.error).toContain('required');
+    // Fake decoded image whose encoders return `bytes` bytes at every size
+    const createImage = ({ width, height }, bytes = 10) => ({
+      isEmpty: () => false,
+      getSize: () => ({ width, height }),
+      resize: jest.fn((size) => createImage(size, bytes)),
+      toPNG: jest.fn(() => Buffer.alloc(bytes, 1)),
+      toJPEG: jest.fn(() => Buffer.alloc(bytes, 2)),
     });
 
-    test('should handle uninitialized service error', async () => {
-      const result = await aiService.generateResponse('Test prompt');
+    const sentImage = (ModelClass) => {
+      const instance = ModelClass.mock.results[ModelClass.mock.results.length - 1].value;
+      return instance.invoke.mock.calls[0][0][0].content[1];
+    };
 
-      expect(result.success).toBe(false);
-      // Error gets formatted by errorHandler, check for any error message
-      expect(result.error).toBeTruthy();
+    afterEach(() => {
+      jest.restoreAllMocks();
     });
 
-    test('should handle provider-specific errors (quota exceeded)', async () => {
+    test('should label Anthropic images with their real MIME type', async () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      aiService.initialize('anthropic', 'test-api-key', 'claude-3-5-sonnet-20241022');
+
+      await aiService.generateResponse(
+        'What is this?',
+        `data:image/png;base64,${jpegBytes.toString('base64')}`
+      );
+
+      expect(sentImage(ChatAnthropic).source).toEqual({
+        type: 'base64',
+        media_type: 'image/jpeg',
+        data: jpegBytes.toString('base64'),
+      });
+    });
+
+    test('should downsize screenshots to the provider\'s max dimension', async () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      const image = createImage({ width: 3136, height: 1960 });
+      jest.spyOn(nativeImage, 'createFromBuffer').mockReturnValue(image);
+      aiService.initialize('anthropic', 'test-api-key', 'claude-3-5-sonnet-20241022');
+
+      await aiService.generateResponse(
+        'What is this?',
+        `data:image/png;base64,${pngBytes.toString('base64')}`
+      );
+
+      expect(image.resize).toHaveBeenCalledWith({ width: 1568, height: 980, quality: 'best' });
+      expect(sentImage(ChatAnthropic).source).toEqual(
+        expect.objectContaining({
+          media_type: 'image/png',
+          data: Buffer.alloc(10, 1).toString('base64'),
+        })
+      );
+    });
+
+    test('should pass small images through unchanged', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const image = createImage({ width: 800, height: 600 });
+      jest.spyOn(nativeImage, 'createFromBuffer').mockReturnValue(image);
+      const dataUrl = `data:image/png;base64,${pngBytes.toString('base64')}`;
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+
+      await aiService.generateResponse('What is this?', dataUrl);
+
+      expect(image.resize).not.toHaveBeenCalled();
+      expect(image.toPNG).not.toHaveBeenCalled();
+      expect(sentImage(ChatOpenAI).image_url.url).toBe(dataUrl);
+    });
+
+    test('should re-encode as JPEG to fit the byte budget', () => {
+      const image = createImage({ width: 1000, height: 500 }, 3000);
+      jest.spyOn(nativeImage, 'createFromBuffer').mockReturnValue(image);
+      const largePng = Buffer.concat([pngBytes, Buffer.alloc(6000)]);
+
+      const result = aiService.imageService.preprocess(
+        `data:image/png;base64,${largePng.toString('base64')}`,
+        { maxDimension: 2000, maxBytes: 5000 }
+      );
+
+      expect(result.mimeType).toBe('image/jpeg');
+      expect(image.toJPEG).toHaveBeenCalledWith(AI.IMAGE_PREPROCESSING.quality);
+      expect(result.dataUrl).toMatch(/^data:image\/jpeg;base64,/);
+    });
+
+    test('should shrink further when JPEG quality alone is not enough', () => {
+      const image = createImage({ width: 1000, height: 500 }, 3000);
+      image.resize.mockImplementation((size) =>
+        createImage(size, Math.round((size.width * size.height) / 200))
+      );
+      jest.spyOn(nativeImage, 'createFromBuffer').mockReturnValue(image);
+
+      const result = aiService.imageService.preprocess(
+        `data:image/png;base64,${pngBytes.toString('base64')}`,
+        { maxDimension: 2000, maxBytes: 2000 },
+        { format: 'jpeg' }
+      );
+
+      expect(image.resize).toHaveBeenCalledWith({ width: 750, height: 375, quality: 'best' });
+      expect(result.bytes).toBeLessThanOrEqual(2000);
+      expect(result).toEqual(expect.objectContaining({ width: 750, height: 375 }));
+    });
+  });
+
+  describe('Model Capabilities', () => {
+    const { getModelCapabilities } = require('../../config/capabilities.config');
+
+    const sentMessages = (ModelClass) => {
+      const instance = ModelClass.mock.results[ModelClass.mock.results.length - 1].value;
+      return instance.invoke.mock.calls[0][0];
+    };
+
+    test('should match dated and discovered variants to their family', () => {
+      expect(getModelCapabilities('openai', 'gpt-4o-2024-08-06')).toEqual(
+        getModelCapabilities('openai', 'gpt-4o')
+      );
+      expect(getModelCapabilities('openai', 'gpt-3.5-turbo-0125').vision).toBe(false);
+      expect(getModelCapabilities('local', 'llama3.2-vision:11b').vision).toBe(true);
+      expect(getModelCapabilities('local', 'llama3.1:8b').vision).toBe(false);
+      expect(getModelCapabilities('anthropic', 'claude-3-opus-20240229').maxOutputTokens).toBe(
+        4096
+      );
+    });
+
+    test('should let Gemini accept images for any model with vision', () => {
       const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-      
-      // Override the mock to return a rejected promise
-      const mockInstance = {
-        invoke: jest.fn().mockRejectedValue({
-          status: 429,
-          message: 'Quota exceeded',
-        }),
-      };
-      ChatGoogleGenerativeAI.mockReturnValueOnce(mockInstance);
+      aiService.initialize('google', 'test-api-key', 'gemini-2.5-flash');
 
-      aiService.initialize('google', 'test-api-key');
-      const result = await aiService.generateResponse('Test prompt');
+      // The subclass is what the library asks before sending an image
+      const instance = ChatGoogleGenerativeAI.mock.instances[0];
+      instance.model = 'gemini-2.5-flash';
+      expect(instance._isMultimodalModel).toBe(true);
+      instance.model = 'gemini-pro';
+      expect(instance._isMultimodalModel).toBe(false);
+    });
 
-      expect(result.success).toBe(false);
-      expect(result.error).toBe('API_QUOTA_EXCEEDED');
-      expect(result.errorType).toBe('QUOTA_EXCEEDED');
+    test('should cap max output tokens at the model limit', () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      aiService.setGenerationParams({ maxOutputTokens: 16000 });
+
+      aiService.initialize('openai', 'test-api-key', 'gpt-4-turbo');
+
+      expect(ChatOpenAI).toHaveBeenCalledWith(expect.objectContaining({ maxTokens: 4096 }));
     });
 
-    test('should handle network errors', async () => {
+    test('should drop the oldest exchanges that do not fit the context window', async () => {
       const { ChatOpenAI } = require('@langchain/openai');
-      
-      const mockInstance = {
-        invoke: jest.fn().mockRejectedValue({
-          statusCode: 500,
-          message: 'Network error',
+      // ~1000 tokens per message against llava's 4096-token window
+      const long = (label) => `${label} ${'x'.repeat(4000)}`;
+      const history = [
+        { role: 'user', content: long('first question') },
+        { role: 'assistant', content: long('first answer') },
+        { role: 'user', content: long('second question') },
+        { role: 'assistant', content: long('second answer') },
+      ];
+
+      aiService.initialize('local', null, 'llava');
+      await aiService.generateResponse('Third question', null, history);
+
+      expect(sentMessages(ChatOpenAI)).toEqual([
+        { role: 'user', content: long('second question') },
+        { role: 'assistant', content: long('second answer') },
+        { role: 'user', content: 'Third question' },
+      ]);
+    });
+
+    test('should keep the whole history when it fits', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const history = [
+        { role: 'user', content: 'First question' },
+        { role: 'assistant', content: 'First answer' },
+      ];
+
+      aiService.initialize('local', null, 'llava');
+      await aiService.generateResponse('Second question', null, history);
+
+      expect(sentMessages(ChatOpenAI)).toHaveLength(3);
+    });
+
+    test('should send the whole answer as one chunk for models that cannot stream', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const onChunk = jest.fn();
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      jest
+        .spyOn(aiService, '_getCapabilities')
+        .mockReturnValue({ ...getModelCapabilities('openai', 'gpt-4o'), streaming: false });
+
+      const result = await aiService.streamResponse('Test prompt', null, [], { onChunk });
+
+      const mockInstance = ChatOpenAI.mock.results[ChatOpenAI.mock.results.length - 1].value;
+      expect(mockInstance.stream).not.toHaveBeenCalled();
+      expect(onChunk).toHaveBeenCalledWith('Mock OpenAI response', 'Mock OpenAI response');
+      expect(result).toEqual(expect.objectContaining({ success: true, text: 'Mock OpenAI response' }));
+    });
+  });
+
+  describe('Structured Extraction', () => {
+    const screenshot = 'data:image/png;base64,dGVzdA==';
+
+    // Stand-in for the runnable returned by model.withStructuredOutput
+    const mockStructuredOutput = (parsed) => {
+      const runnable = {
+        invoke: jest.fn().mockResolvedValue({
+          raw: { usage_metadata: { input_tokens: 1000, output_tokens: 100 } },
+          parsed,
         }),
       };
-      ChatOpenAI.mockReturnValueOnce(mockInstance);
+      aiService.model.withStructuredOutput = jest.fn().mockReturnValue(runnable);
+      return runnable;
+    };
 
-      aiService.initialize('openai', 'test-api-key');
-      const result = await aiService.generateResponse('Test prompt');
+    test('should request schema-constrained output and return a grid', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const runnable = mockStructuredOutput({
+        columns: ['Product', 'Price'],
+        rows: [['Widget', 9.5], ['Gadget', null, 'extra']],
+      });
+
+      const result = await aiService.extractStructured(screenshot, 'table');
+
+      expect(aiService.model.withStructuredOutput).toHaveBeenCalledWith(
+        AI.EXTRACTION_SHAPES.table.schema,
+        { name: 'extract_table', includeRaw: true }
+      );
+      expect(runnable.invoke.mock.calls[0][0][0].content[0].text).toBe(
+        AI.EXTRACTION_SHAPES.table.instruction
+      );
+      expect(result).toEqual(
+        expect.objectContaining({
+          success: true,
+          shape: 'table',
+          grid: {
+            columns: ['Product', 'Price', 'Column 3'],
+            rows: [
+              ['Widget', '9.5', ''],
+              ['Gadget', '', 'extra'],
+            ],
+          },
+          provider: 'openai',
+          model: 'gpt-4o',
+          usage: { inputTokens: 1000, outputTokens: 100, cost: expect.any(Number) },
+        })
+      );
+    });
+
+    test('should turn form fields into Field/Value rows', async () => {
+      aiService.initialize('anthropic', 'test-api-key', 'claude-3-5-sonnet-20241022');
+      mockStructuredOutput({ fields: [{ key: 'Name', value: 'Ada' }, { key: 'Age', value: '36' }] });
+
+      const result = await aiService.extractStructured(screenshot, 'keyValue', {
+        instructions: 'Only the billing section',
+      });
+
+      expect(result.grid).toEqual({
+        columns: ['Field', 'Value'],
+        rows: [
+          ['Name', 'Ada'],
+          ['Age', '36'],
+        ],
+      });
+    });
+
+    test('should use JSON mode with the schema in the prompt for local models', async () => {
+      aiService.initialize('local', null, 'llava');
+      const runnable = mockStructuredOutput({ items: ['Milk', 'Eggs'] });
+
+      const result = await aiService.extractStructured(screenshot, 'list');
+
+      expect(aiService.model.withStructuredOutput).toHaveBeenCalledWith(
+        AI.EXTRACTION_SHAPES.list.schema,
+        expect.objectContaining({ method: 'jsonMode' })
+      );
+      expect(runnable.invoke.mock.calls[0][0][0].content[0].text).toContain(
+        JSON.stringify(AI.EXTRACTION_SHAPES.list.schema)
+      );
+      expect(result.grid).toEqual({ columns: ['Item'], rows: [['Milk'], ['Eggs']] });
+    });
+
+    test('should fail when the output does not match the shape', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      mockStructuredOutput(null); // LangChain's result when the output could not be parsed
+
+      const result = await aiService.extractStructured(screenshot, 'table');
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          success: false,
+          error: 'The model did not return a valid table',
+        })
+      );
+    });
+
+    test('should refuse models that cannot read screenshots', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-3.5-turbo');
+      mockStructuredOutput({ items: [] });
+
+      const result = await aiService.extractStructured(screenshot, 'list');
 
       expect(result.success).toBe(false);
-      expect(result.errorType).toBe('GENERAL');
+      expect(result.error).toBe('gpt-3.5-turbo cannot extract structured data from screenshots');
+      expect(aiService.model.withStructuredOutput).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown shapes', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+
+      const result = await aiService.extractStructured(screenshot, 'chart');
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: false, error: 'Unknown extraction shape: chart' })
+      );
+    });
+  });
+
+  describe('generateResponse - Conversation History', () => {
+    const testImageDataUrl = 'data:image/png;base64,dGVzdA==';
+    const history = [
+      { role: 'user', content: 'What is in this table?', error: false },
+      { role: 'assistant', content: 'A list of sales figures.', error: false },
+    ];
+
+    test('should send prior turns before the new prompt', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const result = await aiService.generateResponse('And the second column?', null, history);
+
+      expect(result.success).toBe(true);
+      const mockInstance = ChatOpenAI.mock.results[ChatOpenAI.mock.results.length - 1].value;
+      expect(mockInstance.invoke).toHaveBeenCalledWith([
+        { role: 'user', content: 'What is in this table?' },
+        { role: 'assistant', content: 'A list of sales figures.' },
+        { role: 'user', content: 'And the second column?' },
+      ], callOptions);
+    });
+
+    test('should attach the image to the first user turn only', async () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      const { HumanMessage } = require('@langchain/core/messages');
+
+      aiService.initialize('anthropic', 'test-api-key', 'claude-3-5-sonnet-20241022');
+      await aiService.generateResponse('And the second column?', testImageDataUrl, history);
+
+      const mockInstance = ChatAnthropic.mock.results[ChatAnthropic.mock.results.length - 1].value;
+      const callArgs = mockInstance.invoke.mock.calls[0][0];
+      expect(callArgs).toHaveLength(3);
+      expect(callArgs[0]).toBeInstanceOf(HumanMessage);
+      expect(callArgs[0].content[0]).toEqual({ type: 'text', text: 'What is in this table?' });
+      expect(callArgs[0].content[1].source.data).toBe('dGVzdA==');
+      expect(callArgs[1]).toEqual({ role: 'assistant', content: 'A list of sales figures.' });
+      expect(callArgs[2]).toEqual({ role: 'user', content: 'And the second column?' });
     });
 
-    test('should gracefully handle image when provider does not support it', async () => {
-      // Note: All current providers support images, but test the logic
+    test('should drop failed exchanges and dangling prompts from history', async () => {
       const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-      
-      // Temporarily modify provider config to not support images
-      const originalSupportsImage = AI.PROVIDERS.google.supportsImage;
-      AI.PROVIDERS.google.supportsImage = false;
 
       aiService.initialize('google', 'test-api-key', 'gemini-2.0-flash');
-      const result = await aiService.generateResponse('Test prompt', 'data:image/png;base64,test');
+      await aiService.generateResponse('Third question', null, [
+        ...history,
+        { role: 'user', content: 'Failed question', error: false },
+        { role: 'assistant', content: 'Error: Network error', error: true },
+        { role: 'user', content: 'Unanswered question', error: false },
+      ]);
 
-      // Should still work, but without image
-      expect(result.success).toBe(true);
       const mockInstance = ChatGoogleGenerativeAI.mock.results[ChatGoogleGenerativeAI.mock.results.length - 1].value;
-      expect(mockInstance.invoke).toHaveBeenCalledWith([{ role: 'user', content: 'Test prompt' }]);
+      expect(mockInstance.invoke).toHaveBeenCalledWith([
+        { role: 'user', content: 'What is in this table?' },
+        { role: 'assistant', content: 'A list of sales figures.' },
+        { role: 'user', content: 'Third question' },
+      ], callOptions);
+    });
+  });
+
+  describe('Context Summary', () => {
+    // ~400 tokens per message against llava's 4096-token window
+    const long = (label) => `${label} ${'x'.repeat(1600)}`;
+    const history = [
+      { role: 'user', content: long('first question') },
+      { role: 'assistant', content: long('first answer') },
+      { role: 'user', content: long('second question') },
+      { role: 'assistant', content: long('second answer') },
+      { role: 'user', content: long('third question') },
+      { role: 'assistant', content: long('third answer') },
+    ];
+
+    const sentRequests = (ModelClass) =>
+      ModelClass.mock.results.flatMap(({ value }) =>
+        value.invoke.mock.calls.map(([messages]) => messages)
+      );
+
+    test('should summarize older turns when the history nears the context window', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+
+      aiService.initialize('local', null, 'llava');
+      const result = await aiService.generateResponse('Fourth question', null, history);
 
-      // Restore original value
-      AI.PROVIDERS.google.supportsImage = originalSupportsImage;
+      const requests = sentRequests(ChatOpenAI);
+      const summaryRequest = requests.find((messages) => messages.length === 2);
+      expect(summaryRequest[1].content).toContain('User: first question');
+      expect(summaryRequest[1].content).not.toContain('second question');
+      expect(result.summaryUpdated).toBe(true);
+      expect(result.contextSummary).toEqual({
+        text: 'Mock OpenAI response',
+        messageCount: 2,
+        updatedAt: expect.any(Number),
+      });
+      expect(requests.find((messages) => messages !== summaryRequest)).toEqual([
+        { role: 'system', content: 'Summary of the earlier conversation:\nMock OpenAI response' },
+        ...history.slice(2),
+        { role: 'user', content: 'Fourth question' },
+      ]);
+    });
+
+    test('should send a stored summary instead of the turns it covers', async () => {
+      const summary = { text: 'They asked about sales.', messageCount: 2 };
+
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const result = await aiService.generateResponse(
+        'Next question',
+        null,
+        [
+          { role: 'user', content: 'What is in this table?' },
+          { role: 'assistant', content: 'A list of sales figures.' },
+          { role: 'user', content: 'Which month was best?' },
+          { role: 'assistant', content: 'March.' },
+        ],
+        { systemPrompt: 'Be brief.', summary }
+      );
+
+      expect(aiService.model.invoke).toHaveBeenCalledWith(
+        [
+          {
+            role: 'system',
+            content: 'Be brief.\n\nSummary of the earlier conversation:\nThey asked about sales.',
+          },
+          { role: 'user', content: 'Which month was best?' },
+          { role: 'assistant', content: 'March.' },
+          { role: 'user', content: 'Next question' },
+        ],
+        callOptions
+      );
+      expect(result).toMatchObject({ contextSummary: summary, summaryUpdated: false });
+    });
+
+    test('should answer with the full history when summarizing fails', async () => {
+      aiService.initialize('local', null, 'llava');
+      jest.spyOn(aiService, '_summarize').mockRejectedValue(new Error('Model unavailable'));
+
+      const result = await aiService.generateResponse('Fourth question', null, history);
+
+      expect(result.success).toBe(true);
+      expect(result.contextSummary).toBeUndefined();
+      expect(aiService.model.invoke.mock.calls[0][0]).toHaveLength(history.length + 1);
+    });
+
+    test('should not summarize when fewer turns than keepMessages are pending', async () => {
+      // Three ~1200-token messages exceed the threshold but are all kept verbatim
+      const short = history
+        .slice(0, 3)
+        .map((turn) => ({ ...turn, content: `${turn.content}${'x'.repeat(3200)}` }));
+
+      aiService.initialize('local', null, 'llava');
+      const summarize = jest.spyOn(aiService, '_summarize');
+      const result = await aiService.generateResponse('Fourth question', null, short);
+
+      expect(short.length).toBeLessThan(AI.CONTEXT_SUMMARY.keepMessages);
+      expect(summarize).not.toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(result.contextSummary).toBeUndefined();
+    });
+  });
+
+  describe('System Prompt', () => {
+    const testImageDataUrl = 'data:image/png;base64,dGVzdA==';
+
+    test.each([
+      ['google', 'gemini-2.0-flash'],
+      ['openai', 'gpt-4o'],
+      ['anthropic', 'claude-3-5-sonnet-20241022'],
+    ])('should send the system prompt first for %s', async (provider, model) => {
+      aiService.initialize(provider, 'test-api-key', model);
+
+      await aiService.generateResponse('What is this?', testImageDataUrl, [], {
+        systemPrompt: '  Reply in German.  ',
+      });
+
+      const callArgs = aiService.model.invoke.mock.calls[0][0];
+      expect(callArgs).toHaveLength(2);
+      expect(callArgs[0]).toEqual({ role: 'system', content: 'Reply in German.' });
+    });
+
+    test('should stream with the system prompt', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+
+      await aiService.streamResponse('Hello', null, [], { systemPrompt: 'Be brief.' });
+
+      expect(aiService.model.stream).toHaveBeenCalledWith(
+        [
+          { role: 'system', content: 'Be brief.' },
+          { role: 'user', content: 'Hello' },
+        ],
+        expect.any(Object)
+      );
+    });
+
+    test('should not add a system message for an empty prompt', () => {
+      const messages = aiService._prepareMessages('Hello', null, [], 'openai', '   ');
+      expect(messages).toEqual([{ role: 'user', content: 'Hello' }]);
+    });
+  });
+
+  describe('Screenshot Text', () => {
+    const testImageDataUrl = 'data:image/png;base64,dGVzdA==';
+    const note = 'Text recognized in the screenshot (OCR, may contain errors):\nTotal: $42.00';
+
+    test('should send the text in place of the image to a model without vision', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-3.5-turbo');
+
+      await aiService.generateResponse('What is the total?', testImageDataUrl, [], {
+        screenText: { text: 'Total: $42.00', include: false },
+      });
+
+      expect(aiService.model.invoke.mock.calls[0][0]).toEqual([
+        { role: 'system', content: note },
+        { role: 'user', content: 'What is the total?' },
+      ]);
+    });
+
+    test('should only add the text for models with vision when asked to', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+
+      await aiService.generateResponse('What is the total?', testImageDataUrl, [], {
+        screenText: { text: 'Total: $42.00', include: false },
+      });
+      await aiService.generateResponse('What is the total?', testImageDataUrl, [], {
+        systemPrompt: 'Be brief.',
+        screenText: { text: 'Total: $42.00', include: true },
+      });
+
+      const [[withoutText], [withText]] = aiService.model.invoke.mock.calls;
+      expect(withoutText).toHaveLength(1);
+      expect(withText[0]).toEqual({ role: 'system', content: `Be brief.\n\n${note}` });
+      expect(withText[1].content).toContainEqual(
+        expect.objectContaining({ type: 'image_url' })
+      );
+    });
+  });
+
+  describe('streamResponse', () => {
+    test('should report chunks and resolve with the full text', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const onChunk = jest.fn();
+
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const result = await aiService.streamResponse('Test prompt', null, [], { onChunk });
+
+      expect(result).toEqual({
+        success: true,
+        text: 'Mock OpenAI response',
+        attempts: 1,
+        provider: 'openai',
+        model: 'gpt-4o',
+        fallbackUsed: false,
+        usage: null,
+      });
+      expect(onChunk).toHaveBeenCalledTimes(3);
+      expect(onChunk).toHaveBeenNthCalledWith(1, 'Mock ', 'Mock ');
+      expect(onChunk).toHaveBeenLastCalledWith('response', 'Mock OpenAI response');
+      const mockInstance = ChatOpenAI.mock.results[ChatOpenAI.mock.results.length - 1].value;
+      expect(mockInstance.stream).toHaveBeenCalledWith([{ role: 'user', content: 'Test prompt' }], callOptions);
+    });
+
+    test('should join content block chunks', async () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      ChatAnthropic.mockReturnValueOnce({
+        stream: jest.fn().mockImplementation(async function* mockStream() {
+          yield { content: [{ type: 'text', text: 'Hello' }] };
+          yield { content: [] };
+          yield { content: [{ type: 'text', text: ' world' }] };
+        }),
+      });
+      const onChunk = jest.fn();
+
+      aiService.initialize('anthropic', 'test-api-key');
+      const result = await aiService.streamResponse('Test prompt', null, [], { onChunk });
+
+      expect(result.text).toBe('Hello world');
+      expect(onChunk).toHaveBeenCalledTimes(2);
+    });
+
+    test('should format stream errors like generateResponse', async () => {
+      const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+      ChatGoogleGenerativeAI.mockReturnValueOnce({
+        stream: jest.fn().mockRejectedValue({ status: 429, message: 'Quota exceeded' }),
+      });
+
+      aiService.initialize('google', 'test-api-key');
+      const result = await aiService.streamResponse('Test prompt');
+
+      expect(result.success).toBe(false);
+      expect(result.errorType).toBe('QUOTA_EXCEEDED');
+    });
+  });
+
+  describe('Cancellation', () => {
+    // Model call that only settles when its abort signal fires
+    const hangUntilAborted = (messages, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('AbortError')));
+    });
+
+    test('should cancel an in-flight generateResponse by request ID', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      ChatOpenAI.mockReturnValueOnce({ invoke: jest.fn().mockImplementation(hangUntilAborted) });
+
+      aiService.initialize('openai', 'test-api-key');
+      const pending = aiService.generateResponse('Test prompt', null, [], { requestId: 'req-1' });
+
+      expect(aiService.cancelRequest('req-1')).toBe(true);
+      const result = await pending;
+
+      expect(result).toEqual({
+        success: false,
+        cancelled: true,
+        error: 'Request cancelled',
+        errorType: 'CANCELLED',
+        text: '',
+      });
+      expect(aiService.cancelRequest('req-1')).toBe(false);
+    });
+
+    test('should keep partial text and close the stream when it is cancelled', async () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      let closed = false;
+      ChatAnthropic.mockReturnValueOnce({
+        stream: jest.fn().mockImplementation(async function* mockStream() {
+          try {
+            yield { content: 'Partial' };
+            aiService.cancelRequest('req-2');
+            yield { content: ' ignored' };
+            yield { content: ' never read' };
+          } finally {
+            closed = true;
+          }
+        }),
+      });
+
+      aiService.initialize('anthropic', 'test-api-key');
+      const result = await aiService.streamResponse('Test prompt', null, [], { requestId: 'req-2' });
+
+      expect(result.cancelled).toBe(true);
+      expect(result.text).toBe('Partial');
+      expect(closed).toBe(true);
+    });
+
+    test('should return false for unknown request IDs', () => {
+      expect(aiService.cancelRequest('missing')).toBe(false);
+    });
+
+    test('should drop cancelled exchanges from history', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      await aiService.generateResponse('Try again', null, [
+        { role: 'user', content: 'Long question' },
+        { role: 'assistant', content: 'Half an ans', cancelled: true },
+      ]);
+
+      const mockInstance = ChatOpenAI.mock.results[ChatOpenAI.mock.results.length - 1].value;
+      expect(mockInstance.invoke).toHaveBeenCalledWith(
+        [{ role: 'user', content: 'Try again' }],
+        callOptions
+      );
+    });
+  });
+
+  describe('Timeouts and Retries', () => {
+    test('should retry transient errors and report the attempt count', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const invoke = jest
+        .fn()
+        .mockRejectedValueOnce({ status: 503, message: 'Service unavailable' })
+        .mockResolvedValueOnce({ content: 'Recovered', text: () => 'Recovered' });
+      ChatOpenAI.mockReturnValueOnce({ invoke });
+      const onRetry = jest.fn();
+
+      aiService.initialize('openai', 'test-api-key');
+      const result = await aiService.generateResponse('Test prompt', null, [], { onRetry });
+
+      expect(result).toEqual({
+        success: true,
+        text: 'Recovered',
+        attempts: 2,
+        provider: 'openai',
+        model: 'gpt-4o',
+        fallbackUsed: false,
+        usage: null,
+      });
+      expect(invoke).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenCalledWith(
+        expect.objectContaining({ attempt: 2, maxAttempts: AI.MAX_RETRIES + 1 })
+      );
+    });
+
+    test('should give up after AI.MAX_RETRIES retries', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const invoke = jest.fn().mockRejectedValue({ status: 500, message: 'Server error' });
+      ChatOpenAI.mockReturnValueOnce({ invoke });
+
+      aiService.initialize('openai', 'test-api-key');
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result.success).toBe(false);
+      expect(result.attempts).toBe(AI.MAX_RETRIES + 1);
+      expect(invoke).toHaveBeenCalledTimes(AI.MAX_RETRIES + 1);
+    });
+
+    test('should not retry client errors', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const invoke = jest.fn().mockRejectedValue({ status: 400, message: 'Bad request' });
+      ChatOpenAI.mockReturnValueOnce({ invoke });
+
+      aiService.initialize('openai', 'test-api-key');
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result.attempts).toBe(1);
+      expect(invoke).toHaveBeenCalledTimes(1);
+    });
+
+    test('should time out attempts that take longer than AI.TIMEOUT', async () => {
+      const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+      const originalTimeout = AI.TIMEOUT;
+      AI.TIMEOUT = 10;
+      const invoke = jest.fn().mockImplementation(() => new Promise(() => {}));
+      ChatGoogleGenerativeAI.mockReturnValueOnce({ invoke });
+
+      aiService.initialize('google', 'test-api-key');
+      const result = await aiService.generateResponse('Test prompt');
+      AI.TIMEOUT = originalTimeout;
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Request timed out. Please try again.');
+      expect(invoke).toHaveBeenCalledTimes(AI.MAX_RETRIES + 1);
+    });
+
+    test('should not retry a stream once text has been sent', async () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      const stream = jest.fn().mockImplementation(async function* mockStream() {
+        yield { content: 'Partial' };
+        throw Object.assign(new Error('Overloaded'), { status: 529 });
+      });
+      ChatAnthropic.mockReturnValueOnce({ stream });
+
+      aiService.initialize('anthropic', 'test-api-key');
+      const result = await aiService.streamResponse('Test prompt');
+
+      expect(result.success).toBe(false);
+      expect(stream).toHaveBeenCalledTimes(1);
+    });
+
+    test('should honour Retry-After headers and Gemini retry info', () => {
+      expect(aiService._getRetryAfterMs({ headers: { 'retry-after': '2' } })).toBe(2000);
+      expect(aiService._getRetryAfterMs({ headers: new Headers({ 'retry-after': '0.5' }) })).toBe(500);
+      expect(
+        aiService._getRetryAfterMs({
+          errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '17s' }],
+        })
+      ).toBe(17000);
+      expect(aiService._getRetryAfterMs({ message: 'no hint' })).toBeNull();
+    });
+
+    test('should not wait for Retry-After delays beyond the backoff cap', () => {
+      const error = { status: 429, headers: { 'retry-after': '60' } };
+      expect(aiService._getRetryDelay(error, 1)).toBeNull();
+      expect(aiService._getRetryDelay({ status: 429, headers: { 'retry-after': '0.01' } }, 1)).toBe(10);
+    });
+  });
+
+  describe('Token Usage', () => {
+    test('should report token counts and estimated cost from the response', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      aiService.model.invoke.mockResolvedValue({
+        content: 'Answer',
+        usage_metadata: { input_tokens: 1000, output_tokens: 500, total_tokens: 1500 },
+      });
+
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result.usage).toEqual({
+        inputTokens: 1000,
+        outputTokens: 500,
+        cost: (1000 * 2.5 + 500 * 10) / 1000000,
+      });
+    });
+
+    test('should read OpenAI tokenUsage when usage_metadata is missing', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      aiService.model.invoke.mockResolvedValue({
+        content: 'Answer',
+        response_metadata: { tokenUsage: { promptTokens: 10, completionTokens: 20 } },
+      });
+
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result.usage).toEqual(
+        expect.objectContaining({ inputTokens: 10, outputTokens: 20 })
+      );
+    });
+
+    test('should sum usage reported across stream chunks', async () => {
+      aiService.initialize('anthropic', 'test-api-key', 'claude-3-5-sonnet-20241022');
+      aiService.model.stream.mockImplementation(async function* mockStream() {
+        yield { content: '', usage_metadata: { input_tokens: 200, output_tokens: 1 } };
+        yield { content: 'Hello' };
+        yield { content: '', usage_metadata: { input_tokens: 0, output_tokens: 40 } };
+      });
+
+      const result = await aiService.streamResponse('Test prompt');
+
+      expect(result.usage).toEqual({
+        inputTokens: 200,
+        outputTokens: 41,
+        cost: (200 * 3 + 41 * 15) / 1000000,
+      });
+    });
+
+    test('should leave cost unknown for models without a price', async () => {
+      aiService.initialize('local', '', 'llava');
+      aiService.model.invoke.mockResolvedValue({
+        content: 'Answer',
+        usage_metadata: { input_tokens: 100, output_tokens: 50 },
+      });
+
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result.usage).toEqual({ inputTokens: 100, outputTokens: 50, cost: null });
+    });
+
+    test('should report null usage when the provider sends none', async () => {
+      aiService.initialize('google', 'test-api-key');
+
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result.usage).toBeNull();
+    });
+  });
+
+  describe('Usage Limits', () => {
+    const answerWithUsage = (model, inputTokens, outputTokens) => {
+      model.invoke.mockResolvedValue({
+        content: 'Answer',
+        usage_metadata: { input_tokens: inputTokens, output_tokens: outputTokens },
+      });
+    };
+
+    test('should count requests, tokens and cost per provider', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      answerWithUsage(aiService.model, 1000, 1000);
+
+      await aiService.generateResponse('First');
+      await aiService.generateResponse('Second');
+
+      const { openai } = aiService.getUsageCounters();
+      expect(openai.day).toEqual(
+        expect.objectContaining({ requests: 2, tokens: 4000, cost: 0.025 })
+      );
+      expect(openai.month.requests).toBe(2);
+    });
+
+    test('should refuse requests over a blocking cap with a structured error', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      aiService.setUsageLimits({ openai: { dailyRequests: 1 } });
+
+      await aiService.generateResponse('First');
+      const result = await aiService.generateResponse('Second');
+
+      expect(result).toEqual({
+        success: false,
+        error:
+          'OpenAI daily request limit of 1 reached (1 used). ' +
+          'Raise it in Settings or wait until it resets tomorrow.',
+        errorType: 'USAGE_LIMIT_EXCEEDED',
+        limit: {
+          provider: 'openai',
+          period: 'day',
+          metric: 'requests',
+          limit: 1,
+          used: 1,
+          exceeded: true,
+        },
+      });
+      expect(aiService.model.invoke).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse once the spending cap has been reached', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      aiService.setUsageLimits({ openai: { monthlyCost: 0.01 } });
+      answerWithUsage(aiService.model, 1000, 1000);
+
+      await aiService.generateResponse('First');
+      const result = await aiService.streamResponse('Second');
+
+      expect(result.errorType).toBe('USAGE_LIMIT_EXCEEDED');
+      expect(result.limit).toEqual(expect.objectContaining({ period: 'month', metric: 'cost' }));
+      expect(aiService.model.stream).not.toHaveBeenCalled();
+    });
+
+    test('should answer with warnings when the cap action is warn', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      aiService.setUsageLimits({ openai: { dailyRequests: 1, action: 'warn' } });
+
+      await aiService.generateResponse('First');
+      const result = await aiService.generateResponse('Second');
+
+      expect(result.success).toBe(true);
+      expect(result.usageWarnings).toEqual([
+        expect.objectContaining({ metric: 'requests', exceeded: true }),
+      ]);
+    });
+
+    test('should warn as a cap gets close', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      aiService.setUsageLimits({ openai: { dailyRequests: 5 } });
+      await aiService.generateResponse('First');
+      await aiService.generateResponse('Second');
+      await aiService.generateResponse('Third');
+
+      const result = await aiService.generateResponse('Fourth');
+
+      expect(result.success).toBe(true);
+      expect(result.usageWarnings).toEqual([
+        expect.objectContaining({
+          exceeded: false,
+          message: 'OpenAI has used 3 of its daily request limit of 5.',
+        }),
+      ]);
+    });
+
+    test('should fall back to the next provider when the primary is capped', async () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      aiService.setFallbacks([
+        { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', apiKey: 'claude-key' },
+      ]);
+      aiService.setUsageLimits({ openai: { dailyRequests: 0 } });
+
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: true, provider: 'anthropic', fallbackUsed: true })
+      );
+      expect(aiService.model.invoke).not.toHaveBeenCalled();
+      expect(ChatAnthropic).toHaveBeenCalled();
+    });
+
+    test('should start new counters when the stored period has passed', () => {
+      aiService.restoreUsageCounters({
+        openai: {
+          day: { period: '2000-01-01', requests: 9, tokens: 9, cost: 9 },
+          month: { period: '2000-01', requests: 9, tokens: 9, cost: 9 },
+        },
+      });
+
+      const { openai } = aiService.getUsageCounters();
+
+      expect(openai.day).toEqual(expect.objectContaining({ requests: 0, tokens: 0, cost: 0 }));
+      expect(openai.month.requests).toBe(0);
+    });
+  });
+
+  describe('Generation Parameters', () => {
+    test('should pass the settings under each provider\'s field names', () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+      aiService.setGenerationParams({ temperature: 0.2, maxOutputTokens: 512, topP: 0.9 });
+
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      aiService.initialize('google', 'test-api-key', 'gemini-2.0-flash');
+
+      expect(ChatOpenAI).toHaveBeenCalledWith(
+        expect.objectContaining({ temperature: 0.2, maxTokens: 512, topP: 0.9 })
+      );
+      expect(ChatGoogleGenerativeAI).toHaveBeenCalledWith(
+        expect.objectContaining({ temperature: 0.2, maxOutputTokens: 512, topP: 0.9 })
+      );
+    });
+
+    test('should leave unset values to the provider', () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      aiService.setGenerationParams({ temperature: null });
+
+      aiService.initialize('anthropic', 'test-api-key', 'claude-3-opus-20240229');
+
+      const fields = ChatAnthropic.mock.calls[0][0];
+      expect(fields).not.toHaveProperty('temperature');
+      expect(fields).not.toHaveProperty('maxTokens');
+      expect(fields).not.toHaveProperty('topP');
+    });
+
+    test('should clamp settings to the provider\'s range', () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      aiService.setGenerationParams({ temperature: 1.5, maxOutputTokens: 100000 });
+
+      aiService.initialize('anthropic', 'test-api-key', 'claude-3-5-sonnet-20241022');
+
+      expect(ChatAnthropic).toHaveBeenCalledWith(
+        expect.objectContaining({ temperature: 1, maxTokens: 8192 })
+      );
+    });
+
+    test('should use per-request overrides with a cached model', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const configured = aiService.model;
+      const generationParams = { temperature: 0 };
+
+      await aiService.generateResponse('First', null, [], { generationParams });
+      await aiService.streamResponse('Second', null, [], { generationParams });
+
+      expect(ChatOpenAI).toHaveBeenCalledTimes(2);
+      expect(ChatOpenAI).toHaveBeenLastCalledWith(
+        expect.objectContaining({ temperature: 0, openAIApiKey: 'test-api-key' })
+      );
+      expect(configured.invoke).not.toHaveBeenCalled();
+    });
+
+    test('should keep the configured model when overrides match the defaults', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+
+      await aiService.generateResponse('Test prompt', null, [], {
+        generationParams: { temperature: AI.DEFAULT_GENERATION_PARAMS.temperature },
+      });
+
+      expect(ChatOpenAI).toHaveBeenCalledTimes(1);
+      expect(aiService.model.invoke).toHaveBeenCalled();
+    });
+  });
+
+  describe('Per-request Model', () => {
+    test('should answer with the requested provider and model', async () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const primary = aiService.model;
+
+      const result = await aiService.generateResponse('Test prompt', null, [], {
+        target: { provider: 'anthropic', model: 'claude-3-opus-20240229', apiKey: 'claude-key' },
+      });
+
+      expect(ChatAnthropic).toHaveBeenCalledWith(
+        expect.objectContaining({
+          modelName: 'claude-3-opus-20240229',
+          anthropicApiKey: 'claude-key',
+        })
+      );
+      expect(result).toEqual(
+        expect.objectContaining({
+          success: true,
+          provider: 'anthropic',
+          model: 'claude-3-opus-20240229',
+          fallbackUsed: false,
+        })
+      );
+      expect(primary.invoke).not.toHaveBeenCalled();
+      expect(aiService.getModel()).toBe('gpt-4o');
+    });
+
+    test('should reuse the model instance across requests', async () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const target = { provider: 'anthropic', model: 'claude-3-opus-20240229', apiKey: 'k' };
+
+      await aiService.generateResponse('First', null, [], { target });
+      await aiService.streamResponse('Second', null, [], { target });
+
+      expect(ChatAnthropic).toHaveBeenCalledTimes(1);
+    });
+
+    test('should use the configured model when the target matches it', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+
+      await aiService.generateResponse('Test prompt', null, [], {
+        target: { provider: 'openai', model: 'gpt-4o', apiKey: 'other-key' },
+      });
+
+      expect(ChatOpenAI).toHaveBeenCalledTimes(1);
+      expect(aiService.model.invoke).toHaveBeenCalled();
+    });
+
+    test('should fail when the requested provider has no key', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+
+      const result = await aiService.generateResponse('Test prompt', null, [], {
+        target: { provider: 'anthropic', model: 'claude-3-opus-20240229' },
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('API key is required');
+    });
+  });
+
+  describe('Model Comparison', () => {
+    test('should ask every model and report each answer with its latency', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const onResult = jest.fn();
+
+      const results = await aiService.compareResponses(
+        'Test prompt',
+        null,
+        [],
+        [
+          { provider: 'openai', model: 'gpt-4o', apiKey: 'test-api-key' },
+          { provider: 'anthropic', model: 'claude-3-opus-20240229', apiKey: 'claude-key' },
+        ],
+        { requestId: 'cmp-1', onResult }
+      );
+
+      expect(results).toEqual([
+        expect.objectContaining({
+          success: true,
+          text: 'Mock OpenAI response',
+          provider: 'openai',
+          model: 'gpt-4o',
+          latencyMs: expect.any(Number),
+        }),
+        expect.objectContaining({
+          success: true,
+          text: 'Mock Anthropic Claude response',
+          provider: 'anthropic',
+          model: 'claude-3-opus-20240229',
+          latencyMs: expect.any(Number),
+        }),
+      ]);
+      expect(onResult).toHaveBeenCalledTimes(2);
+      expect(onResult).toHaveBeenCalledWith(1, results[1]);
+      expect(aiService.activeRequests.size).toBe(0);
+    });
+
+    test('should not use the fallback chain for a failing model', async () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      aiService.setFallbacks([{ provider: 'anthropic', apiKey: 'backup-key' }]);
+      ChatAnthropic.mockClear();
+      aiService.model.invoke.mockRejectedValue({ status: 429, message: 'Quota exceeded' });
+      jest.spyOn(aiService, '_sleep').mockResolvedValue();
+
+      const [result] = await aiService.compareResponses(
+        'Test prompt',
+        null,
+        [],
+        [{ provider: 'openai', model: 'gpt-4o', apiKey: 'test-api-key' }]
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.provider).toBe('openai');
+      expect(ChatAnthropic).not.toHaveBeenCalled();
+    });
+
+    test('should cancel every model with the comparison request ID', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      aiService.model.invoke.mockImplementation(
+        (messages, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('Aborted')));
+          })
+      );
+
+      const pending = aiService.compareResponses(
+        'Test prompt',
+        null,
+        [],
+        [
+          { provider: 'openai', model: 'gpt-4o', apiKey: 'test-api-key' },
+          { provider: 'openai', model: 'gpt-4o', apiKey: 'test-api-key' },
+        ],
+        { requestId: 'cmp-2' }
+      );
+      expect(aiService.cancelRequest('cmp-2')).toBe(true);
+
+      const results = await pending;
+      expect(results.every((result) => result.cancelled)).toBe(true);
+    });
+  });
+
+  describe('Conversation Titles', () => {
+    test("should title a conversation with the provider's cheap model", async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+
+      const result = await aiService.generateTitle('What is in this table?', 'Monthly sales.');
+
+      expect(ChatOpenAI).toHaveBeenLastCalledWith(
+        expect.objectContaining({ modelName: 'gpt-4o-mini', maxTokens: 32 })
+      );
+      expect(aiService.model.invoke).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        success: true,
+        title: 'Mock OpenAI response',
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        usage: null,
+      });
+    });
+
+    test('should use the conversation model for providers without a cheap model', async () => {
+      aiService.initialize('local', null, 'llava');
+
+      const result = await aiService.generateTitle('What is in this table?', 'Monthly sales.');
+
+      expect(result).toMatchObject({ success: true, provider: 'local', model: 'llava' });
+    });
+
+    test.each([
+      ['Title: "Quarterly sales figures".', 'Quarterly sales figures'],
+      ['**Title:** Fixing a React hook error\nIt covers...', 'Fixing a React hook error'],
+      ['Titles in Excel charts', 'Titles in Excel charts'],
+      [
+        'Comparing the quarterly revenue of three regional sales teams in detail',
+        'Comparing the quarterly revenue of three regional sales…',
+      ],
+    ])('should tidy the title %p', (text, title) => {
+      expect(aiService._cleanTitle(text)).toBe(title);
+    });
+  });
+
+  describe('Follow-up Questions', () => {
+    test('should suggest follow-ups with the cheap model', async () => {
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      aiService.initialize('anthropic', 'test-api-key', 'claude-3-5-sonnet-20241022');
+
+      const result = await aiService.suggestFollowUps('What is in this table?', 'Monthly sales.');
+
+      expect(ChatAnthropic).toHaveBeenLastCalledWith(
+        expect.objectContaining({ modelName: 'claude-3-5-haiku-20241022', maxTokens: 150 })
+      );
+      const cheapModel = ChatAnthropic.mock.results[ChatAnthropic.mock.results.length - 1].value;
+      const [messages] = cheapModel.invoke.mock.calls[0];
+      expect(messages[1].content).toBe(
+        'Question: What is in this table?\n\nAnswer: Monthly sales.'
+      );
+      expect(result).toEqual({
+        success: true,
+        followUps: ['Mock Anthropic Claude response'],
+        provider: 'anthropic',
+        model: 'claude-3-5-haiku-20241022',
+        usage: null,
+      });
+    });
+
+    test('should fail when the model suggests nothing', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      aiService.initialize('local', null, 'llava');
+      ChatOpenAI.mockReturnValueOnce({ invoke: jest.fn().mockResolvedValue({ content: '  ' }) });
+
+      const result = await aiService.suggestFollowUps('What is in this table?', 'Monthly sales.');
+
+      expect(result.success).toBe(false);
+    });
+
+    test('should read questions from numbered, bulleted and quoted lines', () => {
+      const text = [
+        'Here are some follow-up questions:',
+        '1. "What does the red bar mean?"',
+        '- What does the red bar mean?',
+        '2) Which region grew fastest?',
+        `* ${'Why '.repeat(40)}?`,
+        '',
+        '• Can you export this as CSV?',
+        '4. Is there a trend?',
+      ].join('\n');
+
+      expect(aiService._parseFollowUps(text)).toEqual([
+        'What does the red bar mean?',
+        'Which region grew fastest?',
+        'Can you export this as CSV?',
+      ]);
+    });
+  });
+
+  describe('Tool Calling', () => {
+    const { AIMessage, AIMessageChunk, ToolMessage } = require('@langchain/core/messages');
+
+    const toolCall = new AIMessage({
+      content: '',
+      tool_calls: [{ id: 'call_1', name: 'calculate', args: { expression: '1299.99 * 3' } }],
+      usage_metadata: { input_tokens: 100, output_tokens: 20, total_tokens: 120 },
+    });
+    const finalAnswer = new AIMessage({
+      content: 'That comes to 3899.97.',
+      usage_metadata: { input_tokens: 150, output_tokens: 10, total_tokens: 160 },
+    });
+
+    // Give the current model a bindTools() returning a model with the given behaviour
+    const bindTools = (boundModel) => {
+      aiService.model.bindTools = jest.fn().mockReturnValue(boundModel);
+      return boundModel;
+    };
+
+    test('should run tool calls and send their results back to the model', async () => {
+      const onToolCall = jest.fn();
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const bound = bindTools({
+        invoke: jest.fn().mockResolvedValueOnce(toolCall).mockResolvedValueOnce(finalAnswer),
+      });
+
+      const result = await aiService.generateResponse('Total for 3 items?', null, [], {
+        onToolCall,
+      });
+
+      expect(aiService.model.bindTools).toHaveBeenCalledWith(
+        expect.arrayContaining([
+          expect.objectContaining({
+            type: 'function',
+            function: expect.objectContaining({ name: 'calculate' }),
+          }),
+        ])
+      );
+      const [secondRequest] = bound.invoke.mock.calls[1];
+      expect(secondRequest[1]).toBe(toolCall);
+      expect(secondRequest[2]).toBeInstanceOf(ToolMessage);
+      expect(secondRequest[2].tool_call_id).toBe('call_1');
+      expect(JSON.parse(secondRequest[2].content)).toEqual({
+        expression: '1299.99 * 3',
+        value: 3899.97,
+      });
+
+      const call = {
+        id: 'call_1',
+        name: 'calculate',
+        args: { expression: '1299.99 * 3' },
+        result: { expression: '1299.99 * 3', value: 3899.97 },
+      };
+      expect(onToolCall).toHaveBeenCalledWith(call);
+      expect(result).toMatchObject({
+        success: true,
+        text: 'That comes to 3899.97.',
+        toolCalls: [call],
+        usage: expect.objectContaining({ inputTokens: 250, outputTokens: 30 }),
+      });
+    });
+
+    test('should stop a model that keeps calling tools', async () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const bound = bindTools({ invoke: jest.fn().mockResolvedValue(toolCall) });
+
+      const result = await aiService.generateResponse('Loop forever', null);
+
+      expect(bound.invoke).toHaveBeenCalledTimes(AI.TOOLS.maxRounds);
+      expect(result.success).toBe(false);
+    });
+
+    test.each([
+      ['tools are turned off', 'gpt-4o', false],
+      ["the model can't call functions", 'o1-mini', true],
+    ])('should not bind tools when %s', async (label, modelName, enabled) => {
+      aiService.initialize('openai', 'test-api-key', modelName);
+      aiService.setToolsEnabled(enabled);
+      bindTools({ invoke: jest.fn() });
+
+      const result = await aiService.generateResponse('Test prompt', null);
+
+      expect(aiService.model.bindTools).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ success: true, text: 'Mock OpenAI response' });
+      expect(result.toolCalls).toBeUndefined();
+    });
+
+    test('should merge streamed tool call chunks before running the tool', async () => {
+      const onChunk = jest.fn();
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const rounds = [
+        [
+          new AIMessageChunk({
+            content: '',
+            tool_call_chunks: [
+              { id: 'call_1', name: 'convert_units', args: '{"value": 5, ', index: 0 },
+            ],
+          }),
+          new AIMessageChunk({
+            content: '',
+            tool_call_chunks: [{ args: '"from": "mi", "to": "km"}', index: 0 }],
+          }),
+        ],
+        [new AIMessageChunk({ content: 'About ' }), new AIMessageChunk({ content: '8 km.' })],
+      ];
+      bindTools({
+        stream: jest.fn().mockImplementation(async function* mockStream() {
+          yield* rounds.shift();
+        }),
+      });
+
+      const result = await aiService.streamResponse('5 miles in km?', null, [], { onChunk });
+
+      expect(result.toolCalls).toEqual([
+        expect.objectContaining({
+          name: 'convert_units',
+          args: { value: 5, from: 'mi', to: 'km' },
+          result: expect.objectContaining({ to: 'km' }),
+        }),
+      ]);
+      expect(result.text).toBe('About 8 km.');
+      expect(onChunk).toHaveBeenLastCalledWith('8 km.', 'About 8 km.');
+    });
+
+    test.each([
+      ['calculate', { expression: '-2^2 + sqrt(16)' }, { value: 0 }],
+      ['convert_units', { value: 100, from: 'C', to: 'F' }, { result: 212 }],
+      [
+        'date_math',
+        { operation: 'difference', date: '2024-01-01', endDate: '2024-03-01' },
+        { days: 60 },
+      ],
+    ])('should run the %s tool', (name, args, expected) => {
+      expect(aiService.toolService.run(name, args).result).toMatchObject(expected);
+    });
+
+    test('should report tool errors instead of throwing', () => {
+      expect(aiService.toolService.run('calculate', { expression: 'process.exit()' })).toEqual({
+        error: expect.any(String),
+      });
+      expect(aiService.toolService.run('rm_rf', {})).toEqual({ error: 'Unknown tool: rm_rf' });
+      expect(
+        aiService.toolService.run('test_regex', { pattern: '(a+)+$', text: `${'a'.repeat(40)}!` })
+      ).toEqual({ error: expect.stringMatching(/too long/) });
+    });
+  });
+
+  describe('Local Model Discovery', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should list models from the server /models endpoint', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ data: [{ id: 'llava:13b' }, { id: 'qwen2.5vl:7b' }] }),
+      });
+
+      const result = await aiService.listLocalModels('http://localhost:11434/v1/');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://localhost:11434/v1/models',
+        expect.objectContaining({ signal: expect.any(AbortSignal) })
+      );
+      expect(result).toEqual({
+        success: true,
+        models: [
+          { id: 'llava:13b', name: 'llava:13b' },
+          { id: 'qwen2.5vl:7b', name: 'qwen2.5vl:7b' },
+        ],
+      });
+    });
+
+    test('should report unreachable servers', async () => {
+      global.fetch = jest.fn().mockRejectedValue(new TypeError('fetch failed'));
+
+      const result = await aiService.listLocalModels('http://localhost:1234/v1');
+
+      expect(result.success).toBe(false);
+      expect(result.models).toEqual([]);
+      expect(result.error).toContain('http://localhost:1234/v1');
+    });
+
+    test('should send images to local models in the OpenAI format', async () => {
+      aiService.initialize('local', '', 'llava');
+      await aiService.generateResponse('Describe', 'data:image/png;base64,dGVzdA==');
+
+      const { ChatOpenAI } = require('@langchain/openai');
+      const mockInstance = ChatOpenAI.mock.results[ChatOpenAI.mock.results.length - 1].value;
+      const [messages] = mockInstance.invoke.mock.calls[0];
+      expect(messages[0].content).toEqual([
+        { type: 'text', text: 'Describe' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,dGVzdA==' } },
+      ]);
+    });
+  });
+
+  describe('Provider Fallback', () => {
+    test('should fall back to the next provider on quota errors', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      ChatOpenAI.mockReturnValueOnce({
+        invoke: jest.fn().mockRejectedValue({ status: 429, message: 'Quota exceeded' }),
+      });
+      const onFallback = jest.fn();
+
+      aiService.initialize('openai', 'test-api-key');
+      aiService.setFallbacks([{ provider: 'anthropic', apiKey: 'backup-key' }]);
+      const result = await aiService.generateResponse('Test prompt', null, [], { onFallback });
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          success: true,
+          text: 'Mock Anthropic Claude response',
+          provider: 'anthropic',
+          model: AI.PROVIDERS.anthropic.models[0].id,
+          fallbackUsed: true,
+        })
+      );
+      expect(ChatAnthropic).toHaveBeenCalledWith(
+        expect.objectContaining({ anthropicApiKey: 'backup-key' })
+      );
+      expect(onFallback).toHaveBeenCalledWith({
+        from: { provider: 'openai', model: 'gpt-4o' },
+        to: { provider: 'anthropic', model: AI.PROVIDERS.anthropic.models[0].id },
+      });
+    });
+
+    test('should fall back on invalid API keys without retrying', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const invoke = jest.fn().mockRejectedValue({ status: 401, message: 'Invalid API key' });
+      ChatOpenAI.mockReturnValueOnce({ invoke });
+
+      aiService.initialize('openai', 'test-api-key');
+      aiService.setFallbacks([{ provider: 'google', model: 'gemini-2.0-flash', apiKey: 'k' }]);
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(invoke).toHaveBeenCalledTimes(1);
+      expect(result.success).toBe(true);
+      expect(result.provider).toBe('google');
+    });
+
+    test('should not fall back on client errors', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      ChatOpenAI.mockReturnValueOnce({
+        invoke: jest.fn().mockRejectedValue({ status: 400, message: 'Bad request' }),
+      });
+
+      aiService.initialize('openai', 'test-api-key');
+      aiService.setFallbacks([{ provider: 'anthropic', apiKey: 'backup-key' }]);
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result.success).toBe(false);
+      const backup = ChatAnthropic.mock.results[0].value;
+      expect(backup.invoke).not.toHaveBeenCalled();
+    });
+
+    test('should return the last error when every provider fails', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      ChatOpenAI.mockReturnValueOnce({
+        invoke: jest.fn().mockRejectedValue({ status: 403, message: 'Forbidden' }),
+      });
+      ChatAnthropic.mockReturnValueOnce({
+        invoke: jest.fn().mockRejectedValue({ status: 429, message: 'Quota exceeded' }),
+      });
+
+      aiService.initialize('openai', 'test-api-key');
+      aiService.setFallbacks([{ provider: 'anthropic', apiKey: 'backup-key' }]);
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result.success).toBe(false);
+      expect(result.errorType).toBe('QUOTA_EXCEEDED');
+    });
+
+    test('should not fall back once a stream has sent text', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      const { ChatAnthropic } = require('@langchain/anthropic');
+      ChatOpenAI.mockReturnValueOnce({
+        stream: jest.fn().mockImplementation(async function* mockStream() {
+          yield { content: 'Partial' };
+          throw Object.assign(new Error('Overloaded'), { status: 503 });
+        }),
+      });
+
+      aiService.initialize('openai', 'test-api-key');
+      aiService.setFallbacks([{ provider: 'anthropic', apiKey: 'backup-key' }]);
+      const result = await aiService.streamResponse('Test prompt');
+
+      expect(result.success).toBe(false);
+      expect(ChatAnthropic.mock.results[0].value.stream).not.toHaveBeenCalled();
+    });
+
+    test('should skip invalid entries and duplicates of the primary model', () => {
+      aiService.initialize('openai', 'test-api-key', 'gpt-4o');
+      const count = aiService.setFallbacks([
+        { provider: 'unknown', apiKey: 'k' },
+        { provider: 'google', apiKey: '' },
+        { provider: 'openai', model: 'gpt-4o', apiKey: 'k' },
+        { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', apiKey: 'k' },
+      ]);
+
+      expect(count).toBe(2);
+      expect(aiService.getFallbacks()).toEqual([
+        { provider: 'openai', model: 'gpt-4o' },
+        { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
+      ]);
+      expect(aiService._getTargets().map((target) => target.providerType)).toEqual([
+        'openai',
+        'anthropic',
+      ]);
+    });
+  });
+
+  describe('generateResponse - Error Handling', () => {
+    test('should handle missing prompt error', async () => {
+      const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+      aiService.initialize('google', 'test-api-key');
+      const result = await aiService.generateResponse('');
+
+      expect(result.success).toBe(false);
+      // Error gets formatted by errorHandler, so check for the actual error message
+      expect(result.error).toContain('required');
+    });
+
+    test('should handle uninitialized service error', async () => {
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result.success).toBe(false);
+      // Error gets formatted by errorHandler, check for any error message
+      expect(result.error).toBeTruthy();
+    });
+
+    test('should handle provider-specific errors (quota exceeded)', async () => {
+      const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+      
+      // Override the mock to return a rejected promise
+      const mockInstance = {
+        invoke: jest.fn().mockRejectedValue({
+          status: 429,
+          message: 'Quota exceeded',
+        }),
+      };
+      ChatGoogleGenerativeAI.mockReturnValueOnce(mockInstance);
+
+      aiService.initialize('google', 'test-api-key');
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('API_QUOTA_EXCEEDED');
+      expect(result.errorType).toBe('QUOTA_EXCEEDED');
+    });
+
+    test('should handle network errors', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+      
+      const mockInstance = {
+        invoke: jest.fn().mockRejectedValue({
+          statusCode: 500,
+          message: 'Network error',
+        }),
+      };
+      ChatOpenAI.mockReturnValueOnce(mockInstance);
+
+      aiService.initialize('openai', 'test-api-key');
+      const result = await aiService.generateResponse('Test prompt');
+
+      expect(result.success).toBe(false);
+      expect(result.errorType).toBe('GENERAL');
+    });
+
+    test('should gracefully handle image when the model does not support it', async () => {
+      const { ChatOpenAI } = require('@langchain/openai');
+
+      aiService.initialize('openai', 'test-api-key', 'gpt-3.5-turbo');
+      const result = await aiService.generateResponse('Test prompt', 'data:image/png;base64,test');
+
+      // Should still work, but without image
+      expect(result.success).toBe(true);
+      const mockInstance = ChatOpenAI.mock.results[ChatOpenAI.mock.results.length - 1].value;
+      expect(mockInstance.invoke).toHaveBeenCalledWith([{ role: 'user', content: 'Test prompt' }], callOptions);
     });
   });
 
@@ -348,7 +2038,7 @@ describe('AIService', () => {
       await aiService.generateResponse('Test prompt');
 
       const mockInstance = ChatGoogleGenerativeAI.mock.results[ChatGoogleGenerativeAI.mock.results.length - 1].value;
-      expect(mockInstance.invoke).toHaveBeenCalledWith([{ role: 'user', content: 'Test prompt' }]);
+      expect(mockInstance.invoke).toHaveBeenCalledWith([{ role: 'user', content: 'Test prompt' }], callOptions);
     });
 
     test('should extract base64 from data URL correctly', () => {
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for ExportService
+ */
+
+jest.mock('../../utils/logger', () => require('../../__tests__/__mocks__/logger'));
+
+const fs = require('fs');
+const zlib = require('zlib');
+const ExportService = require('../ExportService');
+
+/**
+ * Read a ZIP archive through its central directory, checking each entry's local header
+ * @param {Buffer} archive - ZIP file contents
+ * @returns {Array<{name: string, crc: number, data: Buffer}>} Entries, inflated
+ */
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  const directorySize = archive.readUInt32LE(end + 12);
+  const directoryOffset = archive.readUInt32LE(end + 16);
+  expect(directoryOffset + directorySize).toBe(end);
+
+  const entries = [];
+  let position = directoryOffset;
+  for (let i = 0; i < count; i += 1) {
+    expect(archive.readUInt32LE(position)).toBe(0x02014b50);
+    const crc = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const localOffset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+
+    // The local header must agree with the central directory
+    expect(archive.readUInt32LE(localOffset)).toBe(0x04034b50);
+    expect(archive.readUInt16LE(localOffset + 8)).toBe(8);
+    expect(archive.readUInt32LE(localOffset + 14)).toBe(crc);
+    expect(archive.readUInt32LE(localOffset + 18)).toBe(compressedSize);
+    expect(archive.readUInt32LE(localOffset + 22)).toBe(size);
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+    expect(archive.toString('utf8', localOffset + 30, dataStart)).toBe(name);
+
+    const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    expect(data).toHaveLength(size);
+    entries.push({ name, crc, data });
+    position += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('ExportService', () => {
+  let exportService;
+  const grid = {
+    columns: ['Name', 'Note'],
+    rows: [
+      ['Smith, Jane', 'Said "hi"'],
+      ['Line\nbreak', 'Tab\there'],
+      ['Plain', null],
+    ],
+  };
+
+  beforeEach(() => {
+    exportService = new ExportService();
+  });
+
+  describe('toDelimited', () => {
+    test('should quote CSV cells with commas, quotes and line breaks', () => {
+      expect(exportService.toDelimited(grid, 'csv')).toBe(
+        'Name,Note\r\n"Smith, Jane","Said ""hi"""\r\n"Line\nbreak",Tab\there\r\nPlain,'
+      );
+    });
+
+    test('should quote TSV cells with tabs but not commas', () => {
+      expect(exportService.toDelimited(grid, 'tsv')).toBe(
+        'Name\tNote\r\nSmith, Jane\t"Said ""hi"""\r\n"Line\nbreak"\t"Tab\there"\r\nPlain\t'
+      );
+    });
+
+    test('should quote carriage returns', () => {
+      expect(exportService.toDelimited({ columns: ['a\rb'], rows: [] })).toBe('"a\rb"');
+    });
+
+    test('should reject unknown formats and malformed grids', () => {
+      expect(() => exportService.toDelimited(grid, 'xlsx')).toThrow(
+        'Unsupported text format: xlsx'
+      );
+      expect(() => exportService.toDelimited({ columns: ['a'] })).toThrow('Invalid grid');
+    });
+  });
+
+  describe('toXlsx', () => {
+    test('should build a ZIP with the workbook parts and valid checksums', () => {
+      const entries = readZip(exportService.toXlsx(grid));
+
+      expect(entries.map(({ name }) => name)).toEqual([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/worksheets/sheet1.xml',
+      ]);
+      entries.forEach(({ crc, data }) => {
+        expect(crc).toBe(exportService._deflate(data).crc);
+      });
+    });
+
+    test('should write every cell as escaped inline text', () => {
+      const sheet = readZip(
+        exportService.toXlsx({
+          columns: ['A & B', '<tag>'],
+          rows: [
+            ['"quoted"', 'bell\x07 gone'],
+            ['Zoë', undefined],
+          ],
+        })
+      )
+        .find(({ name }) => name === 'xl/worksheets/sheet1.xml')
+        .data.toString('utf8');
+
+      const cell = (ref, text) =>
+        `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+      expect(sheet).toContain(
+        `<row r="1">${cell('A1', 'A &amp; B')}${cell('B1', '&lt;tag&gt;')}</row>`
+      );
+      expect(sheet).toContain(
+        `<row r="2">${cell('A2', '&quot;quoted&quot;')}${cell('B2', 'bell gone')}</row>`
+      );
+      expect(sheet).toContain(`<row r="3">${cell('A3', 'Zoë')}${cell('B3', '')}</row>`);
+    });
+
+    test('should keep tabs and line breaks', () => {
+      const sheet = readZip(exportService.toXlsx(grid))
+        .find(({ name }) => name === 'xl/worksheets/sheet1.xml')
+        .data.toString('utf8');
+
+      expect(sheet).toContain('>Line\nbreak<');
+      expect(sheet).toContain('>Tab\there<');
+    });
+  });
+
+  describe('_deflate', () => {
+    test.each([
+      ['', 0x00000000],
+      ['a', 0xe8b7be43],
+      ['123456789', 0xcbf43926],
+      ['The quick brown fox jumps over the lazy dog', 0x414fa339],
+    ])('should match the known checksum of %j', (text, expected) => {
+      expect(exportService._deflate(Buffer.from(text)).crc).toBe(expected);
+    });
+
+    test('should return raw deflate data', () => {
+      const data = Buffer.from('Name,Note\r\n'.repeat(50));
+
+      expect(zlib.inflateRawSync(exportService._deflate(data).compressed)).toEqual(data);
+    });
+  });
+
+  describe('_columnName', () => {
+    test.each([
+      [0, 'A'],
+      [25, 'Z'],
+      [26, 'AA'],
+      [701, 'ZZ'],
+      [702, 'AAA'],
+    ])('should name column %i %s', (index, name) => {
+      expect(exportService._columnName(index)).toBe(name);
+    });
+  });
+
+  describe('saveGrid', () => {
+    test('should write the chosen format', async () => {
+      const writeFile = jest.spyOn(fs.promises, 'writeFile').mockResolvedValue();
+
+      await exportService.saveGrid(grid, 'csv', '/tmp/grid.csv');
+
+      expect(writeFile).toHaveBeenCalledWith('/tmp/grid.csv', exportService.toDelimited(grid));
+      writeFile.mockRestore();
+    });
+
+    test('should reject unknown formats', async () => {
+      await expect(exportService.saveGrid(grid, 'pdf', '/tmp/grid.pdf')).rejects.toThrow(
+        'Unsupported export format: pdf'
+      );
+    });
+  });
+});
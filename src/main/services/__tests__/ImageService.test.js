@@ -0,0 +1,281 @@
+/**
+ * Unit tests for ImageService
+ */
+
+jest.mock('electron');
+jest.mock('../../utils/logger', () => require('../../__tests__/__mocks__/logger'));
+
+const { nativeImage } = require('electron');
+const ImageService = require('../ImageService');
+
+const PNG_HEADER = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const JPEG_HEADER = [0xff, 0xd8, 0xff, 0xe0];
+const GIF_HEADER = [...'GIF89a'].map((char) => char.charCodeAt(0));
+const WEBP_HEADER = [...'RIFF\0\0\0\0WEBPVP8 '].map((char) => char.charCodeAt(0));
+
+const toDataUrl = (bytes, mimeType = 'image/png') =>
+  `data:${mimeType};base64,${Buffer.from(bytes).toString('base64')}`;
+
+/**
+ * Fake decoded image: PNGs take 1 byte per pixel, JPEGs quality / 100 bytes per pixel
+ */
+const fakeImage = (width, height) => ({
+  isEmpty: () => false,
+  getSize: () => ({ width, height }),
+  resize: jest.fn(({ width: w, height: h }) => fakeImage(w, h)),
+  toPNG: jest.fn(() => Buffer.alloc(width * height, 1)),
+  toJPEG: jest.fn((quality) => Buffer.alloc(Math.ceil((width * height * quality) / 100), 2)),
+});
+
+describe('ImageService', () => {
+  let imageService;
+
+  beforeEach(() => {
+    imageService = new ImageService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('detectMimeType', () => {
+    test.each([
+      ['image/png', PNG_HEADER],
+      ['image/jpeg', JPEG_HEADER],
+      ['image/gif', GIF_HEADER],
+      ['image/webp', WEBP_HEADER],
+    ])('should detect %s from its header', (mimeType, header) => {
+      expect(imageService.detectMimeType(Buffer.from([...header, 0, 0, 0]))).toBe(mimeType);
+    });
+
+    test('should return null for unknown or truncated data', () => {
+      expect(imageService.detectMimeType(Buffer.from('plain text'))).toBeNull();
+      expect(imageService.detectMimeType(Buffer.from('RIFF'))).toBeNull();
+      expect(imageService.detectMimeType(Buffer.alloc(0))).toBeNull();
+    });
+  });
+
+  describe('parseDataUrl', () => {
+    test('should use the detected type over the declared one', () => {
+      const { mimeType } = imageService.parseDataUrl(toDataUrl(PNG_HEADER, 'image/jpeg'));
+      expect(mimeType).toBe('image/png');
+    });
+
+    test('should fall back to the declared type for unknown data', () => {
+      const { mimeType } = imageService.parseDataUrl(toDataUrl([1, 2, 3], 'image/bmp'));
+      expect(mimeType).toBe('image/bmp');
+    });
+
+    test('should reject data URLs that are not base64', () => {
+      expect(() => imageService.parseDataUrl('data:image/png,raw')).toThrow(
+        'Invalid image data URL'
+      );
+      expect(() => imageService.parseDataUrl(null)).toThrow('Invalid image data URL');
+    });
+  });
+
+  describe('preprocess', () => {
+    const png = toDataUrl(PNG_HEADER, 'image/jpeg');
+    const large = toDataUrl([...PNG_HEADER, ...Buffer.alloc(10000)]);
+
+    test('should pass an image within the limits through with its real type', () => {
+      jest.spyOn(nativeImage, 'createFromBuffer').mockReturnValue(fakeImage(800, 600));
+
+      const result = imageService.preprocess(png, { maxDimension: 1568, maxBytes: 5000000 });
+
+      expect(result).toEqual({
+        dataUrl: toDataUrl(PNG_HEADER),
+        mimeType: 'image/png',
+        width: 800,
+        height: 600,
+        bytes: 12,
+        originalBytes: 12,
+      });
+    });
+
+    test('should downsize to the longest edge, keeping the aspect ratio', () => {
+      const image = fakeImage(4000, 2000);
+      jest.spyOn(nativeImage, 'createFromBuffer').mockReturnValue(image);
+
+      const result = imageService.preprocess(png, { maxDimension: 1000 });
+
+      expect(image.resize).toHaveBeenCalledWith({ width: 1000, height: 500, quality: 'best' });
+      expect(result).toMatchObject({ mimeType: 'image/png', width: 1000, height: 500 });
+      expect(result.bytes).toBe(Math.ceil((1000 * 500) / 3) * 4);
+    });
+
+    test("should re-encode as JPEG with format 'jpeg'", () => {
+      const image = fakeImage(100, 100);
+      jest.spyOn(nativeImage, 'createFromBuffer').mockReturnValue(image);
+
+      const result = imageService.preprocess(png, {}, { format: 'jpeg', quality: 60 });
+
+      expect(image.toJPEG).toHaveBeenCalledWith(60);
+      expect(result.mimeType).toBe('image/jpeg');
+      expect(result.dataUrl).toMatch(/^data:image\/jpeg;base64,/);
+    });
+
+    test('should warn that WebP output is not supported and keep the captured format', () => {
+      jest.spyOn(nativeImage, 'createFromBuffer').mockReturnValue(fakeImage(100, 100));
+
+      const result = imageService.preprocess(png, {}, { format: 'webp' });
+
+      expect(imageService.logger.warn).toHaveBeenCalledWith(
+        "Can't re-encode images as webp; only JPEG is supported"
+      );
+      expect(result.mimeType).toBe('image/png');
+    });
+
+    test('should lower the JPEG quality, then shrink, to meet the byte budget', () => {
+      const image = fakeImage(100, 100);
+      jest.spyOn(nativeImage, 'createFromBuffer').mockReturnValue(image);
+
+      // 85 -> 70 -> 55 -> 50 are all over budget, then one 0.75 resize fits
+      const result = imageService.preprocess(large, { maxBytes: 4000 });
+
+      expect(image.toJPEG.mock.calls.map(([quality]) => quality)).toEqual([85, 70, 55, 50]);
+      expect(image.resize).toHaveBeenCalledWith({ width: 75, height: 75, quality: 'best' });
+      expect(result).toMatchObject({ mimeType: 'image/jpeg', width: 75, height: 75 });
+      expect(result.bytes).toBeLessThanOrEqual(4000);
+    });
+
+    test('should give up and send the smallest result after the last budget step', () => {
+      const image = fakeImage(1000, 1000);
+      jest.spyOn(nativeImage, 'createFromBuffer').mockReturnValue(image);
+
+      const result = imageService.preprocess(large, { maxBytes: 10 });
+
+      // Four quality steps, then shrinking for the remaining four of the eight steps
+      expect(image.toJPEG).toHaveBeenCalledTimes(4);
+      expect(result).toMatchObject({ mimeType: 'image/jpeg', width: 317, height: 317 });
+      expect(imageService.logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining('still over the')
+      );
+    });
+
+    test.each([
+      ['GIF', GIF_HEADER, 'image/gif'],
+      ['WebP', WEBP_HEADER, 'image/webp'],
+    ])('should send %s images unchanged', (label, header, mimeType) => {
+      const createFromBuffer = jest.spyOn(nativeImage, 'createFromBuffer');
+
+      const result = imageService.preprocess(toDataUrl(header), { maxDimension: 10, maxBytes: 1 });
+
+      expect(createFromBuffer).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        dataUrl: toDataUrl(header, mimeType),
+        mimeType,
+        bytes: expect.any(Number),
+        originalBytes: expect.any(Number),
+      });
+    });
+
+    test("should send images nativeImage can't decode unchanged", () => {
+      const result = imageService.preprocess(png, { maxDimension: 10 });
+
+      expect(result.dataUrl).toBe(toDataUrl(PNG_HEADER));
+      expect(result.width).toBeUndefined();
+    });
+  });
+
+  describe('redactRegions', () => {
+    const png = toDataUrl(PNG_HEADER);
+    const width = 20;
+    const height = 10;
+    // Every pixel a different colour, so averaging changes it
+    const bitmap = Buffer.from(
+      Array.from({ length: width * height * 4 }, (value, index) =>
+        index % 4 === 3 ? 255 : (index * 7) % 256
+      )
+    );
+
+    // The mocked createFromBitmap encodes the bitmap as is, so the result is the bitmap
+    const redact = (regions, style) => {
+      const dataUrl = imageService.redactRegions(png, regions, style);
+      expect(dataUrl).toMatch(/^data:image\/png;base64,/);
+      return Buffer.from(dataUrl.split(',')[1], 'base64');
+    };
+    const pixel = (data, x, y) => [...data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)];
+    const changed = (data) =>
+      Array.from({ length: width * height }, (value, index) => index).filter(
+        (index) =>
+          !data.subarray(index * 4, index * 4 + 4).equals(bitmap.subarray(index * 4, index * 4 + 4))
+      );
+    const region = (x, y, w, h) => ({ bbox: { x, y, width: w, height: h } });
+
+    beforeEach(() => {
+      jest.spyOn(nativeImage, 'createFromBuffer').mockReturnValue({
+        isEmpty: () => false,
+        getSize: () => ({ width, height }),
+        toBitmap: () => bitmap,
+      });
+    });
+
+    test('should fill a region in black and leave the rest alone', () => {
+      const data = redact([region(2, 1, 4, 3)], 'black');
+
+      expect(changed(data)).toHaveLength(4 * 3);
+      expect(pixel(data, 2, 1)).toEqual([0, 0, 0, 255]);
+      expect(pixel(data, 5, 3)).toEqual([0, 0, 0, 255]);
+      expect(pixel(data, 6, 3)).toEqual(pixel(bitmap, 6, 3));
+    });
+
+    test('should pixelate a region into blocks of its average colour', () => {
+      const data = redact([region(2, 1, 4, 3)], 'blur');
+      const block = pixel(data, 2, 1);
+
+      expect(changed(data).length).toBeGreaterThan(0);
+      expect(block).not.toEqual([0, 0, 0, 255]);
+      expect(pixel(data, 5, 3)).toEqual(block);
+      expect(pixel(data, 6, 3)).toEqual(pixel(bitmap, 6, 3));
+    });
+
+    test('should give different results for black and blur', () => {
+      expect(
+        redact([region(0, 0, 8, 8)], 'black').equals(redact([region(0, 0, 8, 8)], 'blur'))
+      ).toBe(false);
+    });
+
+    test('should not modify the decoded bitmap', () => {
+      const original = Buffer.from(bitmap);
+      redact([region(0, 0, width, height)], 'black');
+      expect(bitmap.equals(original)).toBe(true);
+    });
+
+    test('should clamp regions to the image', () => {
+      const data = redact([region(-5, -5, 100, 100)], 'black');
+
+      expect(data).toHaveLength(bitmap.length);
+      expect(changed(data)).toHaveLength(width * height);
+    });
+
+    test('should ignore empty and out-of-range regions', () => {
+      const data = redact(
+        [region(3, 3, 0, 0), region(50, 50, 10, 10), region(-20, 0, 10, 5)],
+        'black'
+      );
+
+      expect(data.equals(bitmap)).toBe(true);
+    });
+
+    test.each([
+      ['GIF', GIF_HEADER, 'image/gif'],
+      ['WebP', WEBP_HEADER, 'image/webp'],
+    ])(
+      'should refuse to redact %s images rather than return them unredacted',
+      (label, header, mimeType) => {
+        expect(() => imageService.redactRegions(toDataUrl(header), [region(0, 0, 5, 5)])).toThrow(
+          `Can't redact ${mimeType} images`
+        );
+      }
+    );
+
+    test("should refuse to redact images nativeImage can't decode", () => {
+      nativeImage.createFromBuffer.mockReturnValue({ isEmpty: () => true });
+
+      expect(() => imageService.redactRegions(png, [region(0, 0, 5, 5)])).toThrow(
+        "Can't redact image/png images"
+      );
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Unit tests for ModelDiscoveryService, with the provider APIs mocked
+ */
+
+jest.mock('../../utils/logger', () => require('../../__tests__/__mocks__/logger'));
+
+const ModelDiscoveryService = require('../ModelDiscoveryService');
+const { AI } = require('../../config/constants');
+
+describe('ModelDiscoveryService', () => {
+  let discoveryService;
+  let now;
+  const originalFetch = global.fetch;
+
+  const respond = (body, status = 200) =>
+    jest.fn().mockResolvedValue({ ok: status < 400, status, json: async () => body });
+
+  beforeEach(() => {
+    discoveryService = new ModelDiscoveryService();
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  describe('Providers', () => {
+    test('should list Gemini models that can generate content', async () => {
+      global.fetch = respond({
+        models: [
+          {
+            name: 'models/gemini-2.5-flash',
+            displayName: 'Gemini 2.5 Flash',
+            supportedGenerationMethods: ['generateContent', 'countTokens'],
+          },
+          { name: 'models/gemini-2.0-flash', supportedGenerationMethods: ['generateContent'] },
+          { name: 'models/text-embedding-004', supportedGenerationMethods: ['embedContent'] },
+          { name: 'models/gemini-embedding-001', supportedGenerationMethods: ['generateContent'] },
+          { name: 'models/gemma-3-27b-it', supportedGenerationMethods: ['generateContent'] },
+          {
+            name: 'models/gemini-2.5-flash-preview-tts',
+            supportedGenerationMethods: ['generateContent'],
+          },
+        ],
+      });
+
+      const result = await discoveryService.listModels('google', 'google-key');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000',
+        expect.objectContaining({ headers: { 'x-goog-api-key': 'google-key' } })
+      );
+      expect(result).toEqual({
+        success: true,
+        models: [
+          { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash' },
+          { id: 'gemini-2.0-flash', name: 'models/gemini-2.0-flash' },
+        ],
+      });
+    });
+
+    test('should list OpenAI vision families, newest first', async () => {
+      global.fetch = respond({
+        data: [
+          { id: 'gpt-4o', created: 1 },
+          { id: 'gpt-3.5-turbo', created: 5 },
+          { id: 'gpt-4o-audio-preview', created: 6 },
+          { id: 'gpt-4o-search-preview', created: 7 },
+          { id: 'o3-mini', created: 8 },
+          { id: 'o3', created: 4 },
+          { id: 'dall-e-3', created: 9 },
+          { id: 'gpt-4.1-mini', created: 3 },
+        ],
+      });
+
+      const { models } = await discoveryService.listModels('openai', 'openai-key');
+
+      expect(models.map(({ id }) => id)).toEqual(['o3', 'gpt-4.1-mini', 'gpt-4o']);
+    });
+
+    test('should send OpenAI organization, project and custom headers', async () => {
+      global.fetch = respond({ data: [] });
+
+      await discoveryService.listModels('openai', 'openai-key', {
+        baseUrl: 'https://gateway.example.com/v1/',
+        headers: { 'X-Team': 'docs', Authorization: 'overridden' },
+        organization: 'org-1',
+        project: 'proj-1',
+      });
+
+      expect(global.fetch).toHaveBeenCalledWith('https://gateway.example.com/v1/models', {
+        headers: {
+          'X-Team': 'docs',
+          Authorization: 'Bearer openai-key',
+          'OpenAI-Organization': 'org-1',
+          'OpenAI-Project': 'proj-1',
+        },
+        signal: expect.any(AbortSignal),
+      });
+    });
+
+    test('should list Claude 3 and later models', async () => {
+      global.fetch = respond({
+        data: [
+          { id: 'claude-sonnet-4-5', display_name: 'Claude Sonnet 4.5' },
+          { id: 'claude-3-haiku-20240307' },
+          { id: 'claude-2.1', display_name: 'Claude 2.1' },
+          { id: 'claude-instant-1.2' },
+        ],
+      });
+
+      const result = await discoveryService.listModels('anthropic', 'claude-key');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://api.anthropic.com/v1/models?limit=1000',
+        expect.objectContaining({
+          headers: { 'x-api-key': 'claude-key', 'anthropic-version': '2023-06-01' },
+        })
+      );
+      expect(result.models).toEqual([
+        { id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5' },
+        { id: 'claude-3-haiku-20240307', name: 'claude-3-haiku-20240307' },
+      ]);
+    });
+
+    test('should not list providers without an API or a key', async () => {
+      global.fetch = jest.fn();
+
+      expect(discoveryService.supports('local')).toBe(false);
+      expect(await discoveryService.listModels('local', 'key')).toMatchObject({ success: false });
+      expect(await discoveryService.listModels('openai', null)).toMatchObject({ success: false });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Caching', () => {
+    test('should reuse a listing until MODEL_DISCOVERY_TTL passes', async () => {
+      global.fetch = respond({ data: [{ id: 'gpt-4o' }] });
+
+      await discoveryService.listModels('openai', 'openai-key');
+      now += AI.MODEL_DISCOVERY_TTL - 1;
+      await discoveryService.listModels('openai', 'openai-key');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      now += 1;
+      await discoveryService.listModels('openai', 'openai-key');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should list again when refreshing, or for another key or base URL', async () => {
+      global.fetch = respond({ data: [{ id: 'gpt-4o' }] });
+
+      await discoveryService.listModels('openai', 'openai-key');
+      await discoveryService.listModels('openai', 'openai-key', {}, true);
+      await discoveryService.listModels('openai', 'other-key');
+      await discoveryService.listModels('openai', 'openai-key', {
+        baseUrl: 'https://gateway.example.com/v1',
+      });
+
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    test('should return cached models for any key until they expire', async () => {
+      global.fetch = respond({ data: [{ id: 'gpt-4o' }] });
+      await discoveryService.listModels('openai', 'openai-key');
+
+      expect(discoveryService.getCachedModels('openai')).toEqual([
+        { id: 'gpt-4o', name: 'gpt-4o' },
+      ]);
+      expect(discoveryService.getCachedModels('anthropic')).toEqual([]);
+
+      now += AI.MODEL_DISCOVERY_TTL;
+      expect(discoveryService.getCachedModels('openai')).toEqual([]);
+    });
+  });
+
+  describe('Errors', () => {
+    test('should report an error status without models, so the built-in list is used', async () => {
+      global.fetch = respond({ error: 'Forbidden' }, 403);
+
+      const result = await discoveryService.listModels('google', 'google-key');
+
+      expect(result).toEqual({
+        success: false,
+        models: [],
+        error: 'Could not list Google Gemini models: Server responded with 403',
+      });
+      expect(discoveryService.logger.warn).toHaveBeenCalledWith(result.error);
+    });
+
+    test('should report network failures', async () => {
+      global.fetch = jest.fn().mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+
+      const result = await discoveryService.listModels('anthropic', 'claude-key');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('getaddrinfo ENOTFOUND');
+    });
+
+    test('should retry a failed listing after MODEL_DISCOVERY_ERROR_TTL', async () => {
+      global.fetch = jest.fn().mockRejectedValue(new Error('offline'));
+
+      await discoveryService.listModels('openai', 'openai-key');
+      expect(await discoveryService.listModels('openai', 'openai-key')).toMatchObject({
+        success: false,
+        error: expect.stringContaining('offline'),
+      });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      now += AI.MODEL_DISCOVERY_ERROR_TTL;
+      global.fetch = respond({ data: [{ id: 'gpt-4o' }] });
+      expect(await discoveryService.listModels('openai', 'openai-key')).toMatchObject({
+        success: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for OcrService
+ */
+
+jest.mock('tesseract.js', () => ({ createWorker: jest.fn() }));
+jest.mock('../../utils/logger', () => require('../../__tests__/__mocks__/logger'));
+
+const { createWorker } = require('tesseract.js');
+const OcrService = require('../OcrService');
+const { OCR } = require('../../config/constants');
+
+// tesseract.js output for one block of lines: [text, confidence, [[word, confidence], ...]]
+const tesseractData = (...lines) => ({
+  blocks: [
+    {
+      paragraphs: [
+        {
+          lines: lines.map(([text, confidence, words], lineIndex) => ({
+            text: `${text}\n`,
+            confidence,
+            words: words.map(([word, wordConfidence], wordIndex) => ({
+              text: word,
+              confidence: wordConfidence,
+              bbox: {
+                x0: wordIndex * 50,
+                y0: lineIndex * 20,
+                x1: wordIndex * 50 + 40,
+                y1: lineIndex * 20 + 15,
+              },
+            })),
+          })),
+        },
+      ],
+    },
+  ],
+});
+
+describe('OcrService', () => {
+  let ocrService;
+  let mockWorker;
+  const screenshot = 'data:image/png;base64,c2NyZWVu';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockWorker = {
+      recognize: jest.fn().mockResolvedValue({
+        data: tesseractData(
+          [
+            'Invoice total',
+            91.2,
+            [
+              ['Invoice', 95.6],
+              ['total', 88],
+            ],
+          ],
+          ['sm#dge', 31, [['sm#dge', 31]]],
+          ['   ', 90, [[' ', 90]]]
+        ),
+      }),
+      terminate: jest.fn().mockResolvedValue(),
+    };
+    createWorker.mockResolvedValue(mockWorker);
+    ocrService = new OcrService();
+  });
+
+  describe('recognize', () => {
+    test('should return the confident lines as text and every word with its box', async () => {
+      const result = await ocrService.recognize(screenshot);
+
+      expect(mockWorker.recognize).toHaveBeenCalledWith(
+        screenshot,
+        {},
+        { text: true, blocks: true }
+      );
+      expect(result).toEqual({
+        text: 'Invoice total',
+        words: [
+          { text: 'Invoice', confidence: 96, line: 0, bbox: { x: 0, y: 0, width: 40, height: 15 } },
+          { text: 'total', confidence: 88, line: 0, bbox: { x: 50, y: 0, width: 40, height: 15 } },
+          { text: 'sm#dge', confidence: 31, line: 1, bbox: { x: 0, y: 20, width: 40, height: 15 } },
+        ],
+        durationMs: expect.any(Number),
+      });
+    });
+
+    test('should handle an image without text', async () => {
+      mockWorker.recognize.mockResolvedValue({ data: { blocks: null } });
+
+      expect(await ocrService.recognize(screenshot)).toEqual({
+        text: '',
+        words: [],
+        durationMs: expect.any(Number),
+      });
+    });
+
+    test('should start the worker once with the bundled language data', async () => {
+      await ocrService.recognize(screenshot);
+      await ocrService.recognize('data:image/png;base64,b3RoZXI=');
+
+      expect(createWorker).toHaveBeenCalledTimes(1);
+      expect(createWorker).toHaveBeenCalledWith(
+        'eng',
+        1,
+        expect.objectContaining({
+          workerPath: expect.stringContaining('worker-script'),
+          langPath: expect.any(String),
+          cacheMethod: 'none',
+        })
+      );
+    });
+
+    test('should share one run per screenshot', async () => {
+      const [first, second] = await Promise.all([
+        ocrService.recognize(screenshot),
+        ocrService.recognize(screenshot),
+      ]);
+
+      expect(first).toBe(second);
+      expect(mockWorker.recognize).toHaveBeenCalledTimes(1);
+    });
+
+    test('should forget the oldest results beyond OCR.recentResults', async () => {
+      const screenshots = Array.from(
+        { length: OCR.recentResults + 1 },
+        (value, index) => `data:image/png;base64,${index}`
+      );
+      await Promise.all(screenshots.map((dataUrl) => ocrService.recognize(dataUrl)));
+
+      expect(ocrService.getFinished(screenshots[0])).toBeNull();
+      expect(ocrService.getFinished(screenshots[OCR.recentResults])).not.toBeNull();
+    });
+  });
+
+  describe('getFinished', () => {
+    test('should return a result only once recognition has finished', async () => {
+      const pending = ocrService.recognize(screenshot);
+      expect(ocrService.getFinished(screenshot)).toBeNull();
+
+      const result = await pending;
+      expect(ocrService.getFinished(screenshot)).toBe(result);
+      expect(ocrService.getFinished('data:image/png;base64,b3RoZXI=')).toBeNull();
+    });
+  });
+
+  describe('Errors', () => {
+    test('should reject, and try again next time, when reading the image fails', async () => {
+      mockWorker.recognize.mockRejectedValueOnce(new Error('Error attempting to read image.'));
+
+      await expect(ocrService.recognize(screenshot)).rejects.toThrow(
+        'Error attempting to read image.'
+      );
+      expect(ocrService.getFinished(screenshot)).toBeNull();
+
+      await expect(ocrService.recognize(screenshot)).resolves.toMatchObject({
+        text: 'Invoice total',
+      });
+      expect(mockWorker.recognize).toHaveBeenCalledTimes(2);
+    });
+
+    test('should restart the worker after it fails to start', async () => {
+      createWorker.mockRejectedValueOnce(new Error('Failed to load language data'));
+
+      await expect(ocrService.recognize(screenshot)).rejects.toThrow(
+        'Failed to load language data'
+      );
+      expect(ocrService.logger.error).toHaveBeenCalledWith(
+        'Failed to start the OCR engine',
+        expect.any(Error)
+      );
+
+      await expect(ocrService.recognize(screenshot)).resolves.toMatchObject({
+        text: 'Invoice total',
+      });
+      expect(createWorker).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('terminate', () => {
+    test('should stop a started worker once', async () => {
+      await ocrService.recognize(screenshot);
+
+      await ocrService.terminate();
+      await ocrService.terminate();
+
+      expect(mockWorker.terminate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should do nothing if the worker never started', async () => {
+      await ocrService.terminate();
+
+      expect(createWorker).not.toHaveBeenCalled();
+    });
+
+    test('should log a worker that fails to stop', async () => {
+      await ocrService.recognize(screenshot);
+      mockWorker.terminate.mockRejectedValue(new Error('Worker already gone'));
+
+      await expect(ocrService.terminate()).resolves.toBeUndefined();
+      expect(ocrService.logger.warn).toHaveBeenCalledWith(
+        'Failed to stop the OCR worker',
+        'Worker already gone'
+      );
+    });
+  });
+});
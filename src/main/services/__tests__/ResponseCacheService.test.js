@@ -0,0 +1,231 @@
+/**
+ * Unit tests for ResponseCacheService, against an in-memory database
+ */
+
+jest.mock('../../utils/logger', () => require('../../__tests__/__mocks__/logger'));
+
+const Database = require('better-sqlite3');
+const ResponseCacheService = require('../ResponseCacheService');
+const responseCacheMigration = require('../../db/migrations/008_response_cache');
+
+describe('ResponseCacheService', () => {
+  let db;
+  let cacheService;
+  let now;
+
+  const request = {
+    screenshotHash: 'abc123',
+    prompt: 'What is in this table?',
+    provider: 'openai',
+    model: 'gpt-4o',
+    generationParams: { temperature: 0.7, maxOutputTokens: null, topP: null },
+    systemPrompt: 'Be brief.',
+    history: [
+      { role: 'user', content: 'Hello' },
+      { role: 'assistant', content: 'Hi!' },
+    ],
+  };
+  const entry = (text) => ({
+    screenshotHash: 'abc123',
+    prompt: 'What is in this table?',
+    provider: 'openai',
+    model: 'gpt-4o',
+    text,
+  });
+  const keys = () =>
+    db
+      .prepare('SELECT cache_key FROM response_cache ORDER BY cache_key')
+      .all()
+      .map(({ cache_key: key }) => key);
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    responseCacheMigration.up(db);
+    cacheService = new ResponseCacheService({ getDb: () => db });
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+  });
+
+  describe('buildKey', () => {
+    const key = () => cacheService.buildKey(request);
+
+    test('should be stable for the same request', () => {
+      expect(key()).toMatch(/^[0-9a-f]{64}$/);
+      expect(cacheService.buildKey({ ...request })).toBe(key());
+    });
+
+    test('should ignore case and whitespace in the prompt', () => {
+      expect(cacheService.buildKey({ ...request, prompt: '  what IS in\n this   table? ' })).toBe(
+        key()
+      );
+    });
+
+    test.each([
+      ['screenshot', { screenshotHash: 'def456' }],
+      ['prompt', { prompt: 'What is in this chart?' }],
+      ['provider', { provider: 'anthropic' }],
+      ['model', { model: 'gpt-4o-mini' }],
+      ['temperature', { generationParams: { ...request.generationParams, temperature: 0.2 } }],
+      ['output limit', { generationParams: { ...request.generationParams, maxOutputTokens: 50 } }],
+      ['top-p', { generationParams: { ...request.generationParams, topP: 0.9 } }],
+      ['system prompt', { systemPrompt: 'Be thorough.' }],
+      ['history', { history: [...request.history, { role: 'user', content: 'More?' }] }],
+      ['history roles', { history: request.history.map((turn) => ({ ...turn, role: 'user' })) }],
+    ])('should change with the %s', (label, change) => {
+      expect(cacheService.buildKey({ ...request, ...change })).not.toBe(key());
+    });
+
+    test('should change when redaction is turned on or its settings change', () => {
+      const redaction = {
+        enabled: true,
+        detectors: { email: true, apiKey: true, creditCard: false, phone: true },
+        customPatterns: [],
+        style: 'blur',
+        storeRedacted: true,
+      };
+      const redacted = cacheService.buildKey({ ...request, redaction });
+
+      expect(redacted).not.toBe(key());
+      expect(
+        cacheService.buildKey({ ...request, redaction: { ...redaction, enabled: false } })
+      ).toBe(key());
+      expect(
+        cacheService.buildKey({
+          ...request,
+          redaction: { ...redaction, detectors: { ...redaction.detectors, phone: false } },
+        })
+      ).not.toBe(redacted);
+      expect(
+        cacheService.buildKey({ ...request, redaction: { ...redaction, customPatterns: ['ACME'] } })
+      ).not.toBe(redacted);
+      expect(
+        cacheService.buildKey({ ...request, redaction: { ...redaction, style: 'black' } })
+      ).not.toBe(redacted);
+      // Which screenshot is stored doesn't change what is sent
+      expect(
+        cacheService.buildKey({ ...request, redaction: { ...redaction, storeRedacted: false } })
+      ).toBe(redacted);
+    });
+
+    test('should change with the screenshot text settings', () => {
+      const ocr = { enabled: true, includeInPrompt: false };
+      const withText = cacheService.buildKey({ ...request, ocr });
+
+      expect(withText).not.toBe(key());
+      expect(
+        cacheService.buildKey({ ...request, ocr: { ...ocr, includeInPrompt: true } })
+      ).not.toBe(withText);
+      expect(cacheService.buildKey({ ...request, ocr: { ...ocr, enabled: false } })).toBe(key());
+    });
+
+    test('should change with the local tools offered, in any order', () => {
+      const withTools = cacheService.buildKey({ ...request, tools: ['calculate', 'date_math'] });
+
+      expect(withTools).not.toBe(key());
+      expect(cacheService.buildKey({ ...request, tools: ['date_math', 'calculate'] })).toBe(
+        withTools
+      );
+      expect(cacheService.buildKey({ ...request, tools: ['calculate'] })).not.toBe(withTools);
+    });
+
+    test('should treat missing optional parts as empty', () => {
+      const minimal = { screenshotHash: 'abc123', prompt: 'Hi', provider: 'openai', model: 'm' };
+      expect(cacheService.buildKey(minimal)).toBe(
+        cacheService.buildKey({
+          ...minimal,
+          generationParams: {},
+          systemPrompt: null,
+          history: [],
+          tools: [],
+        })
+      );
+    });
+
+    test('should ignore history fields other than role and content', () => {
+      const history = request.history.map((turn) => ({ ...turn, timestamp: 5, error: false }));
+      expect(cacheService.buildKey({ ...request, history })).toBe(key());
+    });
+  });
+
+  describe('get and set', () => {
+    test('should return a stored answer and count each hit', () => {
+      cacheService.set('key-1', entry('Sales figures.'));
+
+      expect(cacheService.get('key-1', 60000)).toEqual({
+        text: 'Sales figures.',
+        provider: 'openai',
+        model: 'gpt-4o',
+        createdAt: now,
+        hitCount: 1,
+      });
+      expect(cacheService.get('key-1', 60000).hitCount).toBe(2);
+      expect(cacheService.getStats()).toEqual({ entries: 1, hits: 2 });
+    });
+
+    test('should miss unknown keys', () => {
+      expect(cacheService.get('missing', 60000)).toBeNull();
+    });
+
+    test('should ignore entries older than maxAgeMs', () => {
+      cacheService.set('key-1', entry('Old answer.'));
+
+      now += 60000;
+      expect(cacheService.get('key-1', 60000)).not.toBeNull();
+      now += 1;
+      expect(cacheService.get('key-1', 60000)).toBeNull();
+    });
+
+    test('should replace an entry with the same key', () => {
+      cacheService.set('key-1', entry('First.'));
+      cacheService.get('key-1', 60000);
+      cacheService.set('key-1', entry('Second.'));
+
+      expect(cacheService.get('key-1', 60000)).toMatchObject({ text: 'Second.', hitCount: 1 });
+    });
+  });
+
+  describe('Eviction', () => {
+    test('should keep the most recently used entries up to maxEntries', () => {
+      cacheService.set('a', entry('A'), 3);
+      now += 1;
+      cacheService.set('b', entry('B'), 3);
+      now += 1;
+      cacheService.set('c', entry('C'), 3);
+      now += 1;
+      // Reading "a" makes "b" the least recently used
+      cacheService.get('a', 60000);
+      now += 1;
+      cacheService.set('d', entry('D'), 3);
+
+      expect(keys()).toEqual(['a', 'c', 'd']);
+    });
+
+    test('should not trim without a limit', () => {
+      ['a', 'b', 'c'].forEach((key) => cacheService.set(key, entry(key)));
+
+      expect(keys()).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should prune expired entries', () => {
+      cacheService.set('old', entry('Old'));
+      now += 5000;
+      cacheService.set('new', entry('New'));
+
+      expect(cacheService.pruneExpired(1000)).toBe(1);
+      expect(keys()).toEqual(['new']);
+    });
+
+    test('should clear every entry', () => {
+      cacheService.set('a', entry('A'));
+      cacheService.set('b', entry('B'));
+
+      expect(cacheService.clear()).toBe(2);
+      expect(cacheService.getStats()).toEqual({ entries: 0, hits: 0 });
+    });
+  });
+});
@@ -7,7 +7,7 @@ jest.mock('../../utils/logger', () => require('../../__tests__/__mocks__/logger'
 
 const Store = require('electron-store');
 const StorageService = require('../StorageService');
-const { STORAGE_KEYS } = require('../../config/constants');
+const { STORAGE_KEYS, AI, OCR, REDACTION } = require('../../config/constants');
 
 describe('StorageService', () => {
   let storageService;
@@ -65,6 +65,184 @@ describe('StorageService', () => {
     });
   });
 
+  describe('Usage Limits Storage', () => {
+    test('should replace one provider\'s limits and keep the others', () => {
+      mockStore.get.mockReturnValue({ openai: { dailyCost: 1 }, google: { dailyRequests: 5 } });
+      storageService.saveUsageLimits('openai', { monthlyCost: 20, action: 'warn' });
+      expect(mockStore.set).toHaveBeenCalledWith(STORAGE_KEYS.USAGE_LIMITS, {
+        google: { dailyRequests: 5 },
+        openai: { monthlyCost: 20, action: 'warn' },
+      });
+    });
+
+    test('should remove a provider\'s limits when saved as null', () => {
+      mockStore.get.mockReturnValue({ openai: { dailyCost: 1 } });
+      storageService.saveUsageLimits('openai', null);
+      expect(mockStore.set).toHaveBeenCalledWith(STORAGE_KEYS.USAGE_LIMITS, {});
+    });
+  });
+
+  describe('Prompt Preset Storage', () => {
+    test('should offer the built-in presets until presets are saved', () => {
+      mockStore.get.mockReturnValue(null);
+      expect(storageService.getPromptPresets()).toEqual(AI.DEFAULT_PROMPT_PRESETS);
+    });
+
+    test('should return the active preset\'s system prompt', () => {
+      mockStore.get.mockImplementation((key) =>
+        key === STORAGE_KEYS.ACTIVE_PROMPT_PRESET ? 'teacher' : null
+      );
+      expect(storageService.getActiveSystemPrompt()).toBe(
+        AI.DEFAULT_PROMPT_PRESETS.find(({ id }) => id === 'teacher').prompt
+      );
+    });
+
+    test('should clear the active preset when it is removed', () => {
+      mockStore.get.mockImplementation((key) =>
+        key === STORAGE_KEYS.ACTIVE_PROMPT_PRESET ? 'german' : null
+      );
+      storageService.savePromptPresets([{ id: 'short', name: 'Short', prompt: 'Be brief.' }]);
+      expect(mockStore.set).toHaveBeenCalledWith(STORAGE_KEYS.PROMPT_PRESETS, [
+        { id: 'short', name: 'Short', prompt: 'Be brief.' },
+      ]);
+      expect(mockStore.set).toHaveBeenCalledWith(STORAGE_KEYS.ACTIVE_PROMPT_PRESET, null);
+    });
+  });
+
+  describe('Generation Parameter Storage', () => {
+    test('should fill unsaved settings from the built-in defaults', () => {
+      mockStore.get.mockReturnValue({ topP: 0.9 });
+      expect(storageService.getGenerationParams()).toEqual({
+        ...AI.DEFAULT_GENERATION_PARAMS,
+        topP: 0.9,
+      });
+    });
+  });
+
+  describe('Response Cache Settings', () => {
+    test('should default to a disabled cache', () => {
+      mockStore.get.mockReturnValue(undefined);
+      expect(storageService.getResponseCacheSettings()).toEqual(AI.DEFAULT_RESPONSE_CACHE);
+      expect(AI.DEFAULT_RESPONSE_CACHE.enabled).toBe(false);
+    });
+
+    test('should merge saved settings into the stored ones', () => {
+      mockStore.get.mockReturnValue({ enabled: true, ttlHours: 12 });
+      storageService.saveResponseCacheSettings({ maxEntries: 50 });
+      expect(mockStore.set).toHaveBeenCalledWith(STORAGE_KEYS.RESPONSE_CACHE, {
+        enabled: true,
+        ttlHours: 12,
+        maxEntries: 50,
+      });
+    });
+  });
+
+  describe('Local Tools Setting', () => {
+    test('should default to AI.TOOLS.enabled', () => {
+      mockStore.get.mockImplementation((key, defaultValue) => defaultValue);
+      expect(storageService.getToolsEnabled()).toBe(AI.TOOLS.enabled);
+      expect(mockStore.get).toHaveBeenCalledWith(STORAGE_KEYS.TOOLS_ENABLED, AI.TOOLS.enabled);
+    });
+
+    test('should save the setting', () => {
+      storageService.saveToolsEnabled(false);
+      expect(mockStore.set).toHaveBeenCalledWith(STORAGE_KEYS.TOOLS_ENABLED, false);
+    });
+  });
+
+  describe('Screenshot Text Settings', () => {
+    test('should fill unset values with the defaults', () => {
+      mockStore.get.mockReturnValue({ includeInPrompt: true });
+      expect(storageService.getOcrSettings()).toEqual({
+        ...OCR.DEFAULT_SETTINGS,
+        includeInPrompt: true,
+      });
+    });
+
+    test('should merge saved settings into the stored ones', () => {
+      mockStore.get.mockReturnValue({ includeInPrompt: true });
+      storageService.saveOcrSettings({ enabled: false });
+      expect(mockStore.set).toHaveBeenCalledWith(STORAGE_KEYS.OCR_SETTINGS, {
+        includeInPrompt: true,
+        enabled: false,
+      });
+    });
+  });
+
+  describe('Screenshot Redaction Settings', () => {
+    test('should default to redaction being off with every detector enabled', () => {
+      mockStore.get.mockReturnValue(undefined);
+      expect(storageService.getRedactionSettings()).toEqual(REDACTION.DEFAULT_SETTINGS);
+      expect(REDACTION.DEFAULT_SETTINGS.enabled).toBe(false);
+    });
+
+    test('should merge detectors one by one', () => {
+      mockStore.get.mockReturnValue({ enabled: true, detectors: { phone: false } });
+      storageService.saveRedactionSettings({ detectors: { email: false } });
+      expect(mockStore.set).toHaveBeenCalledWith(STORAGE_KEYS.REDACTION_SETTINGS, {
+        enabled: true,
+        detectors: { phone: false, email: false },
+      });
+      expect(storageService.getRedactionSettings().detectors).toEqual({
+        ...REDACTION.DEFAULT_SETTINGS.detectors,
+        phone: false,
+      });
+    });
+  });
+
+  describe('Fallback Chain Storage', () => {
+    test('should save provider API keys without dropping existing ones', () => {
+      mockStore.get.mockReturnValue({ google: 'google-key' });
+      expect(storageService.saveProviderApiKey('openai', 'openai-key')).toBe(true);
+      expect(mockStore.set).toHaveBeenCalledWith(STORAGE_KEYS.PROVIDER_API_KEYS, {
+        google: 'google-key',
+        openai: 'openai-key',
+      });
+    });
+
+    test('should reject empty provider API keys', () => {
+      expect(storageService.saveProviderApiKey('openai', '')).toBe(false);
+      expect(mockStore.set).not.toHaveBeenCalled();
+    });
+
+    test('should save only provider and model for each chain entry', () => {
+      storageService.saveFallbackChain([{ provider: 'openai', model: 'gpt-4o', apiKey: 'secret' }]);
+      expect(mockStore.set).toHaveBeenCalledWith(STORAGE_KEYS.FALLBACK_CHAIN, [
+        { provider: 'openai', model: 'gpt-4o' },
+      ]);
+    });
+
+    test('should resolve fallback targets with their stored keys and options', () => {
+      const stored = {
+        [STORAGE_KEYS.FALLBACK_CHAIN]: [
+          { provider: 'openai', model: 'gpt-4o' },
+          { provider: 'local', model: 'llava' },
+        ],
+        [STORAGE_KEYS.PROVIDER_API_KEYS]: { openai: 'openai-key' },
+        [STORAGE_KEYS.PROVIDER_OPTIONS]: { local: { baseUrl: 'http://gpu-box:11434/v1' } },
+      };
+      mockStore.get.mockImplementation((key) => stored[key]);
+
+      expect(storageService.getFallbackTargets()).toEqual([
+        { provider: 'openai', model: 'gpt-4o', apiKey: 'openai-key', options: {} },
+        {
+          provider: 'local',
+          model: 'llava',
+          apiKey: null,
+          options: { baseUrl: 'http://gpu-box:11434/v1' },
+        },
+      ]);
+    });
+
+    test('should merge provider options over the stored ones', () => {
+      mockStore.get.mockReturnValue({ local: { baseUrl: 'http://old:11434/v1' } });
+      storageService.saveProviderOptions('local', { baseUrl: 'http://new:11434/v1' });
+      expect(mockStore.set).toHaveBeenCalledWith(STORAGE_KEYS.PROVIDER_OPTIONS, {
+        local: { baseUrl: 'http://new:11434/v1' },
+      });
+    });
+  });
+
   describe('Persistence', () => {
     test('should persist provider across instances', () => {
       storageService.saveAiProvider('anthropic');
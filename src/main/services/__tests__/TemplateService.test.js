@@ -0,0 +1,140 @@
+/**
+ * Unit tests for TemplateService, against an in-memory database
+ */
+
+jest.mock('../../utils/logger', () => require('../../__tests__/__mocks__/logger'));
+
+const Database = require('better-sqlite3');
+const TemplateService = require('../TemplateService');
+const promptTemplatesMigration = require('../../db/migrations/006_prompt_templates');
+
+describe('TemplateService', () => {
+  let db;
+  let templateService;
+  let now;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    promptTemplatesMigration.up(db);
+    db.exec('DELETE FROM prompt_templates'); // Drop the starter templates
+    templateService = new TemplateService({ getDb: () => db });
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    db.close();
+  });
+
+  describe('getVariables', () => {
+    test('should list variables in order of first use, once each', () => {
+      expect(
+        templateService.getVariables('Translate {{text}} into {{language}}, then {{text}} again')
+      ).toEqual(['text', 'language']);
+    });
+
+    test('should accept spaces inside the braces', () => {
+      expect(templateService.getVariables('{{ language }} and {{language}} and {{ tone}}')).toEqual(
+        ['language', 'tone']
+      );
+    });
+
+    test('should ignore placeholders that are not valid names', () => {
+      expect(
+        templateService.getVariables('{{}} {{1st}} {{two words}} {single} {{snake_case-ok}}')
+      ).toEqual(['snake_case-ok']);
+    });
+
+    test('should handle a template without variables', () => {
+      expect(templateService.getVariables('Explain this image')).toEqual([]);
+      expect(templateService.getVariables(null)).toEqual([]);
+    });
+  });
+
+  describe('fillTemplate', () => {
+    test('should fill every occurrence of each variable', () => {
+      expect(
+        templateService.fillTemplate('{{ word }} means {{meaning}}; say {{word}} twice', {
+          word: 'Hallo',
+          meaning: 'hello',
+        })
+      ).toEqual({ text: 'Hallo means hello; say Hallo twice', missing: [] });
+    });
+
+    test('should leave variables without a value as placeholders', () => {
+      expect(
+        templateService.fillTemplate('Translate {{ selection }} into {{language}} ({{language}})', {
+          selection: 'Bonjour',
+          language: '',
+        })
+      ).toEqual({
+        text: 'Translate Bonjour into {{language}} ({{language}})',
+        missing: ['language'],
+      });
+    });
+
+    test('should report every unfilled variable once', () => {
+      expect(templateService.fillTemplate('{{a}} {{b}} {{a}}')).toEqual({
+        text: '{{a}} {{b}} {{a}}',
+        missing: ['a', 'b'],
+      });
+    });
+
+    test('should not treat values as placeholders', () => {
+      expect(templateService.fillTemplate('{{a}} {{b}}', { a: '{{b}}', b: '$& done' }).text).toBe(
+        '{{b}} $& done'
+      );
+    });
+  });
+
+  describe('Templates', () => {
+    test('should create a template with its variables', () => {
+      const template = templateService.createTemplate({
+        name: 'Translate',
+        body: 'Translate into {{language}}',
+      });
+
+      expect(template).toMatchObject({
+        id: expect.any(String),
+        name: 'Translate',
+        body: 'Translate into {{language}}',
+        created_at: now,
+        last_used_at: null,
+        variables: ['language'],
+      });
+    });
+
+    test('should list recently used templates first, then the rest by name', () => {
+      const create = (name) => templateService.createTemplate({ name, body: name }).id;
+      const zebra = create('zebra');
+      create('Apple');
+      const mango = create('mango');
+      create('banana');
+
+      templateService.markTemplateUsed(zebra);
+      now += 1;
+      templateService.markTemplateUsed(mango);
+
+      expect(templateService.getAllTemplates().map(({ name }) => name)).toEqual([
+        'mango',
+        'zebra',
+        'Apple',
+        'banana',
+      ]);
+    });
+
+    test('should update and delete templates', () => {
+      const { id } = templateService.createTemplate({ name: 'Old', body: 'Old body' });
+
+      expect(templateService.updateTemplate(id, { name: 'New', body: '{{x}}' })).toMatchObject({
+        name: 'New',
+        variables: ['x'],
+      });
+      expect(templateService.updateTemplate('missing', { name: 'A', body: 'B' })).toBeNull();
+
+      templateService.deleteTemplate(id);
+      expect(templateService.getTemplate(id)).toBeNull();
+    });
+  });
+});
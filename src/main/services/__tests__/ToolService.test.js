@@ -0,0 +1,254 @@
+/**
+ * Unit tests for ToolService
+ */
+
+jest.mock('../../utils/logger', () => require('../../__tests__/__mocks__/logger'));
+
+const ToolService = require('../ToolService');
+const { AI } = require('../../config/constants');
+
+describe('ToolService', () => {
+  let toolService;
+
+  beforeEach(() => {
+    toolService = new ToolService();
+  });
+
+  describe('run', () => {
+    test('should offer every tool as a function definition', () => {
+      const names = toolService.listTools().map(({ name }) => name);
+
+      expect(names).toEqual([
+        'calculate',
+        'convert_units',
+        'convert_currency',
+        'date_math',
+        'test_regex',
+        'format_json',
+      ]);
+      expect(toolService.getDefinitions().map(({ function: fn }) => fn.name)).toEqual(names);
+    });
+
+    test('should return errors instead of throwing', () => {
+      expect(toolService.run('send_email', {})).toEqual({ error: 'Unknown tool: send_email' });
+      expect(toolService.run('calculate', null)).toEqual({
+        error: 'Unexpected end of expression',
+      });
+    });
+
+    test('should cut long results to maxResultChars', () => {
+      const { result } = toolService.run('format_json', {
+        text: JSON.stringify({ data: 'x'.repeat(AI.TOOLS.maxResultChars) }),
+      });
+
+      expect(result).toHaveLength(AI.TOOLS.maxResultChars + '… (truncated)'.length);
+      expect(result.endsWith('… (truncated)')).toBe(true);
+    });
+  });
+
+  describe('calculate', () => {
+    test.each([
+      ['(1299.99 * 3) * 1.2', 4679.964],
+      ['0.1 + 0.2', 0.3],
+      ['-2^2', -4],
+      ['2^3^2', 512],
+      ['10 % 4 + 7 / 2', 5.5],
+      ['round(2 * pi, 2)', 6.28],
+      ['max(1, sqrt(16), min(9, 5))', 5],
+      ['1.5e3 - e', 1497.28171817154],
+    ])('should evaluate %s', (expression, value) => {
+      expect(toolService.calculate({ expression })).toEqual({ expression, value });
+    });
+
+    test.each([
+      ['1 +', 'Unexpected end of expression'],
+      ['(1 + 2', 'Expected ")" in "(1 + 2"'],
+      ['1 2', 'Unexpected "2" in "1 2"'],
+      ['alert(1)', 'Unexpected "alert" in "alert(1)"'],
+      ['1 / 0', 'The result is not a finite number'],
+      ['constructor(1)', 'Unexpected "constructor" in "constructor(1)"'],
+      ['__proto__ + 1', 'Unexpected "__proto__" in "__proto__ + 1"'],
+    ])('should reject %s', (expression, message) => {
+      expect(() => toolService.calculate({ expression })).toThrow(message);
+    });
+  });
+
+  describe('convert_units', () => {
+    test.each([
+      [26.2, 'mi', 'km', 42.1648128],
+      [1, 'lb', 'oz', 16],
+      [1, 'GiB', 'MB', 1073.741824],
+      [8, 'b', 'B', 1],
+      [100, 'C', 'F', 212],
+      [0, 'degrees Fahrenheit', 'K', 255.372222222],
+    ])('should convert %d %s to %s', (value, from, to, result) => {
+      expect(toolService.convertUnits({ value, from, to })).toEqual({ value, from, to, result });
+    });
+
+    test('should refuse to mix dimensions or unknown units', () => {
+      expect(() => toolService.convertUnits({ value: 1, from: 'kg', to: 'km' })).toThrow(
+        'Cannot convert mass (kg) to length (km)'
+      );
+      expect(() => toolService.convertUnits({ value: 1, from: 'C', to: 'kg' })).toThrow(
+        'Cannot convert between C and kg'
+      );
+      expect(() => toolService.convertUnits({ value: 1, from: 'cubit', to: 'm' })).toThrow(
+        'Unknown unit: cubit'
+      );
+    });
+  });
+
+  describe('convert_currency', () => {
+    const rates = { usd: 1, EUR: 0.92, JPY: 151.3 };
+
+    test('should convert through the common base, ignoring case', () => {
+      expect(
+        toolService.convertCurrency({ amount: '1,250', from: 'eur', to: 'JPY', rates })
+      ).toEqual({ amount: 1250, from: 'EUR', to: 'JPY', rate: 164.4565217, result: 205570.6522 });
+    });
+
+    test('should require a positive rate for both currencies', () => {
+      expect(() =>
+        toolService.convertCurrency({ amount: 1, from: 'USD', to: 'GBP', rates })
+      ).toThrow('No exchange rate given for GBP');
+      expect(() =>
+        toolService.convertCurrency({ amount: 1, from: 'USD', to: 'EUR', rates: { USD: 0 } })
+      ).toThrow('No exchange rate given for USD');
+      expect(() => toolService.convertCurrency({ amount: 1, to: 'EUR', rates })).toThrow(
+        'No exchange rate given for a currency'
+      );
+    });
+
+    test('should reject amounts that are not numbers', () => {
+      expect(() =>
+        toolService.convertCurrency({ amount: 'ten', from: 'USD', to: 'EUR', rates })
+      ).toThrow('amount must be a number');
+    });
+  });
+
+  describe('date_math', () => {
+    test('should keep the day within shorter months', () => {
+      expect(toolService.dateMath({ operation: 'add', date: '2024-01-31', months: 1 })).toEqual({
+        date: '2024-02-29',
+        weekday: 'Thursday',
+      });
+      expect(toolService.dateMath({ operation: 'add', date: '2024-02-29', years: 1 }).date).toBe(
+        '2025-02-28'
+      );
+    });
+
+    test('should subtract across year boundaries', () => {
+      expect(
+        toolService.dateMath({ operation: 'add', date: '2024-01-15', months: -2, days: -20 }).date
+      ).toBe('2023-10-26');
+      expect(toolService.dateMath({ operation: 'add', date: '2024-03-10', weeks: 2 }).date).toBe(
+        '2024-03-24'
+      );
+    });
+
+    test('should count days and weekdays in either direction', () => {
+      // Friday to the Monday after next
+      expect(
+        toolService.dateMath({ operation: 'difference', date: '2024-03-01', endDate: '2024-03-11' })
+      ).toEqual({ days: 10, weeks: 1.43, weekdays: 6 });
+      expect(
+        toolService.dateMath({ operation: 'difference', date: '2024-03-11', endDate: '2024-03-01' })
+      ).toEqual({ days: -10, weeks: -1.43, weekdays: -6 });
+    });
+
+    test('should name the weekday', () => {
+      expect(toolService.dateMath({ operation: 'weekday', date: '2000-01-01' })).toEqual({
+        date: '2000-01-01',
+        weekday: 'Saturday',
+      });
+    });
+
+    test('should reject impossible dates and unknown operations', () => {
+      expect(() => toolService.dateMath({ operation: 'weekday', date: '2023-02-29' })).toThrow(
+        'Invalid date (expected YYYY-MM-DD): 2023-02-29'
+      );
+      expect(() => toolService.dateMath({ operation: 'weekday', date: '03/01/2024' })).toThrow(
+        'Invalid date'
+      );
+      expect(() => toolService.dateMath({ operation: 'quarter', date: '2024-03-01' })).toThrow(
+        'Unknown date operation: quarter'
+      );
+    });
+  });
+
+  describe('test_regex', () => {
+    test('should list matches with their groups', () => {
+      expect(
+        toolService.testRegex({
+          pattern: '(?<user>\\w+)@(\\w+)\\.com',
+          flags: 'i',
+          text: 'Mail ann@example.com or BOB@test.COM',
+        })
+      ).toEqual({
+        matched: true,
+        count: 2,
+        matches: [
+          {
+            match: 'ann@example.com',
+            index: 5,
+            groups: ['ann', 'example'],
+            namedGroups: { user: 'ann' },
+          },
+          {
+            match: 'BOB@test.COM',
+            index: 24,
+            groups: ['BOB', 'test'],
+            namedGroups: { user: 'BOB' },
+          },
+        ],
+      });
+    });
+
+    test('should step over empty matches and stop at maxMatches', () => {
+      const { count } = toolService.testRegex({ pattern: 'x*', text: 'a'.repeat(100) });
+
+      expect(count).toBe(AI.TOOLS.maxMatches);
+    });
+
+    test('should reject invalid patterns and flags', () => {
+      expect(() => toolService.testRegex({ pattern: '(', text: '' })).toThrow(
+        'Invalid regular expression'
+      );
+      expect(() => toolService.testRegex({ pattern: 'a', flags: 'gx', text: '' })).toThrow(
+        'Invalid regular expression flags: gx'
+      );
+    });
+
+    test('should stop a pattern that runs for too long', () => {
+      expect(() =>
+        toolService.testRegex({ pattern: '^(a+)+$', text: `${'a'.repeat(40)}b` })
+      ).toThrow('The regular expression took too long to run');
+    });
+  });
+
+  describe('format_json', () => {
+    test('should pretty-print with sorted keys at any depth', () => {
+      expect(
+        toolService.formatJson({ text: '{"b":1,"a":[{"d":2,"c":3}]}', indent: 1, sortKeys: true })
+      ).toEqual({
+        valid: true,
+        formatted: '{\n "a": [\n  {\n   "c": 3,\n   "d": 2\n  }\n ],\n "b": 1\n}',
+      });
+    });
+
+    test('should keep the indent between 0 and 8 spaces', () => {
+      expect(toolService.formatJson({ text: '[1]', indent: -3 }).formatted).toBe('[1]');
+      expect(toolService.formatJson({ text: '[1]', indent: 20 }).formatted).toBe(
+        `[\n${' '.repeat(8)}1\n]`
+      );
+    });
+
+    test('should report invalid JSON', () => {
+      expect(toolService.formatJson({ text: '{"a": 1,}' })).toEqual({
+        valid: false,
+        error: expect.stringContaining('JSON'),
+      });
+      expect(toolService.formatJson({}).valid).toBe(false);
+    });
+  });
+});
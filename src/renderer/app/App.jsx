@@ -1,4 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+
+// Models asked at once in compare mode (AI.MAX_COMPARE_MODELS in the main process)
+const MAX_COMPARE_MODELS = 4;
 
 function App() {
   const [currentScreenshotDataUrl, setCurrentScreenshotDataUrl] = useState(null);
@@ -13,7 +16,43 @@ function App() {
   const [providers, setProviders] = useState(null);
   const [selectedProvider, setSelectedProvider] = useState('google');
   const [selectedModel, setSelectedModel] = useState('');
+  const [fallbackChain, setFallbackChain] = useState([]);
+  const [connection, setConnection] = useState({ baseUrl: '', headers: '', organization: '', project: '' });
+  const [localModelsStatus, setLocalModelsStatus] = useState('');
+  const [configuredProviders, setConfiguredProviders] = useState([]);
+  const [capabilities, setCapabilities] = useState({}); // provider -> model -> { vision, maxOutputTokens, ... }
+  const [conversationModel, setConversationModel] = useState(null); // { provider, model } or null for the default
+  const [monthlyUsage, setMonthlyUsage] = useState(null);
+  const [usageLimits, setUsageLimits] = useState({ limits: {}, counters: {} });
+  const [promptPresets, setPromptPresets] = useState([]);
+  const [activePresetId, setActivePresetId] = useState(null);
+  const [presetDrafts, setPresetDrafts] = useState([]); // Presets being edited in settings
+  const [templates, setTemplates] = useState([]);
+  const [templateDraft, setTemplateDraft] = useState(null); // { id?, name, body } being edited
+  const [generationForm, setGenerationForm] = useState({ temperature: '', maxOutputTokens: '', topP: '' });
+  const [conversationParams, setConversationParams] = useState(null); // Sampling overrides, or null for the defaults
+  const [contextSummary, setContextSummary] = useState(null); // { text, messageCount } standing in for older turns
+  const [conversationParamsForm, setConversationParamsForm] = useState({ temperature: '', maxOutputTokens: '', topP: '' });
+  const [responseCache, setResponseCache] = useState(null); // { settings, stats }
+  const [cacheForm, setCacheForm] = useState({ enabled: false, ttlHours: '', maxEntries: '' });
+  const [localTools, setLocalTools] = useState(null); // { enabled, tools: [{ name, description }] }
+  const [ocrSettings, setOcrSettings] = useState(null); // { enabled, includeInPrompt }
+  const [screenshotText, setScreenshotText] = useState(null); // { dataUrl, text, words } recognized on-device
+  const [showScreenshotText, setShowScreenshotText] = useState(false);
+  const [screenshotTextStatus, setScreenshotTextStatus] = useState('');
+  const [redactionOptions, setRedactionOptions] = useState(null); // { settings, detectors, styles }
+  const [redactionForm, setRedactionForm] = useState(null); // Settings being edited, patterns one per line
+  const [redactionPreview, setRedactionPreview] = useState(null); // { dataUrl, status, redactedUrl, regions, error }
+  const [showOriginalScreenshot, setShowOriginalScreenshot] = useState(false);
+  const [limitsForm, setLimitsForm] = useState({ dailyCost: '', monthlyCost: '', dailyRequests: '', monthlyRequests: '', action: 'block' });
   const [copiedIndex, setCopiedIndex] = useState(null);
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareTargets, setCompareTargets] = useState([]); // "provider:model" values to compare
+  const [comparison, setComparison] = useState(null); // { prompt, results } shown side by side
+  const [extractShape, setExtractShape] = useState('table'); // Key of AI.EXTRACTION_SHAPES
+  const [extraction, setExtraction] = useState(null); // { columns, rows } being edited
+  const [extractStatus, setExtractStatus] = useState('');
+  const [isExtracting, setIsExtracting] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [conversationsList, setConversationsList] = useState([]);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
@@ -21,10 +60,14 @@ function App() {
   const [loadingConversations, setLoadingConversations] = useState(false);
 
   const [activeFilter, setActiveFilter] = useState('all'); // 'all', 'starred', 'archived'
+  const [searchQuery, setSearchQuery] = useState(''); // Matches titles, messages and screenshot text
   const [hasMoreConversations, setHasMoreConversations] = useState(true);
   const [renameModalOpen, setRenameModalOpen] = useState(false);
   const [conversationToRename, setConversationToRename] = useState(null);
   const [newTitle, setNewTitle] = useState('');
+  const [regeneratingTitleId, setRegeneratingTitleId] = useState(null);
+  const activeRequestRef = useRef(null); // requestId of the in-flight AI request
+  const conversationIdRef = useRef(null); // Open conversation, for events from the main process
 
   // Load conversations list for sidebar
   const loadConversationsList = async (reset = false) => {
@@ -38,6 +81,7 @@ function App() {
       const filters = {};
       if (activeFilter === 'starred') filters.starred = true;
       if (activeFilter === 'archived') filters.archived = true;
+      if (searchQuery.trim()) filters.search = searchQuery.trim();
 
       const result = await window.snapask.loadConversations(limit, offset, filters);
 
@@ -66,6 +110,46 @@ function App() {
     loadConversationsList(true);
   }, [activeFilter]);
 
+  // Reload shortly after the search query stops changing (opening the sidebar reloads anyway)
+  useEffect(() => {
+    if (!sidebarOpen) return undefined;
+    const timer = setTimeout(() => loadConversationsList(true), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Show the screenshot as it will be sent, with its sensitive text hidden
+  const redactionEnabled = !!redactionOptions?.settings.enabled;
+  useEffect(() => {
+    setShowOriginalScreenshot(false);
+    if (!currentScreenshotDataUrl || !redactionEnabled) {
+      setRedactionPreview(null);
+      return undefined;
+    }
+
+    let stale = false;
+    const dataUrl = currentScreenshotDataUrl;
+    setRedactionPreview({ dataUrl, status: 'checking' });
+    window.snapask.redactScreenshot(dataUrl)
+      .then((result) => {
+        if (stale) return;
+        setRedactionPreview(result.success
+          ? { dataUrl, status: 'done', redactedUrl: result.dataUrl, regions: result.regions }
+          : { dataUrl, status: 'error', error: result.error });
+      })
+      .catch((error) => {
+        if (!stale) setRedactionPreview({ dataUrl, status: 'error', error: error.message });
+      });
+    return () => {
+      stale = true;
+    };
+  }, [currentScreenshotDataUrl, redactionOptions]);
+
+  // Each screenshot starts with its text panel closed
+  useEffect(() => {
+    setShowScreenshotText(false);
+    setScreenshotTextStatus('');
+  }, [currentScreenshotDataUrl]);
+
   // Load conversations when sidebar opens
   useEffect(() => {
     if (sidebarOpen && !loadingConversations) {
@@ -74,13 +158,81 @@ function App() {
     }
   }, [sidebarOpen]);
 
+  // Listeners registered on mount read the open conversation through this ref
+  useEffect(() => {
+    conversationIdRef.current = conversationId;
+  }, [conversationId]);
+
   useEffect(() => {
     // Load conversations list on mount
     // Load conversations list on mount - REMOVED to avoid double loading
     // loadConversationsList();
 
+    // Providers feed the header's per-conversation model picker
+    loadProviders();
+    loadPromptPresets();
+    loadOcrSettings();
+    loadRedactionSettings();
+
+    // Show retry progress on the pending answer
+    const unsubscribeRetry = window.snapask.onAIRetry(({ requestId, attempt, maxAttempts }) => {
+      if (requestId !== activeRequestRef.current) return;
+      setConversationHistory(prev => {
+        const updated = [...prev];
+        const last = updated[updated.length - 1];
+        if (last?.loading) {
+          updated[updated.length - 1] = {
+            ...last,
+            answer: `Retrying (attempt ${attempt} of ${maxAttempts})...`
+          };
+        }
+        return updated;
+      });
+    });
+
+    // Show which provider the pending answer moved to
+    const unsubscribeFallback = window.snapask.onAIFallback(({ requestId, to }) => {
+      if (requestId !== activeRequestRef.current) return;
+      setConversationHistory(prev => {
+        const updated = [...prev];
+        const last = updated[updated.length - 1];
+        if (last?.loading) {
+          updated[updated.length - 1] = { ...last, answer: `Switching to ${to.model}...` };
+        }
+        return updated;
+      });
+    });
+
+    // Show local tool calls on the pending answer as the model makes them
+    const unsubscribeToolCall = window.snapask.onAIToolCall(({ requestId, ...call }) => {
+      if (requestId !== activeRequestRef.current) return;
+      setConversationHistory(prev => {
+        const updated = [...prev];
+        const last = updated[updated.length - 1];
+        if (last?.loading || last?.streaming) {
+          updated[updated.length - 1] = { ...last, toolCalls: [...(last.toolCalls || []), call] };
+        }
+        return updated;
+      });
+    });
+
+    // Offer the follow-up questions suggested once the latest answer was saved
+    const unsubscribeFollowUps = window.snapask.onFollowUps(({ conversationId: answeredId, prompt, followUps }) => {
+      if (answeredId !== conversationIdRef.current) return;
+      setConversationHistory(prev => {
+        const last = prev[prev.length - 1];
+        if (!last || last.loading || last.streaming || last.prompt !== prompt) return prev;
+        return [...prev.slice(0, -1), { ...last, followUps }];
+      });
+    });
+
+    // Show titles generated in the background once a conversation has its first answer
+    const unsubscribeTitle = window.snapask.onConversationTitle(({ conversationId: titledId, title }) => {
+      setConversationsList(prev => prev.map(c => (c.id === titledId ? { ...c, title } : c)));
+    });
+
     // Receive initial data from main process
-    window.snapask.onAppData(async (data) => {
+    const unsubscribeAppData = window.snapask.onAppData(async (data) => {
       if (data.conversationId) {
         // Load existing conversation from database
         console.log('Loading conversation from database:', data.conversationId);
@@ -89,6 +241,7 @@ function App() {
           if (result.success && result.conversation) {
             setConversationId(result.conversation.id);
             setCurrentScreenshotDataUrl(result.conversation.screenshot_data_url);
+            applyConversationModel(result.conversation);
 
             // Convert messages to conversation history format
             const history = [];
@@ -103,7 +256,13 @@ function App() {
                   prompt: userMsg.content,
                   answer: assistantMsg.content,
                   loading: false,
-                  error: assistantMsg.error
+                  error: assistantMsg.error,
+                  cancelled: assistantMsg.cancelled,
+                  provider: assistantMsg.provider,
+                  model: assistantMsg.model,
+                  usage: assistantMsg.usage,
+                  toolCalls: assistantMsg.toolCalls,
+                  followUps: assistantMsg.followUps
                 });
               }
             }
@@ -126,6 +285,7 @@ function App() {
         // New conversation from popup (no ID yet)
         setCurrentScreenshotDataUrl(data.screenshot);
         setConversationHistory(data.conversation || []);
+        setContextSummary(null);
 
         // If conversation exists, save it to database
         if (data.conversation && data.conversation.length > 0 && data.screenshot) {
@@ -144,6 +304,15 @@ function App() {
         }
       }
     });
+
+    return () => {
+      unsubscribeRetry();
+      unsubscribeFallback();
+      unsubscribeToolCall();
+      unsubscribeFollowUps();
+      unsubscribeTitle();
+      unsubscribeAppData();
+    };
   }, []);
 
   const escapeHtml = (text) => {
@@ -156,27 +325,79 @@ function App() {
     window.snapask.closeAppWindow();
   };
 
-  const handleSend = async () => {
-    const prompt = promptValue.trim() || 'Explain this image';
+  // Flatten prompt/answer pairs into the message history sent with follow-ups
+  const buildHistory = (conversation) => conversation
+    .filter((item) => !item.loading && !item.streaming)
+    .flatMap((item) => [
+      { role: 'user', content: item.prompt },
+      { role: 'assistant', content: item.answer, error: !!item.error, cancelled: !!item.cancelled },
+    ]);
+
+  // bypassCache re-asks the last prompt without the response cache; it is sent with the same
+  // history as before so the fresh answer replaces the cached one in the cache; text asks a
+  // suggested follow-up instead of the prompt box
+  const handleSend = async ({ bypassCache = false, text = null } = {}) => {
+    const lastItem = conversationHistory[conversationHistory.length - 1];
+    const prompt = bypassCache ? lastItem.prompt : text || promptValue.trim() || 'Explain this image';
+
+    const history = buildHistory(bypassCache ? conversationHistory.slice(0, -1) : conversationHistory);
+    const requestId = crypto.randomUUID();
+    activeRequestRef.current = requestId;
 
     setIsSending(true);
-    setPromptValue('');
+    if (!bypassCache) {
+      setPromptValue('');
+    }
 
     // Add prompt to conversation immediately with loading answer
     const newConversation = [...conversationHistory, { prompt, answer: 'Thinking...', loading: true }];
     setConversationHistory(newConversation);
 
     try {
-      const result = await window.snapask.askAI(prompt, currentScreenshotDataUrl);
+      // Stream the answer into the last conversation item as it is generated
+      const result = await window.snapask.askAIStream(
+        requestId,
+        prompt,
+        currentScreenshotDataUrl,
+        history,
+        (chunk, textSoFar) => {
+          setConversationHistory(prev => {
+            const updated = [...prev];
+            updated[updated.length - 1] = {
+              prompt,
+              answer: textSoFar,
+              loading: false,
+              streaming: true,
+              toolCalls: updated[updated.length - 1].toolCalls
+            };
+            return updated;
+          });
+        },
+        {
+          ...(conversationModel || {}),
+          ...(conversationParams && { generationParams: conversationParams }),
+          bypassCache,
+          conversationId
+        }
+      );
+
+      if (result.contextSummary) {
+        setContextSummary(result.contextSummary);
+      }
 
       // Update the last answer (replace loading message)
       setConversationHistory(prev => {
         const updated = [...prev];
         let answerText;
         let isError = false;
+        let isCancelled = false;
 
         if (result.success) {
           answerText = result.text;
+        } else if (result.cancelled) {
+          // Keep whatever was streamed before the user stopped the request
+          isCancelled = true;
+          answerText = result.text || 'Cancelled.';
         } else {
           isError = true;
           // Check if it's a quota error
@@ -191,11 +412,24 @@ function App() {
           prompt,
           answer: answerText,
           loading: false,
-          error: isError
+          error: isError,
+          cancelled: isCancelled,
+          provider: result.provider,
+          model: result.model,
+          fallbackUsed: result.fallbackUsed,
+          cachedAt: result.cached ? result.cachedAt : null,
+          usage: result.usage,
+          usageWarnings: result.usageWarnings,
+          toolCalls: result.toolCalls
         };
 
         // Save to database
-        saveMessageToDatabase(prompt, answerText, isError);
+        saveMessageToDatabase(prompt, answerText, isError, isCancelled, {
+          provider: result.provider,
+          model: result.model,
+          usage: result.usage,
+          toolCalls: result.toolCalls
+        });
 
         return updated;
       });
@@ -216,20 +450,31 @@ function App() {
         return updated;
       });
     } finally {
+      activeRequestRef.current = null;
       setIsSending(false);
     }
   };
 
-  const saveMessageToDatabase = async (prompt, answer, isError) => {
+  // Abort the in-flight request; handleSend records it as cancelled when it resolves
+  const handleStop = () => {
+    if (activeRequestRef.current) {
+      window.snapask.cancelAI(activeRequestRef.current);
+    }
+  };
+
+  // answeredBy: { provider, model } that produced the answer (may be a fallback), plus its usage
+  const saveMessageToDatabase = async (prompt, answer, isError, isCancelled = false, answeredBy = {}) => {
     try {
       if (!conversationId) {
         // Create new conversation
         const saveResult = await window.snapask.saveConversation({
           screenshot: currentScreenshotDataUrl,
-          conversation: [{ prompt, answer, error: isError }]
+          conversation: [{ prompt, answer, error: isError, cancelled: isCancelled, ...answeredBy }],
+          ...(conversationModel || {})
         });
 
         if (saveResult.success) {
+          conversationIdRef.current = saveResult.conversationId;
           setConversationId(saveResult.conversationId);
           console.log('Created new conversation:', saveResult.conversationId);
           // Refresh conversations list to show new conversation (reset to show it at top)
@@ -242,40 +487,720 @@ function App() {
       } else {
         // Add messages to existing conversation
         await window.snapask.saveMessage(conversationId, 'user', prompt, false);
-        await window.snapask.saveMessage(conversationId, 'assistant', answer, isError);
+        await window.snapask.saveMessage(conversationId, 'assistant', answer, isError, {
+          cancelled: isCancelled,
+          ...answeredBy
+        });
         console.log('Saved messages to conversation:', conversationId);
         // Refresh conversations list to update the current conversation's position (it should move to top)
         if (sidebarOpen) {
           loadConversationsList(true);
         }
       }
-    } catch (dbError) {
-      console.error('Database error (non-critical):', dbError);
-      // Don't block user flow if DB save fails
+    } catch (dbError) {
+      console.error('Database error (non-critical):', dbError);
+      // Don't block user flow if DB save fails
+    }
+  };
+
+  // Follow-ups suggested for the latest answer, offered until the next question is sent
+  const latestItem = conversationHistory[conversationHistory.length - 1];
+  const followUps = !isSending && !compareMode && !latestItem?.error
+    ? latestItem?.followUps || []
+    : [];
+
+  const handleKeyDown = (e) => {
+    if ((e.metaKey || e.ctrlKey) && followUps[Number(e.key) - 1]) {
+      // Cmd+1..3 or Ctrl+1..3 asks a suggested follow-up
+      e.preventDefault();
+      handleSend({ text: followUps[Number(e.key) - 1] });
+    } else if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      compareMode ? handleCompare() : handleSend();
+    }
+  };
+
+  // Ask every picked model the same question; answers fill their column as they arrive
+  const handleCompare = async () => {
+    const prompt = promptValue.trim() || 'Explain this image';
+    const targets = compareTargets.map(parseModelValue);
+    const requestId = crypto.randomUUID();
+    activeRequestRef.current = requestId;
+
+    setIsSending(true);
+    setComparison({ prompt, results: targets.map((target) => ({ ...target, loading: true })) });
+
+    const showResult = (index, result) => {
+      setComparison(prev => prev && {
+        ...prev,
+        results: prev.results.map((entry, i) => (i === index ? result : entry))
+      });
+    };
+
+    try {
+      const response = await window.snapask.compareModels(
+        requestId,
+        prompt,
+        currentScreenshotDataUrl,
+        buildHistory(conversationHistory),
+        targets,
+        showResult,
+        conversationParams
+      );
+      if (response.success) {
+        setComparison({ prompt, results: response.results });
+      } else {
+        setComparison({ prompt, results: [], error: response.error });
+      }
+    } catch (error) {
+      setComparison({ prompt, results: [], error: error.message });
+    } finally {
+      activeRequestRef.current = null;
+      setIsSending(false);
+    }
+  };
+
+  // Add one of the compared answers to the conversation as its reply
+  const handleKeepComparison = (index) => {
+    const { prompt, results } = comparison;
+    const result = results[index];
+    const answeredBy = { provider: result.provider, model: result.model, usage: result.usage };
+
+    setConversationHistory(prev => [...prev, { prompt, answer: result.text, ...answeredBy }]);
+    saveMessageToDatabase(prompt, result.text, false, false, answeredBy);
+    setComparison(null);
+    setPromptValue('');
+  };
+
+  // Start comparing with the conversation's model and the next one available
+  const handleToggleCompare = () => {
+    if (!compareMode && compareTargets.length === 0) {
+      const current = conversationModel
+        ? `${conversationModel.provider}:${conversationModel.model}`
+        : `${selectedProvider}:${selectedModel}`;
+      const others = compareOptions().filter((value) => value !== current);
+      setCompareTargets([current, ...others].slice(0, 2));
+    }
+    setCompareMode(!compareMode);
+  };
+
+  // "provider:model" values of every model that can be used right now
+  const compareOptions = () => configuredProviders
+    .filter(id => providers?.[id])
+    .flatMap(id => providers[id].models.map(m => `${id}:${m.id}`));
+
+  const formatLatency = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`);
+
+  // Load providers and which of them are ready to use (key saved or none needed)
+  const loadProviders = async () => {
+    try {
+      const result = await window.snapask.getAiProviders();
+      if (result.success) {
+        setProviders(result.providers);
+        setConfiguredProviders(result.configuredProviders || []);
+        setCapabilities(result.capabilities || {});
+      }
+    } catch (error) {
+      console.error('Failed to load providers:', error);
+    }
+  };
+
+  const handleOpenSettings = async () => {
+    setShowSettings(true);
+    // Load providers if not already loaded
+    if (!providers) {
+      await loadProviders();
+    }
+    await checkApiKeyStatus();
+    await loadFallbackChain();
+    await loadMonthlyUsage();
+    await loadUsageLimits();
+    await loadPromptPresets();
+    await loadTemplates();
+    await loadGenerationParams();
+    await loadResponseCache();
+    await loadLocalTools();
+    await loadOcrSettings();
+    await loadRedactionSettings();
+  };
+
+  // Sampling settings as form values; empty means the default
+  const toParamsForm = (params) => ({
+    temperature: params?.temperature ?? '',
+    maxOutputTokens: params?.maxOutputTokens ?? '',
+    topP: params?.topP ?? ''
+  });
+
+  const loadGenerationParams = async () => {
+    setConversationParamsForm(toParamsForm(conversationParams));
+    try {
+      const result = await window.snapask.getGenerationParams();
+      if (result.success) {
+        setGenerationForm(toParamsForm(result.params));
+      }
+    } catch (error) {
+      console.error('Failed to load generation settings:', error);
+    }
+  };
+
+  // Without a conversation the settings become the global defaults
+  const handleSaveGenerationParams = async (forConversation) => {
+    try {
+      const result = forConversation
+        ? await window.snapask.saveGenerationParams(conversationParamsForm, conversationId)
+        : await window.snapask.saveGenerationParams(generationForm);
+      if (result.success) {
+        if (forConversation) {
+          setConversationParams(result.params);
+          setConversationParamsForm(toParamsForm(result.params));
+        } else {
+          setGenerationForm(toParamsForm(result.params));
+        }
+        alert('Generation settings saved!');
+      } else {
+        alert('Error saving generation settings: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      alert('Error saving generation settings: ' + error.message);
+    }
+  };
+
+  const toCacheForm = (settings) => ({
+    enabled: !!settings.enabled,
+    ttlHours: settings.ttlHours ?? '',
+    maxEntries: settings.maxEntries ?? ''
+  });
+
+  const loadResponseCache = async () => {
+    try {
+      const result = await window.snapask.getResponseCache();
+      if (result.success) {
+        setResponseCache({ settings: result.settings, stats: result.stats });
+        setCacheForm(toCacheForm(result.settings));
+      }
+    } catch (error) {
+      console.error('Failed to load response cache settings:', error);
+    }
+  };
+
+  const handleSaveResponseCache = async () => {
+    try {
+      const result = await window.snapask.saveResponseCacheSettings({
+        enabled: cacheForm.enabled,
+        ttlHours: Number(cacheForm.ttlHours),
+        maxEntries: Number(cacheForm.maxEntries)
+      });
+      if (result.success) {
+        await loadResponseCache();
+        alert('Response cache settings saved!');
+      } else {
+        alert('Error saving response cache settings: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      alert('Error saving response cache settings: ' + error.message);
+    }
+  };
+
+  const loadLocalTools = async () => {
+    try {
+      const result = await window.snapask.getTools();
+      if (result.success) {
+        setLocalTools({ enabled: result.enabled, tools: result.tools });
+      }
+    } catch (error) {
+      console.error('Failed to load local tools:', error);
+    }
+  };
+
+  const handleToggleLocalTools = async (enabled) => {
+    try {
+      const result = await window.snapask.saveToolsEnabled(enabled);
+      if (result.success) {
+        setLocalTools(prev => ({ ...prev, enabled: result.enabled }));
+      } else {
+        alert('Error saving tools setting: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      alert('Error saving tools setting: ' + error.message);
+    }
+  };
+
+  const loadOcrSettings = async () => {
+    try {
+      const result = await window.snapask.getOcrSettings();
+      if (result.success) {
+        setOcrSettings(result.settings);
+      }
+    } catch (error) {
+      console.error('Failed to load screenshot text settings:', error);
+    }
+  };
+
+  const handleSaveOcrSetting = async (key, value) => {
+    try {
+      const result = await window.snapask.saveOcrSettings({ [key]: value });
+      if (result.success) {
+        setOcrSettings(result.settings);
+      } else {
+        alert('Error saving screenshot text settings: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      alert('Error saving screenshot text settings: ' + error.message);
+    }
+  };
+
+  // Text read from the current screenshot, recognized on first open unless stored with the conversation
+  const currentScreenshotText =
+    screenshotText && screenshotText.dataUrl === currentScreenshotDataUrl ? screenshotText : null;
+
+  const handleToggleScreenshotText = async () => {
+    const opening = !showScreenshotText;
+    setShowScreenshotText(opening);
+    if (!opening || currentScreenshotText || !currentScreenshotDataUrl) return;
+
+    const dataUrl = currentScreenshotDataUrl;
+    setScreenshotTextStatus('Reading text...');
+    try {
+      const result = await window.snapask.getScreenshotText(dataUrl);
+      if (result.success) {
+        setScreenshotText({ dataUrl, text: result.text, words: result.words });
+        setScreenshotTextStatus('');
+      } else {
+        setScreenshotTextStatus(result.error || 'Could not read the screenshot');
+      }
+    } catch (error) {
+      setScreenshotTextStatus(error.message);
+    }
+  };
+
+  const handleCopyScreenshotText = async () => {
+    if (!currentScreenshotText?.text) return;
+    const result = await window.snapask.copyToClipboard(currentScreenshotText.text);
+    setScreenshotTextStatus(result.success ? 'Copied' : 'Copy failed');
+  };
+
+  const toRedactionForm = (settings) => ({
+    ...settings,
+    customPatterns: settings.customPatterns.join('\n')
+  });
+
+  const loadRedactionSettings = async () => {
+    try {
+      const result = await window.snapask.getRedactionSettings();
+      if (result.success) {
+        setRedactionOptions({ settings: result.settings, detectors: result.detectors, styles: result.styles });
+        setRedactionForm(toRedactionForm(result.settings));
+      }
+    } catch (error) {
+      console.error('Failed to load redaction settings:', error);
+    }
+  };
+
+  const handleSaveRedactionSettings = async () => {
+    try {
+      const result = await window.snapask.saveRedactionSettings({
+        ...redactionForm,
+        customPatterns: redactionForm.customPatterns.split('\n')
+      });
+      if (result.success) {
+        setRedactionOptions(prev => ({ ...prev, settings: result.settings }));
+        setRedactionForm(toRedactionForm(result.settings));
+        alert('Redaction settings saved!');
+      } else {
+        alert('Error saving redaction settings: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      alert('Error saving redaction settings: ' + error.message);
+    }
+  };
+
+  // "2 × Email addresses, 1 × Card numbers"
+  const describeRedaction = (regions) => {
+    const counts = regions.reduce((total, { type }) => ({ ...total, [type]: (total[type] || 0) + 1 }), {});
+    return Object.entries(counts)
+      .map(([type, count]) => `${count} × ${redactionOptions?.detectors[type] || 'Custom pattern'}`)
+      .join(', ');
+  };
+
+  // The preview only applies to the screenshot it was made for
+  const currentRedaction =
+    redactionPreview && redactionPreview.dataUrl === currentScreenshotDataUrl ? redactionPreview : null;
+
+  const handleClearResponseCache = async () => {
+    try {
+      const result = await window.snapask.clearResponseCache();
+      if (result.success) {
+        await loadResponseCache();
+        alert(`Removed ${result.removed} cached answer(s)`);
+      } else {
+        alert('Error clearing response cache: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      alert('Error clearing response cache: ' + error.message);
+    }
+  };
+
+  // Model names in pickers, flagging the ones that can't see the screenshot
+  const modelLabel = (providerId, model) =>
+    capabilities[providerId]?.[model.id]?.vision === false ? `${model.name} (text only)` : model.name;
+
+  // Temperature / max output tokens / top-p inputs, limited to the provider's ranges and the
+  // model's output limit
+  const renderGenerationFields = (form, setForm, providerId, modelId, placeholder, idPrefix) => {
+    const ranges = { ...providers?.[providerId]?.generationRanges };
+    const modelMaxOutput = capabilities[providerId]?.[modelId]?.maxOutputTokens;
+    if (modelMaxOutput && ranges.maxOutputTokens) {
+      ranges.maxOutputTokens = [ranges.maxOutputTokens[0], modelMaxOutput];
+    }
+    const fields = [
+      { key: 'temperature', label: 'Temperature', step: '0.1' },
+      { key: 'maxOutputTokens', label: 'Max output tokens', step: '1' },
+      { key: 'topP', label: 'Top-p', step: '0.05' }
+    ];
+    return (
+      <div className="settings-inline">
+        {fields.map(({ key, label, step }) => (
+          <div className="settings-field" key={key}>
+            <label htmlFor={`${idPrefix}-${key}-input`}>{label}</label>
+            <input
+              id={`${idPrefix}-${key}-input`}
+              className="settings-input"
+              type="number"
+              min={ranges[key]?.[0]}
+              max={ranges[key]?.[1]}
+              step={step}
+              value={form[key]}
+              onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+              placeholder={placeholder}
+            />
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const loadTemplates = async () => {
+    try {
+      const result = await window.snapask.loadTemplates();
+      if (result.success) {
+        setTemplates(result.templates);
+      }
+    } catch (error) {
+      console.error('Failed to load templates:', error);
+    }
+  };
+
+  const handleSaveTemplate = async () => {
+    try {
+      const result = await window.snapask.saveTemplate(templateDraft);
+      if (result.success) {
+        setTemplateDraft(null);
+        await loadTemplates();
+      } else {
+        alert('Error saving template: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      alert('Error saving template: ' + error.message);
+    }
+  };
+
+  const handleDeleteTemplate = async (templateId) => {
+    try {
+      const result = await window.snapask.deleteTemplate(templateId);
+      if (result.success) {
+        if (templateDraft?.id === templateId) {
+          setTemplateDraft(null);
+        }
+        await loadTemplates();
+      } else {
+        alert('Error deleting template: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      alert('Error deleting template: ' + error.message);
+    }
+  };
+
+  const loadPromptPresets = async () => {
+    try {
+      const result = await window.snapask.getPromptPresets();
+      if (result.success) {
+        setPromptPresets(result.presets);
+        setPresetDrafts(result.presets);
+        setActivePresetId(result.activePresetId);
+      }
+    } catch (error) {
+      console.error('Failed to load prompt presets:', error);
+    }
+  };
+
+  const handleSelectPreset = async (presetId) => {
+    const previous = activePresetId;
+    setActivePresetId(presetId);
+    try {
+      const result = await window.snapask.setActivePromptPreset(presetId);
+      if (!result.success) {
+        setActivePresetId(previous);
+        console.warn('Failed to select preset:', result.error);
+      }
+    } catch (error) {
+      setActivePresetId(previous);
+      console.error('Error selecting preset:', error);
+    }
+  };
+
+  const handleUpdatePresetDraft = (index, changes) => {
+    setPresetDrafts(prev => prev.map((preset, i) => (i === index ? { ...preset, ...changes } : preset)));
+  };
+
+  const handleSavePresets = async () => {
+    try {
+      const result = await window.snapask.savePromptPresets(presetDrafts);
+      if (result.success) {
+        setPromptPresets(result.presets);
+        setPresetDrafts(result.presets);
+        setActivePresetId(result.activePresetId);
+        alert('Presets saved!');
+      } else {
+        alert('Error saving presets: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      alert('Error saving presets: ' + error.message);
+    }
+  };
+
+  const loadUsageLimits = async () => {
+    try {
+      const result = await window.snapask.getUsageLimits();
+      if (result.success) {
+        setUsageLimits({ limits: result.limits || {}, counters: result.counters || {} });
+      }
+    } catch (error) {
+      console.error('Failed to load usage limits:', error);
+    }
+  };
+
+  const handleSaveLimits = async () => {
+    try {
+      const result = await window.snapask.saveUsageLimits(selectedProvider, limitsForm);
+      if (result.success) {
+        await loadUsageLimits();
+        alert('Spending limits saved!');
+      } else {
+        alert('Error saving spending limits: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      alert('Error saving spending limits: ' + error.message);
+    }
+  };
+
+  const loadMonthlyUsage = async () => {
+    try {
+      const result = await window.snapask.getUsageSummary();
+      if (result.success) {
+        setMonthlyUsage(result.usage);
+      }
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+    }
+  };
+
+  // Total the usage reported with each answer; cost stays null when no answer had a known price
+  const sumUsage = (items) => items.filter(item => item.usage).reduce((total, { usage }) => ({
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    cost: typeof usage.cost === 'number' ? (total.cost || 0) + usage.cost : total.cost
+  }), { inputTokens: 0, outputTokens: 0, cost: null });
+
+  const formatTokens = (usage) => `${(usage.inputTokens + usage.outputTokens).toLocaleString()} tokens`;
+
+  const formatCost = (cost) => {
+    if (typeof cost !== 'number') return 'cost unknown';
+    return `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+  };
+
+  // Exchanges the model now sees only through the conversation's context summary
+  const summarizedCount = contextSummary ? Math.floor(contextSummary.messageCount / 2) : 0;
+  const isSummarized = (index) => index < summarizedCount;
+
+  // A conversation without its own model or sampling settings follows the defaults from settings
+  const applyConversationModel = (conversation) => {
+    setConversationModel(conversation.provider && conversation.model
+      ? { provider: conversation.provider, model: conversation.model }
+      : null);
+    setConversationParams(conversation.generationParams || null);
+    setContextSummary(conversation.contextSummary || null);
+    setScreenshotText(conversation.screenshotText
+      ? { dataUrl: conversation.screenshot_data_url, ...conversation.screenshotText }
+      : null);
+    setScreenshotTextStatus('');
+  };
+
+  // Split a "provider:model" value; model ids may contain ':' (e.g. llava:13b)
+  const parseModelValue = (value) => {
+    const separator = value.indexOf(':');
+    return { provider: value.slice(0, separator), model: value.slice(separator + 1) };
+  };
+
+  // value is "provider:model" or '' for the default
+  const handleConversationModelChange = async (value) => {
+    const next = value ? parseModelValue(value) : null;
+    setConversationModel(next);
+
+    if (conversationId) {
+      try {
+        const result = await window.snapask.updateConversation(conversationId, {
+          provider: next ? next.provider : null,
+          model: next ? next.model : null
+        });
+        if (!result.success) {
+          console.warn('Failed to save conversation model:', result.error);
+        }
+      } catch (error) {
+        console.error('Error saving conversation model:', error);
+      }
+    }
+  };
+
+  // Load the selected provider's connection settings (and local models for the local provider)
+  const loadConnectionOptions = async (providerId) => {
+    try {
+      const result = await window.snapask.getProviderOptions(providerId);
+      const options = result.options || {};
+      setConnection({
+        baseUrl: options.baseUrl || '',
+        headers: Object.entries(options.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n'),
+        organization: options.organization || '',
+        project: options.project || ''
+      });
+      if (providerId === 'local') {
+        refreshLocalModels(options.baseUrl);
+      }
+    } catch (error) {
+      console.error('Failed to load connection settings:', error);
+    }
+  };
+
+  // Turn the connection form into provider options; headers are "Name: value" lines
+  const buildConnectionOptions = () => {
+    const headers = {};
+    connection.headers.split('\n').map(line => line.trim()).filter(Boolean).forEach((line) => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) {
+        throw new Error(`Invalid header line: "${line}" (expected "Name: value")`);
+      }
+      headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    });
+    return {
+      baseUrl: connection.baseUrl.trim() || (selectedProvider === 'local' ? providers.local.defaultBaseUrl : ''),
+      headers,
+      organization: connection.organization.trim(),
+      project: connection.project.trim()
+    };
+  };
+
+  const handleSaveConnection = async () => {
+    try {
+      const result = await window.snapask.saveProviderOptions(selectedProvider, buildConnectionOptions());
+      if (result.success) {
+        alert('Connection settings saved!');
+      } else {
+        alert('Error saving connection settings: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      alert('Error saving connection settings: ' + error.message);
+    }
+  };
+
+  const supportsConnectionOption = (option) => providers?.[selectedProvider]?.connectionOptions?.includes(option);
+
+  // Replace the local provider's model list with the models installed on the server
+  const refreshLocalModels = async (baseUrl = connection.baseUrl) => {
+    setLocalModelsStatus('Looking for models...');
+    try {
+      const result = await window.snapask.listLocalModels(baseUrl?.trim() || undefined);
+      if (result.success && result.models.length > 0) {
+        setProviders(prev => ({ ...prev, local: { ...prev.local, models: result.models } }));
+        setCapabilities(prev => ({ ...prev, local: result.capabilities || {} }));
+        setLocalModelsStatus(`Found ${result.models.length} model${result.models.length === 1 ? '' : 's'}`);
+      } else if (result.success) {
+        setLocalModelsStatus('No models installed on the server');
+      } else {
+        setLocalModelsStatus(result.error);
+      }
+    } catch (error) {
+      setLocalModelsStatus(`Error: ${error.message}`);
     }
   };
 
-  const handleKeyDown = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      handleSend();
+  const requiresApiKey = (providerId) => providers?.[providerId]?.requiresApiKey !== false;
+
+  const loadFallbackChain = async () => {
+    try {
+      const result = await window.snapask.getFallbackChain();
+      if (result.success) {
+        setFallbackChain(result.chain.map(entry => ({ ...entry, apiKey: '' })));
+      }
+    } catch (error) {
+      console.error('Failed to load fallback chain:', error);
     }
   };
 
-  const handleOpenSettings = async () => {
-    setShowSettings(true);
-    // Load providers if not already loaded
-    if (!providers) {
-      try {
-        const result = await window.snapask.getAiProviders();
-        if (result.success) {
-          setProviders(result.providers);
-        }
-      } catch (error) {
-        console.error('Failed to load providers:', error);
+  const handleAddFallback = () => {
+    const provider = Object.keys(providers || {}).find(id => id !== selectedProvider) || selectedProvider;
+    setFallbackChain(prev => [
+      ...prev,
+      { provider, model: providers?.[provider]?.models?.[0]?.id || '', hasApiKey: false, apiKey: '' }
+    ]);
+  };
+
+  const handleUpdateFallback = (index, changes) => {
+    setFallbackChain(prev => prev.map((entry, i) => {
+      if (i !== index) return entry;
+      // Switching provider resets the model and the key shown for it
+      if (changes.provider && changes.provider !== entry.provider) {
+        return {
+          provider: changes.provider,
+          model: providers?.[changes.provider]?.models?.[0]?.id || '',
+          hasApiKey: false,
+          apiKey: ''
+        };
+      }
+      return { ...entry, ...changes };
+    }));
+  };
+
+  const handleMoveFallback = (index, direction) => {
+    setFallbackChain(prev => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) return prev;
+      const updated = [...prev];
+      [updated[index], updated[target]] = [updated[target], updated[index]];
+      return updated;
+    });
+  };
+
+  const handleRemoveFallback = (index) => {
+    setFallbackChain(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSaveFallbacks = async () => {
+    try {
+      const result = await window.snapask.saveFallbackChain(
+        fallbackChain.map(({ provider, model, apiKey }) => ({
+          provider,
+          model,
+          ...(apiKey.trim() && { apiKey: apiKey.trim() })
+        }))
+      );
+      if (result.success) {
+        alert('Fallback providers saved!');
+        await loadFallbackChain();
+      } else {
+        alert('Error saving fallback providers: ' + (result.error || 'Unknown error'));
       }
+    } catch (error) {
+      alert('Error saving fallback providers: ' + error.message);
     }
-    await checkApiKeyStatus();
   };
 
   const handleCloseSettings = () => {
@@ -284,12 +1209,33 @@ function App() {
   };
 
   useEffect(() => {
-    // Update model when provider changes
-    if (providers && providers[selectedProvider]?.models?.length > 0) {
-      setSelectedModel(providers[selectedProvider].models[0].id);
+    // Update model when provider changes (keeping it if still listed, e.g. after discovery)
+    const models = providers?.[selectedProvider]?.models;
+    if (models?.length > 0) {
+      setSelectedModel(current => (models.some(m => m.id === current) ? current : models[0].id));
     }
   }, [selectedProvider, providers]);
 
+  useEffect(() => {
+    // Load connection settings (and discover local models) for the provider picked in settings
+    if (showSettings && providers) {
+      loadConnectionOptions(selectedProvider);
+    }
+  }, [showSettings, selectedProvider, !!providers]);
+
+  useEffect(() => {
+    // Show the caps saved for the provider picked in settings
+    const limits = usageLimits.limits[selectedProvider] || {};
+    const text = (value) => (value === undefined || value === null ? '' : String(value));
+    setLimitsForm({
+      dailyCost: text(limits.dailyCost),
+      monthlyCost: text(limits.monthlyCost),
+      dailyRequests: text(limits.dailyRequests),
+      monthlyRequests: text(limits.monthlyRequests),
+      action: limits.action || 'block'
+    });
+  }, [selectedProvider, usageLimits]);
+
   const checkApiKeyStatus = async () => {
     try {
       const result = await window.snapask.getApiKey();
@@ -324,7 +1270,7 @@ function App() {
 
   const handleSaveApiKey = async () => {
     const apiKey = apiKeyInput.trim();
-    if (!apiKey) {
+    if (!apiKey && requiresApiKey(selectedProvider)) {
       alert('Please enter an API key');
       return;
     }
@@ -339,8 +1285,10 @@ function App() {
         apiKey,
         provider: selectedProvider,
         model: selectedModel,
+        options: buildConnectionOptions(),
       });
       if (result.success) {
+        setConfiguredProviders(prev => (prev.includes(selectedProvider) ? prev : [...prev, selectedProvider]));
         alert('API key saved successfully!');
         setApiKeyInput('');
         await checkApiKeyStatus();
@@ -358,6 +1306,7 @@ function App() {
       google: 'https://makersuite.google.com/app/apikey',
       openai: 'https://platform.openai.com/api-keys',
       anthropic: 'https://console.anthropic.com/settings/keys',
+      local: 'https://ollama.com/download',
     };
     return urls[providerId] || urls.google;
   };
@@ -386,6 +1335,72 @@ function App() {
     }
   };
 
+  // Ask the model for the screenshot's table / form / list as an editable grid
+  const handleExtract = async () => {
+    setIsExtracting(true);
+    setExtractStatus('Extracting...');
+    try {
+      const result = await window.snapask.extractStructured({
+        requestId: crypto.randomUUID(),
+        imageDataUrl: currentScreenshotDataUrl,
+        shape: extractShape,
+        instructions: promptValue.trim() || undefined,
+        ...(conversationModel || {})
+      });
+      if (result.success) {
+        setExtraction(result.grid);
+        setExtractStatus(`${result.grid.rows.length} row${result.grid.rows.length === 1 ? '' : 's'} extracted`);
+      } else {
+        setExtractStatus(`Error: ${result.error}`);
+      }
+    } catch (error) {
+      setExtractStatus(`Error: ${error.message}`);
+    } finally {
+      setIsExtracting(false);
+    }
+  };
+
+  const updateExtractionCell = (rowIndex, columnIndex, value) => {
+    setExtraction(prev => ({
+      ...prev,
+      rows: prev.rows.map((row, r) => (r === rowIndex ? row.map((cell, c) => (c === columnIndex ? value : cell)) : row))
+    }));
+  };
+
+  const updateExtractionColumn = (columnIndex, value) => {
+    setExtraction(prev => ({ ...prev, columns: prev.columns.map((column, c) => (c === columnIndex ? value : column)) }));
+  };
+
+  const handleAddExtractionRow = () => {
+    setExtraction(prev => ({ ...prev, rows: [...prev.rows, prev.columns.map(() => '')] }));
+  };
+
+  const handleRemoveExtractionRow = (rowIndex) => {
+    setExtraction(prev => ({ ...prev, rows: prev.rows.filter((_, r) => r !== rowIndex) }));
+  };
+
+  const handleCopyExtraction = async (format) => {
+    try {
+      const result = await window.snapask.copyExtraction(extraction, format);
+      setExtractStatus(result.success ? `Copied as ${format.toUpperCase()}` : `Error: ${result.error}`);
+    } catch (error) {
+      setExtractStatus(`Error: ${error.message}`);
+    }
+  };
+
+  const handleSaveExtraction = async (format) => {
+    try {
+      const result = await window.snapask.saveExtraction(extraction, format);
+      if (result.success) {
+        setExtractStatus(`Saved to ${result.filePath}`);
+      } else if (!result.cancelled) {
+        setExtractStatus(`Error: ${result.error}`);
+      }
+    } catch (error) {
+      setExtractStatus(`Error: ${error.message}`);
+    }
+  };
+
   const handleDeleteConversation = (conversationId) => {
     setConversationToDelete(conversationId);
     setShowDeleteConfirm(true);
@@ -403,6 +1418,9 @@ function App() {
         // If deleted conversation is currently open, clear the view
         if (conversationId === conversationToDelete) {
           setConversationId(null);
+          setConversationModel(null);
+          setConversationParams(null);
+          setContextSummary(null);
           setConversationHistory([]);
           setCurrentScreenshotDataUrl(null);
         }
@@ -428,6 +1446,7 @@ function App() {
       if (result.success && result.conversation) {
         setConversationId(result.conversation.id);
         setCurrentScreenshotDataUrl(result.conversation.screenshot_data_url);
+        applyConversationModel(result.conversation);
 
         // Convert messages to conversation history format
         const history = [];
@@ -442,7 +1461,13 @@ function App() {
               prompt: userMsg.content,
               answer: assistantMsg.content,
               loading: false,
-              error: assistantMsg.error
+              error: assistantMsg.error,
+              cancelled: assistantMsg.cancelled,
+              provider: assistantMsg.provider,
+              model: assistantMsg.model,
+              usage: assistantMsg.usage,
+              toolCalls: assistantMsg.toolCalls,
+              followUps: assistantMsg.followUps
             });
           }
         }
@@ -528,6 +1553,27 @@ function App() {
     }
   };
 
+  // Replace the title (even one the user set) with a freshly generated one
+  const handleRegenerateTitle = async (e, conversation) => {
+    e.stopPropagation();
+    setRegeneratingTitleId(conversation.id);
+    try {
+      const result = await window.snapask.generateTitle(conversation.id);
+      if (result.success) {
+        setConversationsList(prev => prev.map(c =>
+          c.id === conversation.id ? { ...c, title: result.title } : c
+        ));
+      } else {
+        alert(`Failed to generate a title: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Error generating title:', error);
+      alert('Failed to generate a title');
+    } finally {
+      setRegeneratingTitleId(null);
+    }
+  };
+
   const formatTimestamp = (timestamp) => {
     const date = new Date(timestamp);
     const now = new Date();
@@ -544,12 +1590,42 @@ function App() {
     return date.toLocaleDateString();
   };
 
+  const conversationUsage = sumUsage(conversationHistory);
+  const hasConversationUsage = conversationUsage.inputTokens + conversationUsage.outputTokens > 0;
+
   return (
     <div className="app-container">
       {/* Header */}
       <div className="app-header">
         <h1 className="app-title">SnapAsk</h1>
         <div className="header-buttons">
+          {providers && configuredProviders.length > 0 && (
+            <select
+              className="conversation-model-select"
+              value={conversationModel ? `${conversationModel.provider}:${conversationModel.model}` : ''}
+              onChange={(e) => handleConversationModelChange(e.target.value)}
+              disabled={isSending}
+              title="Model for this conversation"
+            >
+              <option value="">Default model</option>
+              {configuredProviders.filter(id => providers[id]).map((id) => {
+                const models = providers[id].models;
+                // Keep a saved model selectable even if it is no longer listed (e.g. removed from Ollama)
+                const missing = conversationModel && conversationModel.provider === id &&
+                  !models.some(m => m.id === conversationModel.model);
+                return (
+                  <optgroup key={id} label={providers[id].name}>
+                    {models.map(m => (
+                      <option key={m.id} value={`${id}:${m.id}`}>{modelLabel(id, m)}</option>
+                    ))}
+                    {missing && (
+                      <option value={`${id}:${conversationModel.model}`}>{conversationModel.model}</option>
+                    )}
+                  </optgroup>
+                );
+              })}
+            </select>
+          )}
           <button className="sidebar-toggle-btn" onClick={() => setSidebarOpen(!sidebarOpen)} title="Toggle Conversations">
             {sidebarOpen ? '✕' : '☰'}
           </button>
@@ -568,6 +1644,14 @@ function App() {
                 <h2 className="sidebar-title">Conversations</h2>
                 <button className="sidebar-close-btn" onClick={() => setSidebarOpen(false)} title="Close sidebar">×</button>
               </div>
+              <input
+                className="sidebar-search"
+                type="search"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Search conversations and screenshot text"
+                aria-label="Search conversations"
+              />
               <div className="sidebar-filters">
                 <button
                   className={`filter-btn ${activeFilter === 'all' ? 'active' : ''}`}
@@ -633,6 +1717,14 @@ function App() {
                         >
                           ✎
                         </button>
+                        <button
+                          className="action-btn"
+                          onClick={(e) => handleRegenerateTitle(e, conv)}
+                          disabled={regeneratingTitleId === conv.id}
+                          title="Regenerate title"
+                        >
+                          {regeneratingTitleId === conv.id ? '…' : '✨'}
+                        </button>
                         <button
                           className="action-btn"
                           onClick={(e) => handleArchive(e, conv)}
@@ -671,14 +1763,158 @@ function App() {
           <div className="screenshot-section">
             <div className="screenshot-container">
               {currentScreenshotDataUrl && (
-                <img src={currentScreenshotDataUrl} alt="Screenshot" />
+                <img
+                  src={currentRedaction?.redactedUrl && !showOriginalScreenshot
+                    ? currentRedaction.redactedUrl
+                    : currentScreenshotDataUrl}
+                  alt="Screenshot"
+                />
               )}
             </div>
+            {currentRedaction && (
+              <div className={`redaction-notice ${currentRedaction.status}`}>
+                {currentRedaction.status === 'checking' && '🔒 Checking for sensitive text...'}
+                {currentRedaction.status === 'error' &&
+                  `⚠️ ${currentRedaction.error} — the screenshot won't be sent`}
+                {currentRedaction.status === 'done' && currentRedaction.regions.length === 0 &&
+                  '🔒 No sensitive text found'}
+                {currentRedaction.status === 'done' && currentRedaction.regions.length > 0 && (
+                  <>
+                    <span>🔒 Hidden before sending: {describeRedaction(currentRedaction.regions)}</span>
+                    <button
+                      className="extract-btn"
+                      onClick={() => setShowOriginalScreenshot(!showOriginalScreenshot)}
+                    >
+                      {showOriginalScreenshot ? 'Show what is sent' : 'Show original'}
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+            {currentScreenshotDataUrl && conversationModel &&
+              capabilities[conversationModel.provider]?.[conversationModel.model]?.vision === false && (
+              <div className="screenshot-notice">
+                {ocrSettings?.enabled
+                  ? "This model can't see images — the text read from the screenshot is sent instead"
+                  : "This model can't see images — only your text is sent"}
+              </div>
+            )}
+            {currentScreenshotDataUrl && (
+              <div className="extract-toolbar">
+                <select
+                  className="extract-shape-select"
+                  value={extractShape}
+                  onChange={(e) => setExtractShape(e.target.value)}
+                  disabled={isExtracting}
+                  aria-label="Extract as"
+                >
+                  <option value="table">Table</option>
+                  <option value="keyValue">Form</option>
+                  <option value="list">List</option>
+                </select>
+                <button
+                  className="extract-btn"
+                  onClick={handleExtract}
+                  disabled={isExtracting || isSending}
+                  title="Extract the data in the screenshot (the prompt box can narrow it down)"
+                >
+                  {isExtracting ? 'Extracting...' : 'Extract Data'}
+                </button>
+                {extractStatus && <span className="extract-status">{extractStatus}</span>}
+                {ocrSettings?.enabled && (
+                  <button
+                    className={`extract-btn ${showScreenshotText ? 'active' : ''}`}
+                    onClick={handleToggleScreenshotText}
+                    title="Show the text recognized in the screenshot on this device"
+                  >
+                    Screenshot Text
+                  </button>
+                )}
+              </div>
+            )}
+            {showScreenshotText && ocrSettings?.enabled && currentScreenshotDataUrl && (
+              <div className="screenshot-text-panel">
+                <div className="screenshot-text-header">
+                  <span className="screenshot-text-meta">
+                    {currentScreenshotText
+                      ? `${currentScreenshotText.words.length} word${currentScreenshotText.words.length !== 1 ? 's' : ''} recognized`
+                      : screenshotTextStatus}
+                  </span>
+                  {currentScreenshotText?.text && (
+                    <button className="extract-btn" onClick={handleCopyScreenshotText}>
+                      {screenshotTextStatus === 'Copied' ? 'Copied' : 'Copy'}
+                    </button>
+                  )}
+                </div>
+                {currentScreenshotText && (
+                  <pre className="screenshot-text-body">
+                    {currentScreenshotText.text || 'No text found in this screenshot'}
+                  </pre>
+                )}
+              </div>
+            )}
+            {extraction && (
+              <div className="extraction-panel">
+                <div className="extraction-grid-wrapper">
+                  <table className="extraction-grid">
+                    <thead>
+                      <tr>
+                        {extraction.columns.map((column, c) => (
+                          <th key={c}>
+                            <input
+                              value={column}
+                              onChange={(e) => updateExtractionColumn(c, e.target.value)}
+                              aria-label={`Column ${c + 1} name`}
+                            />
+                          </th>
+                        ))}
+                        <th aria-label="Actions" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {extraction.rows.map((row, r) => (
+                        <tr key={r}>
+                          {row.map((cell, c) => (
+                            <td key={c}>
+                              <input
+                                value={cell}
+                                onChange={(e) => updateExtractionCell(r, c, e.target.value)}
+                                aria-label={`Row ${r + 1}, ${extraction.columns[c]}`}
+                              />
+                            </td>
+                          ))}
+                          <td>
+                            <button className="extraction-remove-btn" onClick={() => handleRemoveExtractionRow(r)} title="Remove row">
+                              ✕
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="extraction-actions">
+                  <button onClick={handleAddExtractionRow}>+ Row</button>
+                  <button onClick={() => handleCopyExtraction('csv')}>Copy CSV</button>
+                  <button onClick={() => handleCopyExtraction('tsv')}>Copy TSV</button>
+                  <button onClick={() => handleSaveExtraction('csv')}>Save CSV</button>
+                  <button onClick={() => handleSaveExtraction('xlsx')}>Save XLSX</button>
+                  <button onClick={() => { setExtraction(null); setExtractStatus(''); }}>Close</button>
+                </div>
+              </div>
+            )}
           </div>
 
           {/* Conversation History */}
           <div className="conversation-section">
-            <h2 className="section-title">Conversation</h2>
+            <h2 className="section-title">
+              Conversation
+              {hasConversationUsage && (
+                <span className="usage-summary" title={`${conversationUsage.inputTokens.toLocaleString()} in / ${conversationUsage.outputTokens.toLocaleString()} out`}>
+                  {formatTokens(conversationUsage)} · {formatCost(conversationUsage.cost)}
+                </span>
+              )}
+            </h2>
             <div className="conversation-list">
               {conversationHistory.length === 0 ? (
                 <div className="conversation-item">
@@ -690,15 +1926,28 @@ function App() {
                 conversationHistory.map((item, index) => (
                   <React.Fragment key={index}>
                     {/* Prompt */}
-                    <div className="conversation-item prompt">
+                    <div className={`conversation-item prompt ${isSummarized(index) ? 'summarized' : ''}`}>
                       <div className="conversation-item-header">You</div>
                       <div className="conversation-item-content" dangerouslySetInnerHTML={{ __html: escapeHtml(item.prompt) }} />
                     </div>
                     {/* Answer */}
-                    <div className="conversation-item answer">
+                    <div className={`conversation-item answer ${isSummarized(index) ? 'summarized' : ''}`}>
                       <div className="conversation-item-header-wrapper">
-                        <div className="conversation-item-header">SnapAsk</div>
-                        {!item.loading && !item.error && (
+                        <div className="conversation-item-header">
+                          SnapAsk{item.cancelled && <span className="cancelled-label"> · Stopped</span>}
+                          {item.fallbackUsed && <span className="fallback-label"> · via {item.model}</span>}
+                          {item.cachedAt && (
+                            <span className="cached-label" title={`Cached answer from ${new Date(item.cachedAt).toLocaleString()}`}>
+                              {' · ⚡ Cached'}
+                            </span>
+                          )}
+                          {item.usage && (
+                            <span className="usage-label" title={`${item.usage.inputTokens.toLocaleString()} in / ${item.usage.outputTokens.toLocaleString()} out · ${formatCost(item.usage.cost)}`}>
+                              {' · '}{formatTokens(item.usage)}
+                            </span>
+                          )}
+                        </div>
+                        {!item.loading && !item.streaming && !item.error && (
                           <button
                             className="copy-btn"
                             onClick={() => handleCopyAnswer(item.answer, index)}
@@ -708,20 +1957,159 @@ function App() {
                           </button>
                         )}
                       </div>
-                      <div className={`conversation-item-content ${item.loading ? 'loading' : ''} ${item.error ? 'error' : ''}`} dangerouslySetInnerHTML={{ __html: escapeHtml(item.answer) }} />
+                      <div className={`conversation-item-content ${item.loading ? 'loading' : ''} ${item.error ? 'error' : ''} ${item.cancelled ? 'cancelled' : ''}`} dangerouslySetInnerHTML={{ __html: escapeHtml(item.answer) }} />
+                      {item.toolCalls?.length > 0 && (
+                        <details className="tool-calls">
+                          <summary>
+                            Used {item.toolCalls.length === 1 ? 'a tool' : `${item.toolCalls.length} tools`}: {[...new Set(item.toolCalls.map(call => call.name))].join(', ')}
+                          </summary>
+                          {item.toolCalls.map((call, callIndex) => (
+                            <div className={`tool-call ${call.error ? 'error' : ''}`} key={callIndex}>
+                              <code>{call.name}({JSON.stringify(call.args)})</code>
+                              <span className="tool-call-result">→ {call.error ? `Error: ${call.error}` : JSON.stringify(call.result)}</span>
+                            </div>
+                          ))}
+                        </details>
+                      )}
+                      {index === conversationHistory.length - 1 && followUps.length > 0 && (
+                        <div className="follow-ups">
+                          {followUps.map((question, questionIndex) => (
+                            <button
+                              key={question}
+                              className="follow-up-btn"
+                              onClick={() => handleSend({ text: question })}
+                              title={`Ask (⌘${questionIndex + 1})`}
+                            >
+                              <span className="follow-up-key">{questionIndex + 1}</span>
+                              {question}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      {item.cachedAt && index === conversationHistory.length - 1 && !isSending && (
+                        <button className="cache-refresh-btn" onClick={() => handleSend({ bypassCache: true })}>
+                          Ask again without cache
+                        </button>
+                      )}
+                      {item.usageWarnings?.map((warning) => (
+                        <div className="usage-warning" key={`${warning.period}-${warning.metric}`}>
+                          ⚠️ {warning.message}
+                        </div>
+                      ))}
                       {copiedIndex === index && (
                         <div className="copy-toast">Copied!</div>
                       )}
                     </div>
+                    {contextSummary && index === summarizedCount - 1 && (
+                      <details className="context-summary">
+                        <summary>
+                          {summarizedCount === 1 ? 'The exchange above is' : `The ${summarizedCount} exchanges above are`} sent to the model as a summary
+                        </summary>
+                        <div className="context-summary-text">{contextSummary.text}</div>
+                      </details>
+                    )}
                   </React.Fragment>
                 ))
               )}
             </div>
+
+            {comparison && (
+              <div className="comparison-panel">
+                <div className="comparison-header">
+                  <span>Comparing answers to “{comparison.prompt}”</span>
+                  {!isSending && (
+                    <button className="comparison-close-btn" onClick={() => setComparison(null)} title="Discard comparison">
+                      ✕
+                    </button>
+                  )}
+                </div>
+                {comparison.error && <div className="comparison-error">Error: {comparison.error}</div>}
+                <div className="comparison-columns">
+                  {comparison.results.map((result, index) => (
+                    <div className="comparison-column" key={index}>
+                      <div className="comparison-model">{result.model || providers?.[result.provider]?.name}</div>
+                      <div className="comparison-meta">
+                        {result.loading ? 'Waiting...' : formatLatency(result.latencyMs)}
+                        {result.usage && ` · ${formatTokens(result.usage)}`}
+                        {result.usage && typeof result.usage.cost === 'number' && ` · ${formatCost(result.usage.cost)}`}
+                      </div>
+                      <div
+                        className={`comparison-answer ${result.loading ? 'loading' : ''} ${!result.loading && !result.success ? 'error' : ''}`}
+                        dangerouslySetInnerHTML={{
+                          __html: escapeHtml(result.loading ? 'Thinking...' : result.success ? result.text : `Error: ${result.error}`)
+                        }}
+                      />
+                      {result.success && !isSending && (
+                        <button className="comparison-keep-btn" onClick={() => handleKeepComparison(index)}>
+                          Keep this answer
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
 
           {/* Input Area */}
           <div className="input-section">
+            {compareMode && providers && (
+              <div className="compare-picker">
+                <span className="compare-picker-label">Compare</span>
+                {compareTargets.map((value, index) => (
+                  <span className="compare-target" key={index}>
+                    <select
+                      className="compare-target-select"
+                      value={value}
+                      onChange={(e) => setCompareTargets(prev => prev.map((v, i) => (i === index ? e.target.value : v)))}
+                      disabled={isSending}
+                      aria-label={`Model ${index + 1}`}
+                    >
+                      {configuredProviders.filter(id => providers[id]).map((id) => (
+                        <optgroup key={id} label={providers[id].name}>
+                          {providers[id].models.map(m => (
+                            <option key={m.id} value={`${id}:${m.id}`}>{modelLabel(id, m)}</option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                    {compareTargets.length > 2 && (
+                      <button
+                        className="compare-remove-btn"
+                        onClick={() => setCompareTargets(prev => prev.filter((_, i) => i !== index))}
+                        disabled={isSending}
+                        title="Remove model"
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </span>
+                ))}
+                {compareTargets.length < MAX_COMPARE_MODELS && (
+                  <button
+                    className="compare-add-btn"
+                    onClick={() => setCompareTargets(prev => [...prev, compareOptions().find(v => !prev.includes(v)) || prev[0]])}
+                    disabled={isSending}
+                  >
+                    + Model
+                  </button>
+                )}
+              </div>
+            )}
             <div className="input-wrapper">
+              {promptPresets.length > 0 && (
+                <select
+                  className="preset-select"
+                  value={activePresetId || ''}
+                  onChange={(e) => handleSelectPreset(e.target.value || null)}
+                  title="System prompt preset"
+                >
+                  <option value="">No preset</option>
+                  {promptPresets.map((preset) => (
+                    <option key={preset.id} value={preset.id}>{preset.name}</option>
+                  ))}
+                </select>
+              )}
               <input
                 className="app-prompt-input"
                 type="text"
@@ -732,9 +2120,25 @@ function App() {
                 autoComplete="off"
                 disabled={isSending}
               />
-              <button className="send-btn" onClick={handleSend} disabled={isSending}>
-                Send
-              </button>
+              {isSending ? (
+                <button className="send-btn stop-btn" onClick={handleStop} title="Stop generating">
+                  Stop
+                </button>
+              ) : (
+                <button className="send-btn" onClick={() => (compareMode ? handleCompare() : handleSend())}>
+                  {compareMode ? 'Compare' : 'Send'}
+                </button>
+              )}
+              {providers && configuredProviders.length > 0 && (
+                <button
+                  className={`compare-toggle-btn ${compareMode ? 'active' : ''}`}
+                  onClick={handleToggleCompare}
+                  disabled={isSending}
+                  title="Ask several models at once and keep the best answer"
+                >
+                  ⚖️
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -785,7 +2189,7 @@ function App() {
                       >
                         {providers[selectedProvider]?.models?.map((model) => (
                           <option key={model.id} value={model.id}>
-                            {model.name}
+                            {modelLabel(selectedProvider, model)}
                           </option>
                         ))}
                       </select>
@@ -793,8 +2197,31 @@ function App() {
                   </>
                 )}
 
+                {selectedProvider === 'local' && (
+                  <div className="settings-field">
+                    <label htmlFor="settings-base-url-input">Server URL</label>
+                    <div className="settings-inline">
+                      <input
+                        id="settings-base-url-input"
+                        className="settings-input"
+                        type="text"
+                        value={connection.baseUrl}
+                        onChange={(e) => setConnection({ ...connection, baseUrl: e.target.value })}
+                        placeholder={providers?.local?.defaultBaseUrl}
+                        autoComplete="off"
+                      />
+                      <button className="settings-secondary-btn" onClick={() => refreshLocalModels()}>
+                        Refresh Models
+                      </button>
+                    </div>
+                    {localModelsStatus && <div className="settings-help">{localModelsStatus}</div>}
+                  </div>
+                )}
+
                 <div className="settings-field">
-                  <label htmlFor="settings-api-key-input">API Key</label>
+                  <label htmlFor="settings-api-key-input">
+                    API Key{!requiresApiKey(selectedProvider) && ' (optional)'}
+                  </label>
                   <input
                     id="settings-api-key-input"
                     className="settings-input"
@@ -802,19 +2229,570 @@ function App() {
                     value={apiKeyInput}
                     onChange={(e) => setApiKeyInput(e.target.value)}
                     onKeyDown={handleApiKeyKeyDown}
-                    placeholder={`Enter your ${getProviderName(selectedProvider)} API key`}
+                    placeholder={
+                      requiresApiKey(selectedProvider)
+                        ? `Enter your ${getProviderName(selectedProvider)} API key`
+                        : 'Only needed if your server requires one'
+                    }
                     autoComplete="off"
                   />
                 </div>
-                <div className="settings-help">
-                  Get your API key from <a href={getProviderHelpUrl(selectedProvider)} target="_blank" rel="noreferrer">
-                    {getProviderName(selectedProvider)} API Keys
-                  </a>
-                </div>
+                {selectedProvider === 'local' ? (
+                  <div className="settings-help">
+                    Screenshots stay on this machine. Run <a href={getProviderHelpUrl('local')} target="_blank" rel="noreferrer">Ollama</a> or
+                    any OpenAI-compatible server with a vision model, e.g. <code>ollama pull llava</code>
+                  </div>
+                ) : (
+                  <div className="settings-help">
+                    Get your API key from <a href={getProviderHelpUrl(selectedProvider)} target="_blank" rel="noreferrer">
+                      {getProviderName(selectedProvider)} API Keys
+                    </a>
+                  </div>
+                )}
+
+                {providers && (
+                  <details className="settings-advanced">
+                    <summary>Connection (gateway, proxy, custom headers)</summary>
+                    {selectedProvider !== 'local' && supportsConnectionOption('baseUrl') && (
+                      <div className="settings-field">
+                        <label htmlFor="settings-gateway-url-input">Base URL</label>
+                        <input
+                          id="settings-gateway-url-input"
+                          className="settings-input"
+                          type="text"
+                          value={connection.baseUrl}
+                          onChange={(e) => setConnection({ ...connection, baseUrl: e.target.value })}
+                          placeholder="Leave empty for the provider's own endpoint"
+                          autoComplete="off"
+                        />
+                      </div>
+                    )}
+                    {supportsConnectionOption('organization') && (
+                      <div className="settings-field">
+                        <label htmlFor="settings-organization-input">Organization ID</label>
+                        <input
+                          id="settings-organization-input"
+                          className="settings-input"
+                          type="text"
+                          value={connection.organization}
+                          onChange={(e) => setConnection({ ...connection, organization: e.target.value })}
+                          placeholder="org-..."
+                          autoComplete="off"
+                        />
+                      </div>
+                    )}
+                    {supportsConnectionOption('project') && (
+                      <div className="settings-field">
+                        <label htmlFor="settings-project-input">Project ID</label>
+                        <input
+                          id="settings-project-input"
+                          className="settings-input"
+                          type="text"
+                          value={connection.project}
+                          onChange={(e) => setConnection({ ...connection, project: e.target.value })}
+                          placeholder="proj_..."
+                          autoComplete="off"
+                        />
+                      </div>
+                    )}
+                    {supportsConnectionOption('headers') && (
+                      <div className="settings-field">
+                        <label htmlFor="settings-headers-input">Extra Headers</label>
+                        <textarea
+                          id="settings-headers-input"
+                          className="settings-input settings-textarea"
+                          value={connection.headers}
+                          onChange={(e) => setConnection({ ...connection, headers: e.target.value })}
+                          placeholder={'One per line, e.g.\nX-Gateway-Team: desktop'}
+                          rows={3}
+                        />
+                      </div>
+                    )}
+                    <button className="settings-secondary-btn" onClick={handleSaveConnection}>
+                      Save Connection Settings
+                    </button>
+                  </details>
+                )}
+
+                {providers && (
+                  <details className="settings-advanced">
+                    <summary>Spending limits</summary>
+                    {usageLimits.counters[selectedProvider] && (
+                      <p className="settings-help">
+                        Today: {usageLimits.counters[selectedProvider].day.requests} requests · {formatCost(usageLimits.counters[selectedProvider].day.cost)}
+                        {' — '}This month: {usageLimits.counters[selectedProvider].month.requests} requests · {formatCost(usageLimits.counters[selectedProvider].month.cost)}
+                      </p>
+                    )}
+                    <div className="settings-inline">
+                      <div className="settings-field">
+                        <label htmlFor="settings-daily-cost-input">Daily spend (USD)</label>
+                        <input
+                          id="settings-daily-cost-input"
+                          className="settings-input"
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={limitsForm.dailyCost}
+                          onChange={(e) => setLimitsForm({ ...limitsForm, dailyCost: e.target.value })}
+                          placeholder="No limit"
+                        />
+                      </div>
+                      <div className="settings-field">
+                        <label htmlFor="settings-monthly-cost-input">Monthly spend (USD)</label>
+                        <input
+                          id="settings-monthly-cost-input"
+                          className="settings-input"
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={limitsForm.monthlyCost}
+                          onChange={(e) => setLimitsForm({ ...limitsForm, monthlyCost: e.target.value })}
+                          placeholder="No limit"
+                        />
+                      </div>
+                    </div>
+                    <div className="settings-inline">
+                      <div className="settings-field">
+                        <label htmlFor="settings-daily-requests-input">Daily requests</label>
+                        <input
+                          id="settings-daily-requests-input"
+                          className="settings-input"
+                          type="number"
+                          min="0"
+                          step="1"
+                          value={limitsForm.dailyRequests}
+                          onChange={(e) => setLimitsForm({ ...limitsForm, dailyRequests: e.target.value })}
+                          placeholder="No limit"
+                        />
+                      </div>
+                      <div className="settings-field">
+                        <label htmlFor="settings-monthly-requests-input">Monthly requests</label>
+                        <input
+                          id="settings-monthly-requests-input"
+                          className="settings-input"
+                          type="number"
+                          min="0"
+                          step="1"
+                          value={limitsForm.monthlyRequests}
+                          onChange={(e) => setLimitsForm({ ...limitsForm, monthlyRequests: e.target.value })}
+                          placeholder="No limit"
+                        />
+                      </div>
+                    </div>
+                    <div className="settings-field">
+                      <label htmlFor="settings-limit-action-select">When a limit is reached</label>
+                      <select
+                        id="settings-limit-action-select"
+                        className="settings-select"
+                        value={limitsForm.action}
+                        onChange={(e) => setLimitsForm({ ...limitsForm, action: e.target.value })}
+                      >
+                        <option value="block">Refuse requests (use fallbacks if configured)</option>
+                        <option value="warn">Warn but keep answering</option>
+                      </select>
+                    </div>
+                    <p className="settings-help">
+                      Spend is estimated from list prices. Daily counters reset at midnight, monthly ones on the 1st.
+                    </p>
+                    <button className="settings-secondary-btn" onClick={handleSaveLimits}>
+                      Save Spending Limits
+                    </button>
+                  </details>
+                )}
+
                 <button className="settings-save-btn" onClick={handleSaveApiKey}>
                   Save Configuration
                 </button>
               </div>
+
+              {providers && (
+                <div className="settings-section">
+                  <h3>Fallback Providers</h3>
+                  <p className="settings-description">
+                    Tried in order when your main provider hits a quota, key or availability error
+                  </p>
+
+                  {fallbackChain.map((entry, index) => (
+                    <div className="fallback-row" key={index}>
+                      <span className="fallback-order">{index + 1}</span>
+                      <select
+                        className="settings-select"
+                        value={entry.provider}
+                        onChange={(e) => handleUpdateFallback(index, { provider: e.target.value })}
+                        aria-label="Fallback provider"
+                      >
+                        {Object.keys(providers).map((providerId) => (
+                          <option key={providerId} value={providerId}>
+                            {providers[providerId].name}
+                          </option>
+                        ))}
+                      </select>
+                      <select
+                        className="settings-select"
+                        value={entry.model}
+                        onChange={(e) => handleUpdateFallback(index, { model: e.target.value })}
+                        aria-label="Fallback model"
+                      >
+                        {providers[entry.provider]?.models?.map((model) => (
+                          <option key={model.id} value={model.id}>
+                            {modelLabel(entry.provider, model)}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        className="settings-input"
+                        type="password"
+                        value={entry.apiKey}
+                        onChange={(e) => handleUpdateFallback(index, { apiKey: e.target.value })}
+                        placeholder={
+                          !requiresApiKey(entry.provider)
+                            ? 'No key needed'
+                            : entry.hasApiKey ? 'Saved key (leave blank to keep)' : `${getProviderName(entry.provider)} API key`
+                        }
+                        disabled={!requiresApiKey(entry.provider)}
+                        autoComplete="off"
+                      />
+                      <div className="fallback-actions">
+                        <button onClick={() => handleMoveFallback(index, -1)} disabled={index === 0} title="Move up">↑</button>
+                        <button onClick={() => handleMoveFallback(index, 1)} disabled={index === fallbackChain.length - 1} title="Move down">↓</button>
+                        <button onClick={() => handleRemoveFallback(index)} title="Remove">×</button>
+                      </div>
+                    </div>
+                  ))}
+
+                  <button className="fallback-add-btn" onClick={handleAddFallback}>
+                    + Add fallback
+                  </button>
+                  <button className="settings-save-btn" onClick={handleSaveFallbacks}>
+                    Save Fallbacks
+                  </button>
+                </div>
+              )}
+
+              {providers && (
+                <div className="settings-section">
+                  <h3>Generation Settings</h3>
+                  <p className="settings-description">
+                    Sampling used for every answer; leave a field empty for the provider's default
+                  </p>
+                  {renderGenerationFields(generationForm, setGenerationForm, selectedProvider, selectedModel, 'Default', 'settings-generation')}
+                  <button className="settings-secondary-btn" onClick={() => handleSaveGenerationParams(false)}>
+                    Save Defaults
+                  </button>
+
+                  {conversationId && (
+                    <>
+                      <p className="settings-help">
+                        This conversation only — empty fields keep the defaults above
+                      </p>
+                      {renderGenerationFields(
+                        conversationParamsForm,
+                        setConversationParamsForm,
+                        conversationModel?.provider || selectedProvider,
+                        conversationModel?.model || selectedModel,
+                        'Default',
+                        'settings-conversation-generation'
+                      )}
+                      <button className="settings-secondary-btn" onClick={() => handleSaveGenerationParams(true)}>
+                        Save for This Conversation
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {responseCache && (
+                <div className="settings-section">
+                  <h3>Response Cache</h3>
+                  <p className="settings-description">
+                    Answer a repeated question about the same screenshot instantly, without calling the model again
+                  </p>
+                  <label className="settings-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={cacheForm.enabled}
+                      onChange={(e) => setCacheForm({ ...cacheForm, enabled: e.target.checked })}
+                    />
+                    Reuse cached answers
+                  </label>
+                  <div className="settings-inline">
+                    <div className="settings-field">
+                      <label htmlFor="settings-cache-ttl-input">Keep answers for (hours)</label>
+                      <input
+                        id="settings-cache-ttl-input"
+                        className="settings-input"
+                        type="number"
+                        min="1"
+                        value={cacheForm.ttlHours}
+                        onChange={(e) => setCacheForm({ ...cacheForm, ttlHours: e.target.value })}
+                      />
+                    </div>
+                    <div className="settings-field">
+                      <label htmlFor="settings-cache-size-input">Maximum answers</label>
+                      <input
+                        id="settings-cache-size-input"
+                        className="settings-input"
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={cacheForm.maxEntries}
+                        onChange={(e) => setCacheForm({ ...cacheForm, maxEntries: e.target.value })}
+                      />
+                    </div>
+                  </div>
+                  <p className="settings-help">
+                    {responseCache.stats.entries} cached answer(s), reused {responseCache.stats.hits} time(s)
+                  </p>
+                  <button className="settings-secondary-btn" onClick={handleSaveResponseCache}>
+                    Save Cache Settings
+                  </button>
+                  <button className="settings-secondary-btn" onClick={handleClearResponseCache}>
+                    Clear Cache
+                  </button>
+                </div>
+              )}
+
+              {redactionOptions && redactionForm && (
+                <div className="settings-section">
+                  <h3>Sensitive Data Redaction</h3>
+                  <p className="settings-description">
+                    Find sensitive text in screenshots on this device and hide it before the screenshot is sent to a model
+                  </p>
+                  <label className="settings-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={redactionForm.enabled}
+                      onChange={(e) => setRedactionForm({ ...redactionForm, enabled: e.target.checked })}
+                    />
+                    Redact screenshots before sending
+                  </label>
+                  {Object.entries(redactionOptions.detectors).map(([type, label]) => (
+                    <label className="settings-checkbox" key={type}>
+                      <input
+                        type="checkbox"
+                        checked={!!redactionForm.detectors[type]}
+                        disabled={!redactionForm.enabled}
+                        onChange={(e) => setRedactionForm({
+                          ...redactionForm,
+                          detectors: { ...redactionForm.detectors, [type]: e.target.checked }
+                        })}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                  <div className="settings-field">
+                    <label htmlFor="settings-redaction-patterns">Custom patterns (regular expressions, one per line)</label>
+                    <textarea
+                      id="settings-redaction-patterns"
+                      className="settings-input settings-textarea"
+                      value={redactionForm.customPatterns}
+                      disabled={!redactionForm.enabled}
+                      onChange={(e) => setRedactionForm({ ...redactionForm, customPatterns: e.target.value })}
+                      placeholder={'e.g. ACME-\\d{6} for customer IDs'}
+                      rows={3}
+                    />
+                  </div>
+                  <div className="settings-field">
+                    <label htmlFor="settings-redaction-style">Hide matches by</label>
+                    <select
+                      id="settings-redaction-style"
+                      className="settings-input"
+                      value={redactionForm.style}
+                      disabled={!redactionForm.enabled}
+                      onChange={(e) => setRedactionForm({ ...redactionForm, style: e.target.value })}
+                    >
+                      <option value="blur">Blurring them</option>
+                      <option value="black">Blacking them out</option>
+                    </select>
+                  </div>
+                  <label className="settings-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={redactionForm.storeRedacted}
+                      disabled={!redactionForm.enabled}
+                      onChange={(e) => setRedactionForm({ ...redactionForm, storeRedacted: e.target.checked })}
+                    />
+                    Save only the redacted screenshot in conversation history
+                  </label>
+                  <p className="settings-help">
+                    Text is read on this device. A screenshot that can't be checked is not sent.
+                  </p>
+                  <button className="settings-secondary-btn" onClick={handleSaveRedactionSettings}>
+                    Save Redaction Settings
+                  </button>
+                </div>
+              )}
+
+              {localTools && (
+                <div className="settings-section">
+                  <h3>Local Tools</h3>
+                  <p className="settings-description">
+                    Let models that support function calling use offline helpers on this machine instead of guessing
+                  </p>
+                  <label className="settings-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={localTools.enabled}
+                      onChange={(e) => handleToggleLocalTools(e.target.checked)}
+                    />
+                    Allow tool calls
+                  </label>
+                  <ul className="tool-list">
+                    {localTools.tools.map(tool => (
+                      <li key={tool.name}>
+                        <code>{tool.name}</code> — {tool.description}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {ocrSettings && (
+                <div className="settings-section">
+                  <h3>Screenshot Text</h3>
+                  <p className="settings-description">
+                    Read the text in screenshots on this device, so conversations can be searched by it and models that can't see images still get it
+                  </p>
+                  <label className="settings-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={ocrSettings.enabled}
+                      onChange={(e) => handleSaveOcrSetting('enabled', e.target.checked)}
+                    />
+                    Recognize screenshot text
+                  </label>
+                  <label className="settings-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={ocrSettings.includeInPrompt}
+                      disabled={!ocrSettings.enabled}
+                      onChange={(e) => handleSaveOcrSetting('includeInPrompt', e.target.checked)}
+                    />
+                    Send the text with every question, alongside the image
+                  </label>
+                </div>
+              )}
+
+              <div className="settings-section">
+                <h3>System Prompt Presets</h3>
+                <p className="settings-description">
+                  Instructions sent before every question, such as tone, answer length or language
+                </p>
+
+                {presetDrafts.map((preset, index) => (
+                  <div className="preset-row" key={preset.id || `new-${index}`}>
+                    <div className="settings-inline">
+                      <input
+                        className="settings-input"
+                        type="text"
+                        value={preset.name}
+                        onChange={(e) => handleUpdatePresetDraft(index, { name: e.target.value })}
+                        placeholder="Preset name"
+                        aria-label="Preset name"
+                      />
+                      <button
+                        className="settings-secondary-btn"
+                        onClick={() => setPresetDrafts(prev => prev.filter((_, i) => i !== index))}
+                        title="Remove preset"
+                      >
+                        ×
+                      </button>
+                    </div>
+                    <textarea
+                      className="settings-input settings-textarea"
+                      value={preset.prompt}
+                      onChange={(e) => handleUpdatePresetDraft(index, { prompt: e.target.value })}
+                      placeholder="e.g. Answer in two sentences or fewer."
+                      aria-label="System prompt"
+                      rows={3}
+                    />
+                  </div>
+                ))}
+
+                <button
+                  className="fallback-add-btn"
+                  onClick={() => setPresetDrafts(prev => [...prev, { name: '', prompt: '' }])}
+                >
+                  + Add preset
+                </button>
+                <button className="settings-save-btn" onClick={handleSavePresets}>
+                  Save Presets
+                </button>
+              </div>
+
+              <div className="settings-section">
+                <h3>Prompt Templates</h3>
+                <p className="settings-description">
+                  Type / in the popup to pick one. Use {'{{variable}}'} for parts you fill in each time;
+                  {' {{selection}}'} is filled from the clipboard.
+                </p>
+
+                {templates.map((template) => (
+                  <div className="template-row" key={template.id}>
+                    <div className="template-row-text">
+                      <span className="template-row-name">{template.name}</span>
+                      <span className="template-row-body">{template.body}</span>
+                    </div>
+                    <div className="fallback-actions">
+                      <button onClick={() => setTemplateDraft({ id: template.id, name: template.name, body: template.body })} title="Edit">✎</button>
+                      <button onClick={() => handleDeleteTemplate(template.id)} title="Delete">×</button>
+                    </div>
+                  </div>
+                ))}
+
+                {templateDraft ? (
+                  <div className="template-editor">
+                    <input
+                      className="settings-input"
+                      type="text"
+                      value={templateDraft.name}
+                      onChange={(e) => setTemplateDraft({ ...templateDraft, name: e.target.value })}
+                      placeholder="Template name"
+                      aria-label="Template name"
+                      autoFocus
+                    />
+                    <textarea
+                      className="settings-input settings-textarea"
+                      value={templateDraft.body}
+                      onChange={(e) => setTemplateDraft({ ...templateDraft, body: e.target.value })}
+                      placeholder={'e.g. Summarise this screenshot in {{language}}'}
+                      aria-label="Template prompt"
+                      rows={3}
+                    />
+                    <div className="settings-inline">
+                      <button className="settings-secondary-btn" onClick={() => setTemplateDraft(null)}>
+                        Cancel
+                      </button>
+                      <button className="settings-save-btn" onClick={handleSaveTemplate}>
+                        {templateDraft.id ? 'Save Template' : 'Add Template'}
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <button className="fallback-add-btn" onClick={() => setTemplateDraft({ name: '', body: '' })}>
+                    + New template
+                  </button>
+                )}
+              </div>
+
+              {monthlyUsage && (
+                <div className="settings-section">
+                  <h3>Usage This Month</h3>
+                  <p className="settings-description">
+                    {formatTokens(monthlyUsage)} across {monthlyUsage.messages} answers · {formatCost(monthlyUsage.cost)}
+                  </p>
+                  {monthlyUsage.byModel.map((row) => (
+                    <div className="usage-row" key={`${row.provider}:${row.model}`}>
+                      <span className="usage-model">{row.model || 'Unknown model'}</span>
+                      <span>{formatTokens(row)}</span>
+                      <span className="usage-cost">{formatCost(row.cost)}</span>
+                    </div>
+                  ))}
+                  <p className="settings-help">
+                    Costs are estimates from list prices; models without a known price (such as local ones) only count tokens.
+                  </p>
+                </div>
+              )}
             </div>
           </div>
         </div>
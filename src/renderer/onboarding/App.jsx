@@ -7,6 +7,8 @@ function App() {
   const [selectedModel, setSelectedModel] = useState('');
   const [providers, setProviders] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
+  const [localBaseUrl, setLocalBaseUrl] = useState('');
+  const [localModelsStatus, setLocalModelsStatus] = useState('');
 
   useEffect(() => {
     // Load available providers
@@ -22,12 +24,40 @@ function App() {
   }, []);
 
   useEffect(() => {
-    // Update model when provider changes
-    if (providers && providers[selectedProvider]?.models?.length > 0) {
-      setSelectedModel(providers[selectedProvider].models[0].id);
+    // Update model when provider changes (keeping it if still listed, e.g. after discovery)
+    const models = providers?.[selectedProvider]?.models;
+    if (models?.length > 0) {
+      setSelectedModel(current => (models.some(m => m.id === current) ? current : models[0].id));
     }
   }, [selectedProvider, providers]);
 
+  useEffect(() => {
+    // Discover installed models when the local provider is picked
+    if (providers && selectedProvider === 'local') {
+      refreshLocalModels();
+    }
+  }, [selectedProvider, !!providers]);
+
+  // Replace the local provider's model list with the models installed on the server
+  const refreshLocalModels = async () => {
+    setLocalModelsStatus('Looking for models...');
+    try {
+      const result = await window.snapask.listLocalModels(localBaseUrl.trim() || undefined);
+      if (result.success && result.models.length > 0) {
+        setProviders(prev => ({ ...prev, local: { ...prev.local, models: result.models } }));
+        setLocalModelsStatus(`Found ${result.models.length} model${result.models.length === 1 ? '' : 's'}`);
+      } else if (result.success) {
+        setLocalModelsStatus('No models installed on the server');
+      } else {
+        setLocalModelsStatus(result.error);
+      }
+    } catch (error) {
+      setLocalModelsStatus(`Error: ${error.message}`);
+    }
+  };
+
+  const requiresApiKey = providers?.[selectedProvider]?.requiresApiKey !== false;
+
   const handleApiKeyOption = () => {
     setSelectedOption('apiKey');
   };
@@ -42,6 +72,7 @@ function App() {
       google: 'https://makersuite.google.com/app/apikey',
       openai: 'https://platform.openai.com/api-keys',
       anthropic: 'https://console.anthropic.com/settings/keys',
+      local: 'https://ollama.com/download',
     };
     return urls[providerId] || urls.google;
   };
@@ -53,7 +84,7 @@ function App() {
   const handleContinue = async () => {
     if (selectedOption === 'apiKey') {
       const apiKey = apiKeyValue.trim();
-      if (apiKey && selectedProvider && selectedModel) {
+      if ((apiKey || !requiresApiKey) && selectedProvider && selectedModel) {
         setIsSaving(true);
         
         try {
@@ -61,6 +92,9 @@ function App() {
             apiKey,
             provider: selectedProvider,
             model: selectedModel,
+            ...(selectedProvider === 'local' && {
+              options: { baseUrl: localBaseUrl.trim() || providers.local.defaultBaseUrl },
+            }),
           });
           if (result.success) {
             window.snapask.closeOnboarding();
@@ -77,12 +111,12 @@ function App() {
   };
 
   const handleKeyDown = (e) => {
-    if (e.key === 'Enter' && !isSaving && selectedOption === 'apiKey' && apiKeyValue.trim()) {
+    if (e.key === 'Enter' && !isSaving && selectedOption === 'apiKey' && (apiKeyValue.trim() || !requiresApiKey)) {
       handleContinue();
     }
   };
 
-  const isContinueDisabled = !apiKeyValue.trim() || selectedOption !== 'apiKey' || !selectedProvider || !selectedModel || isSaving;
+  const isContinueDisabled = (!apiKeyValue.trim() && requiresApiKey) || selectedOption !== 'apiKey' || !selectedProvider || !selectedModel || isSaving;
 
   return (
     <div className="onboarding-container">
@@ -146,19 +180,48 @@ function App() {
           </>
         )}
 
+        {selectedProvider === 'local' && (
+          <div className="base-url-selector">
+            <label htmlFor="base-url-input">Server URL</label>
+            <div className="base-url-row">
+              <input
+                id="base-url-input"
+                type="text"
+                value={localBaseUrl}
+                onChange={(e) => setLocalBaseUrl(e.target.value)}
+                placeholder={providers?.local?.defaultBaseUrl}
+                autoComplete="off"
+              />
+              <button className="refresh-btn" onClick={refreshLocalModels}>Refresh</button>
+            </div>
+            {localModelsStatus && <div className="help-text">{localModelsStatus}</div>}
+          </div>
+        )}
+
         <input 
           type="password" 
           value={apiKeyValue}
           onChange={(e) => setApiKeyValue(e.target.value)}
           onKeyDown={handleKeyDown}
-          placeholder={`Enter your ${getProviderName(selectedProvider)} API key`}
+          placeholder={
+            requiresApiKey
+              ? `Enter your ${getProviderName(selectedProvider)} API key`
+              : 'API key (optional, only if your server requires one)'
+          }
           autoComplete="off"
         />
-        <div className="help-text">
-          Get your API key from <a href={getProviderHelpUrl(selectedProvider)} target="_blank" rel="noreferrer">
-            {getProviderName(selectedProvider)} API Keys
-          </a>
-        </div>
+        {selectedProvider === 'local' ? (
+          <div className="help-text">
+            Screenshots stay on this machine. Run <a href={getProviderHelpUrl('local')} target="_blank" rel="noreferrer">Ollama</a> or
+            any OpenAI-compatible server with a vision model, e.g. <code>ollama pull llava</code>
+          </div>
+        ) : (
+          <div className="help-text">
+            Get your API key from <a href={getProviderHelpUrl(selectedProvider)} target="_blank" rel="noreferrer">
+              {getProviderName(selectedProvider)} API Keys
+            </a>
+          </div>
+        )}
       </div>
       
       <div className="button-group">
@@ -9,7 +9,19 @@ function App() {
   const [answerClass, setAnswerClass] = useState('answer-text placeholder');
   const [isAsking, setIsAsking] = useState(false);
   const [showCopied, setShowCopied] = useState(false);
+  const [fallbackModel, setFallbackModel] = useState(null); // Set when a fallback provider answered
+  const [cachedAt, setCachedAt] = useState(null); // Set when the answer came from the response cache
+  const [usageWarnings, setUsageWarnings] = useState([]); // Spending caps close to or over their limit
+  const [promptPresets, setPromptPresets] = useState([]);
+  const [activePresetId, setActivePresetId] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [templateIndex, setTemplateIndex] = useState(0); // Highlighted entry in the template menu
+  const [followUps, setFollowUps] = useState([]); // Questions suggested after the latest answer
+  const [redaction, setRedaction] = useState(null); // { status, dataUrl, regions, labels } for the screenshot as sent
+  const [showOriginal, setShowOriginal] = useState(false);
   const inputRef = useRef(null);
+  const activeRequestRef = useRef(null); // requestId of the in-flight AI request
+  const conversationIdRef = useRef(null); // Saved conversation, for events from the main process
 
   useEffect(() => {
     if (!window.snapask) {
@@ -18,11 +30,58 @@ function App() {
     }
 
     // Receive screenshot from main process
-    window.snapask.onScreenshot((dataUrl) => {
+    const unsubscribeScreenshot = window.snapask.onScreenshot((dataUrl) => {
       setCurrentScreenshotDataUrl(dataUrl);
     });
+
+    // Show retry progress for the in-flight request
+    const unsubscribeRetry = window.snapask.onAIRetry(({ requestId, attempt, maxAttempts }) => {
+      if (requestId !== activeRequestRef.current) return;
+      setAnswerClass('answer-text loading');
+      setAnswerText(`Retrying (attempt ${attempt} of ${maxAttempts})...`);
+    });
+
+    // Show which provider the in-flight request moved to
+    const unsubscribeFallback = window.snapask.onAIFallback(({ requestId, to }) => {
+      if (requestId !== activeRequestRef.current) return;
+      setAnswerClass('answer-text loading');
+      setAnswerText(`Switching to ${to.model}...`);
+    });
+
+    // Offer the follow-up questions suggested once the latest answer was saved
+    const unsubscribeFollowUps = window.snapask.onFollowUps(({ conversationId: answeredId, followUps: questions }) => {
+      if (answeredId !== conversationIdRef.current || activeRequestRef.current) return;
+      setFollowUps(questions);
+    });
+
+    // Load system prompt presets for the preset picker
+    window.snapask.getPromptPresets().then((result) => {
+      if (result.success) {
+        setPromptPresets(result.presets);
+        setActivePresetId(result.activePresetId);
+      }
+    }).catch((error) => console.error('Failed to load prompt presets:', error));
+
+    return () => {
+      unsubscribeScreenshot();
+      unsubscribeRetry();
+      unsubscribeFallback();
+      unsubscribeFollowUps();
+    };
   }, []);
 
+  const handleSelectPreset = async (presetId) => {
+    setActivePresetId(presetId);
+    try {
+      const result = await window.snapask.setActivePromptPreset(presetId);
+      if (!result.success) {
+        console.warn('Failed to select preset:', result.error);
+      }
+    } catch (error) {
+      console.error('Error selecting preset:', error);
+    }
+  };
+
   // Auto-focus input when popup mounts
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -31,6 +90,39 @@ function App() {
     return () => clearTimeout(timer);
   }, []);
 
+  // Preview the screenshot with its sensitive text hidden, as it will be sent
+  useEffect(() => {
+    setRedaction(null);
+    setShowOriginal(false);
+    if (!currentScreenshotDataUrl) return undefined;
+
+    let stale = false;
+    const preview = async () => {
+      const { settings, detectors } = await window.snapask.getRedactionSettings();
+      if (!settings?.enabled || stale) return;
+      setRedaction({ status: 'checking' });
+      const result = await window.snapask.redactScreenshot(currentScreenshotDataUrl);
+      if (stale) return;
+      setRedaction(result.success
+        ? { status: 'done', dataUrl: result.dataUrl, regions: result.regions, labels: detectors }
+        : { status: 'error', error: result.error });
+    };
+    preview().catch((error) => {
+      if (!stale) setRedaction({ status: 'error', error: error.message });
+    });
+    return () => {
+      stale = true;
+    };
+  }, [currentScreenshotDataUrl]);
+
+  // "2 × Email addresses, 1 × Card numbers"
+  const describeRedaction = ({ regions, labels }) => {
+    const counts = regions.reduce((total, { type }) => ({ ...total, [type]: (total[type] || 0) + 1 }), {});
+    return Object.entries(counts)
+      .map(([type, count]) => `${count} × ${labels[type] || 'Custom pattern'}`)
+      .join(', ');
+  };
+
   // Re-focus input when a new screenshot is received
   useEffect(() => {
     if (!currentScreenshotDataUrl) return;
@@ -44,26 +136,120 @@ function App() {
     window.snapask.closeWindow();
   };
 
-  const handleAsk = async () => {
-    const prompt = promptValue.trim() || 'Explain this image';
+  // Typing "/" in an empty prompt opens the template menu, filtered by the text after it
+  const templateQuery = promptValue.startsWith('/') ? promptValue.slice(1).toLowerCase() : null;
+  const matchingTemplates = templateQuery === null
+    ? []
+    : templates.filter((template) => template.name.toLowerCase().includes(templateQuery));
+  const templateMenuOpen = matchingTemplates.length > 0 && !isAsking;
+
+  const loadTemplates = async () => {
+    try {
+      const result = await window.snapask.loadTemplates();
+      if (result.success) {
+        setTemplates(result.templates);
+      }
+    } catch (error) {
+      console.error('Failed to load templates:', error);
+    }
+  };
+
+  const handlePromptChange = (value) => {
+    if (value === '/') {
+      loadTemplates();
+    }
+    if (value.startsWith('/')) {
+      setTemplateIndex(0);
+    }
+    setPromptValue(value);
+  };
+
+  // Select the {{variable}} at or after the cursor (wrapping around) so typing replaces it
+  const selectNextPlaceholder = (text, from = 0) => {
+    const input = inputRef.current;
+    const pattern = /\{\{[^}]*\}\}/g;
+    const matches = [...text.matchAll(pattern)];
+    const next = matches.find((match) => match.index >= from) || matches[0];
+    if (input && next) {
+      input.focus();
+      input.setSelectionRange(next.index, next.index + next[0].length);
+      return true;
+    }
+    return false;
+  };
+
+  const handlePickTemplate = async (template) => {
+    try {
+      const result = await window.snapask.applyTemplate(template.id);
+      if (!result.success) {
+        console.warn('Failed to apply template:', result.error);
+        return;
+      }
+      setPromptValue(result.text);
+      // Wait for the input to show the new text before selecting inside it
+      setTimeout(() => selectNextPlaceholder(result.text), 0);
+    } catch (error) {
+      console.error('Error applying template:', error);
+    }
+  };
+
+  // Flatten prompt/answer pairs into the message history sent with follow-ups
+  const buildHistory = (conversation) => conversation
+    .filter((item) => !item.loading)
+    .flatMap((item) => [
+      { role: 'user', content: item.prompt },
+      { role: 'assistant', content: item.answer, error: !!item.error, cancelled: !!item.cancelled },
+    ]);
+
+  // bypassCache re-asks the last prompt without the response cache; it is sent with the same
+  // history as before so the fresh answer replaces the cached one in the cache; text asks a
+  // suggested follow-up instead of the prompt box
+  const handleAsk = async ({ bypassCache = false, text = null } = {}) => {
+    const lastTurn = currentConversation[currentConversation.length - 1];
+    const prompt = bypassCache ? lastTurn.prompt : text || promptValue.trim() || 'Explain this image';
+    const history = buildHistory(bypassCache ? currentConversation.slice(0, -1) : currentConversation);
+    const requestId = crypto.randomUUID();
+    activeRequestRef.current = requestId;
     
     setIsAsking(true);
+    setFallbackModel(null);
+    setCachedAt(null);
+    setUsageWarnings([]);
+    setFollowUps([]);
     setAnswerClass('answer-text loading');
     setAnswerText('Thinking...');
     
     try {
-      const result = await window.snapask.askAI(prompt, currentScreenshotDataUrl);
+      // Stream the answer in as it is generated
+      const result = await window.snapask.askAIStream(
+        requestId,
+        prompt,
+        currentScreenshotDataUrl,
+        history,
+        (chunk, textSoFar) => {
+          setAnswerClass('answer-text streaming');
+          setAnswerText(textSoFar);
+        },
+        { bypassCache }
+      );
       
       if (result.success) {
         setAnswerClass('answer-text');
         setAnswerText(result.text);
+        setFallbackModel(result.fallbackUsed ? result.model : null);
+        setCachedAt(result.cached ? result.cachedAt : null);
+        setUsageWarnings(result.usageWarnings || []);
         
         // Store in conversation history
         const newConversation = [...currentConversation, {
           prompt: prompt,
           answer: result.text,
           timestamp: new Date().toISOString(),
-          error: false
+          error: false,
+          provider: result.provider,
+          model: result.model,
+          usage: result.usage,
+          toolCalls: result.toolCalls
         }];
         setCurrentConversation(newConversation);
         
@@ -77,6 +263,7 @@ function App() {
             });
             
             if (saveResult.success) {
+              conversationIdRef.current = saveResult.conversationId;
               setConversationId(saveResult.conversationId);
               console.log('Conversation saved to database:', saveResult.conversationId);
             } else {
@@ -85,13 +272,32 @@ function App() {
           } else {
             // Add messages to existing conversation
             await window.snapask.saveMessage(conversationId, 'user', prompt, false);
-            await window.snapask.saveMessage(conversationId, 'assistant', result.text, false);
+            await window.snapask.saveMessage(conversationId, 'assistant', result.text, false, {
+              provider: result.provider,
+              model: result.model,
+              usage: result.usage,
+              toolCalls: result.toolCalls
+            });
             console.log('Messages added to conversation:', conversationId);
           }
         } catch (dbError) {
           console.error('Database error (non-critical):', dbError);
           // Don't block user flow if DB save fails
         }
+      } else if (result.cancelled) {
+        // Keep whatever was streamed before the user stopped the request
+        const cancelledText = result.text || 'Cancelled.';
+        setAnswerClass('answer-text cancelled');
+        setAnswerText(cancelledText);
+
+        const newConversation = [...currentConversation, {
+          prompt: prompt,
+          answer: cancelledText,
+          timestamp: new Date().toISOString(),
+          error: false,
+          cancelled: true
+        }];
+        setCurrentConversation(newConversation);
       } else {
         let errorMessage;
         const isError = true;
@@ -130,10 +336,23 @@ function App() {
       }];
       setCurrentConversation(newConversation);
     } finally {
+      activeRequestRef.current = null;
       setIsAsking(false);
     }
   };
 
+  // Abort the in-flight request; handleAsk records it as cancelled when it resolves
+  const handleCancel = () => {
+    if (activeRequestRef.current) {
+      window.snapask.cancelAI(activeRequestRef.current);
+    }
+  };
+
+  const handleAskFollowUp = (question) => {
+    setPromptValue(question);
+    handleAsk({ text: question });
+  };
+
   const handleContinue = () => {
     const data = {
       conversationId: conversationId,  // Pass conversation ID if available
@@ -144,17 +363,46 @@ function App() {
   };
 
   const handleKeyDown = (e) => {
-    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+    if (templateMenuOpen) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setTemplateIndex((index) => (index + step + matchingTemplates.length) % matchingTemplates.length);
+        return;
+      }
+      if ((e.key === 'Enter' && !e.metaKey && !e.ctrlKey) || e.key === 'Tab') {
+        e.preventDefault();
+        handlePickTemplate(matchingTemplates[Math.min(templateIndex, matchingTemplates.length - 1)]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        // Close the menu without closing the popup
+        e.preventDefault();
+        e.stopPropagation();
+        setPromptValue('');
+        return;
+      }
+    }
+
+    if (e.key === 'Tab' && !e.shiftKey && selectNextPlaceholder(promptValue, e.target.selectionEnd)) {
+      // Jump to the next unfilled {{variable}}
+      e.preventDefault();
+      return;
+    }
+
+    if ((e.metaKey || e.ctrlKey) && followUps[Number(e.key) - 1] && !isAsking) {
+      // Cmd+1..3 or Ctrl+1..3 - Ask a suggested follow-up
+      e.preventDefault();
+      handleAskFollowUp(followUps[Number(e.key) - 1]);
+    } else if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
       // Cmd+Enter or Ctrl+Enter - Continue in App
       e.preventDefault();
       handleContinue();
     } else if (e.key === 'Enter') {
       // Regular Enter - Ask
       handleAsk();
-    } else if (e.key === 'Escape') {
-      e.preventDefault();
-      handleClose();
     }
+    // Escape is handled by the document-level listener below
   };
 
   const handleCopyAnswer = async () => {
@@ -176,8 +424,13 @@ function App() {
   };
 
   useEffect(() => {
+    // Esc stops an in-flight request first, and closes the popup otherwise
     const handleEscape = (e) => {
-      if (e.key === 'Escape') {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      if (activeRequestRef.current) {
+        handleCancel();
+      } else {
         handleClose();
       }
     };
@@ -194,26 +447,83 @@ function App() {
       
       <div className="thumbnail-container" id="thumbnailContainer">
         {currentScreenshotDataUrl && (
-          <img src={currentScreenshotDataUrl} alt="Screenshot" />
+          <img
+            src={!showOriginal && redaction?.dataUrl ? redaction.dataUrl : currentScreenshotDataUrl}
+            alt="Screenshot"
+          />
         )}
       </div>
+
+      {redaction && (
+        <div className={`redaction-notice ${redaction.status}`}>
+          {redaction.status === 'checking' && '🔒 Checking for sensitive text...'}
+          {redaction.status === 'error' && `⚠️ ${redaction.error} — the screenshot won't be sent`}
+          {redaction.status === 'done' && redaction.regions.length === 0 && '🔒 No sensitive text found'}
+          {redaction.status === 'done' && redaction.regions.length > 0 && (
+            <>
+              <span>🔒 Hidden before sending: {describeRedaction(redaction)}</span>
+              <button className="redaction-toggle" onClick={() => setShowOriginal(!showOriginal)}>
+                {showOriginal ? 'Show what is sent' : 'Show original'}
+              </button>
+            </>
+          )}
+        </div>
+      )}
       
       <div className="input-container">
         <input 
           ref={inputRef}
           type="text" 
           value={promptValue}
-          onChange={(e) => setPromptValue(e.target.value)}
+          onChange={(e) => handlePromptChange(e.target.value)}
           onKeyDown={handleKeyDown}
-          placeholder="Ask about this screenshot..." 
+          placeholder="Ask about this screenshot... (/ for templates)" 
           autoComplete="off"
         />
+        {templateMenuOpen && (
+          <ul className="template-menu" role="listbox">
+            {matchingTemplates.map((template, index) => (
+              <li
+                key={template.id}
+                className={`template-option ${index === templateIndex ? 'active' : ''}`}
+                role="option"
+                aria-selected={index === templateIndex}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  handlePickTemplate(template);
+                }}
+              >
+                <span className="template-name">{template.name}</span>
+                <span className="template-body">{template.body}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {promptPresets.length > 0 && (
+          <select
+            className="preset-select"
+            value={activePresetId || ''}
+            onChange={(e) => handleSelectPreset(e.target.value || null)}
+            title="System prompt preset"
+          >
+            <option value="">No preset</option>
+            {promptPresets.map((preset) => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+          </select>
+        )}
       </div>
       
       <div className="button-row">
-        <button className="primary-btn" onClick={handleAsk} disabled={isAsking}>
-          Ask (⏎)
-        </button>
+        {isAsking ? (
+          <button className="primary-btn" onClick={handleCancel} title="Stop (Esc)">
+            Stop (esc)
+          </button>
+        ) : (
+          <button className="primary-btn" onClick={() => handleAsk()}>
+            Ask (⏎)
+          </button>
+        )}
         <button className="secondary-btn" onClick={handleContinue}>
           Continue in App (⌘+⏎)
         </button>
@@ -234,6 +544,35 @@ function App() {
             </button>
           )}
         </div>
+        {fallbackModel && answerClass === 'answer-text' && (
+          <div className="fallback-note">Answered by {fallbackModel}</div>
+        )}
+        {cachedAt && answerClass === 'answer-text' && (
+          <div className="cache-note">
+            ⚡ Cached answer from {new Date(cachedAt).toLocaleString()}
+            <button className="cache-refresh-btn" onClick={() => handleAsk({ bypassCache: true })}>
+              Ask again
+            </button>
+          </div>
+        )}
+        {answerClass === 'answer-text' && followUps.length > 0 && (
+          <div className="follow-ups">
+            {followUps.map((question, index) => (
+              <button
+                key={question}
+                className="follow-up-btn"
+                onClick={() => handleAskFollowUp(question)}
+                title={`Ask (⌘${index + 1})`}
+              >
+                <span className="follow-up-key">{index + 1}</span>
+                {question}
+              </button>
+            ))}
+          </div>
+        )}
+        {answerClass === 'answer-text' && usageWarnings.map((warning) => (
+          <div className="usage-warning" key={`${warning.period}-${warning.metric}`}>⚠️ {warning.message}</div>
+        ))}
         {showCopied && (
           <div className="copy-toast-popup">Copied!</div>
         )}
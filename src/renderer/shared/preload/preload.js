@@ -1,16 +1,24 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
+/**
+ * Listen for an event from the main process
+ * @param {string} channel - IPC channel
+ * @param {Function} callback - Called with the event's data
+ * @returns {Function} Removes the listener (e.g. in a React effect's cleanup)
+ */
+const subscribe = (channel, callback) => {
+  const listener = (event, data) => callback(data);
+  ipcRenderer.on(channel, listener);
+  return () => ipcRenderer.removeListener(channel, listener);
+};
+
 /**
  * Expose safe IPC methods to the renderer process
  * This bridges the main process and renderer while maintaining security
  */
 contextBridge.exposeInMainWorld('snapask', {
   // Receive screenshot data from main process
-  onScreenshot: (callback) => {
-    ipcRenderer.on('screenshot-captured', (event, dataUrl) => {
-      callback(dataUrl);
-    });
-  },
+  onScreenshot: (callback) => subscribe('screenshot-captured', callback),
 
   // Send close request to main process
   closeWindow: () => {
@@ -23,22 +31,91 @@ contextBridge.exposeInMainWorld('snapask', {
   },
 
   // Ask AI about the image
-  askAI: async (prompt, imageDataUrl) => ipcRenderer.invoke('ask-ai', { prompt, imageDataUrl }),
+  // history: prior { role, content, error } messages so follow-ups keep context
+  // requestId (optional) allows the request to be stopped with cancelAI
+  // target (optional) { provider, model, generationParams } overrides the default model and
+  // sampling settings for this request; { bypassCache: true } skips the response cache.
+  // Answers served from the cache carry { cached: true, cachedAt }
+  // { conversationId } sends the conversation's summary of older turns in their place; answers
+  // carry { contextSummary: { text, messageCount, updatedAt }, summaryUpdated } when one is used
+  askAI: async (prompt, imageDataUrl, history = [], requestId = null, target = {}) =>
+    ipcRenderer.invoke('ask-ai', { requestId, prompt, imageDataUrl, history, ...target }),
 
-  // Receive app data from main process (for main app window)
-  onAppData: (callback) => {
-    ipcRenderer.on('app-data', (event, data) => {
-      callback(data);
-    });
+  // Ask AI with a streamed answer
+  // onChunk(chunk, textSoFar) is called as text arrives; resolves with the final
+  // { success, text, error } result carried by the 'ai-stream-done' event
+  // target (optional) { provider, model, generationParams, bypassCache, conversationId } as for askAI
+  askAIStream: (requestId, prompt, imageDataUrl, history = [], onChunk = () => {}, target = {}) =>
+    new Promise((resolve) => {
+      const handleChunk = (event, data) => {
+        if (data.requestId === requestId) {
+          onChunk(data.chunk, data.text);
+        }
+      };
+      const handleDone = (event, data) => {
+        if (data.requestId !== requestId) return;
+        ipcRenderer.removeListener('ai-stream-chunk', handleChunk);
+        ipcRenderer.removeListener('ai-stream-done', handleDone);
+        const { requestId: _id, ...result } = data;
+        resolve(result);
+      };
+
+      ipcRenderer.on('ai-stream-chunk', handleChunk);
+      ipcRenderer.on('ai-stream-done', handleDone);
+      ipcRenderer
+        .invoke('ask-ai-stream', { requestId, prompt, imageDataUrl, history, ...target })
+        .catch((error) => {
+          ipcRenderer.removeListener('ai-stream-chunk', handleChunk);
+          ipcRenderer.removeListener('ai-stream-done', handleDone);
+          resolve({ success: false, error: error.message });
+        });
+    }),
+
+  // Ask 2 to 4 models the same question in parallel (compare mode)
+  // targets: [{ provider, model }]; onResult(index, result) is called as each model answers,
+  // with { success, text, error, provider, model, usage, latencyMs }; resolves with
+  // { success, results } in target order. Cancel them all with cancelAI(requestId)
+  compareModels: (requestId, prompt, imageDataUrl, history = [], targets = [], onResult = () => {}, generationParams = null) => {
+    const handleResult = (event, data) => {
+      if (data.requestId === requestId) {
+        const { requestId: _id, index, ...result } = data;
+        onResult(index, result);
+      }
+    };
+
+    ipcRenderer.on('ai-compare-result', handleResult);
+    return ipcRenderer
+      .invoke('compare-models', { requestId, prompt, imageDataUrl, history, targets, generationParams })
+      .catch((error) => ({ success: false, error: error.message }))
+      .finally(() => ipcRenderer.removeListener('ai-compare-result', handleResult));
   },
 
+  // Receive retry notices for in-flight requests: { requestId, attempt, maxAttempts, delayMs }
+  onAIRetry: (callback) => subscribe('ai-request-retry', callback),
+
+  // Receive local tool calls as a model makes them: { requestId, name, args, result, error }
+  // Final answers list them as { toolCalls: [{ name, args, result, error }] }
+  onAIToolCall: (callback) => subscribe('ai-tool-call', callback),
+
+  // Receive fallback notices when a request moves to the next configured provider:
+  // { requestId, from: { provider, model }, to: { provider, model } }
+  onAIFallback: (callback) => subscribe('ai-provider-fallback', callback),
+
+  // Cancel an in-flight askAI/askAIStream request; the pending call resolves with
+  // { success: false, cancelled: true } (for compareModels, each unfinished result does)
+  cancelAI: async (requestId) => ipcRenderer.invoke('cancel-ai', requestId),
+
+  // Receive app data from main process (for main app window)
+  onAppData: (callback) => subscribe('app-data', callback),
+
   // Close app window
   closeAppWindow: () => {
     ipcRenderer.send('close-app-window');
   },
 
   // Save API key
-  // Accepts either string (backward compatibility) or { apiKey, provider, model } object
+  // Accepts either string (backward compatibility) or { apiKey, provider, model, options } object
+  // options: provider connection settings, e.g. { baseUrl } for a local server (apiKey optional)
   saveApiKey: (data) => {
     if (typeof data === 'string') {
       // Backward compatibility: old format
@@ -55,6 +132,24 @@ contextBridge.exposeInMainWorld('snapask', {
   // Get available AI providers and models
   getAiProviders: () => ipcRenderer.invoke('get-ai-providers'),
 
+  // Get stored connection options for a provider: { baseUrl, headers, organization, project }
+  getProviderOptions: (provider) => ipcRenderer.invoke('get-provider-options', provider),
+
+  // Save connection options for a provider: { baseUrl, headers, organization, project }
+  // Empty values clear the stored ones; resolves { success, options, error }
+  saveProviderOptions: (provider, options) => ipcRenderer.invoke('save-provider-options', { provider, options }),
+
+  // List models installed on a local Ollama / OpenAI-compatible server
+  // baseUrl defaults to the stored local server URL; resolves { success, models, error }
+  listLocalModels: (baseUrl) => ipcRenderer.invoke('list-local-models', baseUrl),
+
+  // Get the fallback provider chain: [{ provider, model, hasApiKey }]
+  getFallbackChain: () => ipcRenderer.invoke('get-fallback-chain'),
+
+  // Save the fallback provider chain: [{ provider, model, apiKey? }]
+  // Omit apiKey to keep the provider's stored key
+  saveFallbackChain: (chain) => ipcRenderer.invoke('save-fallback-chain', chain),
+
   // Close onboarding window
   closeOnboarding: () => {
     ipcRenderer.send('close-onboarding');
@@ -63,6 +158,20 @@ contextBridge.exposeInMainWorld('snapask', {
   // Copy text to clipboard
   copyToClipboard: async (text) => ipcRenderer.invoke('copy-to-clipboard', text),
 
+  // ============================================
+  // STRUCTURED EXTRACTION
+  // ============================================
+
+  // Extract data from a screenshot: { requestId, imageDataUrl, shape, instructions, provider, model }
+  // shape is 'table', 'keyValue' or 'list'; resolves { success, grid: { columns, rows }, error }
+  extractStructured: async (request) => ipcRenderer.invoke('extract-structured', request),
+
+  // Copy a grid to the clipboard as 'csv' or 'tsv'
+  copyExtraction: async (grid, format = 'tsv') => ipcRenderer.invoke('copy-extraction', { grid, format }),
+
+  // Save a grid as 'csv' or 'xlsx' with a save dialog; resolves { success, filePath, cancelled }
+  saveExtraction: async (grid, format = 'csv', name = 'extraction') => ipcRenderer.invoke('save-extraction', { grid, format, name }),
+
   // ============================================
   // CONVERSATION MANAGEMENT
   // ============================================
@@ -77,12 +186,112 @@ contextBridge.exposeInMainWorld('snapask', {
   loadConversation: async (conversationId) => ipcRenderer.invoke('load-conversation', conversationId),
 
   // Save individual message
-  saveMessage: async (conversationId, role, content, error = false) => ipcRenderer.invoke('save-message', { conversationId, role, content, error }),
+  // options: { cancelled } for answers the user stopped, { provider, model } for who answered,
+  // { usage } for the { inputTokens, outputTokens, cost } reported with the answer,
+  // { toolCalls } for the local tool calls made while answering
+  saveMessage: async (conversationId, role, content, error = false, options = {}) => ipcRenderer.invoke('save-message', { conversationId, role, content, error, ...options }),
 
   // Delete conversation
   deleteConversation: async (conversationId) => ipcRenderer.invoke('delete-conversation', conversationId),
 
   // Update conversation properties
-  updateConversation: async (conversationId, updates) => ipcRenderer.invoke('update-conversation', { conversationId, updates })
+  // A title set here is the user's; generated titles no longer replace it
+  updateConversation: async (conversationId, updates) => ipcRenderer.invoke('update-conversation', { conversationId, updates }),
+
+  // Regenerate a conversation's title from its first exchange (replacing a renamed title too):
+  // { success, title, error }
+  generateTitle: async (conversationId) => ipcRenderer.invoke('generate-conversation-title', conversationId),
+
+  // Receive titles generated in the background after a conversation's first answer:
+  // { conversationId, title }
+  onConversationTitle: (callback) => subscribe('conversation-title-updated', callback),
+
+  // Receive follow-up questions suggested after a saved answer (also loaded with the
+  // conversation as each answer's followUps): { conversationId, messageId, prompt, followUps }
+  onFollowUps: (callback) => subscribe('follow-ups-ready', callback),
+
+  // Token usage and estimated cost for a month (1-12, default: current month):
+  // { success, since, until, usage: { inputTokens, outputTokens, cost, messages, byModel } }
+  getUsageSummary: async (year, month) => ipcRenderer.invoke('get-usage-summary', { year, month }),
+
+  // Spending/request caps per provider and this day's and month's counters:
+  // { success, limits: { [provider]: caps }, counters: { [provider]: { day, month } } }
+  getUsageLimits: async () => ipcRenderer.invoke('get-usage-limits'),
+
+  // Save a provider's caps: { dailyCost, monthlyCost, dailyRequests, monthlyRequests, action }
+  // Empty values remove a cap; action is 'block' (refuse) or 'warn'
+  saveUsageLimits: async (provider, limits) => ipcRenderer.invoke('save-usage-limits', { provider, limits }),
+
+  // System prompt presets: { success, presets: [{ id, name, prompt }], activePresetId }
+  getPromptPresets: async () => ipcRenderer.invoke('get-prompt-presets'),
+
+  // Replace the preset list; presets without an id are created
+  savePromptPresets: async (presets) => ipcRenderer.invoke('save-prompt-presets', presets),
+
+  // Choose the preset sent with every request (null for none)
+  setActivePromptPreset: async (presetId) => ipcRenderer.invoke('set-active-prompt-preset', presetId),
+
+  // Global sampling settings: { success, params: { temperature, maxOutputTokens, topP } }
+  getGenerationParams: async () => ipcRenderer.invoke('get-generation-params'),
+
+  // Save sampling settings globally, or as overrides for one conversation when conversationId
+  // is given; returns { success, params } or { success: false, error } when out of range
+  saveGenerationParams: async (params, conversationId = null) =>
+    ipcRenderer.invoke('save-generation-params', { params, conversationId }),
+
+  // Response cache: { success, settings: { enabled, ttlHours, maxEntries },
+  // stats: { entries, hits } }
+  getResponseCache: async () => ipcRenderer.invoke('get-response-cache'),
+
+  // Save response cache settings (any of enabled, ttlHours, maxEntries); { success, settings }
+  saveResponseCacheSettings: async (settings) =>
+    ipcRenderer.invoke('save-response-cache-settings', settings),
+
+  // Remove every cached answer: { success, removed }
+  clearResponseCache: async () => ipcRenderer.invoke('clear-response-cache'),
+
+  // Local tools models may call: { success, enabled, tools: [{ name, description }] }
+  getTools: async () => ipcRenderer.invoke('get-tools'),
+
+  // Turn the local tools on or off: { success, enabled }
+  saveToolsEnabled: async (enabled) => ipcRenderer.invoke('save-tools-enabled', enabled),
+
+  // Screenshot text recognition settings: { success, settings: { enabled, includeInPrompt } }
+  getOcrSettings: async () => ipcRenderer.invoke('get-ocr-settings'),
+
+  // Save screenshot text settings (either of enabled, includeInPrompt); { success, settings }
+  saveOcrSettings: async (settings) => ipcRenderer.invoke('save-ocr-settings', settings),
+
+  // Text recognized on-device in a screenshot: { success, text, words }
+  getScreenshotText: async (imageDataUrl) =>
+    ipcRenderer.invoke('get-screenshot-text', imageDataUrl),
+
+  // Screenshot redaction settings: { success, settings: { enabled, detectors, customPatterns,
+  // style, storeRedacted }, detectors: { type: label }, styles }
+  getRedactionSettings: async () => ipcRenderer.invoke('get-redaction-settings'),
+
+  // Save screenshot redaction settings (any of the above); { success, settings }
+  saveRedactionSettings: async (settings) =>
+    ipcRenderer.invoke('save-redaction-settings', settings),
+
+  // Screenshot as it will be sent, sensitive text hidden: { success, dataUrl, regions }
+  redactScreenshot: async (imageDataUrl) => ipcRenderer.invoke('redact-screenshot', imageDataUrl),
+
+  // ============================================
+  // PROMPT TEMPLATES
+  // ============================================
+
+  // Load templates: { success, templates: [{ id, name, body, variables, last_used_at }] }
+  loadTemplates: async () => ipcRenderer.invoke('load-templates'),
+
+  // Create ({ name, body }) or update ({ id, name, body }) a template; resolves { success, template }
+  saveTemplate: async (template) => ipcRenderer.invoke('save-template', template),
+
+  // Delete a template
+  deleteTemplate: async (templateId) => ipcRenderer.invoke('delete-template', templateId),
+
+  // Fill a template's {{variables}} ({{selection}} defaults to the clipboard text):
+  // { success, text, missing: [names still shown as {{name}}] }
+  applyTemplate: async (templateId, values = {}) => ipcRenderer.invoke('apply-template', { templateId, values })
 });
 